@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import readline from "readline/promises";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import {
+  CODIGOS_SAIDA,
+  formatarProgresso,
+  formatarStatus,
+  interpretarArgumentos,
+  TEXTO_AJUDA,
+} from "./src/cli.js";
+import { buscarVagas } from "./src/busca.js";
+import {
+  exportarPainelCandidaturas,
+  formatarCandidaturas,
+  registrarCandidaturas,
+} from "./src/candidaturas.js";
+import { CONCORRENCIA_PADRAO } from "./src/concorrencia.js";
+import { carregarEstado } from "./src/estado.js";
+import { entrarNoSite } from "./src/navegador.js";
+import { executarPipeline } from "./src/pipeline.js";
+import { criarServidorRevisao, PORTA_REVISAO_PADRAO } from "./src/revisao.js";
+import { paginaDeBloqueio } from "./src/scrapers/comum.js";
+import { linkedin } from "./src/scrapers/linkedin.js";
+
+// Carrega variáveis de ambiente
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Mostra a situação das vagas registradas no estado (comando status)
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {number} Código de saída
+ */
+function mostrarStatus(opcoes) {
+  const estado = carregarEstado(opcoes.estado);
+  console.log(`Estado das vagas: ${opcoes.estado}\n`);
+  console.log(formatarStatus(estado, opcoes));
+  return CODIGOS_SAIDA.sucesso;
+}
+
+/**
+ * Lê a sessão do navegador: cookies de --cookies, NAVEGADOR_COOKIES ou
+ * cookies.json (se existir) e o perfil de --user-data-dir ou NAVEGADOR_PERFIL
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {{arquivo: string, cookies: string|null, perfil: string|null}}
+ *   Arquivo de cookies, o mesmo arquivo se ele deve ser lido, e o perfil
+ */
+function lerSessao(opcoes) {
+  const ambiente = (nome) =>
+    process.env[nome] ? path.resolve(process.env[nome]) : null;
+  const informado = opcoes.cookies || ambiente("NAVEGADOR_COOKIES");
+  const arquivo = informado || path.join(__dirname, "cookies.json");
+  return {
+    arquivo,
+    cookies: informado || fs.existsSync(arquivo) ? arquivo : null,
+    perfil: opcoes.perfil || ambiente("NAVEGADOR_PERFIL"),
+  };
+}
+
+/**
+ * Abre o navegador para o usuário entrar no LinkedIn e salva a sessão (comando login)
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {Promise<number>} Código de saída
+ */
+async function entrar(opcoes) {
+  const { arquivo, perfil } = lerSessao(opcoes);
+  console.log(`Abrindo o navegador em ${linkedin.urlLogin}...`);
+  console.log(
+    "Entre na sua conta na janela do navegador (resolva a verificação, se aparecer)\ne pressione Enter aqui quando a página inicial abrir."
+  );
+
+  const leitor = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  let resultado;
+  try {
+    resultado = await entrarNoSite({
+      urlLogin: linkedin.urlLogin,
+      cookies: arquivo,
+      perfil,
+      aguardarUsuario: (signal) => leitor.question("", { signal }),
+      paginaDeLogin: (link) => Boolean(paginaDeBloqueio(link)),
+    });
+  } finally {
+    leitor.close();
+  }
+
+  console.log(`✓ Sessão salva em ${arquivo} (${resultado.cookies} cookies)`);
+  if (perfil) {
+    console.log(`✓ Sessão também guardada no perfil ${perfil}`);
+  }
+  console.log(
+    "⚠ O arquivo de cookies dá acesso à sua conta: não o compartilhe nem o envie para o Git."
+  );
+  return CODIGOS_SAIDA.sucesso;
+}
+
+/**
+ * Busca vagas no LinkedIn e acrescenta as novas ao CSV (comando search)
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {Promise<number>} Código de saída
+ */
+async function buscar(opcoes) {
+  const { encontradas, novas, buscasComFalha } = await buscarVagas({
+    buscas: opcoes.buscas,
+    vagas: opcoes.vagas,
+    estado: opcoes.estado,
+    paginas: opcoes.paginasBusca,
+    intervaloHost:
+      opcoes.concorrencia.intervaloHost ??
+      lerNumeroAmbiente("INTERVALO_HOST_MS") ??
+      CONCORRENCIA_PADRAO.intervaloHost,
+    simulacao: opcoes.simulacao,
+    sessao: lerSessao(opcoes),
+    log: (mensagem, nivel) =>
+      nivel === "erro" ? console.error(mensagem) : console.log(mensagem),
+  });
+
+  console.log("\n=== BUSCA CONCLUÍDA ===");
+  console.log(`Vagas encontradas: ${encontradas} | novas: ${novas.length}`);
+  for (const link of novas) {
+    console.log(`  + ${link}`);
+  }
+  if (novas.length > 0) {
+    console.log(
+      opcoes.simulacao
+        ? "(simulação: o CSV não foi alterado)"
+        : `Links acrescentados a ${opcoes.vagas}`
+    );
+  }
+  if (buscasComFalha.length > 0) {
+    console.log(`\n✗ ${buscasComFalha.length} busca(s) com falha`);
+    return CODIGOS_SAIDA.falhaParcial;
+  }
+  return CODIGOS_SAIDA.sucesso;
+}
+
+/**
+ * Atualiza a candidatura das vagas selecionadas (comando track)
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {Promise<number>} Código de saída
+ */
+async function acompanhar(opcoes) {
+  await registrarCandidaturas({
+    ...opcoes.candidatura,
+    vagas: opcoes.vagas,
+    estado: opcoes.estado,
+    candidaturas: opcoes.candidaturas,
+    enviados: opcoes.enviados,
+    linhas: opcoes.linhas,
+    ids: opcoes.ids,
+    log: (mensagem, nivel) =>
+      nivel === "erro" ? console.error(mensagem) : console.log(mensagem),
+  });
+  console.log(`\nCandidaturas salvas em: ${opcoes.candidaturas}`);
+  return CODIGOS_SAIDA.sucesso;
+}
+
+/**
+ * Mostra as candidaturas e exporta o painel em CSV e HTML (comando applications)
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {number} Código de saída
+ */
+function mostrarCandidaturas(opcoes) {
+  const { resumo, arquivos } = exportarPainelCandidaturas({
+    candidaturas: opcoes.candidaturas,
+    relatorios: opcoes.relatorios,
+    // Dias sem novidades até o lembrete (CANDIDATURA_LEMBRETE_DIAS=7)
+    dias: lerNumeroAmbiente("CANDIDATURA_LEMBRETE_DIAS"),
+  });
+  console.log(`Candidaturas: ${opcoes.candidaturas}\n`);
+  console.log(formatarCandidaturas(resumo));
+  console.log(`\nPainel salvo em: ${arquivos.join(", ")}`);
+  return CODIGOS_SAIDA.sucesso;
+}
+
+/**
+ * Lê uma variável de ambiente numérica (ex.: LLM_TEMPERATURA=0.2)
+ * @param {string} nome - Nome da variável
+ * @returns {number|undefined} Número ou undefined se a variável não existir
+ */
+function lerNumeroAmbiente(nome) {
+  const valor = process.env[nome];
+  if (valor === undefined || valor.trim() === "") return undefined;
+  const numero = Number(valor);
+  if (!Number.isFinite(numero)) {
+    throw new Error(`${nome} inválido: "${valor}". Use um número`);
+  }
+  return numero;
+}
+
+/**
+ * Monta as opções de executarPipeline a partir da linha de comando e do .env
+ * @param {string} comando - Comando executado
+ * @param {Array<string>} etapas - Etapas do comando
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {Object} Opções do pipeline
+ */
+function opcoesDoPipeline(comando, etapas, opcoes) {
+  return {
+    ...opcoes,
+    diretorio: __dirname,
+    etapas,
+    promptObrigatorio: opcoes.promptInformado,
+    promptCartaObrigatorio: opcoes.promptCartaInformado,
+    // Formatos dos currículos gerados (--formats ou FORMATOS_SAIDA=docx,pdf)
+    formatos: opcoes.formatos || process.env.FORMATOS_SAIDA,
+    // Provedor e parâmetros do modelo (--provider, --model... ou LLM_* no .env)
+    provedor: opcoes.provedor || process.env.LLM_PROVEDOR,
+    modelo: opcoes.modelo || process.env.LLM_MODELO || process.env.OPENAI_MODEL,
+    temperatura: opcoes.temperatura ?? lerNumeroAmbiente("LLM_TEMPERATURA"),
+    maxTokens: opcoes.maxTokens ?? lerNumeroAmbiente("LLM_MAX_TOKENS"),
+    baseUrl: opcoes.baseUrl || process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    // Novas tentativas em erros temporários do modelo (429, 5xx, tempo esgotado)
+    tentativas: lerNumeroAmbiente("LLM_TENTATIVAS"),
+    timeoutMs: lerNumeroAmbiente("LLM_TIMEOUT_MS"),
+    // Orçamento de tokens e cache das respostas (LLM_CONTEXTO, --no-cache ou CACHE_LLM=false)
+    contexto: lerNumeroAmbiente("LLM_CONTEXTO"),
+    usarCache: !opcoes.semCache && process.env.CACHE_LLM !== "false",
+    // Novas tentativas de download das vagas (tempo esgotado, erro de rede, HTTP 5xx)
+    tentativasColeta: lerNumeroAmbiente("COLETA_TENTATIVAS"),
+    // Sessão do navegador para sites que exigem login (--cookies, --user-data-dir)
+    sessao: lerSessao(opcoes),
+    // Verificação de fatos inventados (avisar, rejeitar ou regenerar)
+    verificacao: {
+      modo: process.env.VERIFICACAO_FATOS,
+      maxTentativas: lerNumeroAmbiente("VERIFICACAO_TENTATIVAS") ?? 3,
+    },
+    pontuacaoMinima: lerNumeroAmbiente("PONTUACAO_MINIMA") ?? 0,
+    // Padrão dos nomes dos arquivos (ex.: PADRAO_NOME_ARQUIVO={{empresa}}_{{titulo}}_{{id}})
+    padraoNomeArquivo: process.env.PADRAO_NOME_ARQUIVO,
+    incluirBanner: process.env.CURRICULO_INCLUIR_BANNER === "true",
+    // DOCX/PDF só de currículos aprovados no comando review (--require-approval ou
+    // APROVACAO_MANUAL=true). Sem nenhum dos dois, passa a valer depois do primeiro
+    // review; APROVACAO_MANUAL=false desliga
+    exigirAprovacao:
+      opcoes.exigirAprovacao ||
+      (process.env.APROVACAO_MANUAL
+        ? process.env.APROVACAO_MANUAL === "true"
+        : undefined),
+    // Currículos base por perfil (--profiles ou PERFIS_CURRICULO=perfis); --cv usa um só
+    perfis:
+      opcoes.perfis ||
+      (!opcoes.curriculo && process.env.PERFIS_CURRICULO
+        ? path.resolve(process.env.PERFIS_CURRICULO)
+        : null),
+    // Versões geradas por vaga, fica a de maior pontuação (--variants ou CURRICULO_VARIANTES=3)
+    variantes: opcoes.variantes ?? lerNumeroAmbiente("CURRICULO_VARIANTES"),
+    // Geração por seções com alvos de tamanho (--sections, --max-pages ou GERACAO_POR_SECOES=true)
+    porSecoes: {
+      ativa: opcoes.porSecoes || process.env.GERACAO_POR_SECOES === "true",
+      paginas:
+        opcoes.paginasCurriculo ?? lerNumeroAmbiente("CURRICULO_PAGINAS"),
+      palavrasMinimas: lerNumeroAmbiente("CURRICULO_PALAVRAS_MIN"),
+      palavrasMaximas: lerNumeroAmbiente("CURRICULO_PALAVRAS_MAX"),
+      maxAjustes: lerNumeroAmbiente("GERACAO_AJUSTES"),
+    },
+    // Idioma dos currículos: o de cada vaga ou um fixo (--language ou IDIOMA_CURRICULO=en)
+    idioma: opcoes.idioma || process.env.IDIOMA_CURRICULO,
+    // Carta de apresentação (comando cover, --cover-letter ou CARTA_* no .env)
+    carta: {
+      ativa:
+        comando === "cover" ||
+        opcoes.carta ||
+        process.env.CARTA_APRESENTACAO === "true",
+      tom: opcoes.tomCarta || process.env.CARTA_TOM,
+      tamanho: opcoes.tamanhoCarta || process.env.CARTA_TAMANHO,
+      idioma: opcoes.idiomaCarta || process.env.CARTA_IDIOMA,
+    },
+    // Paralelismo (--scrape-concurrency, --llm-concurrency, --host-delay ou .env)
+    concorrencia: {
+      paginas:
+        opcoes.concorrencia.paginas ??
+        lerNumeroAmbiente("CONCORRENCIA_PAGINAS"),
+      llm: opcoes.concorrencia.llm ?? lerNumeroAmbiente("CONCORRENCIA_LLM"),
+      intervaloHost:
+        opcoes.concorrencia.intervaloHost ??
+        lerNumeroAmbiente("INTERVALO_HOST_MS"),
+    },
+  };
+}
+
+/**
+ * Abre a interface web de revisão dos currículos (comando review) e a mantém
+ * no ar até o usuário pressionar Ctrl+C
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {Promise<number>} Código de saída
+ */
+async function revisar(opcoes) {
+  const porta =
+    opcoes.porta ?? lerNumeroAmbiente("REVISAO_PORTA") ?? PORTA_REVISAO_PADRAO;
+  const servidor = criarServidorRevisao({
+    ...opcoesDoPipeline("review", [], opcoes),
+    log: (mensagem, nivel) =>
+      nivel === "erro" ? console.error(mensagem) : console.log(mensagem),
+  });
+
+  await new Promise((resolve, reject) => {
+    servidor.once("error", reject);
+    // Só no próprio computador: a interface edita arquivos e chama o modelo
+    servidor.listen(porta, "127.0.0.1", resolve);
+  }).catch((error) => {
+    throw new Error(
+      error.code === "EADDRINUSE"
+        ? `Porta ${porta} em uso; escolha outra com --port`
+        : error.message
+    );
+  });
+  console.log(`Revisão dos currículos em http://localhost:${porta}`);
+  console.log("Pressione Ctrl+C para encerrar.\n");
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  servidor.closeAllConnections();
+  await new Promise((resolve) => servidor.close(resolve));
+  console.log("\n✓ Revisão encerrada");
+  return CODIGOS_SAIDA.sucesso;
+}
+
+/**
+ * Mostra no console os eventos de progresso do pipeline
+ * @param {string} comando - Comando executado
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {EventEmitter} Emissor passado a executarPipeline
+ */
+function criarEventosConsole(comando, opcoes) {
+  const eventos = new EventEmitter();
+
+  eventos.on("log", ({ mensagem, nivel, id }) => {
+    const texto = id ? `  ${mensagem}` : mensagem;
+    if (nivel === "erro") {
+      console.error(texto);
+    } else {
+      console.log(texto);
+    }
+  });
+
+  eventos.on(
+    "inicio",
+    ({ total, etapas, simulacao, offline, concorrencia }) => {
+      console.log(`Total de vagas encontradas: ${total}`);
+      console.log(`Comando: ${comando} (etapas: ${etapas.join(", ")})`);
+      console.log(
+        `Paralelismo: ${concorrencia.paginas} página(s), ${concorrencia.llm} chamada(s) ao modelo, ${concorrencia.intervaloHost} ms entre acessos ao mesmo site\n`
+      );
+      if (simulacao) {
+        console.log(
+          "=== SIMULAÇÃO (--dry-run): nada será baixado, gerado ou salvo ===\n"
+        );
+      } else {
+        console.log(
+          offline
+            ? "=== PROCESSANDO DESCRIÇÕES SALVAS ===\n"
+            : etapas.includes("coleta")
+            ? "=== INICIANDO DOWNLOAD DAS DESCRIÇÕES ===\n"
+            : "=== PROCESSANDO VAGAS ===\n"
+        );
+      }
+    }
+  );
+
+  eventos.on("vaga:inicio", ({ indice, total, id, link }) => {
+    console.log(`\n[${indice}/${total}] Processando vaga ${id}:`);
+    if (link) {
+      console.log(`  Link: ${link}`);
+    }
+  });
+
+  eventos.on("progresso", (progresso) => {
+    console.log(formatarProgresso(progresso));
+  });
+
+  eventos.on("fim", ({ vagasSelecionadas }) => {
+    console.log("\n=== PROCESSAMENTO CONCLUÍDO ===");
+    console.log(`Total de vagas selecionadas: ${vagasSelecionadas}`);
+    if (opcoes.simulacao) return;
+    console.log(`Descrições salvas em: ${opcoes.descricoes}`);
+    console.log(`Currículos otimizados salvos em: ${opcoes.curriculos}`);
+    console.log(`Estado das vagas salvo em: ${opcoes.estado}`);
+  });
+
+  return eventos;
+}
+
+/**
+ * Função principal
+ * @returns {Promise<number>} Código de saída (veja CODIGOS_SAIDA)
+ */
+async function main() {
+  let comando;
+  let etapas;
+  let opcoes;
+  try {
+    ({ comando, etapas, opcoes } = interpretarArgumentos(
+      process.argv.slice(2),
+      __dirname
+    ));
+  } catch (error) {
+    console.error(error.message);
+    console.error("Use --help para ver os comandos e opções.");
+    return error.codigoSaida || CODIGOS_SAIDA.erro;
+  }
+  if (opcoes.ajuda) {
+    console.log(TEXTO_AJUDA);
+    return CODIGOS_SAIDA.sucesso;
+  }
+
+  try {
+    if (comando === "status") {
+      return mostrarStatus(opcoes);
+    }
+    if (comando === "search") {
+      return await buscar(opcoes);
+    }
+    if (comando === "login") {
+      return await entrar(opcoes);
+    }
+    if (comando === "track") {
+      return await acompanhar(opcoes);
+    }
+    if (comando === "applications") {
+      return mostrarCandidaturas(opcoes);
+    }
+    if (comando === "review") {
+      return await revisar(opcoes);
+    }
+
+    const { vagasComFalha } = await executarPipeline(
+      opcoesDoPipeline(comando, etapas, opcoes),
+      { eventos: criarEventosConsole(comando, opcoes) }
+    );
+
+    if (opcoes.simulacao) {
+      return CODIGOS_SAIDA.sucesso;
+    }
+    if (vagasComFalha.length > 0) {
+      console.log(
+        `\n✗ ${vagasComFalha.length} vaga(s) com falha: ${vagasComFalha.join(
+          ", "
+        )}`
+      );
+      return CODIGOS_SAIDA.falhaParcial;
+    }
+    return CODIGOS_SAIDA.sucesso;
+  } catch (error) {
+    console.error("Erro no processamento:", error.message);
+    return CODIGOS_SAIDA.erro;
+  }
+}
+
+// Executa a função principal e encerra com o código de saída
+main().then((codigo) => {
+  process.exitCode = codigo;
+});
@@ -0,0 +1,281 @@
+import fs from "fs";
+import path from "path";
+import { criarIntervaloPorHost } from "./concorrencia.js";
+import { carregarEstado } from "./estado.js";
+import { iniciarNavegador, lerCookies } from "./navegador.js";
+import {
+  abrirPagina,
+  criarErroColeta,
+  detectarBloqueio,
+  prepararPagina,
+  TIPOS_FALHA_COLETA,
+} from "./scrapers/comum.js";
+import { construirLinkVaga, extrairJobIdDoLink } from "./scrapers/linkedin.js";
+import { celulaCsv } from "./texto.js";
+import {
+  idCanonicoDaVaga,
+  idDaEntrada,
+  lerCSVVagas,
+  lerEntradaCsv,
+} from "./vagas.js";
+
+/**
+ * Valores usados quando não são informados
+ *   paginas       - páginas de resultados lidas por busca
+ *   vagasPorPagina - resultados por página do LinkedIn (parâmetro start)
+ */
+export const BUSCA_PADRAO = {
+  paginas: 3,
+  vagasPorPagina: 25,
+};
+
+/**
+ * Monta o link de uma busca de vagas no LinkedIn
+ * @param {Object} filtros - Filtros da busca
+ * @param {string} filtros.palavrasChave - Palavras-chave (ex.: "desenvolvedor node")
+ * @param {string} filtros.local - Local (ex.: "São Paulo, Brasil"; opcional)
+ * @returns {string} Link da busca
+ */
+export function montarLinkBusca({ palavrasChave, local }) {
+  const url = new URL("https://www.linkedin.com/jobs/search/");
+  url.searchParams.set("keywords", palavrasChave);
+  if (local) {
+    url.searchParams.set("location", local);
+  }
+  return url.toString();
+}
+
+/**
+ * Monta o link de uma página de resultados da busca
+ * @param {string} linkBusca - Link da busca
+ * @param {number} pagina - Página, contando a partir de 0
+ * @returns {string} Link da página
+ */
+export function paginaDaBusca(linkBusca, pagina) {
+  const url = new URL(linkBusca);
+  if (pagina > 0) {
+    url.searchParams.set("start", String(pagina * BUSCA_PADRAO.vagasPorPagina));
+  } else {
+    url.searchParams.delete("start");
+  }
+  return url.toString();
+}
+
+/**
+ * Extrai os IDs das vagas de uma página de resultados: links /jobs/view/<id>,
+ * currentJobId, atributos data-job-id e URNs urn:li:jobPosting:<id>
+ * @param {Array<string>} referencias - Links e atributos lidos da página
+ * @returns {Array<string>} IDs das vagas, sem repetição, na ordem da página
+ */
+export function extrairIdsDaBusca(referencias) {
+  const ids = new Set();
+  for (const referencia of referencias) {
+    const texto = String(referencia || "").trim();
+    const id =
+      (texto.match(/jobPosting:(\d+)/) || [])[1] ||
+      (/^\d{6,}$/.test(texto) ? texto : null) ||
+      (/\/jobs\/view\/|currentJobId=/.test(texto)
+        ? extrairJobIdDoLink(texto)
+        : null);
+    if (id) ids.add(id);
+  }
+  return [...ids];
+}
+
+/**
+ * Lê os IDs das vagas já conhecidas: as do CSV e as registradas no estado
+ * @param {string} csvPath - CSV de vagas (pode não existir)
+ * @param {string} estadoPath - Arquivo de estado (pode não existir)
+ * @returns {Promise<Set<string>>} IDs das vagas
+ */
+export async function lerIdsConhecidos(csvPath, estadoPath) {
+  const ids = new Set(Object.keys(carregarEstado(estadoPath).vagas));
+  if (fs.existsSync(csvPath)) {
+    for (const linha of await lerCSVVagas(csvPath)) {
+      const entrada = lerEntradaCsv(linha, path.dirname(csvPath));
+      if (entrada.link || entrada.descricao || entrada.arquivo) {
+        ids.add(idDaEntrada(entrada));
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Acrescenta links de vagas ao fim do CSV, na coluna de links (as demais
+ * colunas ficam vazias). Se o arquivo não existir, ele é criado com a coluna "link".
+ * @param {string} csvPath - CSV de vagas
+ * @param {Array<string>} links - Links a acrescentar
+ */
+export function acrescentarLinksAoCsv(csvPath, links) {
+  if (links.length === 0) return;
+  if (!fs.existsSync(csvPath) || !fs.readFileSync(csvPath, "utf-8").trim()) {
+    fs.writeFileSync(csvPath, "link\n", "utf-8");
+  }
+
+  const conteudo = fs.readFileSync(csvPath, "utf-8");
+  const colunas = conteudo
+    .split(/\r?\n/)[0]
+    .split(",")
+    .map((coluna) => coluna.trim().replace(/^"|"$/g, ""));
+  const indice = Math.max(
+    0,
+    colunas.findIndex((coluna) => /^(link|url)$/i.test(coluna))
+  );
+  const linhas = links.map((link) =>
+    colunas.map((_, i) => (i === indice ? celulaCsv(link) : "")).join(",")
+  );
+
+  const separador = conteudo.endsWith("\n") ? "" : "\n";
+  fs.appendFileSync(csvPath, `${separador}${linhas.join("\n")}\n`, "utf-8");
+}
+
+/**
+ * Lê os IDs das vagas de uma página de resultados aberta no navegador
+ * @param {puppeteer.Page} page - Página de resultados
+ * @returns {Promise<Array<string>>} IDs das vagas
+ */
+async function lerIdsDaPagina(page) {
+  const referencias = await page.evaluate(() => {
+    const valores = [window.location.href];
+    for (const elemento of document.querySelectorAll(
+      "[data-entity-urn], [data-job-id], [data-occludable-job-id], a[href*='/jobs/view/'], a[href*='currentJobId=']"
+    )) {
+      valores.push(
+        elemento.getAttribute("data-entity-urn"),
+        elemento.getAttribute("data-job-id"),
+        elemento.getAttribute("data-occludable-job-id"),
+        elemento.getAttribute("href")
+      );
+    }
+    return valores.filter(Boolean);
+  });
+  return extrairIdsDaBusca(referencias);
+}
+
+/**
+ * Percorre as páginas de resultados de uma busca do LinkedIn e coleta os IDs
+ * das vagas. Para na última página pedida ou quando uma página não traz vagas novas;
+ * se uma página seguinte à primeira falhar, as vagas já coletadas são mantidas.
+ * @param {string} linkBusca - Link da busca
+ * @param {puppeteer.Browser} browser - Instância do navegador Puppeteer
+ * @param {Object} opcoes - Opções
+ * @param {number} opcoes.paginas - Páginas de resultados a ler (padrão: 3)
+ * @param {function(string): Promise<void>} opcoes.aguardarHost - Aguarda a vez de acessar o site
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<Array<string>>} IDs das vagas, na ordem dos resultados
+ */
+export async function coletarIdsDaBusca(linkBusca, browser, opcoes = {}) {
+  const log = opcoes.log || (() => {});
+  const aguardarHost = opcoes.aguardarHost || (async () => {});
+  const paginas = opcoes.paginas || BUSCA_PADRAO.paginas;
+  const ids = new Set();
+
+  for (let pagina = 0; pagina < paginas; pagina++) {
+    const link = paginaDaBusca(linkBusca, pagina);
+    await aguardarHost(link);
+
+    const page = await browser.newPage();
+    let encontrados;
+    try {
+      await abrirPagina(page, link);
+      const bloqueio = await detectarBloqueio(page);
+      if (bloqueio) {
+        throw criarErroColeta(
+          `O LinkedIn pediu ${bloqueio} em vez de mostrar a busca. Entre com o comando login ou informe um arquivo de cookies`,
+          TIPOS_FALHA_COLETA.bloqueio
+        );
+      }
+      await prepararPagina(page, [], log);
+      encontrados = await lerIdsDaPagina(page);
+    } catch (error) {
+      if (pagina === 0) throw error;
+      log(
+        `⚠ Página ${pagina + 1} não carregou (${
+          error.message
+        }); mantendo as vagas já encontradas`,
+        "aviso"
+      );
+      break;
+    } finally {
+      await page.close().catch(() => {});
+    }
+
+    const novos = encontrados.filter((id) => !ids.has(id));
+    novos.forEach((id) => ids.add(id));
+    log(`Página ${pagina + 1}: ${novos.length} vaga(s)`);
+    if (novos.length === 0) break;
+  }
+
+  return [...ids];
+}
+
+/**
+ * Busca vagas no LinkedIn e acrescenta ao CSV as que ainda não estão nele nem
+ * no estado. Não escreve no console: o progresso é enviado para opcoes.log.
+ * @param {Object} opcoes - Opções
+ * @param {Array<string>} opcoes.buscas - Links de buscas do LinkedIn
+ * @param {string} opcoes.vagas - CSV de vagas onde os links novos são acrescentados
+ * @param {string} opcoes.estado - Arquivo de estado (vagas já processadas)
+ * @param {number} opcoes.paginas - Páginas de resultados por busca (padrão: 3)
+ * @param {number} opcoes.intervaloHost - Intervalo entre páginas (ms)
+ * @param {boolean} opcoes.simulacao - Só informa as vagas novas, sem alterar o CSV
+ * @param {{cookies: string, perfil: string}} opcoes.sessao - Sessão do navegador (opcional)
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @param {Object} dependencias - Dependências substituíveis
+ * @param {puppeteer.Browser} dependencias.navegador - Navegador (padrão: abre o Puppeteer e o fecha no fim)
+ * @returns {Promise<{encontradas: number, novas: Array<string>, buscasComFalha: Array<string>}>}
+ *   Total de vagas encontradas, os links das novas e as buscas que falharam
+ */
+export async function buscarVagas(opcoes, dependencias = {}) {
+  const log = opcoes.log || (() => {});
+  const conhecidos = await lerIdsConhecidos(opcoes.vagas, opcoes.estado);
+  const sessao = opcoes.sessao || {};
+
+  let browser = dependencias.navegador;
+  if (!browser) {
+    const cookies = sessao.cookies ? lerCookies(sessao.cookies).cookies : [];
+    log("Iniciando navegador...");
+    browser = await iniciarNavegador({ cookies, perfil: sessao.perfil });
+  }
+
+  const aguardarHost = criarIntervaloPorHost(opcoes.intervaloHost || 0);
+  const encontradas = new Set();
+  const novas = [];
+  const buscasComFalha = [];
+  try {
+    for (const linkBusca of opcoes.buscas) {
+      log(`\nBusca: ${linkBusca}`);
+      let ids;
+      try {
+        ids = await coletarIdsDaBusca(linkBusca, browser, {
+          paginas: opcoes.paginas,
+          aguardarHost,
+          log,
+        });
+      } catch (error) {
+        log(`✗ Erro na busca: ${error.message}`, "erro");
+        buscasComFalha.push(linkBusca);
+        continue;
+      }
+      for (const id of ids) {
+        const link = construirLinkVaga(id);
+        const idVaga = idCanonicoDaVaga(link);
+        encontradas.add(idVaga);
+        if (!conhecidos.has(idVaga)) {
+          conhecidos.add(idVaga);
+          novas.push(link);
+        }
+      }
+    }
+  } finally {
+    if (!dependencias.navegador) {
+      await browser.close();
+    }
+  }
+
+  if (!opcoes.simulacao) {
+    acrescentarLinksAoCsv(opcoes.vagas, novas);
+  }
+  return { encontradas: encontradas.size, novas, buscasComFalha };
+}
@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+import { hashConteudo } from "./estado.js";
+
+/**
+ * Cria o cache das respostas do modelo, um arquivo JSON por chamada em
+ * `diretorio`, nomeado pelo hash do provedor, do modelo, dos parâmetros e dos
+ * prompts. Prompts iguais (mesmo currículo, vaga, instruções e modelo) devolvem
+ * a mesma resposta sem chamar a API.
+ * @param {string} diretorio - Pasta do cache (ex.: cache_llm/)
+ * @returns {{chave: function(...string): string, ler: function(string): Object|null,
+ *   salvar: function(string, Object): void}} Cache
+ */
+export function criarCacheLLM(diretorio) {
+  const arquivo = (chave) => path.join(diretorio, `${chave}.json`);
+  return {
+    chave: (...partes) => hashConteudo(...partes),
+    ler(chave) {
+      try {
+        const salvo = JSON.parse(fs.readFileSync(arquivo(chave), "utf-8"));
+        return typeof salvo.texto === "string" && salvo.texto.trim()
+          ? salvo
+          : null;
+      } catch (error) {
+        // Sem arquivo ou arquivo corrompido: a chamada é feita normalmente
+        return null;
+      }
+    },
+    salvar(chave, dados) {
+      fs.mkdirSync(diretorio, { recursive: true });
+      const destino = arquivo(chave);
+      // Grava em um temporário e renomeia, para não deixar arquivos pela metade
+      fs.writeFileSync(
+        `${destino}.tmp`,
+        JSON.stringify({ ...dados, em: new Date().toISOString() }, null, 2)
+      );
+      fs.renameSync(`${destino}.tmp`, destino);
+    },
+  };
+}
@@ -0,0 +1,733 @@
+import fs from "fs";
+import path from "path";
+import { carregarEstado, hashConteudo } from "./estado.js";
+import { lerMetadadosSalvos } from "./saida.js";
+import { celulaCsv, escaparHtml } from "./texto.js";
+import { idDaEntrada, lerCSVVagas, lerEntradaCsv } from "./vagas.js";
+
+/**
+ * Situações de uma candidatura, na ordem do processo seletivo, e como
+ * aparecem no painel
+ */
+export const STATUS_CANDIDATURA = {
+  "a-enviar": "A enviar",
+  enviada: "Enviada",
+  entrevista: "Em entrevista",
+  oferta: "Proposta recebida",
+  recusada: "Recusada",
+};
+
+/**
+ * Situação das candidaturas novas
+ */
+export const STATUS_INICIAL = "a-enviar";
+
+/**
+ * Dias sem novidades até uma candidatura aparecer nos lembretes
+ */
+export const LEMBRETE_PADRAO_DIAS = 7;
+
+// Situações finais do processo: recusada não gera lembretes; com a proposta
+// recebida não há mais o que cobrar da empresa, então só vale o lembrete
+// marcado pelo usuário (ex.: o prazo para responder à proposta)
+const STATUS_ENCERRADOS = ["recusada"];
+const STATUS_SEM_LEMBRETE_AUTOMATICO = ["oferta", ...STATUS_ENCERRADOS];
+
+const VERSAO_CANDIDATURAS = 1;
+
+/**
+ * Data do dia no formato AAAA-MM-DD (fuso local)
+ * @param {Date} data - Data
+ * @returns {string} Data no formato AAAA-MM-DD
+ */
+function dataDoDia(data = new Date()) {
+  return [
+    data.getFullYear(),
+    String(data.getMonth() + 1).padStart(2, "0"),
+    String(data.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Soma dias a uma data no formato AAAA-MM-DD
+ * @param {string} data - Data no formato AAAA-MM-DD
+ * @param {number} dias - Dias a somar
+ * @returns {string} Data no formato AAAA-MM-DD
+ */
+function somarDias(data, dias) {
+  const resultado = new Date(`${data}T00:00:00Z`);
+  resultado.setUTCDate(resultado.getUTCDate() + dias);
+  return resultado.toISOString().slice(0, 10);
+}
+
+/**
+ * Formata uma data AAAA-MM-DD como DD/MM/AAAA
+ * @param {string} data - Data no formato AAAA-MM-DD
+ * @returns {string} Data formatada (vazia se não houver data)
+ */
+function formatarDia(data) {
+  return data ? data.split("-").reverse().join("/") : "";
+}
+
+/**
+ * Valida a situação de uma candidatura
+ * @param {string} valor - Situação informada (ex.: "entrevista")
+ * @returns {string} Uma das chaves de STATUS_CANDIDATURA
+ */
+export function lerStatusCandidatura(valor) {
+  const status = String(valor || "")
+    .trim()
+    .toLowerCase();
+  if (!STATUS_CANDIDATURA[status]) {
+    throw new Error(
+      `Situação da candidatura inválida: "${valor}". Use: ${Object.keys(
+        STATUS_CANDIDATURA
+      ).join(", ")}`
+    );
+  }
+  return status;
+}
+
+/**
+ * Valida uma data no formato AAAA-MM-DD
+ * @param {string} valor - Data informada
+ * @returns {string} A mesma data
+ */
+export function lerDataCandidatura(valor) {
+  const texto = String(valor || "").trim();
+  const data = new Date(`${texto}T00:00:00Z`);
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(texto) ||
+    Number.isNaN(data.getTime()) ||
+    data.toISOString().slice(0, 10) !== texto
+  ) {
+    throw new Error(`Data inválida: "${valor}". Use o formato AAAA-MM-DD`);
+  }
+  return texto;
+}
+
+/**
+ * Valida os dias sem novidades até o lembrete automático (CANDIDATURA_LEMBRETE_DIAS)
+ * @param {number|undefined} valor - Dias informados (ausente: LEMBRETE_PADRAO_DIAS)
+ * @returns {number} Dias, inteiro a partir de 0
+ */
+export function lerDiasLembrete(valor) {
+  const dias = Number(valor ?? LEMBRETE_PADRAO_DIAS);
+  if (!Number.isInteger(dias) || dias < 0) {
+    throw new Error(
+      `CANDIDATURA_LEMBRETE_DIAS inválido: "${valor}". Use um número inteiro a partir de 0`
+    );
+  }
+  return dias;
+}
+
+/**
+ * Interpreta a data de um lembrete: uma data AAAA-MM-DD ou um número de dias
+ * a partir de hoje (ex.: "5")
+ * @param {string} valor - Data ou número de dias
+ * @param {Date} hoje - Data atual
+ * @returns {string} Data do lembrete no formato AAAA-MM-DD
+ */
+export function lerLembrete(valor, hoje = new Date()) {
+  const texto = String(valor || "").trim();
+  if (/^\d+$/.test(texto)) {
+    return somarDias(dataDoDia(hoje), Number(texto));
+  }
+  return lerDataCandidatura(texto);
+}
+
+/**
+ * Carrega o arquivo de candidaturas (ou cria um registro vazio). As candidaturas
+ * ficam indexadas pelo ID canônico da vaga, derivado do link do vagas.csv como
+ * no arquivo de estado (veja idDaEntrada); cada uma guarda também o link, para
+ * que a vaga continue identificável mesmo fora do CSV
+ * @param {string} caminho - Caminho do arquivo JSON de candidaturas
+ * @returns {{caminho: string, versao: number, candidaturas: Object<string, Object>}} Candidaturas
+ */
+export function carregarCandidaturas(caminho) {
+  if (!fs.existsSync(caminho)) {
+    return { caminho, versao: VERSAO_CANDIDATURAS, candidaturas: {} };
+  }
+
+  let dados;
+  try {
+    dados = JSON.parse(fs.readFileSync(caminho, "utf-8"));
+  } catch (error) {
+    throw new Error(
+      `Arquivo de candidaturas inválido (${caminho}): ${error.message}`
+    );
+  }
+  if (
+    !dados ||
+    typeof dados.candidaturas !== "object" ||
+    Array.isArray(dados.candidaturas)
+  ) {
+    throw new Error(
+      `Arquivo de candidaturas inválido (${caminho}): campo "candidaturas" ausente`
+    );
+  }
+
+  return {
+    caminho,
+    versao: dados.versao || VERSAO_CANDIDATURAS,
+    candidaturas: dados.candidaturas,
+  };
+}
+
+/**
+ * Grava as candidaturas em disco (em um arquivo temporário renomeado no fim,
+ * como o arquivo de estado)
+ * @param {Object} registro - Candidaturas carregadas por carregarCandidaturas
+ */
+export function salvarCandidaturas(registro) {
+  fs.mkdirSync(path.dirname(registro.caminho), { recursive: true });
+  const temporario = `${registro.caminho}.tmp`;
+  const conteudo = JSON.stringify(
+    { versao: registro.versao, candidaturas: registro.candidaturas },
+    null,
+    2
+  );
+  fs.writeFileSync(temporario, conteudo + "\n", "utf-8");
+  fs.renameSync(temporario, registro.caminho);
+}
+
+/**
+ * Atualiza (ou cria) a candidatura de uma vaga. Uma nova situação entra no
+ * histórico com a sua data e apaga o lembrete anterior.
+ * @param {Object} registro - Candidaturas carregadas por carregarCandidaturas
+ * @param {{id: string, link: string, metadados: Object}} vaga - Vaga da candidatura
+ * @param {Object} alteracoes - Alterações
+ * @param {string} alteracoes.status - Nova situação (uma das STATUS_CANDIDATURA)
+ * @param {string} alteracoes.data - Data da nova situação, AAAA-MM-DD (padrão: hoje)
+ * @param {string} alteracoes.nota - Nota acrescentada à candidatura
+ * @param {string} alteracoes.lembrete - Data do próximo lembrete, AAAA-MM-DD
+ * @param {Date} agora - Data atual
+ * @returns {Object} Candidatura atualizada
+ */
+export function atualizarCandidatura(
+  registro,
+  vaga,
+  alteracoes = {},
+  agora = new Date()
+) {
+  const hoje = dataDoDia(agora);
+  const data = alteracoes.data || hoje;
+  const metadados = vaga.metadados || {};
+
+  let candidatura = registro.candidaturas[vaga.id];
+  if (!candidatura) {
+    candidatura = {
+      id: vaga.id,
+      link: vaga.link || null,
+      status: STATUS_INICIAL,
+      desde: data,
+      criadaEm: agora.toISOString(),
+      historico: [{ status: STATUS_INICIAL, data }],
+      notas: [],
+      lembrete: null,
+      enviados: [],
+    };
+    registro.candidaturas[vaga.id] = candidatura;
+  }
+  candidatura.link = candidatura.link || vaga.link || null;
+  candidatura.titulo = metadados.titulo || candidatura.titulo || null;
+  candidatura.empresa = metadados.empresa || candidatura.empresa || null;
+
+  if (alteracoes.status && alteracoes.status !== candidatura.status) {
+    candidatura.status = alteracoes.status;
+    candidatura.desde = data;
+    candidatura.historico.push({ status: alteracoes.status, data });
+    candidatura.lembrete = null;
+  }
+  if (alteracoes.nota) {
+    candidatura.notas.push({ data: hoje, texto: alteracoes.nota });
+  }
+  if (alteracoes.lembrete) {
+    candidatura.lembrete = alteracoes.lembrete;
+  }
+  candidatura.atualizadaEm = agora.toISOString();
+  return candidatura;
+}
+
+/**
+ * Lista os arquivos gerados para uma vaga, a partir do estado: o texto e os
+ * arquivos DOCX/PDF do currículo e os da carta de apresentação
+ * @param {Object|undefined} registroEstado - Registro da vaga no estado
+ * @returns {Array<{tipo: string, arquivo: string}>} Arquivos existentes ("curriculo" ou "carta")
+ */
+export function arquivosGeradosDaVaga(registroEstado) {
+  const etapas = (registroEstado && registroEstado.etapas) || {};
+  const tipos = {
+    geracao: "curriculo",
+    renderizacao: "curriculo",
+    carta: "carta",
+  };
+  return Object.entries(tipos).flatMap(([etapa, tipo]) =>
+    ((etapas[etapa] && etapas[etapa].arquivos) || [])
+      .filter((arquivo) => fs.existsSync(arquivo))
+      .map((arquivo) => ({ tipo, arquivo }))
+  );
+}
+
+/**
+ * Guarda uma cópia dos arquivos enviados ao recrutador, para que a versão
+ * enviada não se perca quando o currículo for gerado de novo
+ * @param {Object} candidatura - Candidatura (veja atualizarCandidatura)
+ * @param {Array<{tipo: string, arquivo: string}>} arquivos - Arquivos enviados
+ * @param {string} diretorio - Pasta das cópias (cada vaga tem uma subpasta)
+ * @param {string} data - Data do envio, AAAA-MM-DD
+ * @returns {Array<Object>} Versões registradas na candidatura ({tipo, arquivo, original, hash, data})
+ */
+export function guardarVersoesEnviadas(candidatura, arquivos, diretorio, data) {
+  const pasta = path.join(diretorio, candidatura.id);
+  fs.mkdirSync(pasta, { recursive: true });
+
+  const versoes = arquivos.map(({ tipo, arquivo }) => {
+    const conteudo = fs.readFileSync(arquivo);
+    const copia = path.join(pasta, `${data}_${path.basename(arquivo)}`);
+    fs.writeFileSync(copia, conteudo);
+    return {
+      tipo,
+      arquivo: copia,
+      original: arquivo,
+      hash: hashConteudo(conteudo.toString("base64")),
+      data,
+    };
+  });
+  candidatura.enviados.push(...versoes);
+  return versoes;
+}
+
+/**
+ * Próximo lembrete de uma candidatura: a data marcada pelo usuário ou, sem
+ * ela, alguns dias depois da última mudança de situação. Candidaturas recusadas
+ * não têm lembretes; com proposta recebida, só o marcado pelo usuário
+ * @param {Object} candidatura - Candidatura
+ * @param {number} dias - Dias sem novidades até o lembrete (padrão: 7)
+ * @returns {{data: string, motivo: string}|null} Lembrete (null se não houver)
+ */
+export function proximoLembrete(candidatura, dias = LEMBRETE_PADRAO_DIAS) {
+  if (STATUS_ENCERRADOS.includes(candidatura.status)) return null;
+  if (candidatura.lembrete) {
+    return { data: candidatura.lembrete, motivo: "Lembrete marcado" };
+  }
+  if (STATUS_SEM_LEMBRETE_AUTOMATICO.includes(candidatura.status)) return null;
+  return {
+    data: somarDias(candidatura.desde, dias),
+    motivo:
+      candidatura.status === STATUS_INICIAL
+        ? `Candidatura ainda não enviada (desde ${formatarDia(
+            candidatura.desde
+          )})`
+        : `Sem novidades desde ${formatarDia(candidatura.desde)}`,
+  };
+}
+
+/**
+ * Resume as candidaturas para o painel: totais por situação, lembretes
+ * vencidos e a lista ordenada por situação e data
+ * @param {Object} registro - Candidaturas carregadas por carregarCandidaturas
+ * @param {Object} opcoes - Opções
+ * @param {Date} opcoes.hoje - Data atual
+ * @param {number} opcoes.dias - Dias sem novidades até o lembrete (padrão: 7)
+ * @returns {{candidaturas: Array<Object>, totais: Object<string, number>, lembretes: Array<Object>}}
+ *   Candidaturas com o próximo lembrete, totais e candidaturas com lembrete vencido
+ */
+export function resumirCandidaturas(registro, opcoes = {}) {
+  const hoje = dataDoDia(opcoes.hoje || new Date());
+  const ordem = Object.keys(STATUS_CANDIDATURA);
+  const candidaturas = Object.values(registro.candidaturas)
+    .map((candidatura) => ({
+      ...candidatura,
+      proximoLembrete: proximoLembrete(candidatura, opcoes.dias),
+    }))
+    .sort(
+      (a, b) =>
+        ordem.indexOf(a.status) - ordem.indexOf(b.status) ||
+        a.desde.localeCompare(b.desde)
+    );
+
+  const totais = Object.fromEntries(ordem.map((status) => [status, 0]));
+  candidaturas.forEach((c) => totais[c.status]++);
+
+  const lembretes = candidaturas
+    .filter((c) => c.proximoLembrete && c.proximoLembrete.data <= hoje)
+    .sort((a, b) =>
+      a.proximoLembrete.data.localeCompare(b.proximoLembrete.data)
+    );
+
+  return { candidaturas, totais, lembretes };
+}
+
+/**
+ * Descreve a vaga de uma candidatura (ex.: "Desenvolvedor Node - Acme")
+ * @param {Object} candidatura - Candidatura
+ * @returns {string} Título e empresa, ou o ID da vaga
+ */
+function descreverVaga(candidatura) {
+  return (
+    [candidatura.titulo, candidatura.empresa].filter(Boolean).join(" - ") ||
+    `vaga ${candidatura.id}`
+  );
+}
+
+/**
+ * Data em que a candidatura foi enviada (a primeira vez que passou a "enviada")
+ * @param {Object} candidatura - Candidatura
+ * @returns {string|null} Data AAAA-MM-DD
+ */
+function dataDeEnvio(candidatura) {
+  const envio = candidatura.historico.find((h) => h.status === "enviada");
+  return envio ? envio.data : null;
+}
+
+/**
+ * Formata as candidaturas para o console (comando applications)
+ * @param {Object} resumo - Resultado de resumirCandidaturas
+ * @returns {string} Tabela com situação, datas e lembretes
+ */
+export function formatarCandidaturas(resumo) {
+  const { candidaturas, totais, lembretes } = resumo;
+  if (candidaturas.length === 0) {
+    return "Nenhuma candidatura registrada (use o comando track).";
+  }
+
+  const largura = Math.max(2, ...candidaturas.map((c) => c.id.length)) + 2;
+  const linhas = [
+    `${"ID".padEnd(largura)}${"SITUAÇÃO".padEnd(19)}${"DESDE".padEnd(
+      12
+    )}${"LEMBRETE".padEnd(12)}VAGA`,
+  ];
+  for (const candidatura of candidaturas) {
+    const lembrete = candidatura.proximoLembrete;
+    linhas.push(
+      `${candidatura.id.padEnd(largura)}${STATUS_CANDIDATURA[
+        candidatura.status
+      ].padEnd(19)}${formatarDia(candidatura.desde).padEnd(12)}${(lembrete
+        ? formatarDia(lembrete.data)
+        : "-"
+      ).padEnd(12)}${descreverVaga(candidatura)}`
+    );
+  }
+
+  linhas.push(
+    "",
+    `Total: ${candidaturas.length} | ${Object.entries(totais)
+      .map(([status, total]) => `${status}: ${total}`)
+      .join(" | ")}`
+  );
+  if (lembretes.length > 0) {
+    linhas.push("", "Lembretes:");
+    for (const candidatura of lembretes) {
+      linhas.push(
+        `  ⚠ ${descreverVaga(candidatura)} (${candidatura.id}): ${
+          candidatura.proximoLembrete.motivo
+        }`
+      );
+    }
+  }
+  return linhas.join("\n");
+}
+
+/**
+ * Gera o CSV das candidaturas (uma linha por vaga), para abrir em planilhas
+ * @param {Object} resumo - Resultado de resumirCandidaturas
+ * @returns {string} Conteúdo do CSV
+ */
+export function gerarCsvCandidaturas(resumo) {
+  const colunas = [
+    "id",
+    "empresa",
+    "titulo",
+    "situacao",
+    "desde",
+    "enviada_em",
+    "proximo_lembrete",
+    "motivo_lembrete",
+    "curriculo_enviado",
+    "carta_enviada",
+    "notas",
+    "link",
+  ];
+  const ultimoEnviado = (candidatura, tipo) => {
+    const enviados = candidatura.enviados.filter((e) => e.tipo === tipo);
+    return enviados.length > 0 ? enviados[enviados.length - 1].arquivo : "";
+  };
+  const linhas = resumo.candidaturas.map((c) =>
+    [
+      c.id,
+      c.empresa,
+      c.titulo,
+      c.status,
+      c.desde,
+      dataDeEnvio(c),
+      c.proximoLembrete && c.proximoLembrete.data,
+      c.proximoLembrete && c.proximoLembrete.motivo,
+      ultimoEnviado(c, "curriculo"),
+      ultimoEnviado(c, "carta"),
+      c.notas.map((nota) => `${nota.data}: ${nota.texto}`).join(" | "),
+      c.link,
+    ]
+      .map(celulaCsv)
+      .join(",")
+  );
+  return [colunas.join(","), ...linhas].join("\n") + "\n";
+}
+
+/**
+ * Gera o painel HTML das candidaturas: totais por situação, lembretes
+ * vencidos e a tabela com histórico, notas e versões enviadas
+ * @param {Object} resumo - Resultado de resumirCandidaturas
+ * @param {Date} agora - Data de geração
+ * @returns {string} Documento HTML completo
+ */
+export function gerarPainelHtml(resumo, agora = new Date()) {
+  const { candidaturas, totais, lembretes } = resumo;
+
+  const cartoes = Object.entries(STATUS_CANDIDATURA)
+    .map(
+      ([status, nome]) =>
+        `<div class="cartao ${status}"><strong>${totais[status]}</strong><span>${nome}</span></div>`
+    )
+    .join("\n  ");
+
+  const listaLembretes =
+    lembretes.length > 0
+      ? `<ul>
+  ${lembretes
+    .map(
+      (c) =>
+        `<li><strong>${escaparHtml(descreverVaga(c))}</strong>: ${escaparHtml(
+          c.proximoLembrete.motivo
+        )} (${formatarDia(c.proximoLembrete.data)})</li>`
+    )
+    .join("\n  ")}
+</ul>`
+      : "<p>Nenhum lembrete para hoje.</p>";
+
+  const vaga = (c) =>
+    c.link
+      ? `<a href="${escaparHtml(c.link)}">${escaparHtml(descreverVaga(c))}</a>`
+      : escaparHtml(descreverVaga(c));
+  const historico = (c) =>
+    c.historico
+      .map((h) => `${formatarDia(h.data)}: ${STATUS_CANDIDATURA[h.status]}`)
+      .join("<br>");
+  const notas = (c) =>
+    c.notas
+      .map((n) => `${formatarDia(n.data)}: ${escaparHtml(n.texto)}`)
+      .join("<br>");
+  const enviados = (c) =>
+    c.enviados
+      .map(
+        (e) =>
+          `<a href="${escaparHtml(
+            encodeURI(`file://${path.resolve(e.arquivo)}`)
+          )}">${escaparHtml(path.basename(e.arquivo))}</a>`
+      )
+      .join("<br>");
+
+  const linhas = candidaturas
+    .map(
+      (c) => `<tr class="${c.status}">
+    <td>${vaga(c)}<br><small>${escaparHtml(c.id)}</small></td>
+    <td>${STATUS_CANDIDATURA[c.status]}</td>
+    <td>${historico(c)}</td>
+    <td>${c.proximoLembrete ? formatarDia(c.proximoLembrete.data) : "-"}</td>
+    <td>${notas(c)}</td>
+    <td>${enviados(c)}</td>
+  </tr>`
+    )
+    .join("\n  ");
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Painel de candidaturas</title>
+<style>
+  body { font-family: "Calibri", "Arial", sans-serif; margin: 24px; color: #222; }
+  .cartoes { display: flex; gap: 12px; margin: 16px 0; }
+  .cartao { border: 1px solid #ccc; border-radius: 6px; padding: 8px 16px; text-align: center; }
+  .cartao strong { display: block; font-size: 22pt; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  tr.recusada { color: #888; }
+  tr.oferta { background: #eef8ee; }
+</style>
+</head>
+<body>
+<h1>Painel de candidaturas</h1>
+<p>Gerado em ${escaparHtml(agora.toLocaleString("pt-BR"))} | ${
+    candidaturas.length
+  } candidatura(s)</p>
+<div class="cartoes">
+  ${cartoes}
+</div>
+<h2>Lembretes</h2>
+${listaLembretes}
+<h2>Candidaturas</h2>
+<table>
+  <tr><th>Vaga</th><th>Situação</th><th>Histórico</th><th>Próximo lembrete</th><th>Notas</th><th>Versões enviadas</th></tr>
+  ${linhas}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Encontra as vagas selecionadas por linha do CSV ou por ID. IDs que não estão
+ * no CSV são procurados no estado (ex.: vagas processadas no modo offline).
+ * @param {Object} opcoes - Opções
+ * @param {string} opcoes.vagas - CSV de vagas
+ * @param {Object} opcoes.estado - Estado carregado por carregarEstado
+ * @param {Set<number>|null} opcoes.linhas - Linhas selecionadas, contando a partir de 1
+ * @param {Set<string>|null} opcoes.ids - IDs selecionados
+ * @returns {Promise<Array<{id: string, link: string, metadados: Object}>>} Vagas
+ */
+async function selecionarVagas({ vagas, estado, linhas, ids }) {
+  const selecionadas = new Map();
+  if (fs.existsSync(vagas)) {
+    const entradas = await lerCSVVagas(vagas);
+    entradas.forEach((linha, i) => {
+      if (linhas && !linhas.has(i + 1)) return;
+      const entrada = lerEntradaCsv(linha, path.dirname(vagas));
+      if (entrada.erro || !(entrada.link || entrada.descricao)) return;
+      const id = idDaEntrada(entrada);
+      if (ids && !ids.has(id)) return;
+      selecionadas.set(id, {
+        id,
+        link: entrada.link,
+        metadados: entrada.metadados || {},
+      });
+    });
+  } else if (linhas) {
+    throw new Error(`Arquivo não encontrado: ${vagas}`);
+  }
+
+  for (const id of ids || []) {
+    if (selecionadas.has(id)) continue;
+    const registro = estado.vagas[id];
+    if (!registro) {
+      throw new Error(`Vaga não encontrada no CSV nem no estado: ${id}`);
+    }
+    selecionadas.set(id, { id, link: registro.link, metadados: {} });
+  }
+
+  // Metadados salvos na coleta completam os do CSV
+  return [...selecionadas.values()].map((vaga) => {
+    const coleta = (estado.vagas[vaga.id] || { etapas: {} }).etapas.coleta;
+    const salvos =
+      coleta && coleta.arquivos && coleta.arquivos[1]
+        ? lerMetadadosSalvos(coleta.arquivos[1])
+        : {};
+    return {
+      ...vaga,
+      metadados: { ...salvos, ...vaga.metadados },
+    };
+  });
+}
+
+/**
+ * Atualiza as candidaturas das vagas selecionadas (comando track). Ao marcar
+ * uma candidatura como "enviada", guarda uma cópia do currículo e da carta
+ * gerados para a vaga. Não escreve no console: o progresso é enviado para opcoes.log.
+ * @param {Object} opcoes - Opções
+ * @param {string} opcoes.vagas - CSV de vagas
+ * @param {string} opcoes.estado - Arquivo de estado (arquivos gerados de cada vaga)
+ * @param {string} opcoes.candidaturas - Arquivo de candidaturas
+ * @param {string} opcoes.enviados - Pasta das cópias das versões enviadas
+ * @param {Set<number>|null} opcoes.linhas - Linhas do CSV, contando a partir de 1
+ * @param {Set<string>|null} opcoes.ids - IDs das vagas
+ * @param {string} opcoes.status - Nova situação (uma das STATUS_CANDIDATURA)
+ * @param {string} opcoes.data - Data da nova situação, AAAA-MM-DD (padrão: hoje)
+ * @param {string} opcoes.nota - Nota acrescentada às candidaturas
+ * @param {string} opcoes.lembrete - Data do próximo lembrete, AAAA-MM-DD
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<Array<Object>>} Candidaturas atualizadas
+ */
+export async function registrarCandidaturas(opcoes) {
+  const log = opcoes.log || (() => {});
+  if (!opcoes.linhas && !opcoes.ids) {
+    throw new Error("Informe as vagas da candidatura com --id ou --row");
+  }
+
+  const estado = carregarEstado(opcoes.estado);
+  const registro = carregarCandidaturas(opcoes.candidaturas);
+  const vagas = await selecionarVagas({
+    vagas: opcoes.vagas,
+    estado,
+    linhas: opcoes.linhas,
+    ids: opcoes.ids,
+  });
+  if (vagas.length === 0) {
+    throw new Error("Nenhuma vaga encontrada com a seleção informada");
+  }
+
+  const atualizadas = [];
+  for (const vaga of vagas) {
+    const anterior = (registro.candidaturas[vaga.id] || {}).status;
+    const candidatura = atualizarCandidatura(registro, vaga, opcoes);
+    const mudou = candidatura.status !== anterior;
+    log(
+      `✓ ${descreverVaga(candidatura)} (${vaga.id}): ${
+        STATUS_CANDIDATURA[candidatura.status]
+      }${mudou ? ` desde ${formatarDia(candidatura.desde)}` : ""}`
+    );
+
+    if (mudou && candidatura.status === "enviada") {
+      const arquivos = arquivosGeradosDaVaga(estado.vagas[vaga.id]);
+      if (arquivos.length === 0) {
+        log(
+          "  ⚠ Nenhum currículo gerado para esta vaga; a versão enviada não foi guardada",
+          "aviso"
+        );
+      } else {
+        const versoes = guardarVersoesEnviadas(
+          candidatura,
+          arquivos,
+          opcoes.enviados,
+          candidatura.desde
+        );
+        log(
+          `  Versões enviadas guardadas em ${path.dirname(
+            versoes[0].arquivo
+          )} (${versoes.length} arquivo(s))`
+        );
+      }
+    }
+    atualizadas.push(candidatura);
+  }
+
+  salvarCandidaturas(registro);
+  return atualizadas;
+}
+
+/**
+ * Exporta o painel das candidaturas em CSV e HTML (comando applications)
+ * @param {Object} opcoes - Opções
+ * @param {string} opcoes.candidaturas - Arquivo de candidaturas
+ * @param {string} opcoes.relatorios - Pasta onde o painel é salvo
+ * @param {number} opcoes.dias - Dias sem novidades até o lembrete (padrão: 7)
+ * @param {Date} opcoes.hoje - Data atual
+ * @returns {{resumo: Object, arquivos: Array<string>}} Resumo (veja resumirCandidaturas) e arquivos salvos
+ */
+export function exportarPainelCandidaturas(opcoes) {
+  const hoje = opcoes.hoje || new Date();
+  const resumo = resumirCandidaturas(
+    carregarCandidaturas(opcoes.candidaturas),
+    {
+      hoje,
+      dias: lerDiasLembrete(opcoes.dias),
+    }
+  );
+
+  fs.mkdirSync(opcoes.relatorios, { recursive: true });
+  const csvPath = path.join(opcoes.relatorios, "candidaturas.csv");
+  const htmlPath = path.join(opcoes.relatorios, "candidaturas.html");
+  fs.writeFileSync(csvPath, gerarCsvCandidaturas(resumo), "utf-8");
+  fs.writeFileSync(htmlPath, gerarPainelHtml(resumo, hoje), "utf-8");
+  return { resumo, arquivos: [csvPath, htmlPath] };
+}
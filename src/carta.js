@@ -0,0 +1,205 @@
+import { gerarComVerificacao } from "./geracao.js";
+import { criarProvedorLLM } from "./provedores/index.js";
+import { PLACEHOLDERS_CARTA, renderizarTemplate } from "./template.js";
+import { gerarInstrucaoCorrecao, verificarFatosCarta } from "./verificacao.js";
+
+const PROMPT_SISTEMA =
+  "Você é um especialista em recrutamento que escreve cartas de apresentação. Use apenas fatos do currículo do candidato e nunca invente experiências, empresas, datas, formações ou habilidades.";
+
+/**
+ * Tons da carta e como cada um é descrito ao modelo
+ */
+export const TONS_CARTA = {
+  formal: "formal e respeitoso",
+  cordial: "cordial e profissional",
+  entusiasmado: "entusiasmado, mas profissional",
+  direto: "direto e objetivo",
+};
+
+/**
+ * Tamanhos da carta e como cada um é descrito ao modelo
+ */
+export const TAMANHOS_CARTA = {
+  curta: "até 150 palavras",
+  media: "entre 250 e 350 palavras",
+  longa: "entre 400 e 500 palavras",
+};
+
+/**
+ * Valores usados quando não são informados
+ */
+export const CARTA_PADRAO = {
+  tom: "cordial",
+  tamanho: "media",
+  idioma: "português (Brasil)",
+};
+
+/**
+ * Prompt usado quando não existe prompt_carta.txt (mesma sintaxe de template
+ * do prompt_agente.txt, com os placeholders {{tom}} e {{tamanho}})
+ */
+export const PROMPT_CARTA_PADRAO = `Escreva uma carta de apresentação para a vaga abaixo, usando o currículo do candidato.
+
+INSTRUÇÕES IMPORTANTES:
+1. Use APENAS experiências, empresas, cargos, datas, formações e habilidades que estejam no currículo
+2. Relacione as experiências mais relevantes do currículo com os requisitos da vaga
+3. Explique por que o candidato se interessa por esta vaga{{#if empresa}} e pela {{empresa}}{{/if}}
+4. Use um tom {{tom}}
+5. Escreva {{tamanho}}, em parágrafos curtos e sem listas
+6. Escreva em {{idioma}}
+7. Comece com uma saudação e termine com uma despedida e o nome do candidato
+
+CURRÍCULO DO CANDIDATO:
+{{curriculo}}
+
+{{#if titulo}}VAGA: {{titulo}}{{#if empresa}} - {{empresa}}{{/if}}
+{{/if}}{{#if link}}LINK DA VAGA: {{link}}
+{{/if}}
+DESCRIÇÃO DA VAGA:
+{{descricao}}
+
+Retorne APENAS o texto da carta, sem título e sem explicações adicionais.`;
+
+/**
+ * Valida as opções da carta e completa com os valores padrão
+ * @param {Object} opcoes - Opções informadas
+ * @param {string} opcoes.tom - Um dos TONS_CARTA
+ * @param {string} opcoes.tamanho - Um dos TAMANHOS_CARTA
+ * @param {string} opcoes.idioma - Idioma da carta (ex.: "inglês")
+ * @returns {{tom: string, tamanho: string, idioma: string}} Opções validadas
+ */
+export function lerOpcoesCarta(opcoes = {}) {
+  const tom = String(opcoes.tom || CARTA_PADRAO.tom).toLowerCase();
+  const tamanho = String(opcoes.tamanho || CARTA_PADRAO.tamanho)
+    .toLowerCase()
+    .replace("média", "media");
+  if (!TONS_CARTA[tom]) {
+    throw new Error(
+      `Tom da carta inválido: "${opcoes.tom}". Use: ${Object.keys(
+        TONS_CARTA
+      ).join(", ")}`
+    );
+  }
+  if (!TAMANHOS_CARTA[tamanho]) {
+    throw new Error(
+      `Tamanho da carta inválido: "${opcoes.tamanho}". Use: ${Object.keys(
+        TAMANHOS_CARTA
+      ).join(", ")}`
+    );
+  }
+  return { tom, tamanho, idioma: opcoes.idioma || CARTA_PADRAO.idioma };
+}
+
+/**
+ * Nome dos arquivos da carta a partir do nome dos arquivos do currículo
+ * ("curriculo_vaga_123" → "carta_vaga_123"; outros nomes ganham o prefixo "carta_")
+ * @param {string} nomeCurriculo - Nome dos arquivos do currículo, sem extensão
+ * @returns {string} Nome dos arquivos da carta
+ */
+export function nomeArquivoCarta(nomeCurriculo) {
+  return /^curriculo/i.test(nomeCurriculo)
+    ? nomeCurriculo.replace(/^curriculo/i, "carta")
+    : `carta_${nomeCurriculo}`;
+}
+
+/**
+ * Gera uma carta de apresentação para uma vaga a partir do currículo original
+ * @param {string} curriculoOriginal - Currículo original do usuário
+ * @param {string} descricaoVaga - Descrição completa da vaga
+ * @param {string} promptCarta - Template do prompt da carta (padrão: PROMPT_CARTA_PADRAO)
+ * @param {Object} contexto - Dados extras da vaga para o template (link, empresa, titulo...)
+ * @param {string} contexto.instrucoesAdicionais - Instruções acrescentadas ao final do prompt
+ * @param {Object} opcoes - Opções da chamada
+ * @param {string} opcoes.tom - Um dos TONS_CARTA (padrão: cordial)
+ * @param {string} opcoes.tamanho - Um dos TAMANHOS_CARTA (padrão: media)
+ * @param {string} opcoes.idioma - Idioma da carta (padrão: português (Brasil))
+ * @param {Object} opcoes.cliente - Provedor do modelo (padrão: criarProvedorLLM(), OpenAI)
+ * @param {string} opcoes.modelo - Modelo (padrão: o do provedor)
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<string>} Texto da carta
+ */
+export async function gerarCartaApresentacao(
+  curriculoOriginal,
+  descricaoVaga,
+  promptCarta = null,
+  contexto = {},
+  opcoes = {}
+) {
+  const log = opcoes.log || (() => {});
+  const { tom, tamanho, idioma } = lerOpcoesCarta(opcoes);
+  try {
+    const cliente = opcoes.cliente || criarProvedorLLM();
+
+    let prompt = renderizarTemplate(
+      promptCarta || PROMPT_CARTA_PADRAO,
+      {
+        ...contexto,
+        curriculo: curriculoOriginal,
+        descricao: descricaoVaga,
+        tom: TONS_CARTA[tom],
+        tamanho: TAMANHOS_CARTA[tamanho],
+        idioma,
+      },
+      PLACEHOLDERS_CARTA
+    );
+    if (contexto.instrucoesAdicionais) {
+      prompt += `\n\n${contexto.instrucoesAdicionais}`;
+    }
+
+    log("Gerando carta de apresentação...");
+
+    const carta = await cliente.gerar({
+      sistema: PROMPT_SISTEMA,
+      usuario: prompt,
+      modelo: opcoes.modelo,
+      log,
+    });
+    log("✓ Carta de apresentação gerada com sucesso!");
+
+    return carta.trim();
+  } catch (error) {
+    log(`Erro ao gerar carta de apresentação: ${error.message}`, "erro");
+    throw error;
+  }
+}
+
+/**
+ * Gera a carta de apresentação e confere se ela não cita fatos que não existem
+ * no currículo original nem na vaga (veja verificarFatosCarta). Usa os mesmos
+ * modos de verificação do currículo.
+ * @param {string} curriculoOriginal - Currículo original do usuário
+ * @param {string} descricaoVaga - Descrição completa da vaga
+ * @param {string} promptCarta - Template do prompt da carta (opcional)
+ * @param {Object} contexto - Dados extras da vaga para o template
+ * @param {Object} opcoes - Opções de gerarCartaApresentacao e da verificação
+ * @param {string} opcoes.modo - "avisar", "rejeitar" ou "regenerar"
+ * @param {number} opcoes.maxTentativas - Máximo de gerações no modo "regenerar"
+ * @returns {Promise<{carta: string, verificacao: Object, tentativas: number, aprovado: boolean}>}
+ */
+export async function gerarCartaVerificada(
+  curriculoOriginal,
+  descricaoVaga,
+  promptCarta,
+  contexto = {},
+  opcoes = {}
+) {
+  const referencias = [descricaoVaga, contexto.empresa, contexto.titulo];
+  const { texto, ...resultado } = await gerarComVerificacao(
+    (problemas) =>
+      gerarCartaApresentacao(
+        curriculoOriginal,
+        descricaoVaga,
+        promptCarta,
+        problemas
+          ? {
+              ...contexto,
+              instrucoesAdicionais: gerarInstrucaoCorrecao(problemas, "carta"),
+            }
+          : contexto,
+        opcoes
+      ),
+    (carta) => verificarFatosCarta(curriculoOriginal, carta, referencias),
+    { ...opcoes, documento: "a carta" }
+  );
+  return { carta: texto, ...resultado };
+}
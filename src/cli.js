@@ -0,0 +1,696 @@
+import path from "path";
+import { parseArgs } from "util";
+import {
+  ETAPAS,
+  SITUACOES_VAGA,
+  situacaoVaga,
+  vagaSelecionada,
+} from "./estado.js";
+import { montarLinkBusca } from "./busca.js";
+import {
+  lerDataCandidatura,
+  lerLembrete,
+  lerStatusCandidatura,
+  STATUS_CANDIDATURA,
+} from "./candidaturas.js";
+import { TAMANHOS_CARTA, TONS_CARTA } from "./carta.js";
+import { MAXIMO_VARIANTES } from "./geracao.js";
+import { IDIOMAS, lerIdioma } from "./idioma.js";
+import { PROVEDORES_LLM } from "./provedores/index.js";
+import { PORTA_REVISAO_PADRAO } from "./revisao.js";
+
+/**
+ * Comandos da linha de comando e as etapas que cada um executa.
+ * Etapas anteriores já concluídas são reaproveitadas; "pontuacao" gera os
+ * relatórios de pontuação ATS e o ranking. No comando run, a etapa "carta"
+ * só é executada com --cover-letter (ou CARTA_APRESENTACAO=true).
+ */
+export const COMANDOS = {
+  run: {
+    etapas: [...ETAPAS, "pontuacao"],
+    descricao: "Executa todas as etapas (padrão)",
+  },
+  scrape: {
+    etapas: ["coleta"],
+    descricao: "Baixa as descrições e os metadados das vagas",
+  },
+  generate: {
+    etapas: ["geracao"],
+    descricao: "Gera os currículos a partir das descrições já baixadas",
+  },
+  render: {
+    etapas: ["renderizacao"],
+    descricao: "Cria os arquivos DOCX/PDF dos currículos já gerados",
+  },
+  cover: {
+    etapas: ["carta"],
+    descricao: "Gera as cartas de apresentação das vagas já baixadas",
+  },
+  score: {
+    etapas: ["pontuacao"],
+    descricao: "Gera os relatórios de pontuação ATS e o ranking",
+  },
+  status: {
+    etapas: [],
+    descricao: "Mostra a situação de cada vaga no arquivo de estado",
+  },
+  search: {
+    etapas: [],
+    descricao: "Busca vagas no LinkedIn e acrescenta as novas ao CSV",
+  },
+  login: {
+    etapas: [],
+    descricao: "Abre o navegador para entrar no LinkedIn e salva a sessão",
+  },
+  track: {
+    etapas: [],
+    descricao: "Atualiza a candidatura das vagas (situação, notas e lembretes)",
+  },
+  applications: {
+    etapas: [],
+    descricao: "Mostra as candidaturas e exporta o painel (CSV e HTML)",
+  },
+  review: {
+    etapas: [],
+    descricao:
+      "Abre a interface web para revisar, editar e aprovar os currículos",
+  },
+};
+
+/**
+ * Códigos de saída do processo
+ *   0  - todas as vagas selecionadas foram processadas
+ *   1  - erro que impediu a execução (arquivo ausente, configuração inválida...)
+ *   2  - execução concluída, mas alguma vaga falhou
+ *   64 - argumentos inválidos na linha de comando
+ */
+export const CODIGOS_SAIDA = {
+  sucesso: 0,
+  erro: 1,
+  falhaParcial: 2,
+  usoInvalido: 64,
+};
+
+// Arquivos e diretórios usados quando a opção não é informada (relativos ao projeto)
+const CAMINHOS_PADRAO = {
+  vagas: "vagas.csv",
+  prompt: "prompt_agente.txt",
+  promptCarta: "prompt_carta.txt",
+  descricoes: "descricoes",
+  curriculos: "curriculos_otimizados",
+  relatorios: "relatorios",
+  estado: "estado_vagas.json",
+  cookies: "cookies.json",
+  candidaturas: "candidaturas.json",
+  enviados: "curriculos_enviados",
+};
+
+const OPCOES = {
+  cv: { type: "string" },
+  profiles: { type: "string" },
+  jobs: { type: "string" },
+  prompt: { type: "string" },
+  "descriptions-dir": { type: "string" },
+  "output-dir": { type: "string" },
+  "reports-dir": { type: "string" },
+  state: { type: "string" },
+  applications: { type: "string" },
+  cookies: { type: "string" },
+  "user-data-dir": { type: "string" },
+  row: { type: "string", multiple: true },
+  id: { type: "string", multiple: true },
+  status: { type: "string", multiple: true },
+  provider: { type: "string" },
+  model: { type: "string" },
+  temperature: { type: "string" },
+  "max-tokens": { type: "string" },
+  "base-url": { type: "string" },
+  "no-cache": { type: "boolean", default: false },
+  language: { type: "string" },
+  variants: { type: "string" },
+  sections: { type: "boolean", default: false },
+  "max-pages": { type: "string" },
+  "scrape-concurrency": { type: "string" },
+  "llm-concurrency": { type: "string" },
+  "host-delay": { type: "string" },
+  "search-url": { type: "string", multiple: true },
+  keywords: { type: "string" },
+  location: { type: "string" },
+  pages: { type: "string" },
+  "cover-letter": { type: "boolean", default: false },
+  "letter-prompt": { type: "string" },
+  "letter-tone": { type: "string" },
+  "letter-length": { type: "string" },
+  "letter-language": { type: "string" },
+  mark: { type: "string" },
+  note: { type: "string" },
+  date: { type: "string" },
+  "follow-up": { type: "string" },
+  formats: { type: "string" },
+  port: { type: "string" },
+  "require-approval": { type: "boolean", default: false },
+  offline: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Largura da coluna de comandos na ajuda: o maior nome mais dois espaços
+const LARGURA_COMANDO =
+  Math.max(...Object.keys(COMANDOS).map((nome) => nome.length)) + 2;
+
+/**
+ * Texto exibido por --help
+ */
+export const TEXTO_AJUDA = `Uso: node cli.js [comando] [opções]
+
+Comandos:
+${Object.entries(COMANDOS)
+  .map(
+    ([nome, { descricao }]) => `  ${nome.padEnd(LARGURA_COMANDO)}${descricao}`
+  )
+  .join("\n")}
+
+Arquivos (padrão: na pasta do projeto):
+  --cv <arquivo>              Currículo (curriculo.json, curriculo.yaml ou curriculo.txt)
+  --profiles <pasta>          Vários currículos base, um por perfil (padrão: PERFIS_CURRICULO ou perfis/, se existir)
+  --jobs <arquivo>            CSV de vagas (vagas.csv)
+  --prompt <arquivo>          Prompt personalizado (prompt_agente.txt)
+  --descriptions-dir <pasta>  Descrições das vagas (descricoes/)
+  --output-dir <pasta>        Currículos gerados (curriculos_otimizados/)
+  --reports-dir <pasta>       Relatórios (relatorios/)
+  --state <arquivo>           Estado das vagas (estado_vagas.json)
+  --applications <arquivo>    Candidaturas (candidaturas.json)
+
+Sessão do navegador (sites que exigem login, como o LinkedIn):
+  --cookies <arquivo>         Cookies da sessão, salvos pelo comando login (padrão: NAVEGADOR_COOKIES ou cookies.json)
+  --user-data-dir <pasta>     Perfil do Chrome que guarda a sessão entre execuções (padrão: NAVEGADOR_PERFIL)
+
+Seleção de vagas (cada opção pode ser repetida ou receber uma lista separada por vírgulas):
+  --row <n>                   Linhas do CSV, contando a partir de 1 (ex.: 1,3,5-8)
+  --id <id>                   IDs das vagas (ex.: 3812345678,gupy-1234567)
+  --status <situação>         Situação no estado: ${SITUACOES_VAGA.join(", ")}
+
+Geração:
+  --provider <nome>           Provedor do modelo: ${Object.keys(
+    PROVEDORES_LLM
+  ).join(", ")} (padrão: LLM_PROVEDOR ou openai)
+  --model <nome>              Modelo (padrão: LLM_MODELO, OPENAI_MODEL ou o padrão do provedor)
+  --temperature <n>           Temperatura da geração, de 0 a 2 (padrão: LLM_TEMPERATURA ou 0.7)
+  --max-tokens <n>            Máximo de tokens da resposta (padrão: LLM_MAX_TOKENS ou 4000)
+  --base-url <url>            Endereço da API (compativel, azure; padrão: LLM_BASE_URL)
+  --no-cache                  Chama a API mesmo para prompts já respondidos (padrão: CACHE_LLM)
+  --language <idioma>         Idioma do currículo: auto (o da vaga), ${Object.keys(
+    IDIOMAS
+  ).join(", ")} (padrão: IDIOMA_CURRICULO ou auto)
+  --variants <n>              Versões geradas por vaga, fica a de maior pontuação, até ${MAXIMO_VARIANTES} (padrão: CURRICULO_VARIANTES ou 1)
+  --sections                  Gera por seções (requisitos, resumo, experiências, habilidades) com
+                              alvos de tamanho e um relatório de cada passo (padrão: GERACAO_POR_SECOES)
+  --max-pages <n>             Máximo de páginas na geração por seções (padrão: CURRICULO_PAGINAS ou 2)
+  --formats <lista>           Formatos dos arquivos: docx, pdf (padrão: FORMATOS_SAIDA ou docx,pdf)
+
+Carta de apresentação (comando cover ou run --cover-letter):
+  --cover-letter              Gera também a carta de cada vaga no comando run (padrão: CARTA_APRESENTACAO)
+  --letter-prompt <arquivo>   Prompt da carta (prompt_carta.txt)
+  --letter-tone <tom>         Tom: ${Object.keys(TONS_CARTA).join(
+    ", "
+  )} (padrão: CARTA_TOM ou cordial)
+  --letter-length <tamanho>   Tamanho: ${Object.keys(TAMANHOS_CARTA).join(
+    ", "
+  )} (padrão: CARTA_TAMANHO ou media)
+  --letter-language <idioma>  Idioma da carta (padrão: CARTA_IDIOMA ou o do currículo)
+
+Candidaturas (comando track, com --id ou --row):
+  --mark <situação>           Nova situação: ${Object.keys(
+    STATUS_CANDIDATURA
+  ).join(", ")}
+  --date <AAAA-MM-DD>         Data da nova situação (padrão: hoje)
+  --note <texto>              Acrescenta uma nota à candidatura
+  --follow-up <data|dias>     Data do próximo lembrete (AAAA-MM-DD) ou dias a partir de hoje
+
+Revisão (comando review):
+  --port <n>                  Porta da interface web (padrão: REVISAO_PORTA ou ${PORTA_REVISAO_PADRAO})
+  --require-approval          Nos comandos run e render, só cria os DOCX/PDF de currículos
+                              aprovados na revisão (padrão: APROVACAO_MANUAL; sem ela,
+                              ativo depois do primeiro review)
+
+Busca de vagas (comando search):
+  --search-url <url>          Link de uma busca do LinkedIn (pode ser repetida)
+  --keywords <texto>          Palavras-chave da busca (ex.: "desenvolvedor node")
+  --location <local>          Local da busca (ex.: "São Paulo, Brasil")
+  --pages <n>                 Páginas de resultados lidas por busca (padrão: 3)
+
+Paralelismo:
+  --scrape-concurrency <n>    Páginas abertas ao mesmo tempo no navegador (padrão: CONCORRENCIA_PAGINAS ou 2)
+  --llm-concurrency <n>       Chamadas simultâneas ao modelo (padrão: CONCORRENCIA_LLM ou 2)
+  --host-delay <ms>           Intervalo entre acessos ao mesmo site (padrão: INTERVALO_HOST_MS ou 2000)
+
+Execução:
+  --offline                   Lê as vagas de descricoes/*.txt em vez do CSV
+  --dry-run                   Mostra as etapas pendentes de cada vaga sem executar nada
+  -h, --help                  Mostra esta ajuda
+
+Códigos de saída: 0 sucesso, 1 erro, 2 alguma vaga falhou, 64 argumentos inválidos`;
+
+/**
+ * Cria o erro de argumentos inválidos (código de saída 64)
+ * @param {string} mensagem - Mensagem do erro
+ * @returns {Error} Erro com codigoSaida
+ */
+function erroDeUso(mensagem) {
+  const erro = new Error(mensagem);
+  erro.codigoSaida = CODIGOS_SAIDA.usoInvalido;
+  return erro;
+}
+
+/**
+ * Junta os valores de uma opção repetida ou separada por vírgulas
+ * @param {Array<string>|undefined} valores - Valores da opção
+ * @returns {Array<string>} Itens sem espaços e sem vazios
+ */
+function listarValores(valores) {
+  return (valores || [])
+    .flatMap((valor) => valor.split(","))
+    .map((valor) => valor.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Interpreta uma opção numérica (ex.: --temperature 0.2)
+ * @param {string|undefined} valor - Valor da opção
+ * @param {string} opcao - Nome da opção, usado na mensagem de erro
+ * @param {boolean} positivo - Exige um número inteiro maior que zero
+ * @returns {number|null} Número ou null se a opção não foi informada
+ */
+function interpretarNumero(valor, opcao, positivo = false) {
+  if (valor === undefined) return null;
+  const numero = Number(valor);
+  if (valor.trim() === "" || !Number.isFinite(numero) || numero < 0) {
+    throw erroDeUso(`${opcao} inválido: "${valor}". Use um número`);
+  }
+  if (positivo && (!Number.isInteger(numero) || numero < 1)) {
+    throw erroDeUso(
+      `${opcao} inválido: "${valor}". Use um número inteiro maior que zero`
+    );
+  }
+  return numero;
+}
+
+/**
+ * Interpreta a seleção de linhas (ex.: ["1,3", "5-8"])
+ * @param {Array<string>|undefined} valores - Valores de --row
+ * @returns {Set<number>|null} Números das linhas ou null se não houver filtro
+ */
+function interpretarLinhas(valores) {
+  const itens = listarValores(valores);
+  if (itens.length === 0) return null;
+
+  const linhas = new Set();
+  for (const item of itens) {
+    const intervalo = item.match(/^(\d+)(?:-(\d+))?$/);
+    const inicio = intervalo && Number(intervalo[1]);
+    const fim = intervalo && Number(intervalo[2] || intervalo[1]);
+    if (!intervalo || inicio < 1 || fim < inicio) {
+      throw erroDeUso(
+        `--row inválido: "${item}". Use números a partir de 1 ou intervalos (ex.: 1,3,5-8)`
+      );
+    }
+    for (let linha = inicio; linha <= fim; linha++) linhas.add(linha);
+  }
+  return linhas;
+}
+
+/**
+ * Interpreta as buscas do comando search: links de --search-url e a busca
+ * montada com --keywords e --location
+ * @param {Object} valores - Valores das opções
+ * @param {string} comando - Comando executado
+ * @returns {Array<string>} Links das buscas (vazio para os outros comandos)
+ */
+function interpretarBuscas(valores, comando) {
+  const links = valores["search-url"] || [];
+  if (comando !== "search") {
+    if (links.length > 0 || valores.keywords || valores.location) {
+      throw erroDeUso(
+        "--search-url, --keywords e --location só se aplicam ao comando search"
+      );
+    }
+    return [];
+  }
+
+  for (const link of links) {
+    let host = null;
+    try {
+      host = new URL(link).hostname;
+    } catch (error) {
+      // Tratado abaixo
+    }
+    if (!host || !/(^|\.)linkedin\.com$/i.test(host)) {
+      throw erroDeUso(
+        `--search-url inválido: "${link}". Use o link de uma busca de vagas do LinkedIn`
+      );
+    }
+  }
+  if (valores.location && !valores.keywords) {
+    throw erroDeUso("--location precisa de --keywords");
+  }
+  const buscas = [...links];
+  if (valores.keywords) {
+    buscas.push(
+      montarLinkBusca({
+        palavrasChave: valores.keywords,
+        local: valores.location,
+      })
+    );
+  }
+  if (buscas.length === 0) {
+    throw erroDeUso(
+      'O comando search precisa de --search-url ou --keywords (ex.: --keywords "desenvolvedor node" --location Brasil)'
+    );
+  }
+  return buscas;
+}
+
+/**
+ * Interpreta as alterações de candidatura do comando track (--mark, --date,
+ * --note e --follow-up)
+ * @param {Object} valores - Valores das opções
+ * @param {string} comando - Comando executado
+ * @returns {{status: string, data: string, nota: string, lembrete: string}|null}
+ *   Alterações (null para os outros comandos)
+ */
+function interpretarCandidatura(valores, comando) {
+  const informadas = ["mark", "date", "note", "follow-up"].filter(
+    (opcao) => valores[opcao] !== undefined
+  );
+  if (comando !== "track") {
+    if (informadas.length > 0) {
+      throw erroDeUso(
+        "--mark, --date, --note e --follow-up só se aplicam ao comando track"
+      );
+    }
+    return null;
+  }
+
+  if (!valores.row && !valores.id) {
+    throw erroDeUso(
+      "O comando track precisa de --id ou --row (ex.: --id 3812345678 --mark enviada)"
+    );
+  }
+  if (!valores.mark && !valores.note && !valores["follow-up"]) {
+    throw erroDeUso("O comando track precisa de --mark, --note ou --follow-up");
+  }
+  if (valores.date && !valores.mark) {
+    throw erroDeUso("--date precisa de --mark");
+  }
+
+  const ler = (opcao, leitor) => {
+    if (valores[opcao] === undefined) return null;
+    try {
+      return leitor(valores[opcao]);
+    } catch (error) {
+      throw erroDeUso(`--${opcao}: ${error.message}`);
+    }
+  };
+  return {
+    status: ler("mark", lerStatusCandidatura),
+    data: ler("date", lerDataCandidatura),
+    nota: valores.note ? valores.note.trim() : null,
+    lembrete: ler("follow-up", (valor) => lerLembrete(valor)),
+  };
+}
+
+/**
+ * Interpreta os argumentos da linha de comando
+ * @param {Array<string>} argv - Argumentos (process.argv.slice(2))
+ * @param {string} diretorioBase - Pasta do projeto, usada nos caminhos padrão
+ * @returns {{comando: string, etapas: Array<string>, opcoes: Object}} Comando, etapas e opções.
+ *   Caminhos informados são resolvidos a partir da pasta atual.
+ */
+export function interpretarArgumentos(argv, diretorioBase) {
+  let valores;
+  let posicionais;
+  try {
+    ({ values: valores, positionals: posicionais } = parseArgs({
+      args: argv,
+      options: OPCOES,
+      allowPositionals: true,
+    }));
+  } catch (error) {
+    throw erroDeUso(error.message);
+  }
+
+  if (posicionais.length > 1) {
+    throw erroDeUso(
+      `Argumentos inesperados: ${posicionais.slice(1).join(" ")}`
+    );
+  }
+  const comando = posicionais[0] || "run";
+  if (!COMANDOS[comando]) {
+    throw erroDeUso(
+      `Comando desconhecido: "${comando}". Use: ${Object.keys(COMANDOS).join(
+        ", "
+      )}`
+    );
+  }
+
+  const status = listarValores(valores.status);
+  const invalidos = status.filter((s) => !SITUACOES_VAGA.includes(s));
+  if (invalidos.length > 0) {
+    throw erroDeUso(
+      `--status inválido: ${invalidos.join(", ")}. Use: ${SITUACOES_VAGA.join(
+        ", "
+      )}`
+    );
+  }
+
+  const provedor = valores.provider && valores.provider.toLowerCase();
+  if (provedor && !PROVEDORES_LLM[provedor]) {
+    throw erroDeUso(
+      `--provider inválido: "${valores.provider}". Use: ${Object.keys(
+        PROVEDORES_LLM
+      ).join(", ")}`
+    );
+  }
+  let idioma = null;
+  if (valores.language) {
+    try {
+      idioma = lerIdioma(valores.language);
+    } catch (error) {
+      throw erroDeUso(`--language: ${error.message}`);
+    }
+  }
+  if (valores.cv && valores.profiles) {
+    throw erroDeUso("Use --cv ou --profiles, não os dois");
+  }
+  const variantes = interpretarNumero(valores.variants, "--variants", true);
+  if (variantes > MAXIMO_VARIANTES) {
+    throw erroDeUso(
+      `--variants inválido: "${valores.variants}". Use até ${MAXIMO_VARIANTES}`
+    );
+  }
+  const paginasCurriculo = interpretarNumero(
+    valores["max-pages"],
+    "--max-pages",
+    true
+  );
+  const temperatura = interpretarNumero(valores.temperature, "--temperature");
+  const maxTokens = interpretarNumero(valores["max-tokens"], "--max-tokens");
+  const concorrencia = {
+    paginas: interpretarNumero(
+      valores["scrape-concurrency"],
+      "--scrape-concurrency",
+      true
+    ),
+    llm: interpretarNumero(
+      valores["llm-concurrency"],
+      "--llm-concurrency",
+      true
+    ),
+    intervaloHost: interpretarNumero(valores["host-delay"], "--host-delay"),
+  };
+
+  if (valores["cover-letter"] && comando !== "run") {
+    throw erroDeUso(
+      "--cover-letter só se aplica ao comando run; use o comando cover para gerar apenas as cartas"
+    );
+  }
+  const tomCarta =
+    valores["letter-tone"] && valores["letter-tone"].toLowerCase();
+  if (tomCarta && !TONS_CARTA[tomCarta]) {
+    throw erroDeUso(
+      `--letter-tone inválido: "${valores["letter-tone"]}". Use: ${Object.keys(
+        TONS_CARTA
+      ).join(", ")}`
+    );
+  }
+  const tamanhoCarta =
+    valores["letter-length"] && valores["letter-length"].toLowerCase();
+  if (tamanhoCarta && !TAMANHOS_CARTA[tamanhoCarta]) {
+    throw erroDeUso(
+      `--letter-length inválido: "${
+        valores["letter-length"]
+      }". Use: ${Object.keys(TAMANHOS_CARTA).join(", ")}`
+    );
+  }
+
+  const candidatura = interpretarCandidatura(valores, comando);
+  const buscas = interpretarBuscas(valores, comando);
+  const paginasBusca = interpretarNumero(valores.pages, "--pages", true);
+
+  if (valores.port !== undefined && comando !== "review") {
+    throw erroDeUso("--port só se aplica ao comando review");
+  }
+  const porta = interpretarNumero(valores.port, "--port", true);
+  if (porta > 65535) {
+    throw erroDeUso(`--port inválido: "${valores.port}". Use até 65535`);
+  }
+  if (valores["require-approval"] && !["run", "render"].includes(comando)) {
+    throw erroDeUso(
+      "--require-approval só se aplica aos comandos run e render"
+    );
+  }
+
+  const linhas = interpretarLinhas(valores.row);
+  if (comando === "status" && linhas) {
+    throw erroDeUso("--row não se aplica ao comando status; use --id");
+  }
+
+  const caminho = (opcao, padrao) =>
+    valores[opcao]
+      ? path.resolve(valores[opcao])
+      : padrao && path.join(diretorioBase, padrao);
+  const ids = listarValores(valores.id);
+
+  return {
+    comando,
+    etapas: COMANDOS[comando].etapas,
+    opcoes: {
+      curriculo: caminho("cv", null),
+      perfis: caminho("profiles", null),
+      vagas: caminho("jobs", CAMINHOS_PADRAO.vagas),
+      prompt: caminho("prompt", CAMINHOS_PADRAO.prompt),
+      promptInformado: Boolean(valores.prompt),
+      promptCarta: caminho("letter-prompt", CAMINHOS_PADRAO.promptCarta),
+      promptCartaInformado: Boolean(valores["letter-prompt"]),
+      descricoes: caminho("descriptions-dir", CAMINHOS_PADRAO.descricoes),
+      curriculos: caminho("output-dir", CAMINHOS_PADRAO.curriculos),
+      relatorios: caminho("reports-dir", CAMINHOS_PADRAO.relatorios),
+      estado: caminho("state", CAMINHOS_PADRAO.estado),
+      candidaturas: caminho("applications", CAMINHOS_PADRAO.candidaturas),
+      enviados: path.join(diretorioBase, CAMINHOS_PADRAO.enviados),
+      cookies: caminho("cookies", null),
+      perfil: caminho("user-data-dir", null),
+      linhas,
+      ids: ids.length > 0 ? new Set(ids) : null,
+      status: status.length > 0 ? new Set(status) : null,
+      provedor: provedor || null,
+      modelo: valores.model || null,
+      temperatura,
+      maxTokens,
+      baseUrl: valores["base-url"] || null,
+      semCache: valores["no-cache"],
+      idioma,
+      variantes,
+      porSecoes: valores.sections,
+      paginasCurriculo,
+      concorrencia,
+      carta: valores["cover-letter"],
+      tomCarta: tomCarta || null,
+      tamanhoCarta: tamanhoCarta || null,
+      idiomaCarta: valores["letter-language"] || null,
+      candidatura,
+      buscas,
+      paginasBusca,
+      formatos: valores.formats || null,
+      porta,
+      exigirAprovacao: valores["require-approval"],
+      offline: valores.offline,
+      simulacao: valores["dry-run"],
+      ajuda: valores.help,
+    },
+  };
+}
+
+/**
+ * Formata a situação das vagas registradas no estado (comando status)
+ * @param {Object} estado - Estado carregado por carregarEstado
+ * @param {Object} opcoes - Opções de interpretarArgumentos (filtros --id e --status)
+ * @returns {string} Tabela com as etapas de cada vaga e os erros das que falharam
+ */
+export function formatarStatus(estado, opcoes = {}) {
+  const registros = Object.values(estado.vagas).filter((registro) =>
+    vagaSelecionada(opcoes, registro.id, registro)
+  );
+  if (registros.length === 0) {
+    return "Nenhuma vaga encontrada no estado.";
+  }
+
+  const marca = (etapa) =>
+    !etapa ? "-" : etapa.status === "concluida" ? "✓" : "✗";
+  const largura = Math.max(2, ...registros.map((r) => r.id.length)) + 2;
+  const linhas = [
+    `${"ID".padEnd(largura)}${ETAPAS.map((e) =>
+      e.toUpperCase().padEnd(14)
+    ).join("")}SITUAÇÃO   ATUALIZADA EM`,
+  ];
+  const totais = Object.fromEntries(SITUACOES_VAGA.map((s) => [s, 0]));
+
+  for (const registro of registros) {
+    const situacao = situacaoVaga(registro);
+    totais[situacao]++;
+    linhas.push(
+      `${registro.id.padEnd(largura)}${ETAPAS.map((e) =>
+        marca(registro.etapas[e]).padEnd(14)
+      ).join("")}${situacao.padEnd(11)}${new Date(
+        registro.atualizadaEm
+      ).toLocaleString("pt-BR")}`
+    );
+    for (const etapa of ETAPAS) {
+      const dados = registro.etapas[etapa];
+      if (dados && dados.erro) {
+        linhas.push(`${" ".repeat(largura)}${etapa}: ${dados.erro}`);
+      }
+    }
+  }
+
+  linhas.push(
+    "",
+    `Total: ${registros.length} | ${SITUACOES_VAGA.map(
+      (s) => `${s}: ${totais[s]}`
+    ).join(" | ")}`
+  );
+  return linhas.join("\n");
+}
+
+/**
+ * Formata uma duração para a linha de progresso (ex.: "45s", "3m05s", "1h12m")
+ * @param {number} ms - Duração em milissegundos
+ * @returns {string} Duração formatada
+ */
+function formatarDuracao(ms) {
+  const segundos = Math.round(ms / 1000);
+  if (segundos < 60) return `${segundos}s`;
+  const minutos = Math.floor(segundos / 60);
+  if (minutos < 60) {
+    return `${minutos}m${String(segundos % 60).padStart(2, "0")}s`;
+  }
+  return `${Math.floor(minutos / 60)}h${String(minutos % 60).padStart(
+    2,
+    "0"
+  )}m`;
+}
+
+/**
+ * Formata a linha de progresso exibida a cada vaga concluída
+ * @param {Object} progresso - Evento "progresso" de executarPipeline
+ * @returns {string} Linha com vagas concluídas, tempo decorrido e estimativa do restante
+ */
+export function formatarProgresso(progresso) {
+  const { concluidas, total, decorridoMs, restanteMs } = progresso;
+  const percentual = total > 0 ? Math.round((concluidas / total) * 100) : 100;
+  const restante =
+    concluidas < total ? ` | restante: ~${formatarDuracao(restanteMs)}` : "";
+  return `Progresso: ${concluidas}/${total} vagas (${percentual}%) | decorrido: ${formatarDuracao(
+    decorridoMs
+  )}${restante}`;
+}
@@ -0,0 +1,184 @@
+/**
+ * Limites usados quando não são informados
+ *   paginas       - páginas abertas ao mesmo tempo no navegador (downloads e PDFs)
+ *   llm           - chamadas simultâneas ao modelo de linguagem
+ *   intervaloHost - intervalo mínimo entre dois acessos ao mesmo site (ms)
+ */
+export const CONCORRENCIA_PADRAO = {
+  paginas: 2,
+  llm: 2,
+  intervaloHost: 2000,
+};
+
+/**
+ * Aguarda alguns milissegundos
+ * @param {number} ms - Tempo de espera
+ * @returns {Promise<void>}
+ */
+export function aguardar(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calcula a espera antes de uma nova tentativa: dobra a cada tentativa, até o
+ * máximo, com variação aleatória para que chamadas paralelas não se repitam juntas
+ * @param {number} tentativa - Tentativa que falhou (1 na primeira)
+ * @param {Object} config - esperaBaseMs e esperaMaximaMs
+ * @param {function(): number} aleatorio - Gerador de números entre 0 e 1
+ * @returns {number} Espera em ms
+ */
+export function calcularEspera(tentativa, config, aleatorio = Math.random) {
+  const teto = Math.min(
+    config.esperaMaximaMs,
+    config.esperaBaseMs * 2 ** (tentativa - 1)
+  );
+  return Math.round(teto / 2 + (aleatorio() * teto) / 2);
+}
+
+/**
+ * Valida um limite de concorrência
+ * @param {number} limite - Número de tarefas simultâneas
+ * @param {string} nome - Nome do limite, usado na mensagem de erro
+ * @returns {number} Limite validado
+ */
+export function validarLimite(limite, nome) {
+  if (!Number.isInteger(limite) || limite < 1) {
+    throw new Error(
+      `Limite de concorrência inválido (${nome}): "${limite}". Use um número inteiro maior que zero`
+    );
+  }
+  return limite;
+}
+
+/**
+ * Cria um limitador que executa no máximo `limite` tarefas ao mesmo tempo;
+ * as demais esperam, na ordem de chegada, até uma vaga ser liberada
+ * @param {number} limite - Número de tarefas simultâneas
+ * @returns {function(function(): Promise<*>): Promise<*>} Executa a tarefa quando houver vaga
+ */
+export function criarLimitador(limite) {
+  let emExecucao = 0;
+  const fila = [];
+
+  const liberar = () => {
+    emExecucao--;
+    if (fila.length > 0) {
+      emExecucao++;
+      fila.shift()();
+    }
+  };
+
+  return async (tarefa) => {
+    if (emExecucao < limite) {
+      emExecucao++;
+    } else {
+      await new Promise((resolve) => fila.push(resolve));
+    }
+    try {
+      return await tarefa();
+    } finally {
+      liberar();
+    }
+  };
+}
+
+/**
+ * Cria o controle de intervalo por site: cada acesso a um host espera até que
+ * tenham se passado `intervaloMs` desde o acesso anterior ao mesmo host.
+ * Acessos a hosts diferentes não esperam uns pelos outros.
+ * @param {number} intervaloMs - Intervalo mínimo entre acessos ao mesmo host
+ * @returns {function(string): Promise<void>} Aguarda a vez de acessar o link
+ */
+export function criarIntervaloPorHost(intervaloMs) {
+  const proximoAcesso = new Map();
+  return async (link) => {
+    let host;
+    try {
+      host = new URL(link).hostname.toLowerCase();
+    } catch (error) {
+      host = link;
+    }
+    const agora = Date.now();
+    const vez = Math.max(agora, proximoAcesso.get(host) || 0);
+    proximoAcesso.set(host, vez + intervaloMs);
+    if (vez > agora) {
+      await aguardar(vez - agora);
+    }
+  };
+}
+
+/**
+ * Processa os itens com no máximo `limite` tarefas ao mesmo tempo. Se uma
+ * tarefa lançar um erro, nenhum item novo é iniciado; as tarefas em andamento
+ * terminam e o primeiro erro é lançado.
+ * @param {Array} itens - Itens a processar
+ * @param {number} limite - Número de tarefas simultâneas
+ * @param {function(*, number): Promise<void>} tarefa - Processa um item (item, índice)
+ * @returns {Promise<void>}
+ */
+export async function executarEmParalelo(itens, limite, tarefa) {
+  let proximo = 0;
+  let erro = null;
+
+  const trabalhador = async () => {
+    while (!erro && proximo < itens.length) {
+      const indice = proximo++;
+      try {
+        await tarefa(itens[indice], indice);
+      } catch (error) {
+        erro = erro || error;
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limite, itens.length) }, trabalhador)
+  );
+  if (erro) {
+    throw erro;
+  }
+}
+
+/**
+ * Cria a saída ordenada: eventos de tarefas executadas em paralelo são
+ * repassados na ordem das tarefas. Os eventos da primeira tarefa ainda aberta
+ * são repassados na hora; os das seguintes ficam guardados até ela terminar.
+ * @param {function(string, Object): void} emitir - Recebe os eventos, já em ordem
+ * @returns {{emitir: function(number, string, Object): void, fechar: function(number): void}}
+ *   emitir(ordem, evento, dados) e fechar(ordem) quando a tarefa terminar
+ */
+export function criarSaidaOrdenada(emitir) {
+  const pendentes = new Map();
+  let atual = 0;
+
+  const obter = (ordem) => {
+    if (!pendentes.has(ordem)) {
+      pendentes.set(ordem, { eventos: [], fechada: false });
+    }
+    return pendentes.get(ordem);
+  };
+
+  return {
+    emitir(ordem, evento, dados) {
+      if (ordem === atual) {
+        emitir(evento, dados);
+      } else {
+        obter(ordem).eventos.push([evento, dados]);
+      }
+    },
+    fechar(ordem) {
+      obter(ordem).fechada = true;
+      while (pendentes.has(atual) && pendentes.get(atual).fechada) {
+        pendentes.delete(atual);
+        atual++;
+        if (pendentes.has(atual)) {
+          for (const [evento, dados] of pendentes
+            .get(atual)
+            .eventos.splice(0)) {
+            emitir(evento, dados);
+          }
+        }
+      }
+    },
+  };
+}
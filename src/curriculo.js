@@ -0,0 +1,687 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import {
+  dividirEmSecoes,
+  ehItemLista,
+  removerMarcadorLista,
+} from "./secoes.js";
+import { normalizarTexto, removerMarkdown } from "./texto.js";
+
+/**
+ * @typedef {Object} Contato
+ * @property {string} nome - Nome completo
+ * @property {string} [localizacao] - Cidade/Estado
+ * @property {string} [email] - E-mail
+ * @property {string} [telefone] - Telefone
+ * @property {Object<string, string>} [links] - Perfis e sites (github, linkedin, site...)
+ */
+
+/**
+ * @typedef {Object} Formacao
+ * @property {string} curso - Nome do curso
+ * @property {string} [instituicao] - Nome da instituição
+ * @property {string} [conclusao] - Ano ou período de conclusão
+ * @property {Array<string>} [detalhes] - Informações adicionais
+ */
+
+/**
+ * @typedef {Object} Experiencia
+ * @property {string} cargo - Cargo ocupado
+ * @property {string} empresa - Nome da empresa
+ * @property {string} [periodo] - Período (ex.: "01/2020 – Atual")
+ * @property {Array<string>} [atividades] - Responsabilidades e conquistas
+ */
+
+/**
+ * @typedef {Object} Curriculo
+ * @property {Contato} contato - Dados de contato
+ * @property {string} [resumo] - Resumo profissional
+ * @property {Array<Formacao>} [educacao] - Formação acadêmica
+ * @property {Array<Experiencia>} experiencia - Experiências profissionais
+ * @property {Array<string>} [habilidades] - Habilidades
+ * @property {Array<{titulo: string, itens: Array<string>}>} [outrasSecoes] - Seções livres
+ *   (certificações, idiomas, projetos...)
+ */
+
+/**
+ * Arquivos procurados, em ordem de prioridade, quando nenhum caminho é informado
+ */
+export const ARQUIVOS_CURRICULO = [
+  "curriculo.json",
+  "curriculo.yaml",
+  "curriculo.yml",
+  "curriculo.txt",
+];
+
+/**
+ * Esquema do currículo estruturado (curriculo.json / curriculo.yaml)
+ */
+const TEXTO = { tipo: "texto" };
+const LISTA_TEXTO = { tipo: "lista", itens: TEXTO };
+
+export const ESQUEMA_CURRICULO = {
+  tipo: "objeto",
+  obrigatorios: ["contato", "experiencia"],
+  propriedades: {
+    contato: {
+      tipo: "objeto",
+      obrigatorios: ["nome"],
+      propriedades: {
+        nome: TEXTO,
+        localizacao: TEXTO,
+        email: { tipo: "texto", formato: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+        telefone: TEXTO,
+        links: { tipo: "objeto", valores: TEXTO },
+      },
+    },
+    resumo: TEXTO,
+    educacao: {
+      tipo: "lista",
+      itens: {
+        tipo: "objeto",
+        obrigatorios: ["curso"],
+        propriedades: {
+          curso: TEXTO,
+          instituicao: TEXTO,
+          conclusao: TEXTO,
+          detalhes: LISTA_TEXTO,
+        },
+      },
+    },
+    experiencia: {
+      tipo: "lista",
+      itens: {
+        tipo: "objeto",
+        obrigatorios: ["cargo", "empresa"],
+        propriedades: {
+          cargo: TEXTO,
+          empresa: TEXTO,
+          periodo: TEXTO,
+          atividades: LISTA_TEXTO,
+        },
+      },
+    },
+    habilidades: LISTA_TEXTO,
+    outrasSecoes: {
+      tipo: "lista",
+      itens: {
+        tipo: "objeto",
+        obrigatorios: ["titulo", "itens"],
+        propriedades: { titulo: TEXTO, itens: LISTA_TEXTO },
+      },
+    },
+  },
+};
+
+/**
+ * Valida um valor contra um nó do esquema, acumulando os erros encontrados
+ * @param {*} valor - Valor a validar
+ * @param {Object} esquema - Nó do esquema
+ * @param {string} caminho - Caminho do valor (para as mensagens)
+ * @param {Array<string>} erros - Lista onde os erros são acumulados
+ */
+function validarNo(valor, esquema, caminho, erros) {
+  if (esquema.tipo === "texto") {
+    if (typeof valor !== "string" && typeof valor !== "number") {
+      erros.push(`${caminho}: deve ser um texto`);
+    } else if (esquema.formato && !esquema.formato.test(String(valor))) {
+      erros.push(`${caminho}: formato inválido ("${valor}")`);
+    }
+    return;
+  }
+
+  if (esquema.tipo === "lista") {
+    if (!Array.isArray(valor)) {
+      erros.push(`${caminho}: deve ser uma lista`);
+      return;
+    }
+    valor.forEach((item, i) =>
+      validarNo(item, esquema.itens, `${caminho}[${i}]`, erros)
+    );
+    return;
+  }
+
+  if (typeof valor !== "object" || valor === null || Array.isArray(valor)) {
+    erros.push(`${caminho}: deve ser um objeto`);
+    return;
+  }
+
+  for (const campo of esquema.obrigatorios || []) {
+    const conteudo = valor[campo];
+    if (
+      conteudo === undefined ||
+      conteudo === null ||
+      (typeof conteudo === "string" && !conteudo.trim())
+    ) {
+      erros.push(`${caminho}.${campo}: campo obrigatório`);
+    }
+  }
+
+  for (const [campo, conteudo] of Object.entries(valor)) {
+    const subesquema = esquema.valores || esquema.propriedades?.[campo];
+    if (!subesquema) {
+      erros.push(`${caminho}.${campo}: campo desconhecido`);
+    } else if (conteudo !== undefined && conteudo !== null) {
+      validarNo(conteudo, subesquema, `${caminho}.${campo}`, erros);
+    }
+  }
+}
+
+/**
+ * Valida um currículo estruturado contra o ESQUEMA_CURRICULO
+ * @param {Object} dados - Currículo estruturado
+ * @returns {Array<string>} Lista de erros (vazia se o currículo for válido)
+ */
+export function validarCurriculo(dados) {
+  const erros = [];
+  validarNo(dados, ESQUEMA_CURRICULO, "curriculo", erros);
+  return erros;
+}
+
+/**
+ * Separa uma linha "Rótulo: valor"
+ * @param {string} linha - Linha de texto
+ * @returns {{rotulo: string, valor: string}|null} Rótulo normalizado e valor
+ */
+function separarRotulo(linha) {
+  const match = removerMarkdown(linha).match(/^([^:]{2,30}):\s*(.*)$/);
+  if (!match) return null;
+  return { rotulo: normalizarTexto(match[1]).trim(), valor: match[2].trim() };
+}
+
+const ROTULOS_CARGO = [
+  "cargo",
+  "funcao",
+  "posicao",
+  "role",
+  "title",
+  "position",
+];
+const ROTULOS_EMPRESA = ["empresa", "company", "employer", "organizacao"];
+const ROTULOS_PERIODO = ["periodo", "period", "data", "datas", "dates"];
+const ROTULOS_CURSO = ["curso", "course", "degree", "grau", "formacao"];
+const ROTULOS_INSTITUICAO = [
+  "instituicao",
+  "universidade",
+  "faculdade",
+  "institution",
+  "school",
+  "university",
+];
+const ROTULOS_CONCLUSAO = [
+  "conclusao",
+  "concluido",
+  "ano",
+  "graduation",
+  "year",
+];
+
+/**
+ * Extrai os dados de contato das linhas do cabeçalho
+ * @param {Array<string>} linhas - Linhas antes da primeira seção
+ * @returns {Contato} Dados de contato
+ */
+function parsearContato(linhas) {
+  const [primeira = "", ...resto] = linhas.map(removerMarkdown);
+  const contato = { nome: primeira, links: {} };
+
+  for (const parte of resto.flatMap((linha) => linha.split(/\s*[|•·]\s*/))) {
+    const texto = parte.trim();
+    if (!texto) continue;
+
+    const rotulado = separarRotulo(texto);
+    if (rotulado && !/^https?$/.test(rotulado.rotulo)) {
+      const chave = rotulado.rotulo.replace(/[^a-z0-9]+/g, "");
+      if (["email", "e-mail"].includes(rotulado.rotulo)) {
+        contato.email = rotulado.valor;
+      } else if (["telefone", "celular", "phone", "tel"].includes(chave)) {
+        contato.telefone = rotulado.valor;
+      } else {
+        contato.links[chave] = rotulado.valor;
+      }
+    } else if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(texto)) {
+      contato.email = texto;
+    } else if (/^\+?[\d\s().-]{8,}$/.test(texto)) {
+      contato.telefone = texto;
+    } else if (/^(https?:\/\/|www\.)/i.test(texto)) {
+      const dominio = texto.match(/(?:https?:\/\/)?(?:www\.)?([^./]+)\./i);
+      contato.links[dominio ? dominio[1].toLowerCase() : "site"] = texto;
+    } else if (!contato.localizacao) {
+      contato.localizacao = texto;
+    }
+  }
+
+  if (Object.keys(contato.links).length === 0) {
+    delete contato.links;
+  }
+  return contato;
+}
+
+/**
+ * Divide as linhas de uma seção em blocos separados por linhas em branco
+ * @param {Array<string>} linhas - Linhas da seção
+ * @returns {Array<Array<string>>} Blocos de linhas não vazias
+ */
+function dividirEmBlocos(linhas) {
+  const blocos = [[]];
+  for (const linha of linhas) {
+    if (linha.trim()) {
+      blocos[blocos.length - 1].push(linha);
+    } else if (blocos[blocos.length - 1].length > 0) {
+      blocos.push([]);
+    }
+  }
+  return blocos.filter((bloco) => bloco.length > 0);
+}
+
+// Período no final da linha: "2019 – Atual", "01/2017 - 12/2019", "Jan 2020 to Present"
+const REGEX_PERIODO_FINAL =
+  /(?:^|\s[|–—-]\s|[|,])\s*((?:[A-Za-zÀ-ÿ]{3,9}\.?\s+|\d{1,2}\/)?\d{4}(?:\s*(?:[–—-]|a|até|to)\s*(?:(?:[A-Za-zÀ-ÿ]{3,9}\.?\s+|\d{1,2}\/)?\d{4}|atual|o momento|presente|present|hoje|current|now))?)\s*$/i;
+
+/**
+ * Interpreta uma linha sem rótulo de experiência, como
+ * "Cargo | Empresa | Período" ou "Cargo - Empresa (Período)"
+ * @param {string} linha - Linha de texto
+ * @returns {Partial<Experiencia>} Campos encontrados
+ */
+function parsearLinhaExperiencia(linha) {
+  let texto = removerMarkdown(linha);
+  let periodo;
+
+  const periodoEntreParenteses = texto.match(/\(([^)]*\d{4}[^)]*)\)\s*$/);
+  const periodoNoFinal = texto.match(REGEX_PERIODO_FINAL);
+  if (periodoEntreParenteses) {
+    periodo = periodoEntreParenteses[1].trim();
+    texto = texto.slice(0, periodoEntreParenteses.index);
+  } else if (periodoNoFinal) {
+    periodo = periodoNoFinal[1].trim();
+    texto = texto.slice(0, periodoNoFinal.index);
+  }
+
+  const [cargo, empresa] = texto
+    .replace(/[\s|,–—-]+$/, "")
+    .split(/\s*\|\s*|\s+[–—-]\s+|\s+(?:em|at|na|no)\s+|,\s+/)
+    .map((parte) => parte.trim())
+    .filter(Boolean);
+  return { cargo, empresa, periodo };
+}
+
+/**
+ * Extrai as experiências profissionais da seção de experiência.
+ * Uma nova experiência começa a cada linha em branco ou quando um novo
+ * "Cargo:" aparece depois de uma experiência já preenchida.
+ * @param {Array<string>} linhas - Linhas da seção
+ * @returns {Array<Experiencia>} Experiências encontradas
+ */
+function parsearExperiencias(linhas) {
+  const experiencias = [];
+  let atual = null;
+
+  const nova = () => {
+    atual = { cargo: "", empresa: "", periodo: "", atividades: [] };
+    experiencias.push(atual);
+  };
+
+  for (const bloco of dividirEmBlocos(linhas)) {
+    nova();
+    for (const linha of bloco) {
+      if (ehItemLista(linha)) {
+        atual.atividades.push(removerMarkdown(removerMarcadorLista(linha)));
+        continue;
+      }
+
+      const rotulado = separarRotulo(linha);
+      const campo = !rotulado
+        ? null
+        : ROTULOS_CARGO.includes(rotulado.rotulo)
+        ? "cargo"
+        : ROTULOS_EMPRESA.includes(rotulado.rotulo)
+        ? "empresa"
+        : ROTULOS_PERIODO.includes(rotulado.rotulo)
+        ? "periodo"
+        : null;
+
+      if (campo) {
+        if (atual[campo] || (campo === "cargo" && atual.atividades.length)) {
+          nova();
+        }
+        atual[campo] = rotulado.valor;
+      } else if (!atual.cargo && !atual.atividades.length) {
+        Object.assign(
+          atual,
+          Object.fromEntries(
+            Object.entries(parsearLinhaExperiencia(linha)).filter(([, v]) => v)
+          )
+        );
+      } else if (!atual.atividades.length && !atual.empresa) {
+        atual.empresa = removerMarkdown(linha);
+      } else {
+        // Parágrafo sem marcador depois das atividades também é uma atividade
+        atual.atividades.push(removerMarkdown(linha));
+      }
+    }
+  }
+
+  return experiencias
+    .filter((exp) => exp.cargo || exp.empresa || exp.atividades.length)
+    .map((exp) => {
+      const resultado = { cargo: exp.cargo, empresa: exp.empresa };
+      if (exp.periodo) resultado.periodo = exp.periodo;
+      resultado.atividades = exp.atividades;
+      return resultado;
+    });
+}
+
+/**
+ * Extrai as formações da seção de educação.
+ * Uma formação termina numa linha em branco ou depois da linha de conclusão.
+ * @param {Array<string>} linhas - Linhas da seção
+ * @returns {Array<Formacao>} Formações encontradas
+ */
+function parsearEducacao(linhas) {
+  const formacoes = [];
+
+  for (const bloco of dividirEmBlocos(linhas)) {
+    let atual = null;
+    for (const linha of bloco) {
+      if (!atual) {
+        atual = { curso: "", detalhes: [] };
+        formacoes.push(atual);
+      }
+
+      const rotulado = separarRotulo(linha);
+      const texto = removerMarkdown(removerMarcadorLista(linha));
+      if (rotulado && ROTULOS_CURSO.includes(rotulado.rotulo)) {
+        atual.curso = rotulado.valor;
+      } else if (rotulado && ROTULOS_INSTITUICAO.includes(rotulado.rotulo)) {
+        atual.instituicao = rotulado.valor;
+      } else if (
+        rotulado &&
+        [...ROTULOS_CONCLUSAO, ...ROTULOS_PERIODO].includes(rotulado.rotulo)
+      ) {
+        atual.conclusao = rotulado.valor;
+        atual = null;
+      } else if (!atual.curso) {
+        atual.curso = texto;
+      } else if (!atual.instituicao) {
+        atual.instituicao = texto;
+      } else {
+        atual.detalhes.push(texto);
+      }
+    }
+  }
+
+  return formacoes
+    .filter((f) => f.curso)
+    .map(({ detalhes, ...formacao }) =>
+      detalhes.length ? { ...formacao, detalhes } : formacao
+    );
+}
+
+/**
+ * Extrai a lista de habilidades, aceitando itens de lista, vírgulas e
+ * categorias no formato "Categoria: item1, item2"
+ * @param {Array<string>} linhas - Linhas da seção
+ * @returns {Array<string>} Habilidades
+ */
+function parsearHabilidades(linhas) {
+  const habilidades = [];
+  for (const linha of linhas) {
+    if (!linha.trim()) continue;
+    let texto = removerMarkdown(removerMarcadorLista(linha));
+    const rotulado = separarRotulo(texto);
+    if (rotulado && rotulado.valor) {
+      texto = rotulado.valor;
+    }
+    const itens =
+      texto.includes(",") || texto.includes(";")
+        ? texto.split(/[,;]/)
+        : [texto];
+    habilidades.push(...itens.map((item) => item.trim()).filter(Boolean));
+  }
+  return [...new Set(habilidades)];
+}
+
+/**
+ * Converte o texto de um currículo (formato de curriculo.example) no modelo estruturado
+ * @param {string} texto - Texto do currículo
+ * @returns {Curriculo} Currículo estruturado
+ */
+export function parsearCurriculo(texto) {
+  const { cabecalho, secoes } = dividirEmSecoes(texto);
+  const curriculo = {
+    contato: parsearContato(cabecalho),
+    resumo: "",
+    educacao: [],
+    experiencia: [],
+    habilidades: [],
+    outrasSecoes: [],
+  };
+
+  for (const secao of secoes) {
+    switch (secao.tipo) {
+      case "resumo":
+        curriculo.resumo = [
+          curriculo.resumo,
+          ...secao.linhas.map(removerMarkdown),
+        ]
+          .filter(Boolean)
+          .join(" ")
+          .trim();
+        break;
+      case "experiencia":
+        curriculo.experiencia.push(...parsearExperiencias(secao.linhas));
+        break;
+      case "educacao":
+        curriculo.educacao.push(...parsearEducacao(secao.linhas));
+        break;
+      case "habilidades":
+        curriculo.habilidades.push(...parsearHabilidades(secao.linhas));
+        break;
+      default:
+        curriculo.outrasSecoes.push({
+          titulo: secao.titulo,
+          itens: secao.linhas
+            .filter((linha) => linha.trim())
+            .map((linha) => removerMarkdown(removerMarcadorLista(linha))),
+        });
+    }
+  }
+
+  return curriculo;
+}
+
+/**
+ * Formata a seção de experiências no formato de texto do curriculo.example
+ * @param {Array<Experiencia>} experiencias - Experiências
+ * @returns {string} Texto da seção (sem título)
+ */
+export function formatarExperiencias(experiencias = []) {
+  return experiencias
+    .map((exp) =>
+      [
+        `Cargo: ${exp.cargo}`,
+        `Empresa: ${exp.empresa}`,
+        exp.periodo ? `Período: ${exp.periodo}` : null,
+        ...(exp.atividades || []).map((atividade) => `- ${atividade}`),
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .join("\n\n");
+}
+
+/**
+ * Formata a seção de educação no formato de texto do curriculo.example
+ * @param {Array<Formacao>} formacoes - Formações
+ * @returns {string} Texto da seção (sem título)
+ */
+export function formatarEducacao(formacoes = []) {
+  return formacoes
+    .map((formacao) =>
+      [
+        formacao.curso,
+        formacao.instituicao,
+        formacao.conclusao ? `Conclusão: ${formacao.conclusao}` : null,
+        ...(formacao.detalhes || []).map((detalhe) => `- ${detalhe}`),
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .join("\n\n");
+}
+
+/**
+ * Formata a lista de habilidades como itens de lista
+ * @param {Array<string>} habilidades - Habilidades
+ * @returns {string} Texto da seção (sem título)
+ */
+export function formatarHabilidades(habilidades = []) {
+  return habilidades.map((habilidade) => `- ${habilidade}`).join("\n");
+}
+
+/**
+ * Converte o currículo estruturado de volta para texto (formato do curriculo.example),
+ * usado nos prompts e na renderização
+ * @param {Curriculo} curriculo - Currículo estruturado
+ * @returns {string} Texto do currículo
+ */
+export function formatarCurriculoTexto(curriculo) {
+  const { contato = {} } = curriculo;
+  const linhaContato = [contato.localizacao, contato.email, contato.telefone]
+    .filter(Boolean)
+    .join(" | ");
+  const linhaLinks = Object.entries(contato.links || {})
+    .map(([nome, valor]) => {
+      const rotulo =
+        { github: "GitHub", linkedin: "LinkedIn" }[nome] ||
+        nome.charAt(0).toUpperCase() + nome.slice(1);
+      return `${rotulo}: ${valor}`;
+    })
+    .join(" | ");
+
+  const blocos = [
+    [contato.nome, linhaContato, linhaLinks].filter(Boolean).join("\n"),
+  ];
+  const adicionarSecao = (titulo, conteudo) => {
+    if (conteudo && conteudo.trim()) {
+      blocos.push(`${titulo}\n${conteudo}`);
+    }
+  };
+
+  adicionarSecao("RESUMO PROFISSIONAL", curriculo.resumo);
+  adicionarSecao("EDUCAÇÃO", formatarEducacao(curriculo.educacao));
+  adicionarSecao(
+    "EXPERIÊNCIA PROFISSIONAL",
+    formatarExperiencias(curriculo.experiencia)
+  );
+  adicionarSecao("HABILIDADES", formatarHabilidades(curriculo.habilidades));
+  for (const secao of curriculo.outrasSecoes || []) {
+    adicionarSecao(
+      secao.titulo.toUpperCase(),
+      secao.itens.map((item) => `- ${item}`).join("\n")
+    );
+  }
+
+  return blocos.join("\n\n");
+}
+
+/**
+ * Monta os placeholders de cada seção do currículo para os templates de prompt
+ * @param {Curriculo} curriculo - Currículo estruturado
+ * @returns {Object<string, string>} Valores de {{nome}}, {{resumo}}, {{experiencia}},
+ *   {{educacao}} e {{habilidades}}
+ */
+export function secoesParaTemplate(curriculo) {
+  return {
+    nome: curriculo.contato?.nome || "",
+    resumo: curriculo.resumo || "",
+    experiencia: formatarExperiencias(curriculo.experiencia),
+    educacao: formatarEducacao(curriculo.educacao),
+    habilidades: formatarHabilidades(curriculo.habilidades),
+  };
+}
+
+/**
+ * Lê um currículo estruturado (JSON ou YAML) ou em texto e devolve o modelo e o texto
+ * @param {string} curriculoPath - Caminho do arquivo (.json, .yaml, .yml ou .txt)
+ * @returns {{caminho: string, texto: string, dados: Curriculo}} Currículo carregado
+ */
+export function lerCurriculoEstruturado(curriculoPath) {
+  if (!fs.existsSync(curriculoPath)) {
+    throw new Error(`Arquivo de currículo não encontrado: ${curriculoPath}`);
+  }
+
+  const conteudo = fs.readFileSync(curriculoPath, "utf-8");
+  const extensao = path.extname(curriculoPath).toLowerCase();
+
+  if (![".json", ".yaml", ".yml"].includes(extensao)) {
+    const texto = conteudo.trim();
+    return { caminho: curriculoPath, texto, dados: parsearCurriculo(texto) };
+  }
+
+  let dados;
+  try {
+    dados = extensao === ".json" ? JSON.parse(conteudo) : YAML.parse(conteudo);
+  } catch (error) {
+    throw new Error(
+      `Erro ao interpretar ${path.basename(curriculoPath)}: ${error.message}`
+    );
+  }
+
+  const erros = validarCurriculo(dados);
+  if (erros.length > 0) {
+    throw new Error(
+      `Currículo inválido (${path.basename(curriculoPath)}):\n  - ${erros.join(
+        "\n  - "
+      )}`
+    );
+  }
+
+  // Preenche as seções opcionais para que o modelo tenha sempre o mesmo formato
+  const curriculo = {
+    resumo: "",
+    educacao: [],
+    habilidades: [],
+    outrasSecoes: [],
+    ...dados,
+  };
+  return {
+    caminho: curriculoPath,
+    texto: formatarCurriculoTexto(curriculo),
+    dados: curriculo,
+  };
+}
+
+/**
+ * Procura o arquivo de currículo num diretório, na ordem de ARQUIVOS_CURRICULO
+ * @param {string} diretorio - Diretório onde procurar
+ * @returns {string} Caminho do primeiro arquivo encontrado
+ */
+export function localizarCurriculo(diretorio) {
+  for (const nome of ARQUIVOS_CURRICULO) {
+    const caminho = path.join(diretorio, nome);
+    if (fs.existsSync(caminho)) {
+      return caminho;
+    }
+  }
+  throw new Error(
+    `Nenhum arquivo de currículo encontrado em ${diretorio} (${ARQUIVOS_CURRICULO.join(
+      ", "
+    )})`
+  );
+}
+
+/**
+ * Lê o arquivo de currículo
+ * @param {string} curriculoPath - Caminho para o arquivo de currículo (.txt, .json, .yaml ou .yml)
+ * @returns {Promise<string>} Conteúdo do currículo em texto
+ */
+export async function lerCurriculo(curriculoPath) {
+  try {
+    return lerCurriculoEstruturado(curriculoPath).texto;
+  } catch (error) {
+    throw new Error(`Erro ao ler arquivo de currículo: ${error.message}`);
+  }
+}
@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import { detectarIdioma, formatarData } from "./idioma.js";
+import { CAMPOS_METADADOS, formatarMetadados } from "./metadados.js";
+
+/**
+ * Separador entre o cabeçalho e a descrição nos arquivos de descricoes/
+ */
+export const SEPARADOR_DESCRICAO = "=".repeat(80);
+
+const ROTULO_LINK = "LINK DA VAGA";
+const ROTULO_DESCRICAO = "DESCRIÇÃO";
+
+// Rótulos do cabeçalho (em maiúsculas) -> campo dos metadados
+const CAMPOS_POR_ROTULO = Object.fromEntries(
+  Object.entries(CAMPOS_METADADOS).map(([campo, rotulo]) => [
+    rotulo.toUpperCase(),
+    campo,
+  ])
+);
+
+/**
+ * Monta o conteúdo do arquivo TXT de uma vaga: link, metadados, data de
+ * extração (no formato de data do idioma da vaga) e a descrição após o separador
+ * @param {Object} dadosVaga - Dados da vaga (descricao e metadados)
+ * @param {string|null} link - Link da vaga (omitido do cabeçalho se não houver)
+ * @param {Date} data - Data de extração
+ * @returns {string} Conteúdo do arquivo
+ */
+export function formatarArquivoDescricao(dadosVaga, link, data = new Date()) {
+  const cabecalho = [
+    ...(link ? [`${ROTULO_LINK}: ${link}`] : []),
+    ...formatarMetadados(dadosVaga.metadados, { maiusculas: true }),
+    `DATA DE EXTRAÇÃO: ${formatarData(
+      data,
+      detectarIdioma(dadosVaga.descricao)
+    )}`,
+  ];
+  return (
+    cabecalho.map((linha) => `${linha}\n\n`).join("") +
+    `${ROTULO_DESCRICAO}:\n${SEPARADOR_DESCRICAO}\n\n${dadosVaga.descricao}\n`
+  );
+}
+
+/**
+ * Interpreta um arquivo no formato de formatarArquivoDescricao. Arquivos sem o
+ * separador (ex.: texto colado de um e-mail) são lidos inteiros como descrição.
+ * @param {string} conteudo - Conteúdo do arquivo
+ * @returns {{link: string|null, metadados: Object, descricao: string}} Dados da vaga
+ */
+export function interpretarArquivoDescricao(conteudo) {
+  const texto = String(conteudo || "").replace(/\r\n/g, "\n");
+  const separador = `${SEPARADOR_DESCRICAO}\n`;
+  const inicio = texto.indexOf(separador);
+  if (inicio === -1) {
+    return { link: null, metadados: {}, descricao: texto.trim() };
+  }
+
+  let link = null;
+  const metadados = {};
+  for (const linha of texto.slice(0, inicio).split("\n")) {
+    const encontrado = linha.match(/^([^:]+):\s*(.*)$/);
+    if (!encontrado || !encontrado[2].trim()) continue;
+    const rotulo = encontrado[1].trim().toUpperCase();
+    const valor = encontrado[2].trim();
+    if (rotulo === ROTULO_LINK) {
+      link = valor;
+    } else if (CAMPOS_POR_ROTULO[rotulo]) {
+      metadados[CAMPOS_POR_ROTULO[rotulo]] = valor;
+    }
+  }
+
+  return {
+    link,
+    metadados,
+    descricao: texto.slice(inicio + separador.length).trim(),
+  };
+}
+
+/**
+ * Lista as descrições salvas em um diretório (arquivos vaga_<id>.txt)
+ * @param {string} diretorio - Diretório das descrições (ex.: descricoes/)
+ * @returns {Array<{id: string, arquivo: string}>} ID da vaga e caminho de cada arquivo, em ordem alfabética
+ */
+export function listarDescricoesSalvas(diretorio) {
+  if (!fs.existsSync(diretorio)) {
+    throw new Error(`Diretório de descrições não encontrado: ${diretorio}`);
+  }
+  return fs
+    .readdirSync(diretorio)
+    .map((nome) => nome.match(/^vaga_([\w-]+)\.txt$/))
+    .filter(Boolean)
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map((encontrado) => ({
+      id: encontrado[1],
+      arquivo: path.join(diretorio, encontrado[0]),
+    }));
+}
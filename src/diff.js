@@ -0,0 +1,78 @@
+/**
+ * Tamanho máximo da tabela de comparação palavra a palavra; textos maiores
+ * são comparados linha a linha
+ */
+const MAXIMO_CELULAS = 4000000;
+
+/**
+ * Divide um texto em palavras (com o espaço que as segue) ou em linhas
+ * @param {string} texto - Texto
+ * @param {boolean} porLinha - Divide em linhas em vez de palavras
+ * @returns {Array<string>} Trechos que, juntos, formam o texto
+ */
+function dividirTrechos(texto, porLinha) {
+  const padrao = porLinha ? /[^\n]*\n|[^\n]+$/g : /\s+|\S+\s*/g;
+  return String(texto || "").match(padrao) || [];
+}
+
+/**
+ * Compara dois textos (ex.: currículo original e otimizado) e aponta o que foi
+ * mantido, acrescentado e removido, pela maior subsequência comum de palavras.
+ * Diferenças só de espaços não contam.
+ * @param {string} antes - Texto original
+ * @param {string} depois - Texto novo
+ * @returns {Array<{tipo: string, texto: string}>} Trechos em ordem, com tipo
+ *   "igual", "inserido" ou "removido" (trechos seguidos do mesmo tipo são unidos)
+ */
+export function compararTextos(antes, depois) {
+  let a = dividirTrechos(antes, false);
+  let b = dividirTrechos(depois, false);
+  if ((a.length + 1) * (b.length + 1) > MAXIMO_CELULAS) {
+    a = dividirTrechos(antes, true);
+    b = dividirTrechos(depois, true);
+  }
+  const chaveA = a.map((trecho) => trecho.trim());
+  const chaveB = b.map((trecho) => trecho.trim());
+
+  // comuns[i][j]: tamanho da maior subsequência comum de a[i..] e b[j..]
+  const largura = b.length + 1;
+  const comuns = new Uint32Array((a.length + 1) * largura);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      comuns[i * largura + j] =
+        chaveA[i] === chaveB[j]
+          ? comuns[(i + 1) * largura + j + 1] + 1
+          : Math.max(
+              comuns[(i + 1) * largura + j],
+              comuns[i * largura + j + 1]
+            );
+    }
+  }
+
+  const trechos = [];
+  const acrescentar = (tipo, texto) => {
+    const ultimo = trechos[trechos.length - 1];
+    if (ultimo && ultimo.tipo === tipo) {
+      ultimo.texto += texto;
+    } else {
+      trechos.push({ tipo, texto });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (chaveA[i] === chaveB[j]) {
+      acrescentar("igual", b[j]);
+      i++;
+      j++;
+    } else if (comuns[(i + 1) * largura + j] >= comuns[i * largura + j + 1]) {
+      acrescentar("removido", a[i++]);
+    } else {
+      acrescentar("inserido", b[j++]);
+    }
+  }
+  while (i < a.length) acrescentar("removido", a[i++]);
+  while (j < b.length) acrescentar("inserido", b[j++]);
+  return trechos;
+}
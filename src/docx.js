@@ -0,0 +1,330 @@
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  TextRun,
+} from "docx";
+import { IDIOMA_PADRAO, IDIOMAS } from "./idioma.js";
+import {
+  dividirEmSecoes,
+  ehItemLista,
+  removerMarcadorLista,
+} from "./secoes.js";
+
+// Tamanhos em meio-pontos, como o docx espera (22 = 11pt)
+const FONTE_PADRAO = "Calibri";
+const TAMANHO_TEXTO = 22;
+const TAMANHO_NOME = 36;
+const TAMANHO_TITULO_SECAO = 26;
+
+/**
+ * Converte um trecho com **negrito** do Markdown em TextRuns
+ * @param {string} texto - Texto da linha
+ * @param {Object} estilo - Propriedades extras para todos os trechos
+ * @returns {Array<TextRun>} Trechos formatados
+ */
+function criarTrechos(texto, estilo = {}) {
+  const partes = String(texto)
+    .split(/(\*\*[^*]+\*\*)/g)
+    .filter(Boolean);
+  return partes.map((parte) => {
+    const negrito = /^\*\*[^*]+\*\*$/.test(parte);
+    const conteudo = (negrito ? parte.slice(2, -2) : parte)
+      .replace(/__(.+?)__/g, "$1")
+      .replace(/`([^`]+)`/g, "$1");
+    return new TextRun({
+      text: conteudo,
+      size: TAMANHO_TEXTO,
+      ...estilo,
+      bold: estilo.bold || negrito,
+    });
+  });
+}
+
+/**
+ * Cria o parágrafo de uma linha comum de conteúdo
+ * "Rótulo: valor" tem o rótulo em negrito (ex.: "Cargo: Desenvolvedor")
+ * @param {string} linha - Linha de texto
+ * @returns {Paragraph} Parágrafo formatado
+ */
+function criarParagrafoConteudo(linha) {
+  const texto = linha.trim();
+  const rotulo = texto.match(/^([A-Za-zÀ-ÿ ]{2,25}):\s+(.+)$/);
+
+  if (/^#{3,6}\s+/.test(texto)) {
+    return new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      children: criarTrechos(texto.replace(/^#{3,6}\s+/, ""), {
+        bold: true,
+        color: "000000",
+      }),
+      spacing: { before: 160, after: 60 },
+    });
+  }
+
+  if (rotulo && !rotulo[1].includes("**")) {
+    return new Paragraph({
+      children: [
+        new TextRun({
+          text: `${rotulo[1]}: `,
+          bold: true,
+          size: TAMANHO_TEXTO,
+        }),
+        ...criarTrechos(rotulo[2]),
+      ],
+      spacing: { after: 60 },
+    });
+  }
+
+  return new Paragraph({
+    children: criarTrechos(texto),
+    spacing: { after: 80 },
+  });
+}
+
+/**
+ * Cria os parágrafos do cabeçalho (nome e linhas de contato)
+ * @param {Array<string>} linhas - Linhas do cabeçalho
+ * @returns {Array<Paragraph>} Parágrafos do cabeçalho
+ */
+function criarCabecalho(linhas) {
+  return linhas.map((linha, i) => {
+    const texto = linha.replace(/^#{1,6}\s+/, "").replace(/\*\*/g, "");
+    if (i === 0) {
+      return new Paragraph({
+        heading: HeadingLevel.TITLE,
+        alignment: AlignmentType.CENTER,
+        children: [
+          new TextRun({
+            text: texto,
+            bold: true,
+            size: TAMANHO_NOME,
+            color: "000000",
+          }),
+        ],
+        spacing: { after: 80 },
+      });
+    }
+    return new Paragraph({
+      alignment: AlignmentType.CENTER,
+      children: criarTrechos(texto),
+      spacing: { after: 40 },
+    });
+  });
+}
+
+/**
+ * Cria os parágrafos de uma seção: título, listas e parágrafos
+ * @param {{titulo: string, linhas: Array<string>}} secao - Seção do currículo
+ * @returns {Array<Paragraph>} Parágrafos da seção
+ */
+function criarSecao(secao) {
+  const paragrafos = [
+    new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      children: [
+        new TextRun({
+          text: secao.titulo.toUpperCase(),
+          bold: true,
+          size: TAMANHO_TITULO_SECAO,
+          color: "000000",
+        }),
+      ],
+      border: {
+        bottom: {
+          style: BorderStyle.SINGLE,
+          size: 6,
+          color: "999999",
+          space: 1,
+        },
+      },
+      spacing: { before: 240, after: 120 },
+    }),
+  ];
+
+  let anteriorEmBranco = false;
+  for (const linha of secao.linhas) {
+    if (!linha.trim()) {
+      anteriorEmBranco = true;
+      continue;
+    }
+
+    if (ehItemLista(linha)) {
+      paragrafos.push(
+        new Paragraph({
+          bullet: { level: /^\s{2,}/.test(linha) ? 1 : 0 },
+          children: criarTrechos(removerMarcadorLista(linha)),
+          spacing: { after: 40 },
+        })
+      );
+    } else {
+      const paragrafo = criarParagrafoConteudo(linha);
+      // Uma linha em branco no texto vira um espaço antes do próximo bloco
+      if (anteriorEmBranco) {
+        paragrafos.push(
+          new Paragraph({ children: [], spacing: { after: 60 } })
+        );
+      }
+      paragrafos.push(paragrafo);
+    }
+    anteriorEmBranco = false;
+  }
+
+  return paragrafos;
+}
+
+/**
+ * Cria o banner interno de identificação (vaga, link e data de geração).
+ * Serve apenas para conferência: não deve ir para recrutadores.
+ * @param {{titulo: string, link: string, data: string}} banner - Dados do banner
+ * @param {Object} rotulos - Rótulos do idioma do currículo (IDIOMAS[idioma].rotulos)
+ * @returns {Array<Paragraph>} Parágrafos do banner
+ */
+function criarBanner(banner, rotulos) {
+  const linhas = [
+    new Paragraph({
+      children: [new TextRun({ text: banner.titulo, bold: true, size: 28 })],
+    }),
+  ];
+  if (banner.link) {
+    linhas.push(
+      new Paragraph({
+        children: [
+          new TextRun({ text: `${rotulos.link}: ${banner.link}`, size: 20 }),
+        ],
+      })
+    );
+  }
+  if (banner.data) {
+    linhas.push(
+      new Paragraph({
+        children: [
+          new TextRun({ text: `${rotulos.data}: ${banner.data}`, size: 20 }),
+        ],
+      })
+    );
+  }
+  linhas.push(
+    new Paragraph({
+      children: [],
+      border: {
+        bottom: {
+          style: BorderStyle.DOUBLE,
+          size: 6,
+          color: "000000",
+          space: 1,
+        },
+      },
+      spacing: { after: 240 },
+    })
+  );
+  return linhas;
+}
+
+/**
+ * Monta o documento DOCX de um currículo a partir do texto gerado
+ * @param {string} texto - Texto do currículo (pode conter Markdown simples)
+ * @param {Object} opcoes - Opções de renderização
+ * @param {Object|null} opcoes.banner - Banner interno {titulo, link, data}; omitido se null
+ * @param {string} opcoes.idioma - Idioma do currículo: rótulos do banner e idioma
+ *   declarado no documento, usado pela revisão ortográfica (padrão: pt)
+ * @returns {Document} Documento DOCX
+ */
+export function criarDocumentoCurriculo(texto, opcoes = {}) {
+  const { cabecalho, secoes } = dividirEmSecoes(texto);
+  const { locale, rotulos } = IDIOMAS[opcoes.idioma] || IDIOMAS[IDIOMA_PADRAO];
+
+  const children = [
+    ...(opcoes.banner ? criarBanner(opcoes.banner, rotulos) : []),
+    ...criarCabecalho(cabecalho),
+    ...secoes.flatMap(criarSecao),
+  ];
+
+  return criarDocumento(children, locale);
+}
+
+/**
+ * Cria o documento DOCX com a fonte e as margens padrão
+ * @param {Array<Paragraph>} children - Parágrafos do documento
+ * @param {string} locale - Idioma do texto (padrão: pt-BR)
+ * @returns {Document} Documento DOCX
+ */
+function criarDocumento(children, locale = IDIOMAS[IDIOMA_PADRAO].locale) {
+  return new Document({
+    styles: {
+      default: {
+        document: {
+          run: {
+            font: FONTE_PADRAO,
+            size: TAMANHO_TEXTO,
+            language: { value: locale },
+          },
+        },
+      },
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            margin: { top: 1000, bottom: 1000, left: 1100, right: 1100 },
+          },
+        },
+        children,
+      },
+    ],
+  });
+}
+
+/**
+ * Gera o conteúdo binário do DOCX de um currículo
+ * @param {string} texto - Texto do currículo
+ * @param {Object} opcoes - Opções de renderização (ver criarDocumentoCurriculo)
+ * @returns {Promise<Buffer>} Conteúdo do arquivo .docx
+ */
+export async function gerarDocxCurriculo(texto, opcoes = {}) {
+  return Packer.toBuffer(criarDocumentoCurriculo(texto, opcoes));
+}
+
+/**
+ * Monta o documento DOCX de uma carta de apresentação: um parágrafo por bloco
+ * de texto (linhas seguidas, como as da despedida, ficam no mesmo parágrafo)
+ * @param {string} texto - Texto da carta
+ * @param {Object} opcoes - Opções de renderização
+ * @param {string} opcoes.idioma - Idioma da carta ("pt", "en" ou "es"; padrão: pt)
+ * @returns {Document} Documento DOCX
+ */
+export function criarDocumentoCarta(texto, opcoes = {}) {
+  const children = texto
+    .trim()
+    .split(/\r?\n\s*\n/)
+    .map(
+      (bloco) =>
+        new Paragraph({
+          children: bloco
+            .split(/\r?\n/)
+            .flatMap((linha, i) => [
+              ...(i > 0 ? [new TextRun({ break: 1 })] : []),
+              ...criarTrechos(linha.trim()),
+            ]),
+          spacing: { after: 200, line: 300 },
+          alignment: AlignmentType.JUSTIFIED,
+        })
+    );
+  return criarDocumento(
+    children,
+    (IDIOMAS[opcoes.idioma] || IDIOMAS[IDIOMA_PADRAO]).locale
+  );
+}
+
+/**
+ * Gera o conteúdo binário do DOCX de uma carta de apresentação
+ * @param {string} texto - Texto da carta
+ * @param {Object} opcoes - Opções de renderização (ver criarDocumentoCarta)
+ * @returns {Promise<Buffer>} Conteúdo do arquivo .docx
+ */
+export async function gerarDocxCarta(texto, opcoes = {}) {
+  return Packer.toBuffer(criarDocumentoCarta(texto, opcoes));
+}
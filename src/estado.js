@@ -0,0 +1,289 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Etapas do processamento de uma vaga, na ordem em que acontecem
+ *   coleta       - download da descrição da vaga
+ *   geracao      - geração (e verificação) do currículo otimizado
+ *   renderizacao - criação dos arquivos DOCX/PDF
+ *   carta        - carta de apresentação (opcional, só quando pedida)
+ */
+export const ETAPAS = ["coleta", "geracao", "renderizacao", "carta"];
+
+/**
+ * Situações possíveis de uma etapa
+ */
+export const STATUS_ETAPA = {
+  concluida: "concluida",
+  falhou: "falhou",
+};
+
+const VERSAO_ESTADO = 1;
+
+// Parâmetros de rastreamento que não mudam a vaga apontada pelo link
+const PARAMETROS_RASTREAMENTO =
+  /^(utm_\w+|trk|trkInfo|refId|trackingId|ref|src|source)$/i;
+
+/**
+ * Calcula um hash curto (SHA-256) de um ou mais textos
+ * @param {...string} partes - Conteúdos a considerar
+ * @returns {string} Hash em hexadecimal (16 caracteres)
+ */
+export function hashConteudo(...partes) {
+  const hash = crypto.createHash("sha256");
+  for (const parte of partes) {
+    hash.update(String(parte ?? ""));
+    hash.update("\u0000");
+  }
+  return hash.digest("hex").slice(0, 16);
+}
+
+/**
+ * Normaliza um link para que variações do mesmo endereço gerem o mesmo ID
+ * (maiúsculas no domínio, barra final, âncora e parâmetros de rastreamento)
+ * @param {string} link - URL da vaga
+ * @returns {string} URL normalizada
+ */
+function normalizarLink(link) {
+  try {
+    const url = new URL(String(link).trim());
+    url.hash = "";
+    for (const chave of [...url.searchParams.keys()]) {
+      if (PARAMETROS_RASTREAMENTO.test(chave)) url.searchParams.delete(chave);
+    }
+    url.searchParams.sort();
+    url.pathname = url.pathname.replace(/\/+$/, "") || "/";
+    return url.toString();
+  } catch (error) {
+    return String(link).trim();
+  }
+}
+
+/**
+ * Gera o ID canônico de uma vaga: o ID do site de origem quando existir,
+ * senão um hash do link normalizado (ex.: "url-3f2a9c1b7e4d")
+ * @param {string} link - URL da vaga
+ * @param {string|null} jobId - ID da vaga no site (ex.: ID do LinkedIn, "gupy-1234567")
+ * @returns {string} ID da vaga, seguro para usar em nomes de arquivo
+ */
+export function gerarIdVaga(link, jobId = null) {
+  if (jobId && /^[\w-]+$/.test(jobId)) {
+    return jobId;
+  }
+  return `url-${hashConteudo(normalizarLink(link)).slice(0, 12)}`;
+}
+
+/**
+ * Carrega o arquivo de estado das execuções anteriores (ou cria um estado vazio)
+ * @param {string} caminho - Caminho do arquivo JSON de estado
+ * @returns {{caminho: string, versao: number, vagas: Object<string, Object>, revisao: Object|null}} Estado
+ */
+export function carregarEstado(caminho) {
+  if (!fs.existsSync(caminho)) {
+    return { caminho, versao: VERSAO_ESTADO, vagas: {}, revisao: null };
+  }
+
+  let dados;
+  try {
+    dados = JSON.parse(fs.readFileSync(caminho, "utf-8"));
+  } catch (error) {
+    throw new Error(
+      `Arquivo de estado inválido (${caminho}): ${error.message}. Corrija ou apague o arquivo para recomeçar.`
+    );
+  }
+
+  if (!dados || typeof dados.vagas !== "object" || Array.isArray(dados.vagas)) {
+    throw new Error(
+      `Arquivo de estado inválido (${caminho}): campo "vagas" ausente. Corrija ou apague o arquivo para recomeçar.`
+    );
+  }
+
+  return {
+    caminho,
+    versao: dados.versao || VERSAO_ESTADO,
+    vagas: dados.vagas,
+    revisao: dados.revisao || null,
+  };
+}
+
+/**
+ * Grava o estado em disco. A escrita é feita em um arquivo temporário e
+ * renomeada, para que uma interrupção não deixe o arquivo corrompido.
+ * @param {Object} estado - Estado carregado por carregarEstado
+ */
+export function salvarEstado(estado) {
+  fs.mkdirSync(path.dirname(estado.caminho), { recursive: true });
+  const temporario = `${estado.caminho}.tmp`;
+  const conteudo = JSON.stringify(
+    {
+      versao: estado.versao,
+      ...(estado.revisao && { revisao: estado.revisao }),
+      vagas: estado.vagas,
+    },
+    null,
+    2
+  );
+  fs.writeFileSync(temporario, conteudo + "\n", "utf-8");
+  fs.renameSync(temporario, estado.caminho);
+}
+
+/**
+ * Retorna o registro de uma vaga, criando-o se for a primeira vez que ela aparece
+ * @param {Object} estado - Estado carregado
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {string} link - Link da vaga
+ * @returns {{id: string, link: string, criadaEm: string, atualizadaEm: string, etapas: Object}} Registro
+ */
+export function obterRegistroVaga(estado, idVaga, link) {
+  if (!estado.vagas[idVaga]) {
+    const agora = new Date().toISOString();
+    estado.vagas[idVaga] = {
+      id: idVaga,
+      link,
+      criadaEm: agora,
+      atualizadaEm: agora,
+      etapas: {},
+    };
+  }
+  return estado.vagas[idVaga];
+}
+
+/**
+ * Registra o resultado de uma etapa e grava o estado em disco
+ * @param {Object} estado - Estado carregado
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {string} etapa - Uma das ETAPAS
+ * @param {Object} dados - Dados da etapa
+ * @param {string} dados.status - "concluida" ou "falhou"
+ * @param {string} dados.hashEntrada - Hash das entradas usadas na etapa
+ * @param {string} dados.hashSaida - Hash do conteúdo produzido
+ * @param {Array<string>} dados.arquivos - Arquivos gerados
+ * @param {string} dados.erro - Mensagem de erro (quando falhou)
+ * @returns {Object} Registro da etapa
+ */
+export function registrarEtapa(estado, idVaga, etapa, dados) {
+  if (!ETAPAS.includes(etapa)) {
+    throw new Error(
+      `Etapa desconhecida: "${etapa}". Use: ${ETAPAS.join(", ")}`
+    );
+  }
+  const registro = estado.vagas[idVaga];
+  if (!registro) {
+    throw new Error(`Vaga não registrada no estado: ${idVaga}`);
+  }
+
+  const agora = new Date().toISOString();
+  registro.etapas[etapa] = { ...dados, em: agora };
+  registro.atualizadaEm = agora;
+  salvarEstado(estado);
+  return registro.etapas[etapa];
+}
+
+/**
+ * Verifica se uma etapa já foi concluída (com as mesmas entradas, se o hash for informado)
+ * e se os arquivos que ela gerou ainda existem
+ * @param {Object} registro - Registro da vaga
+ * @param {string} etapa - Uma das ETAPAS
+ * @param {string|null} hashEntrada - Hash das entradas atuais (null para não comparar)
+ * @returns {boolean} true se a etapa pode ser pulada
+ */
+export function etapaConcluida(registro, etapa, hashEntrada = null) {
+  const dados = registro && registro.etapas[etapa];
+  if (!dados || dados.status !== STATUS_ETAPA.concluida) {
+    return false;
+  }
+  if (hashEntrada !== null && dados.hashEntrada !== hashEntrada) {
+    return false;
+  }
+  return (dados.arquivos || []).every((arquivo) => fs.existsSync(arquivo));
+}
+
+/**
+ * Registra a revisão do currículo de uma vaga (comando review) e grava o estado
+ * @param {Object} estado - Estado carregado
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {Object} dados - Dados da revisão (mesclados aos anteriores)
+ * @param {string|null} dados.instrucoes - Instruções extras usadas nas próximas gerações
+ * @param {string|null} dados.aprovado - Hash do texto aprovado para virar DOCX/PDF
+ * @returns {Object} Revisão da vaga
+ */
+export function registrarRevisao(estado, idVaga, dados) {
+  const registro = estado.vagas[idVaga];
+  if (!registro) {
+    throw new Error(`Vaga não registrada no estado: ${idVaga}`);
+  }
+
+  const agora = new Date().toISOString();
+  registro.revisao = { ...registro.revisao, ...dados, em: agora };
+  registro.atualizadaEm = agora;
+  salvarEstado(estado);
+  return registro.revisao;
+}
+
+/**
+ * Marca no estado que a interface de revisão foi usada: a partir daí o
+ * pipeline só cria os DOCX/PDF de currículos aprovados, a menos que a
+ * exigência seja desligada (opcoes.exigirAprovacao = false)
+ * @param {Object} estado - Estado carregado
+ */
+export function registrarUsoRevisao(estado) {
+  estado.revisao = { ...estado.revisao, usadaEm: new Date().toISOString() };
+  salvarEstado(estado);
+}
+
+/**
+ * Verifica se o texto do currículo de uma vaga é o que foi aprovado na revisão
+ * (qualquer alteração posterior no texto exige nova aprovação)
+ * @param {Object|undefined} registro - Registro da vaga
+ * @param {string} texto - Texto atual do currículo
+ * @returns {boolean} true se o texto foi aprovado
+ */
+export function curriculoAprovado(registro, texto) {
+  const revisao = (registro && registro.revisao) || {};
+  return Boolean(revisao.aprovado) && revisao.aprovado === hashConteudo(texto);
+}
+
+/**
+ * Situações gerais de uma vaga, usadas no comando status e no filtro --status
+ *   pendente  - alguma etapa ainda não foi executada
+ *   concluida - arquivos do currículo gerados
+ *   falhou    - a última execução de alguma etapa falhou
+ */
+export const SITUACOES_VAGA = ["pendente", "concluida", "falhou"];
+
+/**
+ * Resume a situação de uma vaga a partir das etapas registradas
+ * @param {Object|undefined} registro - Registro da vaga (undefined se nunca processada)
+ * @returns {string} Uma das SITUACOES_VAGA
+ */
+export function situacaoVaga(registro) {
+  const etapas = (registro && registro.etapas) || {};
+  if (Object.values(etapas).some((e) => e.status === STATUS_ETAPA.falhou)) {
+    return "falhou";
+  }
+  if (
+    etapas.renderizacao &&
+    etapas.renderizacao.status === STATUS_ETAPA.concluida
+  ) {
+    return "concluida";
+  }
+  return "pendente";
+}
+
+/**
+ * Indica se uma vaga passa pelos filtros por ID e por situação
+ * @param {Object} opcoes - Filtros
+ * @param {Set<string>|null} opcoes.ids - IDs selecionados (--id)
+ * @param {Set<string>|null} opcoes.status - Situações selecionadas (--status)
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {Object|undefined} registro - Registro da vaga no estado
+ * @returns {boolean} true se a vaga foi selecionada
+ */
+export function vagaSelecionada(opcoes, idVaga, registro) {
+  if (opcoes.ids && !opcoes.ids.has(idVaga)) return false;
+  if (opcoes.status && !opcoes.status.has(situacaoVaga(registro))) {
+    return false;
+  }
+  return true;
+}
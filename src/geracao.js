@@ -0,0 +1,352 @@
+import fs from "fs";
+import { detectarIdioma, IDIOMAS, instrucaoIdioma } from "./idioma.js";
+import { criarProvedorLLM } from "./provedores/index.js";
+import { gerarCurriculoPorSecoes } from "./refinamento.js";
+import {
+  compilarTemplate,
+  PLACEHOLDERS_PROMPT,
+  renderizarTemplate,
+} from "./template.js";
+import { gerarInstrucaoCorrecao, verificarFatos } from "./verificacao.js";
+
+const PROMPT_SISTEMA =
+  "Você é um especialista em otimização de currículos para sistemas ATS. Sempre mantenha a veracidade das informações e otimize para corresponder às vagas.";
+
+/**
+ * Lê e valida o prompt personalizado do agente, se existir
+ * @param {string} promptPath - Caminho para o arquivo de prompt
+ * @param {Object} [placeholders=PLACEHOLDERS_PROMPT] - Placeholders aceitos no template
+ * @returns {string|null} Template do prompt ou null se o arquivo não existir
+ */
+export function carregarPromptPersonalizado(
+  promptPath,
+  placeholders = PLACEHOLDERS_PROMPT
+) {
+  if (!fs.existsSync(promptPath)) {
+    return null;
+  }
+
+  const template = fs.readFileSync(promptPath, "utf-8").trim();
+  try {
+    // Valida a sintaxe e os placeholders antes de processar qualquer vaga
+    compilarTemplate(template, placeholders);
+  } catch (error) {
+    throw new Error(
+      `Erro no prompt personalizado (${promptPath}): ${error.message}`
+    );
+  }
+  return template;
+}
+
+/**
+ * Gera um currículo ATS-friendly otimizado para uma vaga específica
+ * @param {string} curriculoOriginal - Currículo original do usuário
+ * @param {string} descricaoVaga - Descrição completa da vaga
+ * @param {string} promptPersonalizado - Template do prompt personalizado do agente (opcional)
+ * @param {Object} contexto - Dados extras da vaga para o template (link, empresa, titulo...)
+ * @param {string} contexto.instrucoesAdicionais - Instruções acrescentadas ao final do prompt
+ *   (usadas, por exemplo, ao regenerar um currículo reprovado na verificação)
+ * @param {Object} opcoes - Opções da chamada
+ * @param {string} opcoes.idioma - Idioma do currículo: "pt", "en" ou "es" (padrão: não
+ *   pede um idioma; o prompt padrão ganha a instrução de idioma e os templates, o {{idioma}})
+ * @param {Object} opcoes.cliente - Provedor do modelo (padrão: criarProvedorLLM(), OpenAI)
+ * @param {string} opcoes.modelo - Modelo (padrão: o do provedor)
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<string>} Currículo otimizado
+ */
+export async function gerarCurriculoATS(
+  curriculoOriginal,
+  descricaoVaga,
+  promptPersonalizado = null,
+  contexto = {},
+  opcoes = {}
+) {
+  const log = opcoes.log || (() => {});
+  try {
+    const cliente = opcoes.cliente || criarProvedorLLM();
+
+    // Prompt padrão para gerar currículo ATS-friendly
+    // Se o usuário fornecer um prompt personalizado, preenche os placeholders dele
+    const idioma = IDIOMAS[opcoes.idioma] ? opcoes.idioma : null;
+    let promptBase = promptPersonalizado
+      ? renderizarTemplate(promptPersonalizado, {
+          idioma: idioma && IDIOMAS[idioma].nome,
+          ...contexto,
+          curriculo: curriculoOriginal,
+          descricao: descricaoVaga,
+        })
+      : `Você é um especialista em recrutamento e otimização de currículos para sistemas ATS (Applicant Tracking System).
+
+Sua tarefa é criar um currículo ATS-friendly otimizado baseado no currículo original fornecido e na descrição da vaga.
+
+INSTRUÇÕES IMPORTANTES:
+1. Mantenha TODAS as informações verdadeiras do currículo original
+2. Otimize palavras-chave e habilidades para corresponder à descrição da vaga
+3. Use formatação simples e compatível com ATS (sem tabelas complexas, sem colunas, sem gráficos)
+4. Organize as seções de forma clara e padronizada
+5. Destaque experiências e habilidades relevantes para a vaga
+6. Use palavras-chave da descrição da vaga quando apropriado
+7. Mantenha o currículo profissional e objetivo
+8. Garanta que o currículo seja facilmente parseável por sistemas ATS
+
+CURRÍCULO ORIGINAL:
+${curriculoOriginal}
+
+DESCRIÇÃO DA VAGA:
+${descricaoVaga}
+
+Gere um currículo otimizado ATS-friendly que:
+- Mantenha todas as informações verdadeiras do currículo original
+- Destaque as habilidades e experiências mais relevantes para esta vaga específica
+- Use palavras-chave da descrição da vaga de forma natural
+- Seja formatado de forma compatível com sistemas ATS
+- Mantenha a estrutura profissional e clara
+${idioma ? `\n${instrucaoIdioma(idioma)}\n` : ""}
+Retorne APENAS o currículo otimizado, sem explicações adicionais.`;
+
+    if (contexto.instrucoesAdicionais) {
+      promptBase += `\n\n${contexto.instrucoesAdicionais}`;
+    }
+
+    log("Gerando currículo ATS-friendly...");
+
+    const curriculoOtimizado = await cliente.gerar({
+      sistema: PROMPT_SISTEMA,
+      usuario: promptBase,
+      modelo: opcoes.modelo,
+      log,
+    });
+    log("✓ Currículo gerado com sucesso!");
+
+    return curriculoOtimizado;
+  } catch (error) {
+    log(`Erro ao gerar currículo: ${error.message}`, "erro");
+    throw error;
+  }
+}
+
+/**
+ * Gera um texto e confere se ele não inventou fatos. No modo "regenerar", pede
+ * novas versões informando os problemas encontrados na anterior.
+ * @param {function(Array<Object>|null): Promise<string>} gerar - Gera o texto
+ *   (recebe os problemas da versão anterior ou null na primeira geração)
+ * @param {function(string): Object} verificar - Verifica o texto (veja verificarFatos)
+ * @param {Object} opcoes - Opções da verificação
+ * @param {string} opcoes.modo - "avisar", "rejeitar" ou "regenerar"
+ * @param {number} opcoes.maxTentativas - Máximo de gerações no modo "regenerar"
+ * @param {string} opcoes.documento - Documento citado nas mensagens (padrão: "o currículo")
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<{texto: string, verificacao: Object, tentativas: number, aprovado: boolean}>}
+ */
+export async function gerarComVerificacao(gerar, verificar, opcoes = {}) {
+  const modo = opcoes.modo || "avisar";
+  const maxTentativas = modo === "regenerar" ? opcoes.maxTentativas ?? 3 : 1;
+  const documento = opcoes.documento || "o currículo";
+  const log = opcoes.log || (() => {});
+
+  let texto = await gerar(null);
+  let verificacao = verificar(texto);
+  let tentativas = 1;
+
+  while (!verificacao.aprovado && tentativas < maxTentativas) {
+    log(
+      `⚠ ${
+        verificacao.problemas.length
+      } informação(ões) não encontrada(s) no currículo original, gerando ${documento} novamente (tentativa ${
+        tentativas + 1
+      }/${maxTentativas})...`,
+      "aviso"
+    );
+    texto = await gerar(verificacao.problemas);
+    verificacao = verificar(texto);
+    tentativas++;
+  }
+
+  return {
+    texto,
+    verificacao,
+    tentativas,
+    aprovado: verificacao.aprovado || modo === "avisar",
+  };
+}
+
+/**
+ * Gera o currículo e confere se ele não inventou fatos que não existem no original.
+ * No modo "regenerar", pede novas versões ao modelo informando o que foi inventado.
+ * @param {string} curriculoOriginal - Currículo original do usuário
+ * @param {string} descricaoVaga - Descrição completa da vaga
+ * @param {string} promptPersonalizado - Template do prompt personalizado (opcional)
+ * @param {Object} contexto - Dados extras da vaga para o template
+ * @param {Object} opcoes - Opções da verificação
+ * @param {string} opcoes.modo - "avisar", "rejeitar" ou "regenerar"
+ * @param {number} opcoes.maxTentativas - Máximo de gerações no modo "regenerar"
+ * @param {string} opcoes.idioma - Idioma do currículo (veja gerarCurriculoATS). Se for
+ *   diferente do idioma do original, só são verificados os fatos que não se traduzem
+ * @param {Object} opcoes.porSecoes - Alvos de tamanho (veja lerAlvos em refinamento.js): gera
+ *   por seções com gerarCurriculoPorSecoes em vez do prompt único (o prompt personalizado é ignorado)
+ * @param {Object} opcoes.dados - Currículo estruturado, usado na geração por seções
+ * @param {function(Object): void} opcoes.registrar - Recebe os passos da geração por seções
+ * @param {string} opcoes.modelo - Modelo
+ * @param {Object} opcoes.cliente - Provedor do modelo (padrão: criarProvedorLLM(), OpenAI)
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<{curriculo: string, verificacao: Object, tentativas: number, aprovado: boolean}>}
+ */
+export async function gerarCurriculoVerificado(
+  curriculoOriginal,
+  descricaoVaga,
+  promptPersonalizado,
+  contexto,
+  opcoes = {}
+) {
+  const traducao = Boolean(
+    IDIOMAS[opcoes.idioma] &&
+      detectarIdioma(curriculoOriginal) !== opcoes.idioma
+  );
+  const gerar = (contextoGeracao) =>
+    opcoes.porSecoes
+      ? gerarCurriculoPorSecoes(
+          curriculoOriginal,
+          descricaoVaga,
+          contextoGeracao,
+          {
+            ...opcoes,
+            alvos: opcoes.porSecoes,
+          }
+        )
+      : gerarCurriculoATS(
+          curriculoOriginal,
+          descricaoVaga,
+          promptPersonalizado,
+          contextoGeracao,
+          opcoes
+        );
+  const { texto, ...resultado } = await gerarComVerificacao(
+    (problemas) =>
+      gerar(
+        problemas
+          ? {
+              ...contexto,
+              instrucoesAdicionais: [
+                contexto.instrucoesAdicionais,
+                gerarInstrucaoCorrecao(problemas),
+              ]
+                .filter(Boolean)
+                .join("\n\n"),
+            }
+          : contexto
+      ),
+    (curriculo) => verificarFatos(curriculoOriginal, curriculo, { traducao }),
+    opcoes
+  );
+  return { curriculo: texto, ...resultado };
+}
+
+/**
+ * Ênfases das variantes geradas para uma vaga. A primeira variante usa o
+ * prompt sem ênfase extra; as demais recebem uma destas instruções, em ordem.
+ */
+export const ENFASES_VARIANTES = [
+  "as palavras-chave e os requisitos técnicos da vaga",
+  "os resultados e as conquistas mensuráveis de cada experiência",
+  "a experiência mais parecida com as responsabilidades do cargo",
+  "liderança, colaboração e comunicação",
+];
+
+/**
+ * Máximo de variantes por vaga (uma sem ênfase e uma por item de ENFASES_VARIANTES)
+ */
+export const MAXIMO_VARIANTES = ENFASES_VARIANTES.length + 1;
+
+/**
+ * Gera várias versões do currículo para a mesma vaga, cada uma com uma ênfase
+ * diferente, e fica com a de maior pontuação entre as aprovadas na verificação.
+ * Com uma variante, equivale a gerarCurriculoVerificado.
+ * @param {string} curriculoOriginal - Currículo original do usuário
+ * @param {string} descricaoVaga - Descrição completa da vaga
+ * @param {string} promptPersonalizado - Template do prompt personalizado (opcional)
+ * @param {Object} contexto - Dados extras da vaga para o template
+ * @param {Object} opcoes - Opções de gerarCurriculoVerificado e mais:
+ * @param {number} opcoes.variantes - Quantidade de versões, de 1 a MAXIMO_VARIANTES (padrão: 1)
+ * @param {function(string): number} opcoes.pontuar - Pontua uma versão (ex.: pontuação ATS na vaga)
+ * @returns {Promise<{curriculo: string, verificacao: Object, tentativas: number, aprovado: boolean,
+ *   variantes: Array<{enfase: string|null, pontuacao: number, aprovado: boolean}>, escolhida: number}>}
+ *   Resultado da versão escolhida, as pontuações de todas e o índice da escolhida
+ */
+export async function gerarVariantesCurriculo(
+  curriculoOriginal,
+  descricaoVaga,
+  promptPersonalizado,
+  contexto,
+  opcoes = {}
+) {
+  const quantidade = Number(opcoes.variantes) || 1;
+  if (
+    !Number.isInteger(quantidade) ||
+    quantidade < 1 ||
+    quantidade > MAXIMO_VARIANTES
+  ) {
+    throw new Error(
+      `Quantidade de variantes inválida: ${opcoes.variantes}. Use de 1 a ${MAXIMO_VARIANTES}`
+    );
+  }
+  if (quantidade === 1) {
+    const resultado = await gerarCurriculoVerificado(
+      curriculoOriginal,
+      descricaoVaga,
+      promptPersonalizado,
+      contexto,
+      opcoes
+    );
+    return { ...resultado, variantes: [], escolhida: 0 };
+  }
+
+  const log = opcoes.log || (() => {});
+  const enfases = [null, ...ENFASES_VARIANTES].slice(0, quantidade);
+  // As chamadas respeitam o limite do provedor; as mensagens indicam a variante
+  const resultados = await Promise.all(
+    enfases.map((enfase, i) =>
+      gerarCurriculoVerificado(
+        curriculoOriginal,
+        descricaoVaga,
+        promptPersonalizado,
+        enfase
+          ? {
+              ...contexto,
+              instrucoesAdicionais: [
+                contexto.instrucoesAdicionais,
+                `ÊNFASE DESTA VERSÃO: destaque ${enfase}, sem inventar informações.`,
+              ]
+                .filter(Boolean)
+                .join("\n\n"),
+            }
+          : contexto,
+        {
+          ...opcoes,
+          log: (mensagem, nivel) =>
+            log(`[variante ${i + 1}/${quantidade}] ${mensagem}`, nivel),
+          registrar:
+            opcoes.registrar &&
+            ((passo) => opcoes.registrar({ ...passo, variante: i + 1 })),
+        }
+      )
+    )
+  );
+
+  const variantes = resultados.map((resultado, i) => ({
+    enfase: enfases[i],
+    pontuacao: opcoes.pontuar ? opcoes.pontuar(resultado.curriculo) : 0,
+    aprovado: resultado.aprovado,
+  }));
+  // A melhor aprovada; se nenhuma foi aprovada, a primeira (rejeitada, como sem variantes)
+  let escolhida = 0;
+  variantes.forEach((variante, i) => {
+    const atual = variantes[escolhida];
+    if (
+      variante.aprovado &&
+      (!atual.aprovado || variante.pontuacao > atual.pontuacao)
+    ) {
+      escolhida = i;
+    }
+  });
+  return { ...resultados[escolhida], variantes, escolhida };
+}
@@ -0,0 +1,238 @@
+import { normalizarParaComparacao, normalizarTexto } from "./texto.js";
+
+/**
+ * Idiomas suportados nos currículos gerados. Para cada um:
+ *   nome        - como o idioma é citado nos prompts
+ *   locale      - usado nas datas e no atributo de idioma do DOCX/PDF
+ *   nomes       - nomes aceitos em --language, IDIOMA_CURRICULO e CARTA_IDIOMA
+ *   indicadores - palavras frequentes usadas na detecção (sem acentos)
+ *   secoes      - títulos padrão das seções do currículo
+ *   rotulos     - textos fixos do DOCX/PDF (banner interno)
+ *   atual       - como escrever o fim de um período em andamento
+ */
+export const IDIOMAS = {
+  pt: {
+    nome: "português (Brasil)",
+    locale: "pt-BR",
+    nomes: ["pt", "pt-br", "portugues", "portugues (brasil)", "portuguese"],
+    indicadores: [
+      "uma",
+      "com",
+      "nao",
+      "voce",
+      "os",
+      "da",
+      "em",
+      "na",
+      "sao",
+      "ou",
+      "seu",
+      "sua",
+      "vaga",
+    ],
+    secoes: {
+      resumo: "RESUMO PROFISSIONAL",
+      experiencia: "EXPERIÊNCIA PROFISSIONAL",
+      educacao: "FORMAÇÃO ACADÊMICA",
+      habilidades: "HABILIDADES",
+      certificacoes: "CERTIFICAÇÕES",
+      idiomas: "IDIOMAS",
+      projetos: "PROJETOS",
+    },
+    rotulos: {
+      titulo: "CURRÍCULO OTIMIZADO PARA VAGA",
+      link: "LINK DA VAGA",
+      data: "DATA DE GERAÇÃO",
+      documento: "Currículo",
+    },
+    atual: "Atual",
+  },
+  en: {
+    nome: "inglês",
+    locale: "en-US",
+    nomes: ["en", "en-us", "en-gb", "ingles", "english"],
+    indicadores: [
+      "the",
+      "and",
+      "to",
+      "of",
+      "with",
+      "for",
+      "you",
+      "our",
+      "is",
+      "are",
+      "will",
+      "experience",
+    ],
+    secoes: {
+      resumo: "PROFESSIONAL SUMMARY",
+      experiencia: "PROFESSIONAL EXPERIENCE",
+      educacao: "EDUCATION",
+      habilidades: "SKILLS",
+      certificacoes: "CERTIFICATIONS",
+      idiomas: "LANGUAGES",
+      projetos: "PROJECTS",
+    },
+    rotulos: {
+      titulo: "RESUME OPTIMIZED FOR JOB",
+      link: "JOB LINK",
+      data: "GENERATED ON",
+      documento: "Resume",
+    },
+    atual: "Present",
+  },
+  es: {
+    nome: "espanhol",
+    locale: "es-ES",
+    nomes: ["es", "es-es", "es-419", "espanhol", "espanol", "spanish"],
+    indicadores: [
+      "el",
+      "los",
+      "las",
+      "y",
+      "con",
+      "del",
+      "una",
+      "es",
+      "en",
+      "su",
+      "tu",
+      "puesto",
+    ],
+    secoes: {
+      resumo: "RESUMEN PROFESIONAL",
+      experiencia: "EXPERIENCIA PROFESIONAL",
+      educacao: "FORMACIÓN ACADÉMICA",
+      habilidades: "HABILIDADES",
+      certificacoes: "CERTIFICACIONES",
+      idiomas: "IDIOMAS",
+      projetos: "PROYECTOS",
+    },
+    rotulos: {
+      titulo: "CURRÍCULUM OPTIMIZADO PARA LA VACANTE",
+      link: "ENLACE DE LA VACANTE",
+      data: "FECHA DE GENERACIÓN",
+      documento: "Currículum",
+    },
+    atual: "Actualidad",
+  },
+};
+
+/**
+ * Idioma usado quando a detecção não é conclusiva
+ */
+export const IDIOMA_PADRAO = "pt";
+
+// Mínimo de palavras indicadoras para confiar na detecção
+const MINIMO_INDICADORES = 3;
+
+/**
+ * Detecta o idioma de um texto (português, inglês ou espanhol) contando
+ * palavras frequentes de cada idioma
+ * @param {string} texto - Texto a analisar (ex.: descrição da vaga)
+ * @returns {string} Código do idioma: "pt", "en" ou "es" (IDIOMA_PADRAO se não for conclusivo)
+ */
+export function detectarIdioma(texto) {
+  const contagens = Object.fromEntries(
+    Object.keys(IDIOMAS).map((codigo) => [codigo, 0])
+  );
+  for (const palavra of normalizarParaComparacao(texto).split(" ")) {
+    for (const [codigo, { indicadores }] of Object.entries(IDIOMAS)) {
+      if (indicadores.includes(palavra)) contagens[codigo]++;
+    }
+  }
+
+  const [codigo, contagem] = Object.entries(contagens).sort(
+    (a, b) => b[1] - a[1]
+  )[0];
+  return contagem >= MINIMO_INDICADORES && contagem > contagens[IDIOMA_PADRAO]
+    ? codigo
+    : IDIOMA_PADRAO;
+}
+
+/**
+ * Procura o código de um idioma pelo código ou nome (ex.: "en", "English", "inglês")
+ * @param {string} valor - Código ou nome do idioma
+ * @returns {string|null} Código do idioma ou null se não for suportado
+ */
+function codigoDoIdioma(valor) {
+  const normalizado = normalizarTexto(valor).trim();
+  return (
+    Object.keys(IDIOMAS).find((codigo) =>
+      IDIOMAS[codigo].nomes.includes(normalizado)
+    ) || null
+  );
+}
+
+/**
+ * Nome de um idioma para os prompts: "en" → "inglês". Idiomas não suportados
+ * (ex.: "francês") são devolvidos como foram informados.
+ * @param {string} valor - Código ou nome do idioma
+ * @returns {string} Nome do idioma
+ */
+export function nomeDoIdioma(valor) {
+  const codigo = codigoDoIdioma(valor);
+  return codigo ? IDIOMAS[codigo].nome : valor;
+}
+
+/**
+ * Interpreta o idioma informado pelo usuário ("auto", um código como "en" ou
+ * um nome como "inglês")
+ * @param {string} valor - Idioma informado (vazio equivale a "auto")
+ * @returns {string} "auto" ou o código do idioma
+ */
+export function lerIdioma(valor) {
+  const normalizado = normalizarTexto(valor).trim();
+  if (!normalizado || normalizado === "auto") return "auto";
+
+  const codigo = codigoDoIdioma(valor);
+  if (!codigo) {
+    throw new Error(
+      `Idioma inválido: "${valor}". Use: auto, ${Object.keys(IDIOMAS).join(
+        ", "
+      )}`
+    );
+  }
+  return codigo;
+}
+
+/**
+ * Escolhe o idioma do currículo de uma vaga: o forçado pelo usuário ou o
+ * detectado na descrição
+ * @param {string} escolhido - "auto" ou código do idioma (veja lerIdioma)
+ * @param {string} descricao - Descrição da vaga
+ * @returns {string} Código do idioma
+ */
+export function idiomaDaVaga(escolhido, descricao) {
+  return escolhido && escolhido !== "auto"
+    ? escolhido
+    : detectarIdioma(descricao);
+}
+
+/**
+ * Formata uma data no formato do idioma (ex.: 19/10/2026 x 10/19/2026)
+ * @param {Date} data - Data
+ * @param {string} idioma - Código do idioma (padrão: IDIOMA_PADRAO)
+ * @returns {string} Data e hora formatadas
+ */
+export function formatarData(data, idioma = IDIOMA_PADRAO) {
+  return data.toLocaleString(
+    (IDIOMAS[idioma] || IDIOMAS[IDIOMA_PADRAO]).locale
+  );
+}
+
+/**
+ * Monta a instrução de idioma acrescentada ao prompt padrão do currículo
+ * @param {string} idioma - Código do idioma
+ * @returns {string} Instrução para o prompt
+ */
+export function instrucaoIdioma(idioma) {
+  const { nome, secoes, atual } = IDIOMAS[idioma] || IDIOMAS[IDIOMA_PADRAO];
+  return (
+    `IDIOMA: escreva todo o currículo em ${nome}, inclusive os títulos das seções ` +
+    `(${Object.values(secoes).join(", ")}), os rótulos e as datas ` +
+    `(use "${atual}" para o emprego atual). Traduza cargos e atividades, mas ` +
+    "mantenha os nomes de empresas, instituições, certificações e tecnologias como estão no original."
+  );
+}
@@ -0,0 +1,344 @@
+import { compilarTemplate, PLACEHOLDERS_NOME_ARQUIVO } from "./template.js";
+import { normalizarTexto, slugificar } from "./texto.js";
+
+/**
+ * Campos estruturados extraídos de cada vaga, com o rótulo usado nos arquivos e relatórios
+ */
+export const CAMPOS_METADADOS = {
+  titulo: "Título",
+  empresa: "Empresa",
+  local: "Local",
+  modalidade: "Modalidade",
+  senioridade: "Senioridade",
+  contratacao: "Tipo de contratação",
+  publicacao: "Data de publicação",
+  salario: "Salário",
+};
+
+// Ordem importa: "híbrido (2 dias presencial)" é híbrido, não presencial
+const MODALIDADES = [
+  ["Híbrido", /\b(hibrido|hibrida|hybrid)\b/],
+  [
+    "Remoto",
+    /\b(remoto|remota|remote|home office|anywhere|teletrabalho|trabalho a distancia|telecommute)\b/,
+  ],
+  ["Presencial", /\b(presencial|on[- ]?site|in[- ]office|on[- ]premises)\b/],
+];
+
+const SENIORIDADES = [
+  ["Pleno-sênior", /\b(pleno[- /]senior|mid[- ]senior)\b/],
+  ["Estágio", /\b(estagio|estagiario|estagiaria|intern|internship|trainee)\b/],
+  ["Júnior", /\b(junior|jr)\b/],
+  ["Pleno", /\b(pleno|mid[- ]?level|intermediate)\b/],
+  ["Sênior", /\b(senior|sr)\b/],
+  ["Especialista", /\b(especialista|staff|principal|specialist|expert)\b/],
+  [
+    "Liderança",
+    /\b(lead|lider|tech lead|head|coordenador|coordenadora|gerente|manager|diretor|diretora|director)\b/,
+  ],
+];
+
+const CONTRATACOES = [
+  ["Estágio", /\b(estagio|intern|internship)\b/],
+  ["Temporário", /\b(temporario|temporary|temp)\b/],
+  ["PJ", /\b(pj|pessoa juridica|contractor|contract|freelance|freelancer)\b/],
+  ["Meio período", /\b(meio periodo|part[- _]?time|meio expediente)\b/],
+  ["CLT", /\b(clt|efetivo)\b/],
+  ["Tempo integral", /\b(full[- _]?time|tempo integral|permanent)\b/],
+];
+
+// Na descrição só termos inequívocos: "contrato" e "full-time" aparecem em outros contextos
+const CONTRATACOES_DESCRICAO = [
+  ["CLT", /\bclt\b/],
+  ["PJ", /\b(pj|pessoa juridica)\b/],
+];
+
+// Rótulos do bloco de critérios das vagas (ex.: "Nível de experiência" no LinkedIn)
+const ROTULOS_CRITERIOS = [
+  ["senioridade", /nivel de experiencia|seniority|nivel|experience level/],
+  ["contratacao", /tipo de emprego|employment type|tipo de contrat|job type/],
+  ["modalidade", /modelo de trabalho|workplace|modalidade|tipo de local/],
+  ["publicacao", /publicad|posted|data de publicacao/],
+  ["salario", /salario|salary|remuneracao|compensation|pay/],
+  ["local", /localizacao|location|local/],
+];
+
+const MOEDAS = { BRL: "R$", USD: "US$", EUR: "€", GBP: "£" };
+
+const UNIDADES_SALARIO = {
+  HOUR: "hora",
+  DAY: "dia",
+  WEEK: "semana",
+  MONTH: "mês",
+  YEAR: "ano",
+};
+
+const REGEX_SALARIO =
+  /(?:R\$|US\$|USD|BRL|€|£)\s?\d[\d.,]*(?:\s?(?:k|mil))?(?:\s*(?:-|–|a|até|to)\s*(?:R\$|US\$|USD|BRL|€|£)?\s?\d[\d.,]*(?:\s?(?:k|mil))?)?(?:\s*(?:\/|por|per)\s*(?:m[eê]s|month|ano|year|hora|hour))?/i;
+
+/**
+ * Procura o primeiro valor cuja expressão regular combine com o texto
+ * @param {string} texto - Texto a analisar
+ * @param {Array<[string, RegExp]>} opcoes - [valor, regex] em ordem de prioridade
+ * @returns {string|null} Valor encontrado
+ */
+function classificar(texto, opcoes) {
+  const normalizado = normalizarTexto(texto);
+  if (!normalizado) return null;
+  const encontrado = opcoes.find(([, regex]) => regex.test(normalizado));
+  return encontrado ? encontrado[0] : null;
+}
+
+/**
+ * Identifica a modalidade de trabalho (Remoto, Híbrido ou Presencial)
+ * @param {...string} textos - Textos em ordem de confiança (campo da página, título, local, descrição)
+ * @returns {string|null} Modalidade
+ */
+export function detectarModalidade(...textos) {
+  for (const texto of textos) {
+    const modalidade = classificar(texto, MODALIDADES);
+    if (modalidade) return modalidade;
+  }
+  return null;
+}
+
+/**
+ * Identifica a senioridade da vaga (Estágio, Júnior, Pleno, Sênior, Especialista ou Liderança)
+ * @param {...string} textos - Textos em ordem de confiança
+ * @returns {string|null} Senioridade
+ */
+export function detectarSenioridade(...textos) {
+  for (const texto of textos) {
+    const senioridade = classificar(texto, SENIORIDADES);
+    if (senioridade) return senioridade;
+  }
+  return null;
+}
+
+/**
+ * Identifica o tipo de contratação (CLT, PJ, Estágio, Temporário, Meio período, Tempo integral)
+ * @param {...string} textos - Textos em ordem de confiança
+ * @returns {string|null} Tipo de contratação
+ */
+export function detectarContratacao(...textos) {
+  for (const texto of textos) {
+    const contratacao = classificar(texto, CONTRATACOES);
+    if (contratacao) return contratacao;
+  }
+  return null;
+}
+
+/**
+ * Procura uma faixa salarial no texto (ex.: "R$ 8.000 - R$ 12.000 / mês")
+ * @param {string} texto - Texto da vaga
+ * @returns {string|null} Salário como aparece no texto
+ */
+export function detectarSalario(texto) {
+  const match = String(texto || "").match(REGEX_SALARIO);
+  return match ? match[0].trim().replace(/[.,;]+$/, "") : null;
+}
+
+/**
+ * Formata o salário no formato schema.org (baseSalary do JSON-LD)
+ * @param {Object} baseSalary - Ex.: {currency: "BRL", value: {minValue, maxValue, unitText}}
+ * @returns {string|null} Salário em texto (ex.: "R$ 8.000 - 12.000 / mês")
+ */
+export function formatarSalarioJsonLd(baseSalary) {
+  if (!baseSalary || typeof baseSalary !== "object") return null;
+  const valor =
+    typeof baseSalary.value === "object" ? baseSalary.value : baseSalary;
+  const moeda = baseSalary.currency || valor.currency || "";
+  const simbolo = MOEDAS[moeda] || moeda;
+  const numero = (n) =>
+    Number(n).toLocaleString("pt-BR", { maximumFractionDigits: 2 });
+
+  let faixa;
+  if (valor.minValue != null && valor.maxValue != null) {
+    faixa =
+      valor.minValue === valor.maxValue
+        ? numero(valor.minValue)
+        : `${numero(valor.minValue)} - ${numero(valor.maxValue)}`;
+  } else if (valor.minValue != null || valor.maxValue != null) {
+    faixa = numero(valor.minValue ?? valor.maxValue);
+  } else if (valor.value != null && typeof valor.value !== "object") {
+    faixa = numero(valor.value);
+  } else {
+    return null;
+  }
+
+  const unidade = UNIDADES_SALARIO[String(valor.unitText || "").toUpperCase()];
+  return `${simbolo ? `${simbolo} ` : ""}${faixa}${
+    unidade ? ` / ${unidade}` : ""
+  }`;
+}
+
+/**
+ * Converte a data de publicação em AAAA-MM-DD. Aceita datas ISO e datas
+ * relativas como "há 3 dias", "2 weeks ago" ou "publicada hoje".
+ * @param {string} texto - Data como aparece na página
+ * @param {Date} agora - Data de referência para datas relativas
+ * @returns {string|null} Data em AAAA-MM-DD
+ */
+export function interpretarDataPublicacao(texto, agora = new Date()) {
+  const original = String(texto || "").trim();
+  if (!original) return null;
+
+  const iso = original.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (iso) return iso[1];
+
+  const brasileira = original.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+  if (brasileira) {
+    const [, dia, mes, ano] = brasileira;
+    return `${ano}-${mes.padStart(2, "0")}-${dia.padStart(2, "0")}`;
+  }
+
+  const normalizado = normalizarTexto(original);
+  const data = new Date(agora);
+  if (/\b(hoje|today|agora|just now|now)\b/.test(normalizado)) {
+    return data.toISOString().slice(0, 10);
+  }
+  if (/\b(ontem|yesterday)\b/.test(normalizado)) {
+    data.setDate(data.getDate() - 1);
+    return data.toISOString().slice(0, 10);
+  }
+
+  const relativa = normalizado.match(
+    /(\d+|um|uma|an?)\s+(minuto|minute|hora|hour|dia|day|semana|week|mes|month|ano|year)/
+  );
+  if (!relativa) return null;
+
+  const quantidade = /^\d+$/.test(relativa[1]) ? Number(relativa[1]) : 1;
+  const unidade = relativa[2];
+  if (/^(dia|day)/.test(unidade)) data.setDate(data.getDate() - quantidade);
+  else if (/^(semana|week)/.test(unidade))
+    data.setDate(data.getDate() - quantidade * 7);
+  else if (/^(mes|month)/.test(unidade))
+    data.setMonth(data.getMonth() - quantidade);
+  else if (/^(ano|year)/.test(unidade))
+    data.setFullYear(data.getFullYear() - quantidade);
+  return data.toISOString().slice(0, 10);
+}
+
+/**
+ * Distribui os pares "rótulo: valor" de um bloco de critérios da vaga
+ * (ex.: "Nível de experiência: Pleno-sênior") nos campos de metadados
+ * @param {Array<{rotulo: string, valor: string}>} criterios - Pares encontrados na página
+ * @returns {Object<string, string>} Campos reconhecidos
+ */
+export function interpretarCriterios(criterios = []) {
+  const campos = {};
+  for (const { rotulo, valor } of criterios) {
+    const normalizado = normalizarTexto(rotulo);
+    const campo = ROTULOS_CRITERIOS.find(([, regex]) =>
+      regex.test(normalizado)
+    );
+    if (campo && valor && !campos[campo[0]]) {
+      campos[campo[0]] = String(valor).trim();
+    }
+  }
+  return campos;
+}
+
+/**
+ * Monta os metadados da vaga a partir dos campos extraídos da página,
+ * completando os que faltarem com o que for possível deduzir do título,
+ * do local e da descrição
+ * @param {Object} dados - Dados brutos da vaga (descricao, titulo, empresa, local,
+ *   modalidade, senioridade, contratacao, publicacao, salario, criterios)
+ * @param {Date} agora - Data de referência para datas relativas
+ * @returns {Object<string, string|null>} Metadados com todos os CAMPOS_METADADOS
+ */
+export function montarMetadados(dados, agora = new Date()) {
+  const criterios = interpretarCriterios(dados.criterios);
+  const campo = (nome) => dados[nome] || criterios[nome] || null;
+  const { titulo, descricao } = dados;
+  const local = campo("local");
+
+  // Campos da página são normalizados; se não existirem, procura no título e na descrição
+  return {
+    titulo: titulo || null,
+    empresa: dados.empresa || null,
+    local,
+    modalidade: detectarModalidade(
+      campo("modalidade"),
+      titulo,
+      local,
+      descricao
+    ),
+    senioridade: campo("senioridade")
+      ? detectarSenioridade(campo("senioridade")) || campo("senioridade")
+      : detectarSenioridade(titulo),
+    contratacao: campo("contratacao")
+      ? detectarContratacao(campo("contratacao")) || campo("contratacao")
+      : detectarContratacao(titulo) ||
+        classificar(descricao, CONTRATACOES_DESCRICAO),
+    publicacao: interpretarDataPublicacao(campo("publicacao"), agora),
+    salario: campo("salario") || detectarSalario(descricao),
+  };
+}
+
+/**
+ * Formata os metadados preenchidos como linhas "Rótulo: valor"
+ * @param {Object} metadados - Resultado de montarMetadados
+ * @param {Object} opcoes - Opções
+ * @param {Array<string>} opcoes.campos - Campos a incluir (padrão: todos)
+ * @param {boolean} opcoes.maiusculas - Rótulos em maiúsculas, como nos cabeçalhos dos arquivos TXT
+ * @returns {Array<string>} Linhas
+ */
+export function formatarMetadados(metadados, opcoes = {}) {
+  const campos = opcoes.campos || Object.keys(CAMPOS_METADADOS);
+  return campos
+    .filter((campo) => metadados && metadados[campo])
+    .map((campo) => {
+      const rotulo = CAMPOS_METADADOS[campo];
+      return `${opcoes.maiusculas ? rotulo.toUpperCase() : rotulo}: ${
+        metadados[campo]
+      }`;
+    });
+}
+
+/**
+ * Resume a vaga em uma linha (ex.: "Desenvolvedor Pleno - ACME (Remoto)")
+ * @param {Object} metadados - Resultado de montarMetadados
+ * @returns {string} Resumo ou string vazia se não houver título nem empresa
+ */
+export function resumirVaga(metadados) {
+  if (!metadados) return "";
+  const nome = [metadados.titulo, metadados.empresa]
+    .filter(Boolean)
+    .join(" - ");
+  return nome && metadados.modalidade
+    ? `${nome} (${metadados.modalidade})`
+    : nome;
+}
+
+/**
+ * Padrão usado nos nomes dos currículos quando PADRAO_NOME_ARQUIVO não é definido
+ */
+export const PADRAO_NOME_ARQUIVO = "curriculo_vaga_{{id}}";
+
+/**
+ * Valida o padrão de nome dos arquivos de currículo e retorna uma função que
+ * monta o nome (sem extensão) de uma vaga. Os valores são convertidos para
+ * minúsculas sem acentos e espaços; {{id}} é obrigatório para que duas vagas
+ * nunca gerem o mesmo arquivo.
+ * @param {string} padrao - Padrão com placeholders (ex.: "{{empresa}}_{{titulo}}_{{id}}")
+ * @returns {function(string, Object): string} Função (idVaga, dados) => nome do arquivo
+ */
+export function criarNomeadorArquivos(padrao = PADRAO_NOME_ARQUIVO) {
+  const compilado = compilarTemplate(padrao, PLACEHOLDERS_NOME_ARQUIVO);
+  return (idVaga, dados = {}) => {
+    const valores = { id: idVaga };
+    for (const campo of Object.keys(PLACEHOLDERS_NOME_ARQUIVO)) {
+      if (campo !== "id" && dados[campo]) {
+        valores[campo] = slugificar(dados[campo]);
+      }
+    }
+    const nome = compilado
+      .renderizar(valores)
+      .replace(/[\\/:*?"<>|\s]+/g, "_")
+      .replace(/([_-])[_-]+/g, "$1")
+      .replace(/^[._-]+|[._-]+$/g, "");
+    return nome || `curriculo_vaga_${idVaga}`;
+  };
+}
@@ -0,0 +1,158 @@
+import fs from "fs";
+import path from "path";
+import puppeteer from "puppeteer";
+
+/**
+ * Funções do navegador usado pelo scraper e pelos PDFs: abertura com a sessão
+ * do usuário (cookies ou perfil do Chrome) e o login interativo
+ */
+
+// Valores de sameSite das extensões de exportação de cookies → Puppeteer
+const SAME_SITE = {
+  strict: "Strict",
+  lax: "Lax",
+  none: "None",
+  no_restriction: "None",
+};
+
+/**
+ * Lê um arquivo de cookies: a lista salva pelo comando login (formato do
+ * Puppeteer), {cookies: [...]} ou a exportação de extensões como EditThisCookie.
+ * Cookies expirados são ignorados.
+ * @param {string} arquivo - Caminho do arquivo JSON
+ * @returns {{cookies: Array<Object>, expirados: number}} Cookies válidos e quantos expiraram
+ */
+export function lerCookies(arquivo) {
+  if (!fs.existsSync(arquivo)) {
+    throw new Error(`Arquivo de cookies não encontrado: ${arquivo}`);
+  }
+
+  let dados;
+  try {
+    dados = JSON.parse(fs.readFileSync(arquivo, "utf-8"));
+  } catch (error) {
+    throw new Error(
+      `Arquivo de cookies inválido (${arquivo}): ${error.message}`
+    );
+  }
+  const lista = Array.isArray(dados) ? dados : dados && dados.cookies;
+  if (!Array.isArray(lista)) {
+    throw new Error(
+      `Arquivo de cookies inválido (${arquivo}): use uma lista de cookies`
+    );
+  }
+
+  const agora = Date.now() / 1000;
+  const cookies = [];
+  let expirados = 0;
+  for (const cookie of lista) {
+    if (!cookie || !cookie.name || cookie.value === undefined) continue;
+    const expira = cookie.expires ?? cookie.expirationDate;
+    if (expira > 0 && expira < agora) {
+      expirados++;
+      continue;
+    }
+    const sameSite = SAME_SITE[String(cookie.sameSite || "").toLowerCase()];
+    cookies.push({
+      name: cookie.name,
+      value: String(cookie.value),
+      domain: cookie.domain,
+      path: cookie.path || "/",
+      ...(expira > 0 && { expires: expira }),
+      httpOnly: Boolean(cookie.httpOnly),
+      secure: Boolean(cookie.secure),
+      ...(sameSite && { sameSite }),
+    });
+  }
+  return { cookies, expirados };
+}
+
+/**
+ * Salva os cookies do navegador em um arquivo JSON (lido depois por lerCookies)
+ * @param {puppeteer.Browser} browser - Navegador com a sessão
+ * @param {string} arquivo - Caminho do arquivo
+ * @returns {Promise<number>} Quantidade de cookies salvos
+ */
+export async function salvarCookies(browser, arquivo) {
+  const cookies = await browser.cookies();
+  fs.mkdirSync(path.dirname(arquivo), { recursive: true });
+  fs.writeFileSync(arquivo, JSON.stringify(cookies, null, 2), {
+    encoding: "utf-8",
+    mode: 0o600,
+  });
+  return cookies.length;
+}
+
+/**
+ * Abre o navegador
+ * @param {Object} opcoes - Opções
+ * @param {Array<Object>} opcoes.cookies - Cookies da sessão (veja lerCookies)
+ * @param {string} opcoes.perfil - Pasta de dados do Chrome (userDataDir), que guarda a sessão entre execuções
+ * @param {boolean} opcoes.visivel - Mostra a janela do navegador (usado pelo login)
+ * @returns {Promise<puppeteer.Browser>} Navegador
+ */
+export async function iniciarNavegador(opcoes = {}) {
+  const browser = await puppeteer.launch({
+    headless: !opcoes.visivel,
+    defaultViewport: opcoes.visivel ? null : undefined,
+    userDataDir: opcoes.perfil || undefined,
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  });
+  if (opcoes.cookies && opcoes.cookies.length > 0) {
+    await browser.setCookie(...opcoes.cookies);
+  }
+  return browser;
+}
+
+/**
+ * Abre o navegador visível na página de login do site para o usuário entrar
+ * na conta e salva a sessão: os cookies no arquivo informado e, com um perfil,
+ * também na pasta de dados do Chrome
+ * @param {Object} opcoes - Opções
+ * @param {string} opcoes.urlLogin - Página de login do site
+ * @param {string} opcoes.cookies - Arquivo onde os cookies serão salvos
+ * @param {string} opcoes.perfil - Pasta de dados do Chrome (opcional)
+ * @param {function(AbortSignal): Promise<void>} opcoes.aguardarUsuario - Resolve quando
+ *   o usuário confirmar que entrou (o sinal é abortado se o navegador for fechado antes)
+ * @param {function(string): boolean} opcoes.paginaDeLogin - Indica se o endereço ainda é
+ *   de login ou verificação (login não concluído)
+ * @returns {Promise<{cookies: number, arquivo: string}>} Cookies salvos e o arquivo
+ */
+export async function entrarNoSite(opcoes) {
+  const browser = await iniciarNavegador({
+    perfil: opcoes.perfil,
+    visivel: true,
+  });
+  const controle = new AbortController();
+  const fechado = new Promise((resolve, reject) =>
+    browser.once("disconnected", () => {
+      controle.abort();
+      reject(
+        new Error("O navegador foi fechado antes da confirmação do login")
+      );
+    })
+  );
+
+  try {
+    const [page] = await browser.pages();
+    await page.goto(opcoes.urlLogin, { waitUntil: "domcontentloaded" });
+    await Promise.race([opcoes.aguardarUsuario(controle.signal), fechado]);
+
+    const paginas = await browser.pages();
+    const atual = paginas.length > 0 ? paginas[paginas.length - 1].url() : "";
+    if (opcoes.paginaDeLogin && opcoes.paginaDeLogin(atual)) {
+      throw new Error(
+        `O login não foi concluído: o navegador ainda está em ${atual}`
+      );
+    }
+
+    const cookies = await salvarCookies(browser, opcoes.cookies);
+    return { cookies, arquivo: opcoes.cookies };
+  } finally {
+    controle.abort();
+    fechado.catch(() => {});
+    if (browser.connected) {
+      await browser.close();
+    }
+  }
+}
@@ -0,0 +1,299 @@
+import fs from "fs";
+import { createRequire } from "module";
+import zlib from "zlib";
+import { IDIOMA_PADRAO, IDIOMAS } from "./idioma.js";
+import {
+  dividirEmSecoes,
+  ehItemLista,
+  removerMarcadorLista,
+} from "./secoes.js";
+import { escaparHtml } from "./texto.js";
+
+// Carlito (mesmas medidas da Calibri) vai junto com o projeto, para que o PDF
+// saia igual em qualquer máquina; as fontes do sistema só cobrem caracteres
+// que ela não tem. O Chrome embute no PDF o subconjunto usado
+const FONTE_EMBUTIDA = "Carlito ATS";
+const FONTES = `"${FONTE_EMBUTIDA}", "Calibri", "Carlito", "Arial", "Liberation Sans", "Helvetica", sans-serif`;
+
+// Arquivos da Carlito (pacote @fontsource/carlito): faixas de caracteres de
+// cada arquivo, como no CSS do pacote, e pesos usados no layout
+const FAIXAS_FONTE = {
+  latin:
+    "U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD",
+  "latin-ext":
+    "U+0100-02BA,U+02BD-02C5,U+02C7-02CC,U+02CE-02D7,U+02DD-02FF,U+0304,U+0308,U+0329,U+1D00-1DBF,U+1E00-1E9F,U+1EF2-1EFF,U+2020,U+20A0-20AB,U+20AD-20C0,U+2113,U+2C60-2C7F,U+A720-A7FF",
+};
+const PESOS_FONTE = [400, 700];
+
+let estiloFontes = null;
+
+/**
+ * Monta as regras @font-face da fonte embutida, com os arquivos em data URIs
+ * (a página do PDF é criada com setContent e não lê arquivos locais)
+ * @returns {string} CSS das fontes
+ */
+function carregarFontes() {
+  if (estiloFontes) return estiloFontes;
+  const require = createRequire(import.meta.url);
+  estiloFontes = PESOS_FONTE.flatMap((peso) =>
+    Object.entries(FAIXAS_FONTE).map(([faixa, caracteres]) => {
+      const arquivo = require.resolve(
+        `@fontsource/carlito/files/carlito-${faixa}-${peso}-normal.woff2`
+      );
+      const dados = fs.readFileSync(arquivo).toString("base64");
+      return `@font-face {
+    font-family: "${FONTE_EMBUTIDA}";
+    font-weight: ${peso};
+    font-style: normal;
+    src: url(data:font/woff2;base64,${dados}) format("woff2");
+    unicode-range: ${caracteres};
+  }`;
+    })
+  ).join("\n  ");
+  return estiloFontes;
+}
+
+/**
+ * Converte o Markdown simples de uma linha (**negrito**) em HTML
+ * @param {string} texto - Texto da linha
+ * @returns {string} HTML da linha
+ */
+function formatarTrechos(texto) {
+  return escaparHtml(texto)
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(.+?)__/g, "$1")
+    .replace(/`([^`]+)`/g, "$1");
+}
+
+/**
+ * Converte uma linha comum de conteúdo em HTML
+ * @param {string} linha - Linha de texto
+ * @returns {string} Parágrafo HTML
+ */
+function formatarLinha(linha) {
+  const texto = linha.trim();
+  const rotulo = texto.match(/^([A-Za-zÀ-ÿ ]{2,25}):\s+(.+)$/);
+
+  if (/^#{3,6}\s+/.test(texto)) {
+    return `<h3>${formatarTrechos(texto.replace(/^#{3,6}\s+/, ""))}</h3>`;
+  }
+  if (rotulo && !rotulo[1].includes("**")) {
+    return `<p><strong>${escaparHtml(rotulo[1])}:</strong> ${formatarTrechos(
+      rotulo[2]
+    )}</p>`;
+  }
+  return `<p>${formatarTrechos(texto)}</p>`;
+}
+
+/**
+ * Converte as linhas de uma seção em HTML, agrupando itens de lista em <ul>
+ * @param {Array<string>} linhas - Linhas da seção
+ * @returns {string} HTML do conteúdo da seção
+ */
+function formatarConteudoSecao(linhas) {
+  const partes = [];
+  let itens = [];
+
+  const fecharLista = () => {
+    if (itens.length > 0) {
+      partes.push(`<ul>${itens.join("")}</ul>`);
+      itens = [];
+    }
+  };
+
+  for (const linha of linhas) {
+    if (!linha.trim()) {
+      fecharLista();
+      partes.push('<div class="espaco"></div>');
+    } else if (ehItemLista(linha)) {
+      itens.push(`<li>${formatarTrechos(removerMarcadorLista(linha))}</li>`);
+    } else {
+      fecharLista();
+      partes.push(formatarLinha(linha));
+    }
+  }
+  fecharLista();
+
+  return partes.join("\n");
+}
+
+/**
+ * Gera o HTML de coluna única usado na exportação para PDF.
+ * O layout evita colunas, tabelas, imagens e ligaturas para que a camada
+ * de texto do PDF seja extraída corretamente pelos sistemas ATS.
+ * @param {string} texto - Texto do currículo
+ * @param {Object} opcoes - Opções de renderização
+ * @param {Object|null} opcoes.banner - Banner interno {titulo, link, data}; omitido se null
+ * @param {string} opcoes.idioma - Idioma do currículo: rótulos do banner e atributo
+ *   lang do documento (padrão: pt)
+ * @returns {string} Documento HTML completo
+ */
+export function gerarHtmlCurriculo(texto, opcoes = {}) {
+  const { cabecalho, secoes } = dividirEmSecoes(texto);
+  const [nome, ...contato] = cabecalho.map((linha) =>
+    linha.replace(/^#{1,6}\s+/, "").replace(/\*\*/g, "")
+  );
+  const { locale, rotulos } = IDIOMAS[opcoes.idioma] || IDIOMAS[IDIOMA_PADRAO];
+
+  const banner = opcoes.banner
+    ? `<div class="banner">
+  <p><strong>${escaparHtml(opcoes.banner.titulo)}</strong></p>
+  ${
+    opcoes.banner.link
+      ? `<p>${rotulos.link}: ${escaparHtml(opcoes.banner.link)}</p>`
+      : ""
+  }
+  ${
+    opcoes.banner.data
+      ? `<p>${rotulos.data}: ${escaparHtml(opcoes.banner.data)}</p>`
+      : ""
+  }
+</div>`
+    : "";
+
+  const corpoSecoes = secoes
+    .map(
+      (secao) => `<section>
+  <h2>${escaparHtml(secao.titulo.toUpperCase())}</h2>
+  ${formatarConteudoSecao(secao.linhas)}
+</section>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<title>${escaparHtml(nome || rotulos.documento)}</title>
+<style>
+  ${carregarFontes()}
+  @page { size: A4; margin: 18mm 20mm; }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    font-family: ${FONTES};
+    font-size: 10.5pt;
+    line-height: 1.35;
+    color: #000;
+    font-variant-ligatures: none;
+    font-feature-settings: "liga" 0, "clig" 0;
+  }
+  header { text-align: center; margin-bottom: 10pt; }
+  h1 { font-size: 18pt; margin: 0 0 4pt; }
+  header p { margin: 0 0 2pt; }
+  h2 {
+    font-size: 12pt;
+    margin: 12pt 0 6pt;
+    padding-bottom: 2pt;
+    border-bottom: 1px solid #999;
+    page-break-after: avoid;
+  }
+  h3 { font-size: 11pt; margin: 8pt 0 3pt; page-break-after: avoid; }
+  p { margin: 0 0 3pt; }
+  ul { margin: 0 0 4pt; padding-left: 16pt; }
+  li { margin: 0 0 2pt; }
+  .espaco { height: 5pt; }
+  .banner { border-bottom: 3px double #000; margin-bottom: 12pt; font-size: 9pt; }
+  a { color: inherit; text-decoration: none; }
+</style>
+</head>
+<body>
+${banner}
+<header>
+  ${nome ? `<h1>${escaparHtml(nome)}</h1>` : ""}
+  ${contato.map((linha) => `<p>${formatarTrechos(linha)}</p>`).join("\n  ")}
+</header>
+${corpoSecoes}
+</body>
+</html>
+`;
+}
+
+/**
+ * Lê os dicionários e os streams do PDF como texto: os streams compactados
+ * (conteúdo das páginas e, em alguns geradores, os próprios objetos) são
+ * descompactados, para que as buscas funcionem nos dois casos
+ * @param {Buffer} pdf - Conteúdo do arquivo .pdf
+ * @returns {string} Texto do PDF com os streams descompactados
+ */
+function lerConteudoPdf(pdf) {
+  const bruto = pdf.toString("latin1");
+  const partes = [bruto];
+  for (const [, dados] of bruto.matchAll(
+    /stream\r?\n([\s\S]*?)\r?\nendstream/g
+  )) {
+    try {
+      partes.push(
+        zlib.inflateSync(Buffer.from(dados, "latin1")).toString("latin1")
+      );
+    } catch (error) {
+      // Stream sem compactação ou em outro formato: já está no texto bruto
+    }
+  }
+  return partes.join("\n");
+}
+
+/**
+ * Confere se o PDF atende ao que os sistemas ATS precisam: fontes embutidas
+ * (cada descritor de fonte com o arquivo da fonte), mapa /ToUnicode para
+ * extrair o texto e páginas com texto, não com imagens
+ * @param {Buffer} pdf - Conteúdo do arquivo .pdf
+ * @returns {Array<string>} Problemas encontrados (vazio se o PDF estiver correto)
+ */
+export function verificarPdf(pdf) {
+  const conteudo = lerConteudoPdf(pdf);
+  const contar = (regex) => (conteudo.match(regex) || []).length;
+  const problemas = [];
+
+  const descritores = contar(/\/Type\s*\/FontDescriptor\b/g);
+  const embutidas = contar(/\/FontFile[23]?\b/g);
+  if (descritores === 0) {
+    problemas.push("nenhuma fonte encontrada");
+  } else if (embutidas < descritores) {
+    problemas.push(
+      `${descritores - embutidas} de ${descritores} fonte(s) não embutida(s)`
+    );
+  }
+  if (contar(/\/ToUnicode\b/g) === 0) {
+    problemas.push("fontes sem mapa /ToUnicode (texto não extraível)");
+  }
+  if (!/\bBT\b[\s\S]*?\bT[jJ]\b/.test(conteudo)) {
+    problemas.push("nenhum texto nas páginas");
+  }
+  return problemas;
+}
+
+/**
+ * Renderiza o currículo em PDF usando uma instância já aberta do navegador
+ * @param {puppeteer.Browser} browser - Instância do navegador Puppeteer
+ * @param {string} texto - Texto do currículo
+ * @param {Object} opcoes - Opções de renderização (ver gerarHtmlCurriculo)
+ * @returns {Promise<Buffer>} Conteúdo do arquivo .pdf
+ */
+export async function gerarPdfCurriculo(browser, texto, opcoes = {}) {
+  const page = await browser.newPage();
+  try {
+    await page.setContent(gerarHtmlCurriculo(texto, opcoes), {
+      waitUntil: "load",
+    });
+    // Garante que as fontes foram carregadas antes de imprimir
+    await page.evaluate(() => document.fonts.ready);
+
+    const pdf = await page.pdf({
+      format: "A4",
+      preferCSSPageSize: true,
+      printBackground: false,
+      // PDF marcado (tagged) melhora a extração de texto e a acessibilidade
+      tagged: true,
+      outline: false,
+    });
+    const buffer = Buffer.from(pdf);
+    const problemas = verificarPdf(buffer);
+    if (problemas.length > 0) {
+      throw new Error(`PDF fora do padrão ATS: ${problemas.join("; ")}`);
+    }
+    return buffer;
+  } finally {
+    await page.close();
+  }
+}
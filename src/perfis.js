@@ -0,0 +1,121 @@
+import fs from "fs";
+import path from "path";
+import { ARQUIVOS_CURRICULO, lerCurriculoEstruturado } from "./curriculo.js";
+import { extrairPalavrasChave, pontuarCurriculo } from "./pontuacao.js";
+import { normalizarTexto } from "./texto.js";
+
+// Extensões aceitas na pasta de perfis (as mesmas de ARQUIVOS_CURRICULO)
+const EXTENSOES_PERFIL = [
+  ...new Set(ARQUIVOS_CURRICULO.map((nome) => path.extname(nome))),
+];
+
+/**
+ * @typedef {Object} Perfil
+ * @property {string} nome - Nome do perfil (nome do arquivo sem extensão, ex.: "backend")
+ * @property {string} caminho - Arquivo do currículo
+ * @property {string} texto - Currículo em texto
+ * @property {import("./curriculo.js").Curriculo} dados - Currículo estruturado
+ */
+
+/**
+ * Lê os currículos base de uma pasta de perfis (ex.: perfis/backend.yaml,
+ * perfis/dados.json, perfis/gestao.txt)
+ * @param {string} diretorio - Pasta dos perfis
+ * @returns {Array<Perfil>} Perfis em ordem alfabética
+ */
+export function carregarPerfis(diretorio) {
+  if (!fs.existsSync(diretorio) || !fs.statSync(diretorio).isDirectory()) {
+    throw new Error(`Pasta de perfis não encontrada: ${diretorio}`);
+  }
+
+  const arquivos = fs
+    .readdirSync(diretorio)
+    .filter((nome) =>
+      EXTENSOES_PERFIL.includes(path.extname(nome).toLowerCase())
+    )
+    .sort();
+  if (arquivos.length === 0) {
+    throw new Error(
+      `Nenhum currículo na pasta de perfis ${diretorio} (${EXTENSOES_PERFIL.join(
+        ", "
+      )})`
+    );
+  }
+
+  const perfis = [];
+  for (const arquivo of arquivos) {
+    const nome = path.basename(arquivo, path.extname(arquivo));
+    if (perfis.some((perfil) => perfil.nome === nome)) {
+      throw new Error(
+        `Perfil "${nome}" repetido em ${diretorio}: mantenha um arquivo por perfil`
+      );
+    }
+    perfis.push({
+      nome,
+      ...lerCurriculoEstruturado(path.join(diretorio, arquivo)),
+    });
+  }
+  return perfis;
+}
+
+/**
+ * Procura um perfil pelo nome, sem diferenciar maiúsculas nem acentos
+ * @param {Array<Perfil>} perfis - Perfis carregados
+ * @param {string} nome - Nome informado (ex.: coluna "perfil" do CSV)
+ * @returns {Perfil} Perfil encontrado
+ */
+function buscarPerfil(perfis, nome) {
+  const normalizado = normalizarTexto(nome).trim();
+  const perfil = perfis.find(
+    (candidato) => normalizarTexto(candidato.nome) === normalizado
+  );
+  if (!perfil) {
+    throw new Error(
+      `Perfil "${nome}" não encontrado. Use: ${perfis
+        .map((candidato) => candidato.nome)
+        .join(", ")}`
+    );
+  }
+  return perfil;
+}
+
+/**
+ * Escolhe o currículo base de uma vaga: o informado pelo nome ou, sem ele, o
+ * perfil com a maior pontuação ATS na descrição (empate: o primeiro em ordem alfabética)
+ * @param {Array<Perfil>} perfis - Perfis carregados
+ * @param {string} descricao - Descrição da vaga
+ * @param {Object} opcoes - Opções
+ * @param {string} opcoes.nome - Perfil escolhido pelo usuário (ex.: coluna "perfil" do CSV)
+ * @param {Array<Array<string>>} opcoes.sinonimos - Grupos de sinônimos da pontuação
+ * @returns {{perfil: Perfil, origem: string, pontuacoes: Array<{nome: string, pontuacao: number}>}}
+ *   Perfil escolhido, origem da escolha ("informado" ou "pontuacao") e as
+ *   pontuações de cada perfil (vazias quando o perfil foi informado)
+ */
+export function escolherPerfil(perfis, descricao, opcoes = {}) {
+  if (opcoes.nome) {
+    return {
+      perfil: buscarPerfil(perfis, opcoes.nome),
+      origem: "informado",
+      pontuacoes: [],
+    };
+  }
+  if (perfis.length === 1) {
+    return { perfil: perfis[0], origem: "pontuacao", pontuacoes: [] };
+  }
+
+  const { sinonimos } = opcoes;
+  const palavrasChave = extrairPalavrasChave(descricao, { sinonimos });
+  const pontuacoes = perfis.map((perfil) => ({
+    nome: perfil.nome,
+    pontuacao: pontuarCurriculo(palavrasChave, perfil.texto, { sinonimos })
+      .pontuacao,
+  }));
+  const melhor = pontuacoes.reduce((escolhida, atual) =>
+    atual.pontuacao > escolhida.pontuacao ? atual : escolhida
+  );
+  return {
+    perfil: perfis.find((perfil) => perfil.nome === melhor.nome),
+    origem: "pontuacao",
+    pontuacoes,
+  };
+}
@@ -0,0 +1,1332 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import {
+  gerarCartaVerificada,
+  lerOpcoesCarta,
+  nomeArquivoCarta,
+} from "./carta.js";
+import {
+  CONCORRENCIA_PADRAO,
+  criarIntervaloPorHost,
+  criarLimitador,
+  criarSaidaOrdenada,
+  executarEmParalelo,
+  validarLimite,
+} from "./concorrencia.js";
+import {
+  lerCurriculoEstruturado,
+  localizarCurriculo,
+  secoesParaTemplate,
+} from "./curriculo.js";
+import {
+  carregarEstado,
+  curriculoAprovado,
+  ETAPAS,
+  etapaConcluida,
+  hashConteudo,
+  obterRegistroVaga,
+  registrarEtapa,
+  situacaoVaga,
+  STATUS_ETAPA,
+  vagaSelecionada,
+} from "./estado.js";
+import {
+  carregarPromptPersonalizado,
+  gerarVariantesCurriculo,
+  MAXIMO_VARIANTES,
+} from "./geracao.js";
+import {
+  criarNomeadorArquivos,
+  montarMetadados,
+  PADRAO_NOME_ARQUIVO,
+  resumirVaga,
+} from "./metadados.js";
+import { IDIOMAS, idiomaDaVaga, lerIdioma, nomeDoIdioma } from "./idioma.js";
+import { iniciarNavegador, lerCookies } from "./navegador.js";
+import { carregarPerfis, escolherPerfil } from "./perfis.js";
+import {
+  compararPontuacoes,
+  formatarRanking,
+  formatarRelatorioPontuacao,
+} from "./pontuacao.js";
+import { criarCacheLLM } from "./cache.js";
+import { criarProvedorLLM, TIPOS_ERRO_LLM } from "./provedores/index.js";
+import { formatarRelatorioRefinamento, lerAlvos } from "./refinamento.js";
+import { criarEscritorArquivos, lerFormatosSaida } from "./saida.js";
+import { localizarTitulosSecoes } from "./secoes.js";
+import { carregarSinonimos } from "./sinonimos.js";
+import { PLACEHOLDERS_CARTA } from "./template.js";
+import {
+  ajustarDescricao,
+  carregarPrecos,
+  criarContadorUso,
+  estimarTokens,
+  formatarRelatorioUso,
+  formatarUso,
+  limiteContexto,
+} from "./tokens.js";
+import {
+  baixarDescricaoVaga,
+  descricaoValida,
+  idDaEntrada,
+  lerCSVVagas,
+  lerDescricoesSalvas,
+  lerEntradaCsv,
+} from "./vagas.js";
+import {
+  formatarRelatorioVerificacao,
+  MODOS_VERIFICACAO,
+} from "./verificacao.js";
+
+/**
+ * Etapas executadas quando nenhuma é informada: coleta, geração, renderização,
+ * carta de apresentação (só com opcoes.carta.ativa) e pontuação (relatórios
+ * de pontuação ATS e ranking)
+ */
+export const ETAPAS_PIPELINE = [...ETAPAS, "pontuacao"];
+
+/**
+ * Executa as etapas de coleta, geração, renderização, carta e pontuação para as vagas
+ * selecionadas. As vagas são processadas em paralelo, com limites separados para
+ * as páginas abertas no navegador e para as chamadas ao modelo; os eventos de
+ * cada vaga são emitidos na ordem do CSV, como se o processamento fosse sequencial.
+ * Não escreve no console: o progresso é emitido em dependencias.eventos:
+ *   "inicio"      {total, etapas, simulacao, offline, concorrencia}
+ *   "vaga:inicio" {indice, total, id, link}
+ *   "log"         {mensagem, nivel ("info", "aviso" ou "erro"), id (null fora de uma vaga)}
+ *   "etapa"       {id, etapa, status, erro, arquivos}
+ *   "vaga:fim"    {id, falhou}
+ *   "progresso"   {concluidas, total, decorridoMs, restanteMs}
+ *   "fim"         {vagasSelecionadas, vagasComFalha, ranking}
+ * @param {Object} opcoes - Opções (caminhos relativos a opcoes.diretorio)
+ * @param {string} opcoes.diretorio - Pasta base dos caminhos padrão (padrão: pasta atual)
+ * @param {Array<string>} opcoes.etapas - Etapas a executar (padrão: ETAPAS_PIPELINE)
+ * @param {string} opcoes.curriculo - Arquivo do currículo (padrão: procurado em opcoes.diretorio)
+ * @param {string} opcoes.perfis - Pasta com vários currículos base (perfis); cada vaga usa o
+ *   da coluna "perfil" do CSV ou o de maior pontuação ATS (padrão: perfis/, se existir e
+ *   opcoes.curriculo não for informado)
+ * @param {number} opcoes.variantes - Versões geradas por vaga, com ênfases diferentes; fica a
+ *   de maior pontuação ATS (padrão: 1, de 1 a MAXIMO_VARIANTES)
+ * @param {string|Array<Object>} opcoes.vagas - CSV de vagas ou linhas já lidas (padrão: vagas.csv)
+ * @param {string} opcoes.prompt - Prompt personalizado (padrão: prompt_agente.txt, se existir)
+ * @param {boolean} opcoes.promptObrigatorio - Falha se o arquivo de prompt não existir
+ * @param {string} opcoes.promptCarta - Prompt da carta de apresentação (padrão: prompt_carta.txt, se existir)
+ * @param {boolean} opcoes.promptCartaObrigatorio - Falha se o arquivo do prompt da carta não existir
+ * @param {string} opcoes.descricoes - Diretório das descrições (padrão: descricoes/)
+ * @param {string} opcoes.curriculos - Diretório dos currículos (padrão: curriculos_otimizados/)
+ * @param {string} opcoes.relatorios - Diretório dos relatórios (padrão: relatorios/)
+ * @param {string} opcoes.estado - Arquivo de estado (padrão: estado_vagas.json)
+ * @param {string} opcoes.sinonimos - Sinônimos extras da pontuação (padrão: sinonimos.json)
+ * @param {Set<number>|null} opcoes.linhas - Linhas selecionadas, contando a partir de 1
+ * @param {Set<string>|null} opcoes.ids - IDs selecionados
+ * @param {Set<string>|null} opcoes.status - Situações selecionadas
+ * @param {string} opcoes.provedor - Provedor do modelo: openai, compativel, anthropic, azure ou falso
+ * @param {string} opcoes.modelo - Modelo (padrão: o do provedor)
+ * @param {number} opcoes.temperatura - Temperatura da geração (padrão: 0.7)
+ * @param {number} opcoes.maxTokens - Máximo de tokens da resposta (padrão: 4000)
+ * @param {string} opcoes.baseUrl - Endereço da API (provedores compativel, azure e anthropic)
+ * @param {string} opcoes.apiKey - Chave da API (padrão: a variável de ambiente do provedor)
+ * @param {number} opcoes.tentativas - Tentativas por chamada ao modelo em erros transitórios (padrão: 4)
+ * @param {number} opcoes.timeoutMs - Tempo máximo de espera pela resposta do modelo (padrão: 120000)
+ * @param {number} opcoes.contexto - Tokens de contexto do modelo (padrão: o da tabela LIMITES_CONTEXTO)
+ * @param {boolean} opcoes.usarCache - Reaproveita respostas de prompts iguais (padrão: true)
+ * @param {string} opcoes.cache - Pasta do cache das respostas do modelo (padrão: cache_llm/)
+ * @param {string} opcoes.precos - Tabela de preços por modelo (padrão: precos.json, se existir)
+ * @param {number} opcoes.tentativasColeta - Tentativas de download de cada vaga (padrão: 3)
+ * @param {string} opcoes.capturas - Diretório das capturas das páginas que falharam
+ *   (padrão: relatorios/capturas)
+ * @param {Object} opcoes.sessao - Sessão do navegador padrão (opcional)
+ * @param {string} opcoes.sessao.cookies - Arquivo de cookies (veja lerCookies)
+ * @param {string} opcoes.sessao.perfil - Pasta de dados do Chrome (userDataDir)
+ * @param {string|Array<string>} opcoes.formatos - Formatos dos arquivos (padrão: docx e pdf)
+ * @param {boolean} opcoes.offline - Lê as vagas de opcoes.descricoes em vez do CSV
+ * @param {boolean} opcoes.simulacao - Só informa as etapas pendentes de cada vaga
+ * @param {{modo: string, maxTentativas: number}} opcoes.verificacao - Verificação de fatos
+ * @param {number} opcoes.pontuacaoMinima - Pontuação ATS mínima para gerar o currículo
+ * @param {string} opcoes.padraoNomeArquivo - Padrão dos nomes dos arquivos DOCX/PDF
+ * @param {boolean} opcoes.incluirBanner - Inclui o banner no topo do currículo
+ * @param {boolean} opcoes.exigirAprovacao - Só cria os DOCX/PDF de currículos aprovados
+ *   na interface de revisão (padrão: true depois que a revisão foi usada, senão false)
+ * @param {Array<string>} opcoes.refazer - Etapas refeitas mesmo que já concluídas com
+ *   as mesmas entradas (ex.: ["geracao"] para pedir outra versão ao modelo)
+ * @param {string} opcoes.idioma - Idioma dos currículos: "auto" (o da descrição de cada
+ *   vaga), "pt", "en" ou "es" (padrão: auto)
+ * @param {Object} opcoes.porSecoes - Geração por seções (veja gerarCurriculoPorSecoes)
+ * @param {boolean} opcoes.porSecoes.ativa - Gera o currículo por seções em vez do prompt único
+ *   (padrão: false)
+ * @param {number} opcoes.porSecoes.paginas - Máximo de páginas (padrão: 2)
+ * @param {number} opcoes.porSecoes.palavrasMinimas - Mínimo de palavras (padrão: 200)
+ * @param {number} opcoes.porSecoes.palavrasMaximas - Máximo de palavras (padrão: 900)
+ * @param {number} opcoes.porSecoes.maxAjustes - Rodadas de correção dos alvos (padrão: 2)
+ * @param {Object} opcoes.carta - Carta de apresentação (etapa "carta")
+ * @param {boolean} opcoes.carta.ativa - Gera a carta de cada vaga (padrão: false)
+ * @param {string} opcoes.carta.tom - Tom: formal, cordial, entusiasmado ou direto (padrão: cordial)
+ * @param {string} opcoes.carta.tamanho - Tamanho: curta, media ou longa (padrão: media)
+ * @param {string} opcoes.carta.idioma - Idioma da carta (padrão: o do currículo da vaga)
+ * @param {Object} opcoes.concorrencia - Limites de concorrência (padrão: CONCORRENCIA_PADRAO)
+ * @param {number} opcoes.concorrencia.paginas - Páginas abertas ao mesmo tempo (downloads e PDFs)
+ * @param {number} opcoes.concorrencia.llm - Chamadas simultâneas ao modelo
+ * @param {number} opcoes.concorrencia.intervaloHost - Intervalo entre acessos ao mesmo site (ms)
+ * @param {Object} dependencias - Dependências substituíveis
+ * @param {function(string, Object): Promise<Object>} dependencias.scraper - Baixa a vaga:
+ *   (link, {log, id, tentativas, capturas}) => {descricao, metadados, site} ou
+ *   {ok: false, erro} em caso de falha (padrão: baixarDescricaoVaga com Puppeteer)
+ * @param {Object} dependencias.llm - Provedor com gerar() (padrão: criarProvedorLLM com as opções acima)
+ * @param {Object} dependencias.escritor - Escritor de arquivos (padrão: criarEscritorArquivos)
+ * @param {function(function): Promise<puppeteer.Browser>} dependencias.navegador - Fornece o navegador
+ *   (recebe o log da vaga que precisa dele)
+ *   (padrão: abre o Puppeteer quando necessário e o fecha no fim)
+ * @param {EventEmitter} dependencias.eventos - Recebe os eventos de progresso
+ * @returns {Promise<{vagasSelecionadas: number, vagasComFalha: Array<string>, ranking: Array<Object>,
+ *   uso: Object}>} Resultado, com o consumo de tokens e o custo da execução (veja criarContadorUso)
+ */
+export async function executarPipeline(opcoes = {}, dependencias = {}) {
+  const eventos = dependencias.eventos || new EventEmitter();
+  const emitir = (evento, dados) => eventos.emit(evento, dados);
+  const log = (mensagem, nivel = "info") =>
+    emitir("log", { mensagem, nivel, id: null });
+
+  const diretorio = opcoes.diretorio || process.cwd();
+  const caminho = (valor, padrao) => valor || path.join(diretorio, padrao);
+  const descricoesDir = caminho(opcoes.descricoes, "descricoes");
+  const curriculosDir = caminho(opcoes.curriculos, "curriculos_otimizados");
+  const relatoriosDir = caminho(opcoes.relatorios, "relatorios");
+  const estadoPath = caminho(opcoes.estado, "estado_vagas.json");
+  const promptPath = caminho(opcoes.prompt, "prompt_agente.txt");
+  const promptCartaPath = caminho(opcoes.promptCarta, "prompt_carta.txt");
+  const capturasDir = opcoes.capturas || path.join(relatoriosDir, "capturas");
+
+  // A carta de apresentação só é gerada quando pedida
+  const carta = opcoes.carta || {};
+  const etapas = (opcoes.etapas || ETAPAS_PIPELINE).filter(
+    (etapa) => etapa !== "carta" || carta.ativa
+  );
+  const executa = (etapa) => etapas.includes(etapa);
+  const refazer = opcoes.refazer || [];
+
+  // Cada vaga tem seu escritor, para que as mensagens saiam junto com as da vaga
+  const criarEscritor = (logVaga) =>
+    dependencias.escritor ||
+    criarEscritorArquivos(
+      {
+        descricoes: descricoesDir,
+        curriculos: curriculosDir,
+        relatorios: relatoriosDir,
+      },
+      logVaga
+    );
+
+  const limites = opcoes.concorrencia || {};
+  const concorrencia = {
+    paginas: validarLimite(
+      Number(limites.paginas ?? CONCORRENCIA_PADRAO.paginas),
+      "páginas"
+    ),
+    llm: validarLimite(Number(limites.llm ?? CONCORRENCIA_PADRAO.llm), "llm"),
+    intervaloHost: Math.max(
+      0,
+      Number(limites.intervaloHost ?? CONCORRENCIA_PADRAO.intervaloHost) || 0
+    ),
+  };
+  const limitarPaginas = criarLimitador(concorrencia.paginas);
+  const limitarLLM = criarLimitador(concorrencia.llm);
+  const aguardarHost = criarIntervaloPorHost(concorrencia.intervaloHost);
+
+  const provedor =
+    dependencias.llm ||
+    criarProvedorLLM({
+      provedor: opcoes.provedor,
+      modelo: opcoes.modelo,
+      temperatura: opcoes.temperatura,
+      maxTokens: opcoes.maxTokens,
+      baseUrl: opcoes.baseUrl,
+      apiKey: opcoes.apiKey,
+      tentativas: opcoes.tentativas,
+      timeoutMs: opcoes.timeoutMs,
+      contexto: opcoes.contexto,
+      // Prompts iguais (currículo, vaga, instruções e modelo) não chamam a API de novo
+      cache:
+        opcoes.usarCache === false
+          ? null
+          : criarCacheLLM(caminho(opcoes.cache, "cache_llm")),
+    });
+  const llm = {
+    ...provedor,
+    gerar: (parametros) => limitarLLM(() => provedor.gerar(parametros)),
+  };
+
+  // O navegador padrão só é iniciado quando for necessário (download ou PDF)
+  // e é compartilhado pelas vagas processadas em paralelo
+  let navegador = null;
+  let cookies = [];
+  const sessao = opcoes.sessao || {};
+  const obterNavegador =
+    dependencias.navegador ||
+    ((logVaga = log) => {
+      if (!navegador) {
+        logVaga("Iniciando navegador...");
+        const abrindo = iniciarNavegador({ cookies, perfil: sessao.perfil });
+        // Se não abrir, a próxima vaga que precisar dele tenta de novo
+        abrindo.catch(() => {
+          if (navegador === abrindo) navegador = null;
+        });
+        navegador = abrindo;
+      }
+      return navegador;
+    });
+  const scraper =
+    dependencias.scraper ||
+    (async (link, opcoesScraper) =>
+      baixarDescricaoVaga(
+        link,
+        await obterNavegador(opcoesScraper.log),
+        opcoesScraper
+      ));
+  // Downloads respeitam o limite de páginas e o intervalo entre acessos ao mesmo site
+  const baixar = (link, idVaga, logVaga) =>
+    limitarPaginas(async () => {
+      await aguardarHost(link);
+      return scraper(link, {
+        log: logVaga,
+        id: idVaga,
+        tentativas: opcoes.tentativasColeta,
+        capturas: capturasDir,
+      });
+    });
+
+  try {
+    // Sessão do navegador: lida antes de tudo para que um arquivo inválido interrompa a execução
+    const usaSessao =
+      executa("coleta") && !opcoes.offline && !dependencias.navegador;
+    if (usaSessao && sessao.cookies) {
+      const lidos = lerCookies(sessao.cookies);
+      cookies = lidos.cookies;
+      log(
+        `Sessão do navegador: ${cookies.length} cookie(s) de ${path.basename(
+          sessao.cookies
+        )}`
+      );
+      if (lidos.expirados > 0) {
+        log(
+          `⚠ ${lidos.expirados} cookie(s) expirado(s) ignorado(s); entre de novo com o comando login`,
+          "aviso"
+        );
+      }
+    }
+    if (usaSessao && sessao.perfil) {
+      log(`Perfil do navegador: ${sessao.perfil}`);
+    }
+
+    // Lê a pasta de perfis (perfis/backend.yaml, perfis/dados.json...) ou o arquivo
+    // de currículo (curriculo.json, curriculo.yaml ou curriculo.txt)
+    const perfilPadrao = path.join(diretorio, "perfis");
+    const perfisDir =
+      opcoes.perfis ||
+      (!opcoes.curriculo && fs.existsSync(perfilPadrao) ? perfilPadrao : null);
+    let perfis;
+    if (perfisDir) {
+      log(`Lendo os perfis de currículo em ${perfisDir}...\n`);
+      perfis = carregarPerfis(perfisDir);
+      for (const { nome, texto, dados } of perfis) {
+        log(
+          `Perfil ${nome}: ${texto.length} caracteres | Experiências: ${dados.experiencia.length} | Formações: ${dados.educacao.length} | Habilidades: ${dados.habilidades.length}`
+        );
+      }
+      log(`${perfis.length} perfil(is) carregado(s) com sucesso!\n`);
+    } else {
+      const curriculoPath = opcoes.curriculo || localizarCurriculo(diretorio);
+      log(`Lendo arquivo de currículo (${path.basename(curriculoPath)})...\n`);
+      const {
+        texto,
+        dados,
+        caminho: arquivo,
+      } = lerCurriculoEstruturado(curriculoPath);
+      log(texto);
+      log("Currículo carregado com sucesso!");
+      log(`Tamanho do currículo: ${texto.length} caracteres`);
+      log(
+        `Experiências: ${dados.experiencia.length} | Formações: ${dados.educacao.length} | Habilidades: ${dados.habilidades.length}\n`
+      );
+      perfis = [
+        {
+          nome: path.basename(arquivo, path.extname(arquivo)),
+          caminho: arquivo,
+          texto,
+          dados,
+        },
+      ];
+    }
+
+    // Variantes por vaga: cada uma com uma ênfase, fica a de maior pontuação
+    const variantes = Number(opcoes.variantes ?? 1);
+    if (
+      !Number.isInteger(variantes) ||
+      variantes < 1 ||
+      variantes > MAXIMO_VARIANTES
+    ) {
+      throw new Error(
+        `Número de variantes inválido (--variants ou CURRICULO_VARIANTES): "${opcoes.variantes}". Use um número inteiro de 1 a ${MAXIMO_VARIANTES}`
+      );
+    }
+    if (variantes > 1 && executa("geracao")) {
+      log(`Variantes por vaga: ${variantes} (fica a de maior pontuação)\n`);
+    }
+
+    // Geração por seções: requisitos, resumo, experiências e habilidades em passos
+    // separados, com alvos de tamanho e páginas
+    const porSecoes = (opcoes.porSecoes || {}).ativa
+      ? lerAlvos(opcoes.porSecoes)
+      : null;
+    if (porSecoes && executa("geracao")) {
+      log(
+        `Geração por seções: até ${porSecoes.paginas} página(s), de ${porSecoes.palavrasMinimas} a ${porSecoes.palavrasMaximas} palavras\n`
+      );
+    }
+
+    // Modo offline: gera a partir de descricoes/*.txt, sem acessar os sites
+    let vagas;
+    if (opcoes.offline) {
+      log(`Modo offline: lendo descrições salvas em ${descricoesDir}...\n`);
+      vagas = lerDescricoesSalvas(descricoesDir, log);
+    } else if (Array.isArray(opcoes.vagas)) {
+      vagas = opcoes.vagas.map((linha) => lerEntradaCsv(linha, diretorio));
+    } else {
+      log("Lendo arquivo CSV de vagas...\n");
+      const csvPath = caminho(opcoes.vagas, "vagas.csv");
+      vagas = (await lerCSVVagas(csvPath)).map((linha) =>
+        lerEntradaCsv(linha, path.dirname(csvPath))
+      );
+    }
+
+    const formatos = Array.isArray(opcoes.formatos)
+      ? opcoes.formatos
+      : lerFormatosSaida(opcoes.formatos);
+    const modelo = opcoes.modelo || llm.modelo;
+    if (llm.nome && (executa("geracao") || executa("carta"))) {
+      log(
+        `Modelo: ${llm.nome}/${modelo} (temperatura ${llm.temperatura}, até ${llm.maxTokens} tokens)\n`
+      );
+    }
+
+    // Verificação de fatos inventados (avisar, rejeitar ou regenerar)
+    const verificacaoOpcoes = {
+      modo: ((opcoes.verificacao || {}).modo || "avisar").toLowerCase(),
+      maxTentativas: Number((opcoes.verificacao || {}).maxTentativas ?? 3),
+      modelo,
+      cliente: llm,
+    };
+    if (!MODOS_VERIFICACAO.includes(verificacaoOpcoes.modo)) {
+      throw new Error(
+        `VERIFICACAO_FATOS inválido: "${
+          verificacaoOpcoes.modo
+        }". Use: ${MODOS_VERIFICACAO.join(", ")}`
+      );
+    }
+    if (
+      !Number.isInteger(verificacaoOpcoes.maxTentativas) ||
+      verificacaoOpcoes.maxTentativas < 1
+    ) {
+      throw new Error(
+        `VERIFICACAO_TENTATIVAS inválido: "${
+          (opcoes.verificacao || {}).maxTentativas
+        }". Use um número inteiro a partir de 1`
+      );
+    }
+
+    // Pontuação ATS: sinônimos extras (sinonimos.json) e pontuação mínima para gerar currículo
+    const sinonimos = carregarSinonimos(
+      caminho(opcoes.sinonimos, "sinonimos.json")
+    );
+    const pontuacaoMinima = Number(opcoes.pontuacaoMinima) || 0;
+
+    // Consumo de tokens e custo (preços padrão mais os de precos.json), por vaga e na execução
+    const precos = carregarPrecos(caminho(opcoes.precos, "precos.json"));
+    const usoExecucao = criarContadorUso(precos);
+    // Consumo de cada vaga na ordem das vagas (posições vazias são descartadas no fim)
+    const usoVagas = [];
+    // Itens do ranking na ordem das vagas (posições vazias são descartadas no fim)
+    const ranking = [];
+
+    // Padrão dos nomes dos arquivos DOCX/PDF (ex.: {{empresa}}_{{titulo}}_{{id}})
+    let nomearArquivo;
+    try {
+      nomearArquivo = criarNomeadorArquivos(
+        opcoes.padraoNomeArquivo || PADRAO_NOME_ARQUIVO
+      );
+    } catch (error) {
+      throw new Error(`PADRAO_NOME_ARQUIVO inválido: ${error.message}`);
+    }
+
+    // Idioma dos currículos: forçado ou detectado na descrição de cada vaga
+    const idiomaEscolhido = lerIdioma(opcoes.idioma);
+    if (idiomaEscolhido !== "auto" && executa("geracao")) {
+      log(`Idioma dos currículos: ${IDIOMAS[idiomaEscolhido].nome}\n`);
+    }
+
+    // Lê o prompt personalizado se existir
+    if (opcoes.promptObrigatorio && !fs.existsSync(promptPath)) {
+      throw new Error(`Arquivo de prompt não encontrado: ${promptPath}`);
+    }
+    const promptPersonalizado = carregarPromptPersonalizado(promptPath);
+    if (promptPersonalizado) {
+      log(
+        porSecoes && executa("geracao")
+          ? "⚠ Prompt personalizado do agente ignorado na geração por seções\n"
+          : "Usando prompt personalizado do agente\n"
+      );
+    }
+
+    // Carta de apresentação: tom, tamanho e idioma validados e prompt_carta.txt, se existir
+    let cartaOpcoes = null;
+    let promptCarta = null;
+    if (executa("carta")) {
+      cartaOpcoes = {
+        ...lerOpcoesCarta(carta),
+        idioma: carta.idioma ? nomeDoIdioma(carta.idioma) : null,
+      };
+      if (opcoes.promptCartaObrigatorio && !fs.existsSync(promptCartaPath)) {
+        throw new Error(
+          `Arquivo de prompt da carta não encontrado: ${promptCartaPath}`
+        );
+      }
+      promptCarta = carregarPromptPersonalizado(
+        promptCartaPath,
+        PLACEHOLDERS_CARTA
+      );
+      log(
+        `Carta de apresentação: tom ${cartaOpcoes.tom}, tamanho ${
+          cartaOpcoes.tamanho
+        }, ${
+          cartaOpcoes.idioma ? `em ${cartaOpcoes.idioma}` : "no idioma da vaga"
+        }${promptCarta ? " (prompt personalizado)" : ""}\n`
+      );
+    }
+
+    emitir("inicio", {
+      total: vagas.length,
+      etapas,
+      simulacao: Boolean(opcoes.simulacao),
+      offline: Boolean(opcoes.offline),
+      concorrencia,
+    });
+
+    // Estado das execuções anteriores: etapas concluídas são puladas e só as falhas são refeitas
+    const estado = carregarEstado(estadoPath);
+    // Depois que a interface de revisão foi usada, só currículos aprovados viram DOCX/PDF
+    const exigirAprovacao = opcoes.exigirAprovacao ?? Boolean(estado.revisao);
+    const incluirBanner = Boolean(opcoes.incluirBanner);
+    const idsProcessados = new Set();
+    // Vagas (ou linhas) com falha -> posição na ordem de processamento
+    const vagasComFalha = new Map();
+
+    // Processa uma vaga; retorna sem lançar erros de geração ou renderização
+    const processarVaga = async (vaga, idVaga, registro, contexto) => {
+      const { ordem, log, escritor } = contexto;
+      const { link } = vaga;
+      const offline = vaga.descricao !== undefined;
+
+      // Chamadas ao modelo de cada etapa: o consumo vai para o registro da etapa e
+      // para o da vaga; etapas refeitas a pedido não usam o cache
+      const usoEtapas = {};
+      const clienteDaEtapa = (etapa) => {
+        const uso = criarContadorUso(precos);
+        usoEtapas[etapa] = uso;
+        return {
+          ...llm,
+          gerar: (parametros) =>
+            llm.gerar({
+              ...parametros,
+              ignorarCache: refazer.includes(etapa),
+              registrarUso: (chamada) => {
+                uso.registrar(chamada);
+                contexto.uso.registrar(chamada);
+              },
+            }),
+        };
+      };
+
+      const concluirEtapa = (etapa, dados) => {
+        const uso = usoEtapas[etapa] && usoEtapas[etapa].resumo();
+        registrarEtapa(
+          estado,
+          idVaga,
+          etapa,
+          uso && uso.chamadas > 0 ? { ...dados, uso } : dados
+        );
+        contexto.emitir("etapa", {
+          id: idVaga,
+          etapa,
+          status: dados.status,
+          erro: dados.erro || null,
+          arquivos: dados.arquivos || [],
+        });
+      };
+      const falhar = () => vagasComFalha.set(idVaga, ordem);
+
+      // Salva a descrição (TXT) e os metadados (JSON) da vaga e registra a etapa de coleta
+      const registrarColeta = async (dadosVaga, descricaoPath) => {
+        const txtPath =
+          descricaoPath ||
+          (await escritor.salvarDescricao(dadosVaga, idVaga, link));
+        const metadadosPath = await escritor.salvarMetadados(
+          dadosVaga,
+          idVaga,
+          link
+        );
+
+        concluirEtapa(
+          "coleta",
+          descricaoValida(dadosVaga.descricao) && txtPath && metadadosPath
+            ? {
+                status: STATUS_ETAPA.concluida,
+                hashSaida: hashConteudo(dadosVaga.descricao),
+                arquivos: [txtPath, metadadosPath],
+                site: dadosVaga.site,
+              }
+            : {
+                status: STATUS_ETAPA.falhou,
+                erro: "Descrição muito curta ou não encontrada",
+              }
+        );
+      };
+
+      if (opcoes.simulacao) {
+        const pendentes = etapas.filter(
+          (etapa) =>
+            etapa === "pontuacao" ||
+            (etapa === "coleta" && offline) ||
+            !etapaConcluida(registro, etapa)
+        );
+        log(
+          `[simulação] situação: ${situacaoVaga(
+            registro
+          )} | etapas a executar: ${pendentes.join(", ") || "nenhuma"}`
+        );
+        return;
+      }
+
+      // Etapa 1: descrição da vaga (fornecida no CSV/arquivo ou reaproveita a já baixada)
+      let dadosVaga;
+      if (offline) {
+        const descricao = vaga.descricao.trim();
+        dadosVaga = {
+          descricao,
+          metadados: montarMetadados({ ...vaga.metadados, descricao }),
+          site: vaga.site || "manual",
+        };
+        log(
+          `✓ Descrição lida de ${
+            vaga.arquivo ? path.basename(vaga.arquivo) : "vagas.csv"
+          }, sem acessar o site`
+        );
+        const txtSalvo = path.join(descricoesDir, `vaga_${idVaga}.txt`);
+        await registrarColeta(
+          dadosVaga,
+          vaga.arquivo === txtSalvo ? txtSalvo : null
+        );
+      } else if (etapaConcluida(registro, "coleta")) {
+        const { site, arquivos } = registro.etapas.coleta;
+        const descricao = await escritor.lerDescricao(arquivos[0]);
+        dadosVaga = {
+          descricao,
+          metadados: arquivos[1]
+            ? await escritor.lerMetadados(arquivos[1])
+            : montarMetadados({ ...registro.etapas.coleta, descricao }),
+          site,
+        };
+        log("✓ Descrição já baixada anteriormente, reaproveitando");
+      } else if (executa("coleta")) {
+        dadosVaga = await baixar(link, idVaga, log);
+        if (dadosVaga.ok === false) {
+          log(
+            `✗ Não foi possível baixar a descrição: ${dadosVaga.erro}`,
+            "erro"
+          );
+          concluirEtapa("coleta", {
+            status: STATUS_ETAPA.falhou,
+            erro: dadosVaga.erro,
+            arquivos: dadosVaga.capturas,
+          });
+          falhar();
+          return;
+        }
+        await registrarColeta(dadosVaga);
+      } else {
+        log("✗ Descrição ainda não baixada (use o comando scrape ou run)");
+        falhar();
+        return;
+      }
+
+      const { descricao, metadados } = dadosVaga;
+      const resumoVaga = resumirVaga(metadados);
+      if (resumoVaga) {
+        log(`Vaga: ${resumoVaga}`);
+      }
+      if (!descricaoValida(descricao)) {
+        log(
+          "✗ Descrição muito curta ou não encontrada, pulando geração de currículo"
+        );
+        falhar();
+        return;
+      }
+      if (etapas.length === 1 && executa("coleta")) {
+        return;
+      }
+
+      const idiomaCurriculo = idiomaDaVaga(idiomaEscolhido, descricao);
+      if (idiomaEscolhido === "auto") {
+        log(`Idioma da vaga: ${IDIOMAS[idiomaCurriculo].nome}`);
+      }
+
+      // Currículo base: o perfil da coluna "perfil" do CSV (ou o escolhido assim numa
+      // execução anterior, para as vagas lidas de descricoes/) ou o de maior pontuação
+      const perfilAnterior = (registro.etapas.geracao || {}).perfil;
+      const nomePerfil =
+        vaga.perfil ||
+        (perfilAnterior && perfilAnterior.origem === "informado"
+          ? perfilAnterior.nome
+          : null);
+      if (vaga.perfil && !perfisDir) {
+        log(
+          `⚠ Coluna "perfil" ignorada: não há uma pasta de perfis (use --profiles)`,
+          "aviso"
+        );
+      }
+      let escolha;
+      try {
+        escolha = escolherPerfil(perfis, descricao, {
+          nome: perfisDir ? nomePerfil : null,
+          sinonimos,
+        });
+      } catch (error) {
+        log(`✗ ${error.message}`, "erro");
+        falhar();
+        return;
+      }
+      const { perfil } = escolha;
+      const { texto: curriculo, dados: dadosCurriculo } = perfil;
+      const perfilRegistrado = {
+        nome: perfil.nome,
+        caminho: perfil.caminho,
+        origem: escolha.origem,
+      };
+      if (perfis.length > 1) {
+        log(
+          escolha.origem === "informado"
+            ? `Perfil do currículo: ${perfil.nome} (escolhido no CSV)`
+            : `Perfil do currículo: ${perfil.nome} (${escolha.pontuacoes
+                .map(({ nome, pontuacao }) => `${nome}: ${pontuacao}/100`)
+                .join(", ")})`
+        );
+      }
+
+      // Descrição enviada ao modelo: sem o ruído da página e, se preciso, cortada
+      // para caber no contexto junto com o currículo e a resposta
+      let descricaoModelo = descricao;
+      let descricaoCortada = false;
+      const contextoModelo = llm.contexto || limiteContexto(modelo);
+      if (executa("geracao") || executa("carta")) {
+        const ajuste = ajustarDescricao(descricao, {
+          contexto: contextoModelo,
+          maxTokens: llm.maxTokens,
+          curriculo,
+        });
+        descricaoModelo = ajuste.descricao;
+        descricaoCortada = ajuste.cortada;
+        log(
+          `Tokens estimados: currículo ~${estimarTokens(
+            curriculo
+          )}, descrição ~${ajuste.tokens}${
+            ajuste.tokens < ajuste.tokensOriginais
+              ? ` (eram ~${ajuste.tokensOriginais} antes de ${
+                  ajuste.cortada ? "limpar e cortar" : "limpar"
+                })`
+              : ""
+          }`
+        );
+        if (ajuste.cortada) {
+          log(
+            `⚠ Descrição cortada para caber no contexto do modelo (${contextoModelo} tokens)`,
+            "aviso"
+          );
+        }
+      }
+
+      // Pontua o currículo original antes de gastar chamadas à API
+      let comparacao = null;
+      if (executa("geracao") || executa("pontuacao")) {
+        comparacao = compararPontuacoes(descricao, curriculo, null, {
+          sinonimos,
+        });
+        log(
+          `Pontuação ATS do currículo original: ${comparacao.original.pontuacao}/100`
+        );
+      }
+      const salvarPontuacao = async () => {
+        if (!executa("pontuacao")) return;
+        ranking[ordem] = {
+          vaga: `vaga_${idVaga}`,
+          link,
+          metadados,
+          perfil: perfis.length > 1 ? perfil.nome : null,
+          original: comparacao.original.pontuacao,
+          otimizado: comparacao.otimizado
+            ? comparacao.otimizado.pontuacao
+            : null,
+        };
+        await escritor.salvarRelatorio(
+          formatarRelatorioPontuacao(comparacao, { link, metadados }),
+          `pontuacao_vaga_${idVaga}.txt`,
+          "pontuação"
+        );
+      };
+
+      // Etapa 2: geração do currículo (refeita se currículo, descrição, prompt, idioma,
+      // instruções da revisão ou modelo/parâmetros mudarem)
+      let curriculoOtimizado = null;
+      if (executa("geracao")) {
+        if (comparacao.original.pontuacao < pontuacaoMinima) {
+          log(
+            `⚠ Pontuação abaixo do mínimo (${pontuacaoMinima}), pulando geração de currículo`,
+            "aviso"
+          );
+          await salvarPontuacao();
+          return;
+        }
+
+        const instrucoesRevisao = (registro.revisao || {}).instrucoes;
+        const hashGeracao = hashConteudo(
+          curriculo,
+          descricao,
+          JSON.stringify(metadados),
+          promptPersonalizado,
+          idiomaCurriculo,
+          verificacaoOpcoes.modo,
+          llm.nome,
+          modelo,
+          llm.temperatura,
+          llm.maxTokens,
+          ...(instrucoesRevisao ? [instrucoesRevisao] : []),
+          ...(variantes > 1 ? [`variantes:${variantes}`] : []),
+          ...(porSecoes ? [`secoes:${JSON.stringify(porSecoes)}`] : []),
+          ...(descricaoCortada ? [`contexto:${contextoModelo}`] : [])
+        );
+        if (
+          !refazer.includes("geracao") &&
+          etapaConcluida(registro, "geracao", hashGeracao)
+        ) {
+          curriculoOtimizado = await escritor.lerCurriculoTexto(
+            registro.etapas.geracao.arquivos[0]
+          );
+          log("✓ Currículo já gerado para esta descrição, reaproveitando");
+        } else {
+          // Passos da geração por seções, salvos no relatório de refinamento
+          const passos = [];
+          const salvarRefinamento = async () => {
+            if (passos.length === 0) return;
+            await escritor.salvarRelatorio(
+              formatarRelatorioRefinamento(passos, { link, vaga: resumoVaga }),
+              `refinamento_vaga_${idVaga}.txt`,
+              "refinamento"
+            );
+          };
+          try {
+            const resultado = await gerarVariantesCurriculo(
+              curriculo,
+              descricaoModelo,
+              promptPersonalizado,
+              {
+                ...secoesParaTemplate(dadosCurriculo),
+                ...metadados,
+                link,
+                instrucoesAdicionais: instrucoesRevisao,
+              },
+              {
+                ...verificacaoOpcoes,
+                cliente: clienteDaEtapa("geracao"),
+                idioma: idiomaCurriculo,
+                variantes,
+                porSecoes,
+                dados: dadosCurriculo,
+                registrar: (passo) => passos.push(passo),
+                pontuar: (texto) =>
+                  compararPontuacoes(descricao, curriculo, texto, {
+                    sinonimos,
+                  }).otimizado.pontuacao,
+                log,
+              }
+            );
+            const { verificacao } = resultado;
+            await salvarRefinamento();
+            if (resultado.variantes.length > 0) {
+              log(
+                `Variantes: ${resultado.variantes
+                  .map(
+                    (variante, i) =>
+                      `${i + 1}) ${variante.pontuacao}/100${
+                        variante.aprovado ? "" : " (rejeitada)"
+                      }`
+                  )
+                  .join(" | ")}; escolhida: ${resultado.escolhida + 1}`
+              );
+            }
+
+            const situacao = verificacao.aprovado
+              ? "aprovado"
+              : resultado.aprovado
+              ? "salvo com avisos"
+              : "rejeitado";
+            await escritor.salvarRelatorio(
+              formatarRelatorioVerificacao(verificacao, {
+                link,
+                vaga: resumoVaga,
+                situacao,
+                tentativas: resultado.tentativas,
+              }),
+              `verificacao_vaga_${idVaga}.txt`,
+              "verificação"
+            );
+
+            if (!verificacao.aprovado) {
+              log(
+                `⚠ Informações não encontradas no currículo original: ${verificacao.problemas
+                  .map((p) => p.valor)
+                  .join(", ")}`,
+                "aviso"
+              );
+            }
+            if (resultado.aprovado) {
+              // Títulos de seção que o modelo deixou no idioma do original
+              curriculoOtimizado = localizarTitulosSecoes(
+                resultado.curriculo,
+                idiomaCurriculo
+              );
+              concluirEtapa("geracao", {
+                status: STATUS_ETAPA.concluida,
+                hashEntrada: hashGeracao,
+                hashSaida: hashConteudo(curriculoOtimizado),
+                arquivos: [
+                  await escritor.salvarCurriculoTexto(
+                    curriculoOtimizado,
+                    idVaga
+                  ),
+                ],
+                situacao,
+                perfil: perfilRegistrado,
+                ...(resultado.variantes.length > 0 && {
+                  variantes: resultado.variantes,
+                }),
+              });
+            } else {
+              concluirEtapa("geracao", {
+                status: STATUS_ETAPA.falhou,
+                hashEntrada: hashGeracao,
+                erro: "Currículo rejeitado pela verificação de fatos",
+                perfil: perfilRegistrado,
+              });
+              falhar();
+              log(
+                "✗ Currículo rejeitado pela verificação de fatos, não será salvo"
+              );
+            }
+          } catch (error) {
+            concluirEtapa("geracao", {
+              status: STATUS_ETAPA.falhou,
+              hashEntrada: hashGeracao,
+              erro: error.message,
+              perfil: perfilRegistrado,
+            });
+            falhar();
+            log(`Erro ao gerar currículo otimizado: ${error.message}`, "erro");
+            await salvarRefinamento();
+            // Chave inválida, modelo inexistente, cota esgotada...: as outras vagas falhariam igual
+            if (error.tipo === TIPOS_ERRO_LLM.fatal) {
+              log("✗ Erro permanente do provedor, interrompendo a execução");
+              throw error;
+            }
+            log("Continuando para próxima vaga...");
+          }
+        }
+      } else if (etapaConcluida(registro, "geracao")) {
+        curriculoOtimizado = await escritor.lerCurriculoTexto(
+          registro.etapas.geracao.arquivos[0]
+        );
+      } else if (executa("renderizacao")) {
+        log("✗ Currículo ainda não gerado (use o comando generate ou run)");
+        falhar();
+      }
+
+      const nomeArquivo = nomearArquivo(idVaga, {
+        ...metadados,
+        site: dadosVaga.site,
+      });
+
+      // Etapa 3: arquivos DOCX/PDF (refeitos se o texto, os formatos, o idioma ou o nome mudarem)
+      if (curriculoOtimizado && executa("renderizacao")) {
+        const hashRenderizacao = hashConteudo(
+          curriculoOtimizado,
+          idiomaCurriculo,
+          formatos.join(","),
+          incluirBanner,
+          nomeArquivo,
+          curriculosDir
+        );
+        if (
+          exigirAprovacao &&
+          !curriculoAprovado(registro, curriculoOtimizado)
+        ) {
+          log(
+            "⚠ Currículo aguardando aprovação, DOCX/PDF não criados (use o comando review)",
+            "aviso"
+          );
+        } else if (
+          !refazer.includes("renderizacao") &&
+          etapaConcluida(registro, "renderizacao", hashRenderizacao)
+        ) {
+          log("✓ Arquivos do currículo já gerados, nada a refazer");
+        } else {
+          try {
+            // PDFs usam uma página do navegador: entram no limite de páginas.
+            // Se o navegador não abrir, o DOCX é salvo e o PDF entra nas falhas
+            const salvar = async () => {
+              let browser = null;
+              let erroNavegador = null;
+              if (formatos.includes("pdf")) {
+                try {
+                  browser = await obterNavegador(log);
+                } catch (error) {
+                  erroNavegador = error.message;
+                }
+              }
+              return escritor.salvarCurriculo(
+                curriculoOtimizado,
+                idVaga,
+                link,
+                {
+                  incluirBanner,
+                  formatos,
+                  nomeArquivo,
+                  idioma: idiomaCurriculo,
+                  browser,
+                  erroNavegador,
+                }
+              );
+            };
+            const { arquivos, falhas } = formatos.includes("pdf")
+              ? await limitarPaginas(salvar)
+              : await salvar();
+            concluirEtapa("renderizacao", {
+              status:
+                falhas.length === 0
+                  ? STATUS_ETAPA.concluida
+                  : STATUS_ETAPA.falhou,
+              hashEntrada: hashRenderizacao,
+              arquivos,
+              ...(falhas.length > 0 && { erro: falhas.join("; ") }),
+            });
+            if (falhas.length > 0) {
+              falhar();
+            }
+          } catch (error) {
+            concluirEtapa("renderizacao", {
+              status: STATUS_ETAPA.falhou,
+              hashEntrada: hashRenderizacao,
+              erro: error.message,
+            });
+            falhar();
+            log(`Erro ao salvar currículo: ${error.message}`, "erro");
+          }
+        }
+      }
+
+      // Etapa 4 (opcional): carta de apresentação a partir do currículo original
+      // (refeita se currículo, descrição, prompt, tom, tamanho, idioma ou modelo mudarem)
+      if (executa("carta")) {
+        const nomeCarta = nomeArquivoCarta(nomeArquivo);
+        const cartaDaVaga = {
+          ...cartaOpcoes,
+          idioma: cartaOpcoes.idioma || IDIOMAS[idiomaCurriculo].nome,
+        };
+        const hashCarta = hashConteudo(
+          curriculo,
+          descricao,
+          JSON.stringify(metadados),
+          promptCarta,
+          JSON.stringify(cartaDaVaga),
+          verificacaoOpcoes.modo,
+          llm.nome,
+          modelo,
+          llm.temperatura,
+          llm.maxTokens,
+          nomeCarta,
+          curriculosDir,
+          ...(descricaoCortada ? [`contexto:${contextoModelo}`] : [])
+        );
+        if (
+          !refazer.includes("carta") &&
+          etapaConcluida(registro, "carta", hashCarta)
+        ) {
+          log("✓ Carta de apresentação já gerada, reaproveitando");
+        } else {
+          try {
+            const resultado = await gerarCartaVerificada(
+              curriculo,
+              descricaoModelo,
+              promptCarta,
+              {
+                ...secoesParaTemplate(dadosCurriculo),
+                ...metadados,
+                link,
+              },
+              {
+                ...verificacaoOpcoes,
+                ...cartaDaVaga,
+                cliente: clienteDaEtapa("carta"),
+                log,
+              }
+            );
+            const { verificacao } = resultado;
+
+            const situacao = verificacao.aprovado
+              ? "aprovado"
+              : resultado.aprovado
+              ? "salvo com avisos"
+              : "rejeitado";
+            await escritor.salvarRelatorio(
+              formatarRelatorioVerificacao(verificacao, {
+                link,
+                vaga: resumoVaga,
+                situacao,
+                tentativas: resultado.tentativas,
+              }),
+              `verificacao_carta_vaga_${idVaga}.txt`,
+              "verificação da carta"
+            );
+
+            if (!verificacao.aprovado) {
+              log(
+                `⚠ Informações da carta não encontradas no currículo nem na vaga: ${verificacao.problemas
+                  .map((p) => p.valor)
+                  .join(", ")}`,
+                "aviso"
+              );
+            }
+            if (resultado.aprovado) {
+              const { arquivos, falhas } = await escritor.salvarCarta(
+                resultado.carta,
+                idVaga,
+                { nomeArquivo: nomeCarta }
+              );
+              concluirEtapa("carta", {
+                status:
+                  falhas.length === 0
+                    ? STATUS_ETAPA.concluida
+                    : STATUS_ETAPA.falhou,
+                hashEntrada: hashCarta,
+                hashSaida: hashConteudo(resultado.carta),
+                arquivos,
+                situacao,
+                ...(falhas.length > 0 && { erro: falhas.join("; ") }),
+              });
+              if (falhas.length > 0) {
+                falhar();
+              }
+            } else {
+              concluirEtapa("carta", {
+                status: STATUS_ETAPA.falhou,
+                hashEntrada: hashCarta,
+                erro: "Carta rejeitada pela verificação de fatos",
+              });
+              falhar();
+              log(
+                "✗ Carta rejeitada pela verificação de fatos, não será salva"
+              );
+            }
+          } catch (error) {
+            concluirEtapa("carta", {
+              status: STATUS_ETAPA.falhou,
+              hashEntrada: hashCarta,
+              erro: error.message,
+            });
+            falhar();
+            log(
+              `Erro ao gerar carta de apresentação: ${error.message}`,
+              "erro"
+            );
+            if (error.tipo === TIPOS_ERRO_LLM.fatal) {
+              log("✗ Erro permanente do provedor, interrompendo a execução");
+              throw error;
+            }
+          }
+        }
+      }
+
+      if (curriculoOtimizado && executa("pontuacao")) {
+        comparacao = compararPontuacoes(
+          descricao,
+          curriculo,
+          curriculoOtimizado,
+          {
+            sinonimos,
+          }
+        );
+        const sinal = comparacao.diferenca > 0 ? "+" : "";
+        log(
+          `Pontuação ATS do currículo otimizado: ${comparacao.otimizado.pontuacao}/100 (${sinal}${comparacao.diferenca})`
+        );
+      }
+      await salvarPontuacao();
+    };
+
+    // Seleciona as vagas em ordem antes de processá-las em paralelo
+    const tarefas = [];
+    for (let i = 0; i < vagas.length; i++) {
+      const vaga = vagas[i];
+      const offline = vaga.descricao !== undefined;
+
+      if (opcoes.linhas && !opcoes.linhas.has(i + 1)) {
+        continue;
+      }
+      // Linhas inválidas não têm ID: só são reportadas quando não há filtro por ID ou situação
+      const filtraPorVaga = Boolean(opcoes.ids || opcoes.status);
+      if ((vaga.erro || (!vaga.link && !offline)) && filtraPorVaga) {
+        continue;
+      }
+      if (vaga.erro || (!vaga.link && !offline)) {
+        tarefas.push({
+          indice: i + 1,
+          erro: vaga.erro || "Link não encontrado",
+        });
+        continue;
+      }
+
+      const idVaga = idDaEntrada(vaga);
+      if (!vagaSelecionada(opcoes, idVaga, estado.vagas[idVaga])) {
+        continue;
+      }
+      tarefas.push({
+        indice: i + 1,
+        vaga,
+        idVaga,
+        repetida: idsProcessados.has(idVaga),
+      });
+      idsProcessados.add(idVaga);
+    }
+    const vagasSelecionadas = tarefas.filter((tarefa) => !tarefa.erro).length;
+
+    // Eventos na ordem das vagas, com o progresso a cada vaga concluída
+    const inicio = Date.now();
+    let concluidas = 0;
+    const saida = criarSaidaOrdenada((evento, dados) => {
+      emitir(evento, dados);
+      if (evento === "vaga:fim") {
+        concluidas++;
+        const decorridoMs = Date.now() - inicio;
+        emitir("progresso", {
+          concluidas,
+          total: vagasSelecionadas,
+          decorridoMs,
+          restanteMs: Math.round(
+            (decorridoMs / concluidas) * (vagasSelecionadas - concluidas)
+          ),
+        });
+      }
+    });
+
+    // Vagas em andamento ao mesmo tempo: o suficiente para ocupar páginas e chamadas ao modelo
+    await executarEmParalelo(
+      tarefas,
+      concorrencia.paginas + concorrencia.llm,
+      async (tarefa, ordem) => {
+        const emitirVaga = (evento, dados) =>
+          saida.emitir(ordem, evento, dados);
+        const logVaga = (mensagem, nivel = "info") =>
+          emitirVaga("log", { mensagem, nivel, id: tarefa.idVaga || null });
+
+        try {
+          if (tarefa.erro) {
+            logVaga(`Vaga ${tarefa.indice}: ${tarefa.erro}, pulando...\n`);
+            vagasComFalha.set(`linha ${tarefa.indice}`, ordem);
+            return;
+          }
+
+          const { vaga, idVaga } = tarefa;
+          emitirVaga("vaga:inicio", {
+            indice: tarefa.indice,
+            total: vagas.length,
+            id: idVaga,
+            link: vaga.link || null,
+          });
+          if (tarefa.repetida) {
+            logVaga("Vaga repetida no CSV, pulando...");
+          } else {
+            const uso = criarContadorUso(precos);
+            await processarVaga(
+              vaga,
+              idVaga,
+              obterRegistroVaga(estado, idVaga, vaga.link),
+              {
+                ordem,
+                log: logVaga,
+                emitir: emitirVaga,
+                escritor: criarEscritor(logVaga),
+                uso,
+              }
+            );
+            const resumoUso = uso.resumo();
+            if (resumoUso.chamadas > 0) {
+              logVaga(`Consumo do modelo: ${formatarUso(resumoUso)}`);
+              usoExecucao.somar(resumoUso);
+              usoVagas[ordem] = { vaga: `vaga_${idVaga}`, uso: resumoUso };
+            }
+          }
+          emitirVaga("vaga:fim", {
+            id: idVaga,
+            falhou: vagasComFalha.has(idVaga),
+          });
+        } finally {
+          saida.fechar(ordem);
+        }
+      }
+    );
+
+    const itensRanking = ranking.filter(Boolean);
+    if (itensRanking.length > 0) {
+      log("");
+      await criarEscritor(log).salvarRelatorio(
+        formatarRanking(itensRanking),
+        "ranking_vagas.txt",
+        "ranking"
+      );
+    }
+
+    const uso = usoExecucao.resumo();
+    if (uso.chamadas > 0) {
+      log(`\nConsumo do modelo na execução: ${formatarUso(uso)}`);
+      await criarEscritor(log).salvarRelatorio(
+        formatarRelatorioUso(usoVagas.filter(Boolean), uso),
+        "consumo_llm.txt",
+        "consumo"
+      );
+    }
+
+    const resultado = {
+      vagasSelecionadas,
+      vagasComFalha: [...vagasComFalha]
+        .sort((a, b) => a[1] - b[1])
+        .map(([vaga]) => vaga),
+      ranking: itensRanking,
+      uso,
+    };
+    emitir("fim", resultado);
+    return resultado;
+  } finally {
+    // Fecha o navegador aberto pelo pipeline
+    const browser = navegador && (await navegador.catch(() => null));
+    if (browser) {
+      await browser.close();
+      log("\nNavegador fechado.");
+    }
+  }
+}
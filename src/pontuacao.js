@@ -0,0 +1,363 @@
+import { detectarIdioma } from "./idioma.js";
+import { formatarMetadados, resumirVaga } from "./metadados.js";
+import { GRUPOS_SINONIMOS } from "./sinonimos.js";
+import { stem } from "./stemming.js";
+import { normalizarTexto, PALAVRAS_VAZIAS } from "./texto.js";
+
+/**
+ * Palavras frequentes em anúncios de vaga que não são palavras-chave de competência
+ */
+const PALAVRAS_GENERICAS_VAGA = new Set(
+  (
+    "vaga vagas empresa empresas trabalho trabalhar requisitos requisito responsabilidades " +
+    "atividades atribuicoes beneficios beneficio conhecimento conhecimentos experiencia " +
+    "experiencias area areas time times voce voces nosso nossa nossos nossas sera serao " +
+    "buscamos procuramos candidato candidata candidatos profissional profissionais " +
+    "oportunidade oportunidades desejavel desejaveis diferencial diferenciais obrigatorio " +
+    "nivel bom boa forte fortes anos ano mais bem muito todo toda todos todas cada " +
+    "pessoa pessoas onde quando tambem ser estar ter fazer possuir possui atuar atuacao " +
+    "sobre partir dia dias local modelo contratacao salario etc sua seu suas seus " +
+    "job jobs work working team teams role you your we our us will years year " +
+    "ability able strong including plus must should required preferred requirements " +
+    "responsibilities about what who how have has more new well other such " +
+    "within across using use used based like good great looking join " +
+    "vivencia basico intermediario avancado fluente desejado"
+  ).split(" ")
+);
+
+const TITULOS_REQUISITOS =
+  /^(requisitos|requirements|qualificacoes|qualifications|o que esperamos|what you|must have|conhecimentos|skills)/;
+
+const TAMANHO_MAXIMO_NGRAMA = 4;
+const MAXIMO_PALAVRAS_CHAVE = 30;
+
+/**
+ * Separa o texto em palavras normalizadas, mantendo termos técnicos
+ * como "node.js", "c++" e "c#"
+ * @param {string} texto - Texto original
+ * @returns {Array<string>} Palavras
+ */
+export function tokenizar(texto) {
+  return normalizarTexto(texto)
+    .split(/[^a-z0-9+#.]+/)
+    .map((token) => token.replace(/^\.+(?=[a-z]{4,})|\.+$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Monta o dicionário de sinônimos: termo tokenizado → nome canônico do grupo
+ * @param {Array<Array<string>>} grupos - Grupos de sinônimos
+ * @returns {Map<string, string>} Dicionário
+ */
+function criarDicionarioSinonimos(grupos) {
+  const dicionario = new Map();
+  for (const grupo of grupos) {
+    for (const termo of grupo) {
+      const chave = tokenizar(termo).join(" ");
+      if (chave && !dicionario.has(chave)) {
+        dicionario.set(chave, grupo[0]);
+      }
+    }
+  }
+  return dicionario;
+}
+
+const DICIONARIO_PADRAO = criarDicionarioSinonimos(GRUPOS_SINONIMOS);
+
+/**
+ * Analisa um texto e conta os termos: grupos de sinônimos conhecidos,
+ * radicais de palavras isoladas e pares de palavras (bigramas)
+ * @param {string} texto - Texto a analisar
+ * @param {Map<string, string>} dicionario - Dicionário de sinônimos
+ * @returns {{termos: Map<string, {rotulo: string, contagem: number, conhecido: boolean, emRequisitos: number}>, totalPalavras: number, idioma: string}}
+ */
+function analisarTexto(texto, dicionario) {
+  const termos = new Map();
+  const linhas = String(texto || "").split(/\r?\n/);
+  const idioma = detectarIdioma(texto);
+  let totalPalavras = 0;
+  let emRequisitos = false;
+
+  const registrar = (chave, rotulo, conhecido) => {
+    const termo = termos.get(chave) || {
+      rotulo,
+      contagem: 0,
+      conhecido,
+      emRequisitos: 0,
+    };
+    termo.contagem++;
+    if (emRequisitos) termo.emRequisitos++;
+    termos.set(chave, termo);
+  };
+
+  for (const linha of linhas) {
+    const tokens = tokenizar(linha);
+    if (tokens.length === 0) continue;
+    totalPalavras += tokens.length;
+
+    // Títulos curtos como "Requisitos:" marcam o início da lista de requisitos
+    if (tokens.length <= 5 && !/^\s*[-•*]/.test(linha)) {
+      const titulo = tokens.join(" ");
+      if (TITULOS_REQUISITOS.test(titulo)) emRequisitos = true;
+      else if (/[:：]\s*$/.test(linha)) emRequisitos = false;
+    }
+
+    let anterior = null;
+    for (let i = 0; i < tokens.length; ) {
+      let encontrado = false;
+      for (let n = TAMANHO_MAXIMO_NGRAMA; n >= 1 && !encontrado; n--) {
+        const frase = tokens.slice(i, i + n).join(" ");
+        if (i + n <= tokens.length && dicionario.has(frase)) {
+          const canonico = dicionario.get(frase);
+          registrar(`sin:${canonico}`, canonico, true);
+          i += n;
+          anterior = null;
+          encontrado = true;
+        }
+      }
+      if (encontrado) continue;
+
+      const token = tokens[i++];
+      const ignorado =
+        token.length < 2 ||
+        /^\d+([.,]\d+)?$/.test(token) ||
+        PALAVRAS_VAZIAS.has(token) ||
+        PALAVRAS_GENERICAS_VAGA.has(token);
+      if (ignorado) {
+        anterior = null;
+        continue;
+      }
+
+      const radical = stem(token, idioma);
+      registrar(`pal:${radical}`, token, false);
+      if (anterior) {
+        registrar(
+          `bi:${anterior.radical} ${radical}`,
+          `${anterior.token} ${token}`,
+          false
+        );
+      }
+      anterior = { radical, token };
+    }
+  }
+
+  return { termos, totalPalavras, idioma };
+}
+
+/**
+ * Extrai as palavras-chave de uma descrição de vaga, com peso por relevância
+ * (frequência, termos técnicos conhecidos e presença na lista de requisitos)
+ * @param {string} descricao - Descrição da vaga
+ * @param {Object} opcoes - Opções
+ * @param {Array<Array<string>>} opcoes.sinonimos - Grupos de sinônimos (padrão: GRUPOS_SINONIMOS)
+ * @param {number} opcoes.maximo - Quantidade máxima de palavras-chave
+ * @returns {Array<{chave: string, termo: string, peso: number, ocorrencias: number}>}
+ */
+export function extrairPalavrasChave(descricao, opcoes = {}) {
+  const dicionario = opcoes.sinonimos
+    ? criarDicionarioSinonimos(opcoes.sinonimos)
+    : DICIONARIO_PADRAO;
+  const { termos } = analisarTexto(descricao, dicionario);
+
+  const candidatas = [];
+  for (const [chave, termo] of termos) {
+    const ehBigrama = chave.startsWith("bi:");
+    // Palavras soltas e pares só contam se repetirem ou estiverem nos requisitos
+    if (!termo.conhecido && termo.contagem < 2 && !termo.emRequisitos) continue;
+    if (ehBigrama && termo.contagem < 2) continue;
+    if (!termo.conhecido && !ehBigrama && termo.rotulo.length < 3) continue;
+
+    const peso =
+      Math.min(termo.contagem, 5) *
+      (termo.conhecido ? 2 : 1) *
+      (termo.emRequisitos ? 1.5 : 1) *
+      (ehBigrama ? 1.2 : 1);
+    candidatas.push({
+      chave,
+      termo: termo.rotulo,
+      peso: Math.round(peso * 10) / 10,
+      ocorrencias: termo.contagem,
+    });
+  }
+
+  return candidatas
+    .sort((a, b) => b.peso - a.peso || a.termo.localeCompare(b.termo))
+    .slice(0, opcoes.maximo || MAXIMO_PALAVRAS_CHAVE);
+}
+
+/**
+ * Calcula a pontuação ATS de um currículo em relação às palavras-chave de uma vaga
+ * @param {Array<Object>} palavrasChave - Resultado de extrairPalavrasChave
+ * @param {string} curriculo - Texto do currículo
+ * @param {Object} opcoes - Opções
+ * @param {Array<Array<string>>} opcoes.sinonimos - Grupos de sinônimos
+ * @returns {{pontuacao: number, encontradas: Array, ausentes: Array, excessivas: Array}}
+ */
+export function pontuarCurriculo(palavrasChave, curriculo, opcoes = {}) {
+  const dicionario = opcoes.sinonimos
+    ? criarDicionarioSinonimos(opcoes.sinonimos)
+    : DICIONARIO_PADRAO;
+  const { termos, totalPalavras } = analisarTexto(curriculo, dicionario);
+
+  const encontradas = [];
+  const ausentes = [];
+  const excessivas = [];
+  let pesoTotal = 0;
+  let pesoEncontrado = 0;
+
+  for (const palavra of palavrasChave) {
+    pesoTotal += palavra.peso;
+    const noCurriculo = termos.get(palavra.chave);
+    if (!noCurriculo) {
+      ausentes.push(palavra);
+      continue;
+    }
+
+    pesoEncontrado += palavra.peso;
+    const item = { ...palavra, ocorrenciasCurriculo: noCurriculo.contagem };
+    encontradas.push(item);
+
+    // Repetição exagerada ("keyword stuffing") é penalizada por muitos ATS
+    const densidade = noCurriculo.contagem / Math.max(totalPalavras, 1);
+    if (noCurriculo.contagem >= 4 && densidade > 0.02) {
+      excessivas.push({
+        ...item,
+        densidade: Math.round(densidade * 1000) / 10,
+      });
+    }
+  }
+
+  return {
+    pontuacao: pesoTotal ? Math.round((pesoEncontrado / pesoTotal) * 100) : 0,
+    encontradas,
+    ausentes,
+    excessivas,
+  };
+}
+
+/**
+ * Pontua o currículo original e o otimizado contra a mesma vaga
+ * @param {string} descricao - Descrição da vaga
+ * @param {string} curriculoOriginal - Texto do currículo original
+ * @param {string|null} curriculoOtimizado - Texto do currículo otimizado (opcional)
+ * @param {Object} opcoes - Opções (sinonimos, maximo)
+ * @returns {{palavrasChave: Array, original: Object, otimizado: Object|null, diferenca: number|null}}
+ */
+export function compararPontuacoes(
+  descricao,
+  curriculoOriginal,
+  curriculoOtimizado = null,
+  opcoes = {}
+) {
+  const palavrasChave = extrairPalavrasChave(descricao, opcoes);
+  const original = pontuarCurriculo(palavrasChave, curriculoOriginal, opcoes);
+  const otimizado = curriculoOtimizado
+    ? pontuarCurriculo(palavrasChave, curriculoOtimizado, opcoes)
+    : null;
+
+  return {
+    palavrasChave,
+    original,
+    otimizado,
+    diferenca: otimizado ? otimizado.pontuacao - original.pontuacao : null,
+  };
+}
+
+/**
+ * Formata a lista de palavras-chave de um resultado
+ * @param {Array<Object>} lista - Palavras-chave
+ * @param {function(Object): string} detalhe - Texto extra de cada item
+ * @returns {string} Lista em texto
+ */
+function formatarLista(lista, detalhe = () => "") {
+  if (lista.length === 0) return "  (nenhuma)";
+  return lista.map((p) => `  - ${p.termo}${detalhe(p)}`).join("\n");
+}
+
+/**
+ * Formata o relatório de pontuação ATS de uma vaga
+ * @param {Object} comparacao - Resultado de compararPontuacoes
+ * @param {Object} dados - Dados da vaga
+ * @param {string} dados.link - Link da vaga
+ * @param {Object} dados.metadados - Metadados da vaga (título, empresa, local...)
+ * @returns {string} Relatório em texto
+ */
+export function formatarRelatorioPontuacao(comparacao, dados = {}) {
+  const { original, otimizado, palavrasChave } = comparacao;
+  const sinal = comparacao.diferenca > 0 ? "+" : "";
+  const linhas = [
+    `LINK DA VAGA: ${dados.link || "-"}`,
+    ...formatarMetadados(dados.metadados, { maiusculas: true }),
+    `DATA DA ANÁLISE: ${new Date().toLocaleString("pt-BR")}`,
+    `PONTUAÇÃO DO CURRÍCULO ORIGINAL: ${original.pontuacao}/100`,
+  ];
+  if (otimizado) {
+    linhas.push(
+      `PONTUAÇÃO DO CURRÍCULO OTIMIZADO: ${otimizado.pontuacao}/100 (${sinal}${comparacao.diferenca})`
+    );
+  }
+  linhas.push(
+    "",
+    "=".repeat(80),
+    "",
+    `PALAVRAS-CHAVE DA VAGA (${palavrasChave.length}):`,
+    formatarLista(palavrasChave, (p) => ` [peso ${p.peso}]`),
+    ""
+  );
+
+  const secoes = [["CURRÍCULO ORIGINAL", original]];
+  if (otimizado) secoes.push(["CURRÍCULO OTIMIZADO", otimizado]);
+  for (const [titulo, resultado] of secoes) {
+    linhas.push(
+      `${titulo}`,
+      "-".repeat(80),
+      `Encontradas (${resultado.encontradas.length}):`,
+      formatarLista(
+        resultado.encontradas,
+        (p) => ` (${p.ocorrenciasCurriculo}x)`
+      ),
+      `Ausentes (${resultado.ausentes.length}):`,
+      formatarLista(resultado.ausentes),
+      `Repetidas em excesso (${resultado.excessivas.length}):`,
+      formatarLista(
+        resultado.excessivas,
+        (p) => ` (${p.ocorrenciasCurriculo}x, ${p.densidade}% do texto)`
+      ),
+      ""
+    );
+  }
+
+  return linhas.join("\n").trimEnd() + "\n";
+}
+
+/**
+ * Formata o ranking das vagas pela aderência do currículo original
+ * @param {Array<{vaga: string, link: string, original: number, otimizado: number|null, metadados: Object, perfil: string|null}>} itens
+ * @returns {string} Ranking em texto
+ */
+export function formatarRanking(itens) {
+  const ordenados = [...itens].sort(
+    (a, b) => b.original - a.original || a.vaga.localeCompare(b.vaga)
+  );
+  const linhas = [
+    `RANKING DE VAGAS POR ADERÊNCIA - ${new Date().toLocaleString("pt-BR")}`,
+    "=".repeat(80),
+    "",
+  ];
+  ordenados.forEach((item, i) => {
+    const otimizado =
+      item.otimizado === null || item.otimizado === undefined
+        ? ""
+        : ` | otimizado: ${item.otimizado}/100`;
+    const perfil = item.perfil ? ` | perfil: ${item.perfil}` : "";
+    linhas.push(
+      `${i + 1}. ${item.vaga} | original: ${
+        item.original
+      }/100${otimizado}${perfil}`
+    );
+    const resumo = resumirVaga(item.metadados);
+    if (resumo) linhas.push(`   ${resumo}`);
+    if (item.link) linhas.push(`   ${item.link}`);
+  });
+  return linhas.join("\n") + "\n";
+}
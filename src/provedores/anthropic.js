@@ -0,0 +1,67 @@
+import { criarErroLLM, criarProvedor, TIPOS_ERRO_LLM } from "./comum.js";
+
+const URL_PADRAO = "https://api.anthropic.com";
+const VERSAO_API = "2023-06-01";
+
+/**
+ * Provedor da Anthropic (API de mensagens), com a chave em config.apiKey ou
+ * ANTHROPIC_API_KEY
+ * @param {Object} config - Configuração (modelo, temperatura, maxTokens, baseUrl, apiKey)
+ * @returns {Object} Provedor
+ */
+export function anthropic(config = {}) {
+  return criarProvedor(
+    { nome: "anthropic", modeloPadrao: "claude-3-5-sonnet-latest" },
+    config,
+    async (parametros) => {
+      const apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+      if (!apiKey) {
+        throw criarErroLLM(
+          "ANTHROPIC_API_KEY não configurada. Configure no arquivo .env",
+          { tipo: TIPOS_ERRO_LLM.fatal }
+        );
+      }
+
+      const resposta = await fetch(
+        `${(config.baseUrl || URL_PADRAO).replace(/\/+$/, "")}/v1/messages`,
+        {
+          method: "POST",
+          headers: {
+            "content-type": "application/json",
+            "x-api-key": apiKey,
+            "anthropic-version": VERSAO_API,
+          },
+          body: JSON.stringify({
+            model: parametros.modelo,
+            system: parametros.sistema,
+            messages: [{ role: "user", content: parametros.usuario }],
+            temperature: Math.min(parametros.temperatura, 1),
+            max_tokens: parametros.maxTokens,
+          }),
+          signal: AbortSignal.timeout(parametros.timeoutMs),
+        }
+      );
+      const dados = await resposta.json().catch(() => ({}));
+      if (!resposta.ok) {
+        throw criarErroLLM(
+          `Erro da API da Anthropic (${resposta.status}): ${
+            dados.error?.message || resposta.statusText
+          }`,
+          { status: resposta.status, headers: resposta.headers }
+        );
+      }
+      return {
+        texto: (dados.content || [])
+          .filter((bloco) => bloco.type === "text")
+          .map((bloco) => bloco.text)
+          .join(""),
+        uso: dados.usage
+          ? {
+              entrada: dados.usage.input_tokens,
+              saida: dados.usage.output_tokens,
+            }
+          : null,
+      };
+    }
+  );
+}
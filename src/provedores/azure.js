@@ -0,0 +1,51 @@
+import { AzureOpenAI } from "openai";
+import {
+  chamarChatCompletions,
+  criarErroLLM,
+  criarProvedor,
+  TIPOS_ERRO_LLM,
+} from "./comum.js";
+
+/**
+ * Versão da API do Azure OpenAI usada quando não é informada
+ */
+const VERSAO_API_PADRAO = "2024-10-21";
+
+/**
+ * Provedor do Azure OpenAI. O modelo é o nome da implantação (deployment);
+ * o endereço do recurso vem de config.baseUrl ou AZURE_OPENAI_ENDPOINT e a
+ * chave de config.apiKey ou AZURE_OPENAI_API_KEY.
+ * @param {Object} config - Configuração (modelo, temperatura, maxTokens, baseUrl, apiKey, versaoApi)
+ * @returns {Object} Provedor
+ */
+export function azure(config = {}) {
+  let cliente = null;
+  return criarProvedor(
+    { nome: "azure", modeloPadrao: null },
+    config,
+    async (parametros) => {
+      const apiKey = config.apiKey || process.env.AZURE_OPENAI_API_KEY;
+      const endpoint = config.baseUrl || process.env.AZURE_OPENAI_ENDPOINT;
+      if (!apiKey || !endpoint) {
+        throw criarErroLLM(
+          "AZURE_OPENAI_API_KEY e AZURE_OPENAI_ENDPOINT devem estar configuradas no arquivo .env",
+          { tipo: TIPOS_ERRO_LLM.fatal }
+        );
+      }
+      cliente =
+        cliente ||
+        new AzureOpenAI({
+          apiKey,
+          endpoint,
+          apiVersion:
+            config.versaoApi ||
+            process.env.OPENAI_API_VERSION ||
+            VERSAO_API_PADRAO,
+          // As novas tentativas são feitas por criarProvedor, não pelo SDK
+          maxRetries: 0,
+          timeout: parametros.timeoutMs,
+        });
+      return chamarChatCompletions(cliente, parametros);
+    }
+  );
+}
@@ -0,0 +1,33 @@
+import OpenAI from "openai";
+import {
+  chamarChatCompletions,
+  criarProvedor,
+  PARAMETROS_PADRAO,
+} from "./comum.js";
+
+/**
+ * Provedor para servidores com API compatível com a da OpenAI, como o servidor
+ * do llama.cpp (http://localhost:8080/v1) ou o Ollama (http://localhost:11434/v1).
+ * A chave é opcional, já que servidores locais normalmente não a exigem.
+ * @param {Object} config - Configuração (modelo, temperatura, maxTokens, baseUrl, apiKey)
+ * @returns {Object} Provedor
+ */
+export function compativel(config = {}) {
+  if (!config.baseUrl) {
+    throw new Error(
+      'O provedor "compativel" exige o endereço do servidor (--base-url ou LLM_BASE_URL)'
+    );
+  }
+  // As novas tentativas são feitas por criarProvedor, não pelo SDK
+  const cliente = new OpenAI({
+    apiKey: config.apiKey || "sem-chave",
+    baseURL: config.baseUrl,
+    maxRetries: 0,
+    timeout: config.timeoutMs ?? PARAMETROS_PADRAO.timeoutMs,
+  });
+  return criarProvedor(
+    { nome: "compativel", modeloPadrao: null },
+    config,
+    (parametros) => chamarChatCompletions(cliente, parametros)
+  );
+}
@@ -0,0 +1,380 @@
+import { aguardar, calcularEspera } from "../concorrencia.js";
+import { estimarTokens, limiteContexto, RESPOSTA_MINIMA } from "../tokens.js";
+
+/**
+ * Funções compartilhadas pelos provedores de modelos de linguagem
+ */
+
+/**
+ * Parâmetros de geração usados quando não são informados
+ */
+export const PARAMETROS_PADRAO = {
+  temperatura: 0.7,
+  maxTokens: 4000,
+  tentativas: 4,
+  timeoutMs: 120000,
+  esperaBaseMs: 2000,
+  esperaMaximaMs: 60000,
+};
+
+/**
+ * Tipos de erro das chamadas ao modelo
+ *   transitorio - limite de requisições (429), tempo esgotado, falha de conexão ou 5xx:
+ *                 a chamada é repetida com espera crescente
+ *   definitivo  - a requisição desta vaga foi recusada (ex.: prompt grande demais):
+ *                 a vaga falha, as demais continuam
+ *   fatal       - chave inválida, sem permissão, modelo inexistente ou sem créditos:
+ *                 nenhuma outra chamada daria certo, então a execução é interrompida
+ */
+export const TIPOS_ERRO_LLM = {
+  transitorio: "transitorio",
+  definitivo: "definitivo",
+  fatal: "fatal",
+};
+
+// Códigos de rede tratados como falhas passageiras
+const CODIGOS_REDE_TRANSITORIOS = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+];
+
+/**
+ * Cria um erro de chamada ao modelo já classificado
+ * @param {string} mensagem - Mensagem do erro
+ * @param {Object} dados - Dados do erro
+ * @param {string} dados.tipo - Um dos TIPOS_ERRO_LLM
+ * @param {number} dados.status - Status HTTP da resposta
+ * @param {Object} dados.headers - Cabeçalhos da resposta (usados para ler Retry-After)
+ * @returns {Error} Erro com tipo, status e headers
+ */
+export function criarErroLLM(mensagem, dados = {}) {
+  const erro = new Error(mensagem);
+  Object.assign(erro, dados);
+  return erro;
+}
+
+/**
+ * Lê o tempo de espera pedido pelo servidor (Retry-After ou retry-after-ms)
+ * @param {Object|Headers|undefined} headers - Cabeçalhos da resposta
+ * @param {number} agora - Data atual em ms (para Retry-After com data HTTP)
+ * @returns {number|null} Espera em ms ou null se o servidor não informou
+ */
+export function lerEsperaServidor(headers, agora = Date.now()) {
+  if (!headers) return null;
+  const ler = (nome) =>
+    typeof headers.get === "function" ? headers.get(nome) : headers[nome];
+
+  const ms = Number(ler("retry-after-ms"));
+  if (ler("retry-after-ms") && Number.isFinite(ms) && ms >= 0) return ms;
+
+  const valor = ler("retry-after");
+  if (!valor) return null;
+  const segundos = Number(valor);
+  if (Number.isFinite(segundos) && segundos >= 0) return segundos * 1000;
+  const data = Date.parse(valor);
+  return Number.isNaN(data) ? null : Math.max(0, data - agora);
+}
+
+/**
+ * Classifica o erro de uma chamada ao modelo
+ * @param {Error} error - Erro lançado pelo provedor
+ * @returns {{tipo: string, motivo: string, esperaMs: number|null}} Tipo (TIPOS_ERRO_LLM),
+ *   descrição curta e espera pedida pelo servidor
+ */
+export function classificarErroLLM(error) {
+  const esperaMs = lerEsperaServidor(error.headers);
+  if (TIPOS_ERRO_LLM[error.tipo]) {
+    return { tipo: error.tipo, motivo: error.message, esperaMs };
+  }
+
+  const { status } = error;
+  const codigo = String(error.code || "");
+  if (status === 429) {
+    // Cota esgotada também responde 429, mas esperar não resolve
+    return codigo === "insufficient_quota"
+      ? {
+          tipo: TIPOS_ERRO_LLM.fatal,
+          motivo: "Cota da API esgotada",
+          esperaMs,
+        }
+      : {
+          tipo: TIPOS_ERRO_LLM.transitorio,
+          motivo: "Limite de requisições atingido (429)",
+          esperaMs,
+        };
+  }
+  if (status === 401 || status === 403) {
+    return {
+      tipo: TIPOS_ERRO_LLM.fatal,
+      motivo: `Chave da API inválida ou sem permissão (${status})`,
+      esperaMs,
+    };
+  }
+  if (status === 404 || codigo === "model_not_found") {
+    return {
+      tipo: TIPOS_ERRO_LLM.fatal,
+      motivo: "Modelo ou endereço da API não encontrado (404)",
+      esperaMs,
+    };
+  }
+  if (status === 408 || status === 409 || status >= 500) {
+    return {
+      tipo: TIPOS_ERRO_LLM.transitorio,
+      motivo: `Erro temporário do servidor (${status})`,
+      esperaMs,
+    };
+  }
+  if (status) {
+    return {
+      tipo: TIPOS_ERRO_LLM.definitivo,
+      motivo: `Requisição recusada (${status})`,
+      esperaMs,
+    };
+  }
+
+  // Sem resposta do servidor: tempo esgotado ou falha de conexão
+  const causa = error.cause || {};
+  if (
+    /Timeout|Abort|Connection/.test(error.name || "") ||
+    CODIGOS_REDE_TRANSITORIOS.includes(codigo) ||
+    CODIGOS_REDE_TRANSITORIOS.includes(String(causa.code || "")) ||
+    /fetch failed/i.test(error.message)
+  ) {
+    return {
+      tipo: TIPOS_ERRO_LLM.transitorio,
+      motivo: "Sem resposta do servidor (tempo esgotado ou falha de conexão)",
+      esperaMs,
+    };
+  }
+  return { tipo: TIPOS_ERRO_LLM.definitivo, motivo: error.message, esperaMs };
+}
+
+/**
+ * Valida os parâmetros de geração
+ * @param {number} temperatura - Temperatura (0 a 2)
+ * @param {number} maxTokens - Máximo de tokens da resposta
+ */
+function validarParametros(temperatura, maxTokens) {
+  if (!Number.isFinite(temperatura) || temperatura < 0 || temperatura > 2) {
+    throw new Error(
+      `Temperatura inválida: "${temperatura}". Use um número entre 0 e 2`
+    );
+  }
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    throw new Error(
+      `Máximo de tokens inválido: "${maxTokens}". Use um número inteiro maior que zero`
+    );
+  }
+}
+
+/**
+ * Cria um provedor a partir da definição e da função que chama a API.
+ * Erros transitórios são repetidos até config.tentativas vezes, respeitando o
+ * Retry-After do servidor; os demais são lançados com o tipo (TIPOS_ERRO_LLM)
+ * em error.tipo. Antes de cada chamada, os tokens do prompt são estimados e o
+ * máximo da resposta é reduzido, se preciso, para caber no contexto do modelo.
+ * O consumo (response.usage ou, sem ele, a estimativa) é informado a
+ * registrarUso. O provedor resultante tem:
+ *   nome        - identificador do provedor (ex.: "openai")
+ *   modelo      - modelo usado quando a chamada não informa outro
+ *   temperatura - temperatura padrão das chamadas
+ *   maxTokens   - máximo de tokens padrão das respostas
+ *   contexto    - tokens de contexto do modelo padrão (prompt + resposta)
+ *   tentativas  - máximo de tentativas por chamada
+ *   timeoutMs   - tempo máximo de espera por resposta
+ *   gerar       - ({sistema, usuario, modelo, temperatura, maxTokens, log, registrarUso,
+ *                 ignorarCache}) => Promise<string>; registrarUso recebe {modelo, entrada,
+ *                 saida, estimado, cache} e ignorarCache pede uma resposta nova da API
+ * @param {Object} definicao - Definição do provedor
+ * @param {string} definicao.nome - Identificador do provedor
+ * @param {string|null} definicao.modeloPadrao - Modelo padrão (null se o modelo for obrigatório)
+ * @param {Object} config - Configuração da execução (modelo, temperatura, maxTokens, contexto,
+ *   tentativas, timeoutMs, esperaBaseMs, esperaMaximaMs)
+ * @param {Object} config.cache - Cache das respostas (veja criarCacheLLM; padrão: sem cache)
+ * @param {function(Object): Promise<string|{texto: string, uso: Object}>} chamar - Chama a API
+ *   com os parâmetros resolvidos (inclui timeoutMs); devolve o texto ou o texto e o
+ *   consumo informado pela API ({entrada, saida})
+ * @returns {Object} Provedor
+ */
+export function criarProvedor(definicao, config, chamar) {
+  const modelo = config.modelo || definicao.modeloPadrao;
+  const temperatura = Number(
+    config.temperatura ?? PARAMETROS_PADRAO.temperatura
+  );
+  const maxTokens = Number(config.maxTokens ?? PARAMETROS_PADRAO.maxTokens);
+  const tentativas = Number(config.tentativas ?? PARAMETROS_PADRAO.tentativas);
+  const timeoutMs = Number(config.timeoutMs ?? PARAMETROS_PADRAO.timeoutMs);
+  const espera = {
+    esperaBaseMs: config.esperaBaseMs ?? PARAMETROS_PADRAO.esperaBaseMs,
+    esperaMaximaMs: config.esperaMaximaMs ?? PARAMETROS_PADRAO.esperaMaximaMs,
+  };
+  if (!modelo) {
+    throw new Error(
+      `O provedor "${definicao.nome}" exige o nome do modelo (--model ou LLM_MODELO)`
+    );
+  }
+  validarParametros(temperatura, maxTokens);
+  const contexto = limiteContexto(modelo, config.contexto);
+  const { cache } = config;
+  if (!Number.isInteger(tentativas) || tentativas < 1) {
+    throw new Error(
+      `Número de tentativas inválido: "${tentativas}". Use um número inteiro maior que zero`
+    );
+  }
+
+  return {
+    nome: definicao.nome,
+    modelo,
+    temperatura,
+    maxTokens,
+    contexto,
+    tentativas,
+    timeoutMs,
+    async gerar(parametros) {
+      const log = parametros.log || (() => {});
+      const registrarUso = parametros.registrarUso || (() => {});
+      const resolvidos = {
+        sistema: parametros.sistema,
+        usuario: parametros.usuario,
+        modelo: parametros.modelo || modelo,
+        temperatura: parametros.temperatura ?? temperatura,
+        maxTokens: parametros.maxTokens ?? maxTokens,
+        timeoutMs,
+      };
+
+      // O prompt e a resposta precisam caber juntos no contexto do modelo
+      const entrada =
+        estimarTokens(resolvidos.sistema) + estimarTokens(resolvidos.usuario);
+      const limite =
+        resolvidos.modelo === modelo
+          ? contexto
+          : limiteContexto(resolvidos.modelo, config.contexto);
+      if (entrada + Math.min(RESPOSTA_MINIMA, resolvidos.maxTokens) > limite) {
+        throw criarErroLLM(
+          `Prompt grande demais para o modelo ${resolvidos.modelo}: cerca de ${entrada} tokens, e o contexto é de ${limite}`,
+          { tipo: TIPOS_ERRO_LLM.definitivo }
+        );
+      }
+      if (entrada + resolvidos.maxTokens > limite) {
+        log(
+          `⚠ Prompt com cerca de ${entrada} tokens: resposta limitada a ${
+            limite - entrada
+          } tokens para caber no contexto de ${limite}`,
+          "aviso"
+        );
+        resolvidos.maxTokens = limite - entrada;
+      }
+
+      // Prompts iguais com o mesmo modelo e parâmetros devolvem a resposta já paga
+      const chave =
+        cache &&
+        cache.chave(
+          definicao.nome,
+          resolvidos.modelo,
+          resolvidos.temperatura,
+          resolvidos.maxTokens,
+          resolvidos.sistema,
+          resolvidos.usuario
+        );
+      if (cache && !parametros.ignorarCache) {
+        const salvo = cache.ler(chave);
+        if (salvo) {
+          registrarUso({
+            modelo: resolvidos.modelo,
+            entrada: 0,
+            saida: 0,
+            estimado: false,
+            cache: true,
+          });
+          log("✓ Resposta reaproveitada do cache, sem chamar a API");
+          return salvo.texto;
+        }
+      }
+
+      let resposta;
+      for (let tentativa = 1; ; tentativa++) {
+        try {
+          resposta = await chamar(resolvidos);
+          break;
+        } catch (error) {
+          const { tipo, motivo, esperaMs } = classificarErroLLM(error);
+          error.tipo = tipo;
+          if (tipo !== TIPOS_ERRO_LLM.transitorio || tentativa >= tentativas) {
+            throw error;
+          }
+          const ms = esperaMs ?? calcularEspera(tentativa, espera);
+          log(
+            `⚠ ${motivo}, nova tentativa em ${Math.ceil(ms / 1000)}s (${
+              tentativa + 1
+            }/${tentativas})...`,
+            "aviso"
+          );
+          await aguardar(ms);
+        }
+      }
+      const { texto, uso } =
+        typeof resposta === "object" && resposta !== null
+          ? resposta
+          : { texto: resposta, uso: null };
+      if (!texto || !texto.trim()) {
+        throw new Error(
+          `O provedor "${definicao.nome}" retornou uma resposta vazia`
+        );
+      }
+
+      // Sem o consumo informado pela API (ex.: servidores locais), fica a estimativa
+      const consumo = uso || {
+        entrada,
+        saida: estimarTokens(texto),
+        estimado: true,
+      };
+      registrarUso({
+        modelo: resolvidos.modelo,
+        entrada: consumo.entrada,
+        saida: consumo.saida,
+        estimado: Boolean(consumo.estimado),
+        cache: false,
+      });
+      if (cache) {
+        cache.salvar(chave, {
+          provedor: definicao.nome,
+          modelo: resolvidos.modelo,
+          texto: texto.trim(),
+          uso: consumo,
+        });
+      }
+      return texto.trim();
+    },
+  };
+}
+
+/**
+ * Chama a API de chat completions (OpenAI, Azure OpenAI e servidores compatíveis)
+ * @param {OpenAI} cliente - Cliente do SDK da OpenAI
+ * @param {Object} parametros - Parâmetros resolvidos por criarProvedor
+ * @returns {Promise<{texto: string, uso: Object|null}>} Texto da resposta e tokens
+ *   consumidos (response.usage), quando o servidor os informa
+ */
+export async function chamarChatCompletions(cliente, parametros) {
+  const response = await cliente.chat.completions.create({
+    model: parametros.modelo,
+    messages: [
+      { role: "system", content: parametros.sistema },
+      { role: "user", content: parametros.usuario },
+    ],
+    temperature: parametros.temperatura,
+    max_tokens: parametros.maxTokens,
+  });
+  const { usage } = response;
+  return {
+    texto: response.choices[0].message.content,
+    uso: usage
+      ? { entrada: usage.prompt_tokens, saida: usage.completion_tokens }
+      : null,
+  };
+}
@@ -0,0 +1,41 @@
+import { hashConteudo } from "../estado.js";
+import { criarProvedor } from "./comum.js";
+
+/**
+ * Provedor falso e determinístico, para testar o pipeline sem rede e sem custo.
+ * Sem config.resposta, devolve o currículo original contido no prompt padrão
+ * ou no prompt_agente.txt (assim ele passa na verificação de fatos) ou, com
+ * outros prompts, um texto fixo derivado do prompt. As chamadas ficam em provedor.chamadas.
+ * @param {Object} config - Configuração
+ * @param {string|function(Object): string} config.resposta - Resposta fixa ou função que a monta
+ * @returns {Object} Provedor
+ */
+export function falso(config = {}) {
+  const chamadas = [];
+  const provedor = criarProvedor(
+    { nome: "falso", modeloPadrao: "falso" },
+    config,
+    async (parametros) => {
+      chamadas.push(parametros);
+      if (typeof config.resposta === "function") {
+        return config.resposta(parametros);
+      }
+      if (config.resposta) {
+        return config.resposta;
+      }
+
+      // O currículo vai até a primeira linha em branco seguida de um dos
+      // blocos da vaga (o prompt_agente.txt põe VAGA e LINK DA VAGA antes da descrição)
+      const original = parametros.usuario.match(
+        /CURRÍCULO ORIGINAL:\n([\s\S]*?)\n\s*\n(?:VAGA|LINK DA VAGA|DESCRIÇÃO DA VAGA):/
+      );
+      return original
+        ? original[1]
+        : `Currículo gerado pelo provedor falso (${hashConteudo(
+            parametros.sistema,
+            parametros.usuario
+          ).slice(0, 12)})`;
+    }
+  );
+  return { ...provedor, chamadas };
+}
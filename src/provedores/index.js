@@ -0,0 +1,47 @@
+import { anthropic } from "./anthropic.js";
+import { azure } from "./azure.js";
+import { compativel } from "./compativel.js";
+import { falso } from "./falso.js";
+import { openai } from "./openai.js";
+
+export { classificarErroLLM, TIPOS_ERRO_LLM } from "./comum.js";
+
+/**
+ * Provedores de modelos de linguagem, escolhidos pelo nome. Cada um recebe a
+ * configuração da execução e devolve um objeto com gerar() (veja criarProvedor):
+ *   openai     - API da OpenAI (OPENAI_API_KEY)
+ *   compativel - servidores compatíveis com a API da OpenAI (llama.cpp, Ollama...)
+ *   anthropic  - API da Anthropic (ANTHROPIC_API_KEY)
+ *   azure      - Azure OpenAI (AZURE_OPENAI_API_KEY e AZURE_OPENAI_ENDPOINT)
+ *   falso      - respostas determinísticas, sem rede (testes)
+ */
+export const PROVEDORES_LLM = { openai, compativel, anthropic, azure, falso };
+
+/**
+ * Cria o provedor de modelo de linguagem da execução
+ * @param {Object} config - Configuração
+ * @param {string} config.provedor - Nome do provedor (padrão: "openai")
+ * @param {string} config.modelo - Modelo (padrão: o do provedor, quando houver)
+ * @param {number} config.temperatura - Temperatura (padrão: 0.7)
+ * @param {number} config.maxTokens - Máximo de tokens da resposta (padrão: 4000)
+ * @param {string} config.baseUrl - Endereço da API (compativel, azure e anthropic)
+ * @param {string} config.apiKey - Chave da API (padrão: a variável de ambiente do provedor)
+ * @param {number} config.tentativas - Máximo de tentativas por chamada em erros transitórios (padrão: 4)
+ * @param {number} config.timeoutMs - Tempo máximo de espera por resposta (padrão: 120000)
+ * @param {number} config.contexto - Tokens de contexto do modelo (padrão: o da tabela LIMITES_CONTEXTO)
+ * @param {Object} config.cache - Cache das respostas (veja criarCacheLLM; padrão: sem cache)
+ * @returns {Object} Provedor com nome, modelo, temperatura, maxTokens, contexto, tentativas,
+ *   timeoutMs e gerar()
+ */
+export function criarProvedorLLM(config = {}) {
+  const nome = (config.provedor || "openai").toLowerCase();
+  const criar = PROVEDORES_LLM[nome];
+  if (!criar) {
+    throw new Error(
+      `Provedor de modelo desconhecido: "${nome}". Use: ${Object.keys(
+        PROVEDORES_LLM
+      ).join(", ")}`
+    );
+  }
+  return criar(config);
+}
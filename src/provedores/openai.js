@@ -0,0 +1,35 @@
+import OpenAI from "openai";
+import {
+  chamarChatCompletions,
+  criarErroLLM,
+  criarProvedor,
+  TIPOS_ERRO_LLM,
+} from "./comum.js";
+
+/**
+ * Provedor da OpenAI (chave em config.apiKey ou OPENAI_API_KEY)
+ * @param {Object} config - Configuração (modelo, temperatura, maxTokens, apiKey)
+ * @returns {Object} Provedor
+ */
+export function openai(config = {}) {
+  let cliente = null;
+  return criarProvedor(
+    { nome: "openai", modeloPadrao: "gpt-4" },
+    config,
+    async (parametros) => {
+      const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+      // Verifica se a API key está configurada
+      if (!apiKey) {
+        throw criarErroLLM(
+          "OPENAI_API_KEY não configurada. Configure no arquivo .env",
+          { tipo: TIPOS_ERRO_LLM.fatal }
+        );
+      }
+      // As novas tentativas são feitas por criarProvedor, não pelo SDK
+      cliente =
+        cliente ||
+        new OpenAI({ apiKey, maxRetries: 0, timeout: parametros.timeoutMs });
+      return chamarChatCompletions(cliente, parametros);
+    }
+  );
+}
@@ -0,0 +1,399 @@
+import { formatarCurriculoTexto, parsearCurriculo } from "./curriculo.js";
+import { IDIOMAS } from "./idioma.js";
+import { criarProvedorLLM } from "./provedores/index.js";
+import { ehItemLista, removerMarcadorLista } from "./secoes.js";
+import { removerMarkdown } from "./texto.js";
+
+/**
+ * Alvos de tamanho do currículo gerado por seções, usados quando não são informados
+ *   paginas         - máximo de páginas (estimado, veja estimarPaginas)
+ *   palavrasMinimas - mínimo de palavras
+ *   palavrasMaximas - máximo de palavras
+ *   maxAjustes      - rodadas extras para corrigir os alvos não atingidos
+ */
+export const ALVOS_PADRAO = {
+  paginas: 2,
+  palavrasMinimas: 200,
+  palavrasMaximas: 900,
+  maxAjustes: 2,
+};
+
+// Estimativa do layout do DOCX gerado (Calibri 11, margens padrão)
+const CARACTERES_POR_LINHA = 95;
+const LINHAS_POR_PAGINA = 48;
+
+const PROMPT_SISTEMA_SECOES =
+  "Você é um especialista em currículos para sistemas ATS. Reescreva apenas o trecho pedido, sem inventar empresas, cargos, datas, números, certificações ou tecnologias que não estejam no currículo original.";
+
+/**
+ * Títulos dos passos no relatório de refinamento
+ */
+const TITULOS_PASSOS = {
+  requisitos: "Requisitos da vaga",
+  resumo: "Resumo profissional",
+  experiencia: "Experiência",
+  habilidades: "Habilidades",
+  alvos: "Verificação de tamanho",
+};
+
+/**
+ * Valida os alvos de tamanho informados (CURRICULO_PAGINAS, CURRICULO_PALAVRAS_MIN...)
+ * @param {Object} alvos - Alvos informados (campos ausentes usam ALVOS_PADRAO)
+ * @returns {{paginas: number, palavrasMinimas: number, palavrasMaximas: number, maxAjustes: number}}
+ *   Alvos completos
+ */
+export function lerAlvos(alvos = {}) {
+  const lidos = Object.fromEntries(
+    Object.entries(ALVOS_PADRAO).map(([campo, padrao]) => [
+      campo,
+      Number(alvos[campo] ?? padrao),
+    ])
+  );
+  for (const [campo, valor] of Object.entries(lidos)) {
+    const minimo =
+      campo === "maxAjustes" || campo === "palavrasMinimas" ? 0 : 1;
+    if (!Number.isInteger(valor) || valor < minimo) {
+      throw new Error(
+        `Alvo de tamanho inválido (${campo}): "${alvos[campo]}". Use um número inteiro a partir de ${minimo}`
+      );
+    }
+  }
+  if (lidos.palavrasMinimas > lidos.palavrasMaximas) {
+    throw new Error(
+      `Alvo de tamanho inválido: mínimo de ${lidos.palavrasMinimas} palavras maior que o máximo de ${lidos.palavrasMaximas}`
+    );
+  }
+  return lidos;
+}
+
+/**
+ * Conta as palavras de um texto
+ * @param {string} texto - Texto
+ * @returns {number} Quantidade de palavras
+ */
+export function contarPalavras(texto) {
+  return (String(texto || "").match(/\S+/g) || []).length;
+}
+
+/**
+ * Estima quantas páginas o texto ocupa no DOCX, pelas linhas que cada
+ * parágrafo ocupa (linhas longas quebram, linhas em branco contam)
+ * @param {string} texto - Texto do currículo
+ * @returns {number} Páginas estimadas (pelo menos 1)
+ */
+export function estimarPaginas(texto) {
+  const linhas = String(texto || "")
+    .split("\n")
+    .reduce(
+      (total, linha) =>
+        total + Math.max(1, Math.ceil(linha.length / CARACTERES_POR_LINHA)),
+      0
+    );
+  return Math.max(1, Math.ceil(linhas / LINHAS_POR_PAGINA));
+}
+
+/**
+ * Confere se o currículo atinge os alvos de tamanho e de páginas
+ * @param {string} texto - Texto do currículo
+ * @param {Object} alvos - Alvos (veja lerAlvos)
+ * @returns {{aprovado: boolean, palavras: number, paginas: number, falhas: Array<string>}}
+ *   Resultado, medidas do texto e descrição dos alvos não atingidos
+ */
+export function verificarAlvos(texto, alvos = ALVOS_PADRAO) {
+  const palavras = contarPalavras(texto);
+  const paginas = estimarPaginas(texto);
+  const falhas = [];
+  if (paginas > alvos.paginas) {
+    falhas.push(
+      `ocupa cerca de ${paginas} páginas; o limite é ${alvos.paginas}`
+    );
+  }
+  if (palavras > alvos.palavrasMaximas) {
+    falhas.push(
+      `tem ${palavras} palavras; o máximo é ${alvos.palavrasMaximas}`
+    );
+  }
+  if (palavras < alvos.palavrasMinimas) {
+    falhas.push(
+      `tem ${palavras} palavras; o mínimo é ${alvos.palavrasMinimas}`
+    );
+  }
+  return { aprovado: falhas.length === 0, palavras, paginas, falhas };
+}
+
+/**
+ * Lê os itens de lista de uma resposta do modelo; sem itens marcados, usa as
+ * linhas não vazias (ou, numa linha só, os itens separados por vírgulas)
+ * @param {string} resposta - Resposta do modelo
+ * @returns {Array<string>} Itens
+ */
+function lerItens(resposta) {
+  const linhas = resposta
+    .split("\n")
+    .map((linha) => linha.trim())
+    .filter(Boolean);
+  const itens = linhas.filter(ehItemLista);
+  if (itens.length > 0) {
+    return itens.map((item) => removerMarkdown(removerMarcadorLista(item)));
+  }
+  if (linhas.length === 1 && linhas[0].includes(",")) {
+    return linhas[0]
+      .split(",")
+      .map((item) => removerMarkdown(item.trim()))
+      .filter(Boolean);
+  }
+  return linhas.map(removerMarkdown);
+}
+
+/**
+ * Lê um parágrafo de uma resposta do modelo (sem título nem marcações)
+ * @param {string} resposta - Resposta do modelo
+ * @returns {string} Parágrafo
+ */
+function lerParagrafo(resposta) {
+  return resposta
+    .split("\n")
+    .map((linha) => removerMarkdown(linha.trim()))
+    .filter((linha) => linha && !/^[^a-z]+:?$/.test(linha))
+    .join(" ");
+}
+
+/**
+ * Monta a instrução que pede a correção dos alvos não atingidos
+ * @param {{palavras: number, falhas: Array<string>}} resultado - Resultado de verificarAlvos
+ * @param {Object} alvos - Alvos (veja lerAlvos)
+ * @returns {string} Instrução acrescentada aos prompts das seções
+ */
+function instrucaoAjuste(resultado, alvos) {
+  const reduzir =
+    resultado.palavras > alvos.palavrasMinimas &&
+    !resultado.falhas.some((falha) => falha.includes("o mínimo"));
+  return (
+    `AJUSTE DE TAMANHO: a versão anterior do currículo ${resultado.falhas.join(
+      " e "
+    )}. ` +
+    (reduzir
+      ? "Seja mais conciso: use frases mais curtas e menos itens, mantendo os mais relevantes para a vaga."
+      : "Desenvolva mais: detalhe as atividades e resultados que estão no original, sem inventar nada.")
+  );
+}
+
+/**
+ * Gera o currículo em várias etapas: extrai os requisitos da vaga, reescreve
+ * separadamente o resumo, as atividades de cada experiência e as habilidades,
+ * e confere o tamanho e as páginas; se algum alvo não for atingido, as seções
+ * são reescritas com a correção pedida (até alvos.maxAjustes vezes). Contato,
+ * formação e as demais seções são mantidos como no original.
+ * @param {string} curriculoOriginal - Currículo original do usuário
+ * @param {string} descricaoVaga - Descrição completa da vaga
+ * @param {Object} contexto - Dados extras da vaga (titulo, empresa...)
+ * @param {string} contexto.instrucoesAdicionais - Instruções acrescentadas a cada prompt
+ * @param {Object} opcoes - Opções da geração
+ * @param {Object} opcoes.dados - Currículo estruturado (padrão: interpretado do texto)
+ * @param {Object} opcoes.alvos - Alvos de tamanho (veja lerAlvos)
+ * @param {string} opcoes.idioma - Idioma do currículo: "pt", "en" ou "es" (padrão: o do original)
+ * @param {Object} opcoes.cliente - Provedor do modelo (padrão: criarProvedorLLM(), OpenAI)
+ * @param {string} opcoes.modelo - Modelo (padrão: o do provedor)
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @param {function(Object): void} opcoes.registrar - Recebe cada passo
+ *   ({etapa, titulo, prompt, resposta}) para o relatório de refinamento
+ * @returns {Promise<string>} Currículo otimizado
+ */
+export async function gerarCurriculoPorSecoes(
+  curriculoOriginal,
+  descricaoVaga,
+  contexto = {},
+  opcoes = {}
+) {
+  const log = opcoes.log || (() => {});
+  const registrar = opcoes.registrar || (() => {});
+  const cliente = opcoes.cliente || criarProvedorLLM();
+  const alvos = lerAlvos(opcoes.alvos);
+  const dados = opcoes.dados || parsearCurriculo(curriculoOriginal);
+  const idioma = IDIOMAS[opcoes.idioma] ? IDIOMAS[opcoes.idioma].nome : null;
+
+  const chamar = async (etapa, titulo, usuario) => {
+    const resposta = await cliente.gerar({
+      sistema: PROMPT_SISTEMA_SECOES,
+      usuario,
+      modelo: opcoes.modelo,
+      log,
+    });
+    registrar({ etapa, titulo, prompt: usuario, resposta });
+    return resposta;
+  };
+
+  try {
+    // 1. Requisitos da vaga, usados como referência em todas as seções
+    log("Extraindo os requisitos da vaga...");
+    const requisitos = lerItens(
+      await chamar(
+        "requisitos",
+        TITULOS_PASSOS.requisitos,
+        `Liste os requisitos da vaga abaixo (tecnologias, experiências, formação, competências e responsabilidades), do mais importante para o menos importante, um por linha, começando com "- ". Retorne apenas a lista.
+
+DESCRIÇÃO DA VAGA:
+${descricaoVaga}`
+      )
+    );
+    log(`✓ ${requisitos.length} requisito(s) encontrado(s)`);
+    const listaRequisitos = requisitos.map((r) => `- ${r}`).join("\n");
+    const vaga = [contexto.titulo, contexto.empresa]
+      .filter(Boolean)
+      .join(" - ");
+
+    let ajuste = null;
+    let texto = null;
+    for (let rodada = 0; rodada <= alvos.maxAjustes; rodada++) {
+      const extras = [
+        idioma ? `Escreva em ${idioma}.` : null,
+        contexto.instrucoesAdicionais,
+        ajuste,
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+      const finalizar = (pedido) =>
+        extras ? `${pedido}\n\n${extras}` : pedido;
+      const sufixo = rodada > 0 ? ` (ajuste ${rodada})` : "";
+
+      // 2. Seções reescritas separadamente (as chamadas respeitam o limite do provedor)
+      log(`Reescrevendo resumo, experiências e habilidades${sufixo}...`);
+      const [resumo, experiencias, habilidades] = await Promise.all([
+        chamar(
+          "resumo",
+          `${TITULOS_PASSOS.resumo}${sufixo}`,
+          finalizar(`Escreva o resumo profissional do currículo abaixo para a vaga${
+            vaga ? ` "${vaga}"` : ""
+          }: um parágrafo de 3 a 5 frases que destaque a experiência e as habilidades do currículo que atendem aos requisitos. Retorne apenas o parágrafo.
+
+REQUISITOS DA VAGA:
+${listaRequisitos}
+
+CURRÍCULO ORIGINAL:
+${curriculoOriginal}`)
+        ).then(lerParagrafo),
+        Promise.all(
+          dados.experiencia.map((exp, i) =>
+            chamar(
+              "experiencia",
+              `${TITULOS_PASSOS.experiencia} ${i + 1}: ${exp.cargo} - ${
+                exp.empresa
+              }${sufixo}`,
+              finalizar(`Reescreva as atividades desta experiência para a vaga, destacando o que atende aos requisitos e usando as palavras-chave deles quando forem verdadeiras. Não mude o cargo, a empresa nem o período. Retorne apenas as atividades, uma por linha, começando com "- ".
+
+REQUISITOS DA VAGA:
+${listaRequisitos}
+
+EXPERIÊNCIA:
+Cargo: ${exp.cargo}
+Empresa: ${exp.empresa}
+${exp.periodo ? `Período: ${exp.periodo}\n` : ""}${(exp.atividades || [])
+                .map((atividade) => `- ${atividade}`)
+                .join("\n")}`)
+            ).then(lerItens)
+          )
+        ),
+        chamar(
+          "habilidades",
+          `${TITULOS_PASSOS.habilidades}${sufixo}`,
+          finalizar(`Liste as habilidades do currículo abaixo, das mais relevantes para os requisitos da vaga às menos relevantes. Use só habilidades que aparecem no currículo (na lista de habilidades ou nas experiências), com o nome usado na vaga quando for o mesmo conceito. Retorne apenas a lista, uma por linha, começando com "- ".
+
+REQUISITOS DA VAGA:
+${listaRequisitos}
+
+CURRÍCULO ORIGINAL:
+${curriculoOriginal}`)
+        ).then(lerItens),
+      ]);
+
+      // Seções que vieram vazias ficam como no original
+      const manter = (nome, gerada, original) => {
+        if (gerada.length > 0) return gerada;
+        log(`⚠ ${nome} veio vazio, mantendo o original`, "aviso");
+        return original;
+      };
+      texto = formatarCurriculoTexto({
+        ...dados,
+        resumo: manter("Resumo", resumo, dados.resumo),
+        experiencia: dados.experiencia.map((exp, i) => ({
+          ...exp,
+          atividades: manter(
+            `Experiência ${i + 1}`,
+            experiencias[i],
+            exp.atividades
+          ),
+        })),
+        habilidades: manter("Habilidades", habilidades, dados.habilidades),
+      });
+
+      // 3. Tamanho e páginas; o que não atingir o alvo é pedido na próxima rodada
+      const resultado = verificarAlvos(texto, alvos);
+      registrar({
+        etapa: "alvos",
+        titulo: `${TITULOS_PASSOS.alvos}${sufixo}`,
+        prompt: null,
+        resposta: `${resultado.palavras} palavras, ~${
+          resultado.paginas
+        } página(s): ${
+          resultado.aprovado ? "dentro dos alvos" : resultado.falhas.join("; ")
+        }`,
+      });
+      if (resultado.aprovado) {
+        log(
+          `✓ Currículo montado: ${resultado.palavras} palavras, ~${resultado.paginas} página(s)`
+        );
+        break;
+      }
+      if (rodada === alvos.maxAjustes) {
+        log(
+          `⚠ Alvos de tamanho não atingidos: o currículo ${resultado.falhas.join(
+            " e "
+          )}`,
+          "aviso"
+        );
+        break;
+      }
+      log(
+        `⚠ O currículo ${resultado.falhas.join(" e ")}, ajustando (${
+          rodada + 1
+        }/${alvos.maxAjustes})...`,
+        "aviso"
+      );
+      ajuste = instrucaoAjuste(resultado, alvos);
+    }
+
+    log("✓ Currículo gerado com sucesso!");
+    return texto;
+  } catch (error) {
+    log(`Erro ao gerar currículo: ${error.message}`, "erro");
+    throw error;
+  }
+}
+
+/**
+ * Formata o relatório de refinamento com os prompts e as respostas de cada passo
+ * @param {Array<Object>} passos - Passos recebidos por opcoes.registrar
+ * @param {Object} dados - Dados da vaga
+ * @param {string} dados.link - Link da vaga
+ * @param {string} dados.vaga - Resumo da vaga (título, empresa...)
+ * @returns {string} Relatório em texto
+ */
+export function formatarRelatorioRefinamento(passos, dados = {}) {
+  const linhas = [
+    `LINK DA VAGA: ${dados.link || "-"}`,
+    ...(dados.vaga ? [`VAGA: ${dados.vaga}`] : []),
+    `DATA DA GERAÇÃO: ${new Date().toLocaleString("pt-BR")}`,
+    `PASSOS: ${passos.length}`,
+    "",
+    "=".repeat(80),
+  ];
+  passos.forEach((passo, i) => {
+    const variante = passo.variante ? ` [variante ${passo.variante}]` : "";
+    linhas.push("", `${i + 1}. ${passo.titulo}${variante}`, "-".repeat(80));
+    if (passo.prompt) {
+      linhas.push("PROMPT:", passo.prompt, "", "RESPOSTA:");
+    }
+    linhas.push(passo.resposta);
+  });
+  return linhas.join("\n").trimEnd() + "\n";
+}
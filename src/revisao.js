@@ -0,0 +1,541 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { criarLimitador } from "./concorrencia.js";
+import { lerCurriculoEstruturado, localizarCurriculo } from "./curriculo.js";
+import { compararTextos } from "./diff.js";
+import {
+  carregarEstado,
+  curriculoAprovado,
+  etapaConcluida,
+  hashConteudo,
+  registrarEtapa,
+  registrarRevisao,
+  registrarUsoRevisao,
+  situacaoVaga,
+} from "./estado.js";
+import { resumirVaga } from "./metadados.js";
+import { executarPipeline } from "./pipeline.js";
+import { carregarPerfis, escolherPerfil } from "./perfis.js";
+import { compararPontuacoes } from "./pontuacao.js";
+import { lerDescricaoSalva, lerMetadadosSalvos } from "./saida.js";
+import { carregarSinonimos } from "./sinonimos.js";
+
+/**
+ * Porta usada quando não é informada
+ */
+export const PORTA_REVISAO_PADRAO = 3000;
+
+// Tamanho máximo do corpo das requisições (um currículo editado cabe com folga)
+const TAMANHO_MAXIMO_CORPO = 1024 * 1024;
+
+/**
+ * Cria um erro com o código HTTP da resposta
+ * @param {number} status - Código HTTP
+ * @param {string} mensagem - Mensagem do erro
+ * @returns {Error} Erro com status
+ */
+function erroHttp(status, mensagem) {
+  const erro = new Error(mensagem);
+  erro.status = status;
+  return erro;
+}
+
+/**
+ * Confere se a requisição veio da própria interface: o Host precisa ser
+ * 127.0.0.1 ou localhost na porta do servidor (contra DNS rebinding) e o
+ * Origin, quando enviado, o do próprio servidor (contra páginas de outros sites)
+ * @param {http.IncomingMessage} req - Requisição
+ */
+function verificarOrigem(req) {
+  const porta = req.socket.localPort;
+  const host = String(req.headers.host || "").toLowerCase();
+  if (![`127.0.0.1:${porta}`, `localhost:${porta}`].includes(host)) {
+    throw erroHttp(
+      403,
+      `Endereço não permitido: abra a revisão em http://localhost:${porta}`
+    );
+  }
+  const { origin } = req.headers;
+  if (origin !== undefined && origin.toLowerCase() !== `http://${host}`) {
+    throw erroHttp(403, `Origem não permitida: ${origin}`);
+  }
+}
+
+/**
+ * Lê o corpo JSON de uma requisição. Outros tipos de conteúdo são recusados,
+ * já que formulários e fetch "no-cors" de outros sites não podem enviar JSON
+ * @param {http.IncomingMessage} req - Requisição
+ * @returns {Promise<Object>} Corpo interpretado (vazio se não houver corpo)
+ */
+async function lerCorpo(req) {
+  const tipo = String(req.headers["content-type"] || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (tipo !== "application/json") {
+    throw erroHttp(415, "Envie o conteúdo como application/json");
+  }
+  const partes = [];
+  let tamanho = 0;
+  for await (const parte of req) {
+    tamanho += parte.length;
+    if (tamanho > TAMANHO_MAXIMO_CORPO) {
+      throw erroHttp(413, "Conteúdo grande demais");
+    }
+    partes.push(parte);
+  }
+  const texto = Buffer.concat(partes).toString("utf-8").trim();
+  if (!texto) return {};
+  try {
+    return JSON.parse(texto);
+  } catch (error) {
+    throw erroHttp(400, `JSON inválido: ${error.message}`);
+  }
+}
+
+/**
+ * Envia uma resposta
+ * @param {http.ServerResponse} res - Resposta
+ * @param {number} status - Código HTTP
+ * @param {string} tipo - Content-Type
+ * @param {string} conteudo - Corpo da resposta
+ */
+function responder(res, status, tipo, conteudo) {
+  res.writeHead(status, {
+    "Content-Type": `${tipo}; charset=utf-8`,
+    "Cache-Control": "no-store",
+  });
+  res.end(conteudo);
+}
+
+/**
+ * Monta a lista de vagas exibida na interface: as que já têm a descrição baixada
+ * @param {Object} estado - Estado carregado por carregarEstado
+ * @returns {Array<Object>} Vagas com ID, link, resumo e situação da revisão
+ */
+function listarVagas(estado) {
+  return Object.values(estado.vagas)
+    .filter((registro) => etapaConcluida(registro, "coleta"))
+    .map((registro) => {
+      const { arquivos } = registro.etapas.coleta;
+      const gerado = etapaConcluida(registro, "geracao");
+      const texto = gerado
+        ? fs.readFileSync(registro.etapas.geracao.arquivos[0], "utf-8")
+        : null;
+      return {
+        id: registro.id,
+        link: registro.link,
+        resumo: arquivos[1] ? resumirVaga(lerMetadadosSalvos(arquivos[1])) : "",
+        situacao: situacaoVaga(registro),
+        gerado,
+        aprovado: gerado && curriculoAprovado(registro, texto),
+        renderizado: etapaConcluida(registro, "renderizacao"),
+      };
+    });
+}
+
+/**
+ * Cria o servidor local da interface de revisão: lista as vagas e, para cada
+ * uma, mostra a descrição, o currículo original e o otimizado (com as
+ * diferenças e a cobertura de palavras-chave). O currículo pode ser editado,
+ * gerado de novo com instruções extras e aprovado, o que cria os DOCX/PDF.
+ * Ao iniciar, marca no estado que a revisão está em uso: daí em diante os
+ * comandos run e render só criam os DOCX/PDF de currículos aprovados.
+ * Não escreve no console: o progresso é enviado para opcoes.log.
+ * @param {Object} opcoes - Opções de executarPipeline usadas para gerar e
+ *   renderizar (diretorio, curriculo, estado, descricoes, provedor, formatos...)
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @param {Object} dependencias - Dependências substituíveis
+ * @param {function(Object, Object): Promise<Object>} dependencias.executarPipeline - Executa
+ *   as etapas (padrão: executarPipeline)
+ * @returns {http.Server} Servidor (ainda não iniciado; use listen)
+ */
+export function criarServidorRevisao(opcoes, dependencias = {}) {
+  const log = opcoes.log || (() => {});
+  const executar = dependencias.executarPipeline || executarPipeline;
+  const diretorio = opcoes.diretorio || process.cwd();
+  const estadoPath = opcoes.estado || path.join(diretorio, "estado_vagas.json");
+  // Uma ação por vez: gerar e renderizar alteram o estado
+  const limitarAcoes = criarLimitador(1);
+
+  const lerRegistro = (id) => {
+    const estado = carregarEstado(estadoPath);
+    const registro = estado.vagas[id];
+    if (!registro || !etapaConcluida(registro, "coleta")) {
+      throw erroHttp(404, `Vaga não encontrada ou sem descrição: ${id}`);
+    }
+    return { estado, registro };
+  };
+
+  const detalharVaga = (id) => {
+    const { registro } = lerRegistro(id);
+    const [descricaoPath, metadadosPath] = registro.etapas.coleta.arquivos;
+    const descricao = lerDescricaoSalva(descricaoPath);
+    const metadados = metadadosPath ? lerMetadadosSalvos(metadadosPath) : {};
+    const sinonimos = carregarSinonimos(
+      opcoes.sinonimos || path.join(diretorio, "sinonimos.json")
+    );
+
+    // Currículo base: o perfil usado na geração ou o que o pipeline escolheria
+    const usado = (registro.etapas.geracao || {}).perfil;
+    const perfisDir =
+      opcoes.perfis ||
+      (!opcoes.curriculo && fs.existsSync(path.join(diretorio, "perfis"))
+        ? path.join(diretorio, "perfis")
+        : null);
+    let perfil;
+    if (usado && fs.existsSync(usado.caminho)) {
+      perfil = { nome: usado.nome, ...lerCurriculoEstruturado(usado.caminho) };
+    } else if (perfisDir) {
+      perfil = escolherPerfil(carregarPerfis(perfisDir), descricao, {
+        sinonimos,
+      }).perfil;
+    } else {
+      perfil = lerCurriculoEstruturado(
+        opcoes.curriculo || localizarCurriculo(diretorio)
+      );
+    }
+    const original = perfil.texto;
+    const otimizado = etapaConcluida(registro, "geracao")
+      ? fs.readFileSync(registro.etapas.geracao.arquivos[0], "utf-8")
+      : null;
+
+    const comparacao = compararPontuacoes(descricao, original, otimizado, {
+      sinonimos,
+    });
+    const termos = (lista) => lista.map((p) => p.termo);
+    const revisao = registro.revisao || {};
+
+    return {
+      id,
+      link: registro.link,
+      resumo: resumirVaga(metadados),
+      situacao: situacaoVaga(registro),
+      perfil: perfisDir ? perfil.nome : null,
+      descricao,
+      original,
+      otimizado,
+      diferencas: otimizado ? compararTextos(original, otimizado) : [],
+      cobertura: {
+        palavrasChave: termos(comparacao.palavrasChave),
+        original: {
+          pontuacao: comparacao.original.pontuacao,
+          encontradas: termos(comparacao.original.encontradas),
+        },
+        otimizado: comparacao.otimizado && {
+          pontuacao: comparacao.otimizado.pontuacao,
+          encontradas: termos(comparacao.otimizado.encontradas),
+        },
+      },
+      instrucoes: revisao.instrucoes || "",
+      aprovado: Boolean(otimizado) && curriculoAprovado(registro, otimizado),
+      arquivos: etapaConcluida(registro, "renderizacao")
+        ? registro.etapas.renderizacao.arquivos
+        : [],
+    };
+  };
+
+  // Executa etapas do pipeline para uma vaga e devolve as mensagens de progresso
+  const executarEtapas = async (id, extras) => {
+    const mensagens = [];
+    const eventos = new EventEmitter();
+    eventos.on("log", ({ mensagem, nivel, id: idVaga }) => {
+      if (!idVaga) return;
+      mensagens.push(mensagem);
+      log(`  ${mensagem}`, nivel);
+    });
+    const { vagasComFalha } = await executar(
+      {
+        ...opcoes,
+        ...extras,
+        offline: true,
+        ids: new Set([id]),
+        linhas: null,
+        status: null,
+      },
+      { eventos }
+    );
+    return { mensagens, falhou: vagasComFalha.length > 0 };
+  };
+
+  const salvarEdicao = (id, corpo) => {
+    const texto = String(corpo.texto || "").trim();
+    if (!texto) {
+      throw erroHttp(400, "O currículo editado está vazio");
+    }
+    const { estado, registro } = lerRegistro(id);
+    if (!etapaConcluida(registro, "geracao")) {
+      throw erroHttp(409, "Currículo ainda não gerado para esta vaga");
+    }
+    const geracao = registro.etapas.geracao;
+    fs.writeFileSync(geracao.arquivos[0], texto, "utf-8");
+    registrarEtapa(estado, id, "geracao", {
+      ...geracao,
+      hashSaida: hashConteudo(texto),
+      editado: true,
+    });
+    log(`✓ Currículo da vaga ${id} editado na revisão`);
+    return { mensagens: ["✓ Edição salva"] };
+  };
+
+  const regenerar = async (id, corpo) => {
+    const { estado } = lerRegistro(id);
+    const instrucoes = String(corpo.instrucoes || "").trim() || null;
+    registrarRevisao(estado, id, { instrucoes });
+    log(`Gerando de novo o currículo da vaga ${id}...`);
+    return executarEtapas(id, { etapas: ["geracao"], refazer: ["geracao"] });
+  };
+
+  const aprovar = async (id) => {
+    const { estado, registro } = lerRegistro(id);
+    if (!etapaConcluida(registro, "geracao")) {
+      throw erroHttp(409, "Currículo ainda não gerado para esta vaga");
+    }
+    const texto = fs.readFileSync(registro.etapas.geracao.arquivos[0], "utf-8");
+    registrarRevisao(estado, id, {
+      aprovado: hashConteudo(texto),
+      aprovadoEm: new Date().toISOString(),
+    });
+    log(`✓ Currículo da vaga ${id} aprovado, criando os arquivos...`);
+    return executarEtapas(id, {
+      etapas: ["renderizacao"],
+      exigirAprovacao: true,
+    });
+  };
+
+  const acoes = { curriculo: salvarEdicao, regenerar, aprovar };
+
+  const servidor = http.createServer(async (req, res) => {
+    try {
+      verificarOrigem(req);
+      const url = new URL(req.url, "http://localhost");
+      if (req.method === "GET" && url.pathname === "/") {
+        responder(res, 200, "text/html", PAGINA_REVISAO);
+        return;
+      }
+      if (req.method === "GET" && url.pathname === "/api/vagas") {
+        responder(
+          res,
+          200,
+          "application/json",
+          JSON.stringify(listarVagas(carregarEstado(estadoPath)))
+        );
+        return;
+      }
+
+      const rota = url.pathname.match(
+        /^\/api\/vagas\/([\w-]+)(?:\/(curriculo|regenerar|aprovar))?$/
+      );
+      if (!rota) {
+        throw erroHttp(404, "Endereço não encontrado");
+      }
+      const [, id, acao] = rota;
+      if (!acao && req.method === "GET") {
+        responder(
+          res,
+          200,
+          "application/json",
+          JSON.stringify(detalharVaga(id))
+        );
+        return;
+      }
+      if (!acao || req.method !== "POST") {
+        throw erroHttp(405, "Método não permitido");
+      }
+
+      const corpo = await lerCorpo(req);
+      const resultado = await limitarAcoes(() => acoes[acao](id, corpo));
+      responder(
+        res,
+        200,
+        "application/json",
+        JSON.stringify({ ...resultado, vaga: detalharVaga(id) })
+      );
+    } catch (error) {
+      if (!error.status) {
+        log(`Erro na revisão: ${error.message}`, "erro");
+      }
+      responder(
+        res,
+        error.status || 500,
+        "application/json",
+        JSON.stringify({ erro: error.message })
+      );
+    }
+  });
+
+  servidor.on("listening", () => {
+    try {
+      registrarUsoRevisao(carregarEstado(estadoPath));
+    } catch (error) {
+      log(`Erro ao registrar o uso da revisão: ${error.message}`, "erro");
+    }
+  });
+  return servidor;
+}
+
+/**
+ * Página da interface de revisão (HTML, CSS e JavaScript sem dependências)
+ */
+const PAGINA_REVISAO = `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Revisão de currículos</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: "Calibri", "Arial", sans-serif; color: #222; display: flex; height: 100vh; }
+  nav { width: 280px; border-right: 1px solid #ddd; overflow-y: auto; background: #fafafa; }
+  nav h1 { font-size: 14pt; margin: 12px; }
+  nav button { display: block; width: 100%; text-align: left; border: 0; border-bottom: 1px solid #eee; background: none; padding: 8px 12px; cursor: pointer; font: inherit; }
+  nav button.atual { background: #e8f0fe; }
+  nav small { display: block; color: #666; }
+  main { flex: 1; display: flex; flex-direction: column; overflow: hidden; }
+  header { padding: 8px 16px; border-bottom: 1px solid #ddd; }
+  header h2 { margin: 0 0 4px; font-size: 13pt; }
+  .colunas { flex: 1; display: flex; overflow: hidden; }
+  .coluna { flex: 1; display: flex; flex-direction: column; border-right: 1px solid #eee; overflow: hidden; }
+  .coluna h3 { margin: 0; padding: 6px 12px; font-size: 11pt; background: #f3f3f3; }
+  .texto { flex: 1; overflow: auto; padding: 8px 12px; white-space: pre-wrap; font-size: 10pt; }
+  textarea { flex: 1; width: 100%; border: 0; padding: 8px 12px; font: 10pt monospace; resize: none; }
+  ins { background: #d4f7d4; text-decoration: none; }
+  del { background: #fbd6d6; }
+  .chips span { display: inline-block; margin: 2px; padding: 1px 6px; border-radius: 8px; font-size: 9pt; }
+  .ok { background: #d4f7d4; }
+  .falta { background: #fbd6d6; }
+  .acoes { padding: 8px 16px; border-top: 1px solid #ddd; display: flex; gap: 8px; align-items: flex-start; }
+  .acoes textarea { flex: 1; height: 48px; border: 1px solid #ccc; }
+  #mensagens { padding: 4px 16px; font-size: 9pt; color: #444; max-height: 120px; overflow-y: auto; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<nav><h1>Vagas</h1><div id="vagas"></div></nav>
+<main>
+  <header>
+    <h2 id="titulo">Escolha uma vaga</h2>
+    <div id="pontuacao"></div>
+    <div class="chips" id="cobertura"></div>
+  </header>
+  <div class="colunas">
+    <div class="coluna"><h3>Descrição da vaga</h3><div class="texto" id="descricao"></div></div>
+    <div class="coluna"><h3>Currículo original <span id="perfil"></span></h3><div class="texto" id="original"></div></div>
+    <div class="coluna">
+      <h3>Currículo otimizado
+        <label><input type="checkbox" id="editar"> editar</label>
+      </h3>
+      <div class="texto" id="diferencas"></div>
+      <textarea id="edicao" hidden></textarea>
+    </div>
+  </div>
+  <div class="acoes">
+    <button id="salvar" hidden>Salvar edição</button>
+    <textarea id="instrucoes" placeholder="Instruções extras para gerar de novo (ex.: destaque a experiência com AWS)"></textarea>
+    <button id="regenerar">Gerar de novo</button>
+    <button id="aprovar">Aprovar e criar DOCX/PDF</button>
+  </div>
+  <div id="mensagens"></div>
+</main>
+<script>
+  let vagaAtual = null;
+  const $ = (id) => document.getElementById(id);
+
+  async function chamar(endereco, corpo) {
+    const resposta = await fetch(endereco, corpo === undefined ? {} : {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(corpo),
+    });
+    const dados = await resposta.json();
+    if (!resposta.ok) throw new Error(dados.erro);
+    return dados;
+  }
+
+  function mostrarMensagens(linhas) {
+    $("mensagens").textContent = linhas.join("\\n");
+  }
+
+  async function carregarVagas() {
+    const vagas = await chamar("/api/vagas");
+    const lista = $("vagas");
+    lista.textContent = "";
+    for (const vaga of vagas) {
+      const botao = document.createElement("button");
+      botao.textContent = vaga.resumo || "Vaga " + vaga.id;
+      const detalhe = document.createElement("small");
+      detalhe.textContent = vaga.id + " | " + (vaga.aprovado ? "✓ aprovado" : vaga.gerado ? "aguardando aprovação" : "currículo não gerado");
+      botao.append(detalhe);
+      botao.className = vagaAtual && vagaAtual.id === vaga.id ? "atual" : "";
+      botao.onclick = () => abrirVaga(vaga.id).catch((e) => mostrarMensagens(["✗ " + e.message]));
+      lista.append(botao);
+    }
+  }
+
+  function mostrarVaga(vaga) {
+    vagaAtual = vaga;
+    $("titulo").textContent = (vaga.resumo || "Vaga " + vaga.id) + (vaga.aprovado ? " (✓ aprovado)" : "");
+    $("descricao").textContent = vaga.descricao;
+    $("original").textContent = vaga.original;
+    $("perfil").textContent = vaga.perfil ? "(perfil " + vaga.perfil + ")" : "";
+    $("instrucoes").value = vaga.instrucoes;
+    $("edicao").value = vaga.otimizado || "";
+
+    const { cobertura } = vaga;
+    $("pontuacao").textContent = "Pontuação ATS: original " + cobertura.original.pontuacao + "/100" +
+      (cobertura.otimizado ? " | otimizado " + cobertura.otimizado.pontuacao + "/100" : "");
+    const encontradas = new Set((cobertura.otimizado || cobertura.original).encontradas);
+    $("cobertura").textContent = "";
+    for (const termo of cobertura.palavrasChave) {
+      const chip = document.createElement("span");
+      chip.textContent = termo;
+      chip.className = encontradas.has(termo) ? "ok" : "falta";
+      $("cobertura").append(chip);
+    }
+
+    const diferencas = $("diferencas");
+    diferencas.textContent = vaga.otimizado ? "" : "Currículo ainda não gerado para esta vaga.";
+    for (const trecho of vaga.diferencas) {
+      const elemento = document.createElement(trecho.tipo === "inserido" ? "ins" : trecho.tipo === "removido" ? "del" : "span");
+      elemento.textContent = trecho.texto;
+      diferencas.append(elemento);
+    }
+  }
+
+  async function abrirVaga(id) {
+    mostrarVaga(await chamar("/api/vagas/" + encodeURIComponent(id)));
+    mostrarMensagens([]);
+    await carregarVagas();
+  }
+
+  async function executarAcao(acao, corpo, aguarde) {
+    if (!vagaAtual) return;
+    mostrarMensagens([aguarde]);
+    document.querySelectorAll(".acoes button").forEach((b) => (b.disabled = true));
+    try {
+      const resultado = await chamar("/api/vagas/" + encodeURIComponent(vagaAtual.id) + "/" + acao, corpo);
+      mostrarVaga(resultado.vaga);
+      mostrarMensagens(resultado.mensagens.concat(resultado.falhou ? ["✗ A etapa falhou, veja as mensagens acima"] : []));
+      await carregarVagas();
+    } catch (e) {
+      mostrarMensagens(["✗ " + e.message]);
+    } finally {
+      document.querySelectorAll(".acoes button").forEach((b) => (b.disabled = false));
+    }
+  }
+
+  $("editar").onchange = () => {
+    const editando = $("editar").checked;
+    $("diferencas").hidden = editando;
+    $("edicao").hidden = !editando;
+    $("salvar").hidden = !editando;
+  };
+  $("salvar").onclick = () => executarAcao("curriculo", { texto: $("edicao").value }, "Salvando...");
+  $("regenerar").onclick = () => executarAcao("regenerar", { instrucoes: $("instrucoes").value }, "Gerando de novo, aguarde...");
+  $("aprovar").onclick = () => executarAcao("aprovar", {}, "Criando os arquivos...");
+
+  carregarVagas().catch((e) => mostrarMensagens(["✗ " + e.message]));
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,375 @@
+import fs from "fs";
+import path from "path";
+import {
+  formatarArquivoDescricao,
+  interpretarArquivoDescricao,
+} from "./descricoes.js";
+import { gerarDocxCarta, gerarDocxCurriculo } from "./docx.js";
+import {
+  detectarIdioma,
+  formatarData,
+  IDIOMA_PADRAO,
+  IDIOMAS,
+} from "./idioma.js";
+import { montarMetadados } from "./metadados.js";
+import { gerarPdfCurriculo } from "./pdf.js";
+
+/**
+ * Formatos de saída suportados para os currículos otimizados
+ */
+export const FORMATOS_SUPORTADOS = ["docx", "pdf"];
+
+/**
+ * Lê a lista de formatos de saída (ex.: "docx,pdf")
+ * @param {string} valor - Formatos separados por vírgula
+ * @returns {Array<string>} Formatos válidos
+ */
+export function lerFormatosSaida(valor) {
+  const formatos = String(valor || FORMATOS_SUPORTADOS.join(","))
+    .split(",")
+    .map((formato) => formato.trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalidos = formatos.filter((f) => !FORMATOS_SUPORTADOS.includes(f));
+  if (invalidos.length > 0 || formatos.length === 0) {
+    throw new Error(
+      `Formato de saída inválido: "${valor}". Use: ${FORMATOS_SUPORTADOS.join(
+        ", "
+      )}`
+    );
+  }
+  return [...new Set(formatos)];
+}
+
+/**
+ * Salva um relatório em texto no diretório de relatórios
+ * @param {string} relatorio - Conteúdo do relatório
+ * @param {string} nomeArquivo - Nome do arquivo (ex.: verificacao_vaga_1.txt)
+ * @param {string} tipo - Tipo do relatório, usado nas mensagens (ex.: "verificação")
+ * @param {string} outputDir - Diretório dos relatórios
+ * @param {function(string, string): void} log - Recebe o progresso (mensagem, nível)
+ */
+export function salvarRelatorio(
+  relatorio,
+  nomeArquivo,
+  tipo,
+  outputDir = path.resolve("relatorios"),
+  log = () => {}
+) {
+  try {
+    // Cria diretório de saída se não existir
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const filePath = path.join(outputDir, nomeArquivo);
+    fs.writeFileSync(filePath, relatorio, "utf-8");
+    log(`Relatório de ${tipo} salvo em: ${filePath}`);
+  } catch (error) {
+    log(`Erro ao salvar relatório de ${tipo}: ${error.message}`, "erro");
+  }
+}
+
+/**
+ * Salva o currículo otimizado nos formatos escolhidos (DOCX e/ou PDF)
+ * @param {string} curriculoOtimizado - Currículo otimizado
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {string} link - Link da vaga
+ * @param {Object} opcoes - Opções de saída
+ * @param {boolean} opcoes.incluirBanner - Inclui o banner interno "CURRÍCULO OTIMIZADO PARA VAGA N"
+ *   (apenas para conferência; nunca envie a recrutadores um arquivo com o banner)
+ * @param {Array<string>} opcoes.formatos - Formatos a gerar (padrão: ["docx", "pdf"])
+ * @param {puppeteer.Browser} opcoes.browser - Navegador já aberto, necessário para o PDF
+ * @param {string} opcoes.erroNavegador - Por que o navegador não abriu (informado na falha do PDF)
+ * @param {string} opcoes.nomeArquivo - Nome dos arquivos sem extensão (padrão: curriculo_vaga_<id>)
+ * @param {string} opcoes.diretorio - Diretório de saída (padrão: curriculos_otimizados/)
+ * @param {string} opcoes.idioma - Idioma do currículo ("pt", "en" ou "es"): rótulos do
+ *   banner, formato da data e idioma declarado no DOCX/PDF (padrão: pt)
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<{arquivos: Array<string>, falhas: Array<string>}>} Arquivos salvos e erros por formato
+ */
+export async function salvarCurriculoOtimizado(
+  curriculoOtimizado,
+  idVaga,
+  link,
+  opcoes = {}
+) {
+  const log = opcoes.log || (() => {});
+
+  // Cria diretório de saída se não existir
+  const outputDir = opcoes.diretorio || path.resolve("curriculos_otimizados");
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // Nome do arquivo baseado no ID da vaga (ou no padrão PADRAO_NOME_ARQUIVO)
+  const baseName = opcoes.nomeArquivo || `curriculo_vaga_${idVaga}`;
+  const formatos = opcoes.formatos || FORMATOS_SUPORTADOS;
+  const arquivos = [];
+  const falhas = [];
+
+  const idioma = IDIOMAS[opcoes.idioma] ? opcoes.idioma : IDIOMA_PADRAO;
+  const banner = opcoes.incluirBanner
+    ? {
+        titulo: `${IDIOMAS[idioma].rotulos.titulo} ${idVaga}`,
+        link,
+        data: formatarData(new Date(), idioma),
+      }
+    : null;
+
+  // Cada formato é salvo de forma independente: falha no PDF não impede o DOCX
+  for (const formato of formatos) {
+    const filePath = path.join(outputDir, `${baseName}.${formato}`);
+    try {
+      let buffer;
+      if (formato === "pdf") {
+        if (!opcoes.browser) {
+          throw new Error(
+            `navegador não disponível para gerar o PDF${
+              opcoes.erroNavegador ? ` (${opcoes.erroNavegador})` : ""
+            }`
+          );
+        }
+        buffer = await gerarPdfCurriculo(opcoes.browser, curriculoOtimizado, {
+          banner,
+          idioma,
+        });
+      } else {
+        // Cria documento DOCX com seções, títulos e listas
+        buffer = await gerarDocxCurriculo(curriculoOtimizado, {
+          banner,
+          idioma,
+        });
+      }
+
+      fs.writeFileSync(filePath, buffer);
+      arquivos.push(filePath);
+      log(
+        `✓ Currículo otimizado (${formato.toUpperCase()}) salvo em: ${filePath}`
+      );
+    } catch (error) {
+      falhas.push(`${formato.toUpperCase()}: ${error.message}`);
+      log(
+        `Erro ao salvar currículo (${formato.toUpperCase()}): ${error.message}`,
+        "erro"
+      );
+    }
+  }
+
+  return { arquivos, falhas };
+}
+
+/**
+ * Salva o texto do currículo otimizado, usado para retomar execuções sem chamar a API de novo
+ * @param {string} curriculoOtimizado - Currículo otimizado
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {string} outputDir - Diretório dos currículos
+ * @returns {string} Caminho do arquivo salvo
+ */
+export function salvarCurriculoTexto(
+  curriculoOtimizado,
+  idVaga,
+  outputDir = path.resolve("curriculos_otimizados")
+) {
+  // Cria diretório de saída se não existir
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const filePath = path.join(outputDir, `curriculo_vaga_${idVaga}.txt`);
+  fs.writeFileSync(filePath, curriculoOtimizado, "utf-8");
+  return filePath;
+}
+
+/**
+ * Salva a carta de apresentação em TXT e DOCX, ao lado dos arquivos do currículo
+ * (o DOCX declara o idioma detectado no texto da carta)
+ * @param {string} carta - Texto da carta
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {Object} opcoes - Opções de saída
+ * @param {string} opcoes.nomeArquivo - Nome dos arquivos sem extensão (padrão: carta_vaga_<id>)
+ * @param {string} opcoes.diretorio - Diretório de saída (padrão: curriculos_otimizados/)
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<{arquivos: Array<string>, falhas: Array<string>}>} Arquivos salvos e erros por formato
+ */
+export async function salvarCartaApresentacao(carta, idVaga, opcoes = {}) {
+  const log = opcoes.log || (() => {});
+
+  // Cria diretório de saída se não existir
+  const outputDir = opcoes.diretorio || path.resolve("curriculos_otimizados");
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const baseName = opcoes.nomeArquivo || `carta_vaga_${idVaga}`;
+  const arquivos = [];
+  const falhas = [];
+
+  for (const formato of ["txt", "docx"]) {
+    const filePath = path.join(outputDir, `${baseName}.${formato}`);
+    try {
+      fs.writeFileSync(
+        filePath,
+        formato === "txt"
+          ? `${carta.trim()}\n`
+          : await gerarDocxCarta(carta, { idioma: detectarIdioma(carta) })
+      );
+      arquivos.push(filePath);
+      log(
+        `✓ Carta de apresentação (${formato.toUpperCase()}) salva em: ${filePath}`
+      );
+    } catch (error) {
+      falhas.push(`${formato.toUpperCase()}: ${error.message}`);
+      log(
+        `Erro ao salvar carta (${formato.toUpperCase()}): ${error.message}`,
+        "erro"
+      );
+    }
+  }
+
+  return { arquivos, falhas };
+}
+
+/**
+ * Salva a descrição da vaga em um arquivo TXT
+ * @param {Object} dadosVaga - Dados da vaga (descricao e metadados)
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {string} link - Link da vaga
+ * @param {string} outputDir - Diretório das descrições
+ * @param {function(string, string): void} log - Recebe o progresso (mensagem, nível)
+ * @returns {Promise<string|null>} Caminho do arquivo salvo ou null em caso de erro
+ */
+export async function salvarDescricaoEmTxt(
+  dadosVaga,
+  idVaga,
+  link,
+  outputDir = path.resolve("descricoes"),
+  log = () => {}
+) {
+  try {
+    // Cria diretório de saída se não existir
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    // Nome do arquivo baseado no ID da vaga
+    const fileName = `vaga_${idVaga}.txt`;
+    const filePath = path.join(outputDir, fileName);
+
+    fs.writeFileSync(
+      filePath,
+      formatarArquivoDescricao(dadosVaga, link),
+      "utf-8"
+    );
+    log(`✓ Descrição salva em: ${filePath}`);
+    return filePath;
+  } catch (error) {
+    log(`Erro ao salvar arquivo: ${error.message}`, "erro");
+    return null;
+  }
+}
+
+/**
+ * Salva os metadados da vaga em JSON ao lado da descrição (descricoes/vaga_<id>.json)
+ * @param {Object} dadosVaga - Dados da vaga (metadados e site)
+ * @param {string} idVaga - ID canônico da vaga
+ * @param {string} link - Link da vaga
+ * @param {string} outputDir - Diretório das descrições
+ * @param {function(string, string): void} log - Recebe o progresso (mensagem, nível)
+ * @returns {string|null} Caminho do arquivo salvo ou null em caso de erro
+ */
+export function salvarMetadadosVaga(
+  dadosVaga,
+  idVaga,
+  link,
+  outputDir = path.resolve("descricoes"),
+  log = () => {}
+) {
+  try {
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const filePath = path.join(outputDir, `vaga_${idVaga}.json`);
+    const conteudo = {
+      id: idVaga,
+      link,
+      site: dadosVaga.site,
+      ...dadosVaga.metadados,
+      extraidoEm: new Date().toISOString(),
+    };
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify(conteudo, null, 2) + "\n",
+      "utf-8"
+    );
+    log(`✓ Metadados salvos em: ${filePath}`);
+    return filePath;
+  } catch (error) {
+    log(`Erro ao salvar metadados: ${error.message}`, "erro");
+    return null;
+  }
+}
+
+/**
+ * Lê os metadados salvos por salvarMetadadosVaga
+ * @param {string} filePath - Caminho do arquivo JSON
+ * @returns {Object} Metadados da vaga (vazios se o arquivo não existir ou for inválido)
+ */
+export function lerMetadadosSalvos(filePath) {
+  try {
+    return montarMetadados(JSON.parse(fs.readFileSync(filePath, "utf-8")));
+  } catch (error) {
+    return montarMetadados({});
+  }
+}
+
+/**
+ * Lê a descrição de um arquivo salvo por salvarDescricaoEmTxt (sem o cabeçalho)
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {string} Descrição da vaga
+ */
+export function lerDescricaoSalva(filePath) {
+  return interpretarArquivoDescricao(fs.readFileSync(filePath, "utf-8"))
+    .descricao;
+}
+
+/**
+ * Cria o escritor padrão, que grava descrições, currículos e relatórios em
+ * arquivos. Um escritor próprio (ex.: que grava em um banco de dados) pode ser
+ * passado a executarPipeline com os mesmos métodos; os caminhos retornados por
+ * ele são guardados no estado e usados para retomar execuções.
+ * @param {Object} diretorios - Diretórios de saída
+ * @param {string} diretorios.descricoes - Descrições e metadados das vagas
+ * @param {string} diretorios.curriculos - Currículos e cartas de apresentação gerados
+ * @param {string} diretorios.relatorios - Relatórios de verificação e pontuação
+ * @param {function(string, string): void} log - Recebe o progresso (mensagem, nível)
+ * @returns {Object} Escritor com os métodos salvar* e ler*
+ */
+export function criarEscritorArquivos(diretorios, log = () => {}) {
+  return {
+    salvarDescricao: (dadosVaga, idVaga, link) =>
+      salvarDescricaoEmTxt(dadosVaga, idVaga, link, diretorios.descricoes, log),
+    salvarMetadados: (dadosVaga, idVaga, link) =>
+      salvarMetadadosVaga(dadosVaga, idVaga, link, diretorios.descricoes, log),
+    salvarCurriculoTexto: (curriculo, idVaga) =>
+      salvarCurriculoTexto(curriculo, idVaga, diretorios.curriculos),
+    salvarCurriculo: (curriculo, idVaga, link, opcoes = {}) =>
+      salvarCurriculoOtimizado(curriculo, idVaga, link, {
+        ...opcoes,
+        diretorio: diretorios.curriculos,
+        log,
+      }),
+    salvarCarta: (carta, idVaga, opcoes = {}) =>
+      salvarCartaApresentacao(carta, idVaga, {
+        ...opcoes,
+        diretorio: diretorios.curriculos,
+        log,
+      }),
+    salvarRelatorio: (relatorio, nomeArquivo, tipo) =>
+      salvarRelatorio(relatorio, nomeArquivo, tipo, diretorios.relatorios, log),
+    lerDescricao: lerDescricaoSalva,
+    lerMetadados: lerMetadadosSalvos,
+    lerCurriculoTexto: (arquivo) => fs.readFileSync(arquivo, "utf-8"),
+  };
+}
@@ -0,0 +1,581 @@
+import fs from "fs";
+import path from "path";
+import { formatarSalarioJsonLd } from "../metadados.js";
+
+/**
+ * Funções compartilhadas pelos adaptadores de sites de vagas
+ */
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+/**
+ * Tamanho mínimo para considerar que a descrição extraída está completa
+ */
+export const TAMANHO_MINIMO_DESCRICAO = 300;
+
+/**
+ * Tempos máximos (ms) de cada espera da preparação da página. As esperas
+ * terminam assim que a condição é satisfeita; esgotado o tempo, a extração
+ * continua com o que já foi carregado.
+ *   conteudo - seletor da descrição aparecer e ter texto suficiente
+ *   rolagem  - a página crescer depois de rolar até o fim
+ *   expandir - o texto aumentar depois de clicar em "Ver mais"
+ *   rede     - a página parar de fazer requisições
+ */
+export const ESPERAS_PAGINA = {
+  conteudo: 10000,
+  rolagem: 1500,
+  expandir: 3000,
+  rede: 5000,
+};
+
+/**
+ * Tipos de falha ao baixar uma vaga
+ *   temporaria - tempo esgotado, erro de rede, HTTP 429/5xx, falha do navegador ou
+ *                erro desconhecido: o download é repetido
+ *   conteudo   - a página abriu, mas a descrição não foi encontrada: o download é repetido
+ *   pagina     - link inválido ou página inexistente (HTTP 404, 410...): sem nova tentativa
+ *   bloqueio   - o site pediu login ou uma verificação de segurança: sem nova tentativa
+ *                (entre com o comando login ou informe um arquivo de cookies)
+ */
+export const TIPOS_FALHA_COLETA = {
+  temporaria: "temporaria",
+  conteudo: "conteudo",
+  pagina: "pagina",
+  bloqueio: "bloqueio",
+};
+
+// Endereços para onde os sites redirecionam quem não está logado ou precisa
+// passar por uma verificação de segurança
+const PAGINAS_BLOQUEIO = [
+  {
+    regex: /\/(checkpoint|challenge|captcha)(?=[/?#]|$)/i,
+    motivo: "verificação de segurança",
+  },
+  {
+    regex: /\/(authwall|uas\/login|login|signin|signup)(?=[/?#]|$)/i,
+    motivo: "login",
+  },
+];
+
+/**
+ * Indica se a descrição baixada é utilizável para gerar o currículo
+ * @param {string|null} descricao - Descrição da vaga
+ * @returns {boolean} true se a descrição é válida
+ */
+export function descricaoValida(descricao) {
+  return Boolean(
+    descricao &&
+      descricao.length > 200 &&
+      !descricao.includes("Descrição não encontrada")
+  );
+}
+
+/**
+ * Cria o erro de uma falha ao baixar a vaga
+ * @param {string} mensagem - Mensagem do erro
+ * @param {string} tipo - Tipo da falha (veja TIPOS_FALHA_COLETA)
+ * @returns {Error} Erro com a propriedade tipo
+ */
+export function criarErroColeta(mensagem, tipo) {
+  const erro = new Error(mensagem);
+  erro.tipo = tipo;
+  return erro;
+}
+
+// Erros de link malformado: o navegador nem tenta abrir a página
+const REGEX_LINK_INVALIDO =
+  /invalid URL|net::ERR_(INVALID_URL|UNKNOWN_URL_SCHEME|DISALLOWED_URL_SCHEME)/i;
+
+/**
+ * Classifica um erro do download da vaga. Só os erros com tipo (HTTP 4xx,
+ * bloqueio, descrição ausente) e os links inválidos têm tipo definido; os
+ * demais, inclusive falhas do navegador como "Target closed" ou "Execution
+ * context was destroyed", são tratados como temporários
+ * @param {Error} error - Erro lançado pelo Puppeteer ou por criarErroColeta
+ * @returns {string} Tipo da falha (veja TIPOS_FALHA_COLETA)
+ */
+export function classificarErroColeta(error) {
+  if (error.tipo) return error.tipo;
+  if (
+    error.code === "ERR_INVALID_URL" ||
+    REGEX_LINK_INVALIDO.test(error.message)
+  ) {
+    return TIPOS_FALHA_COLETA.pagina;
+  }
+  return TIPOS_FALHA_COLETA.temporaria;
+}
+
+/**
+ * Indica se o endereço é de uma página de login ou de verificação de segurança
+ * @param {string} link - URL da página
+ * @returns {string|null} Motivo do bloqueio ("login" ou "verificação de segurança") ou null
+ */
+export function paginaDeBloqueio(link) {
+  let caminho;
+  try {
+    const url = new URL(link);
+    caminho = url.pathname + url.search;
+  } catch (error) {
+    return null;
+  }
+  const bloqueio = PAGINAS_BLOQUEIO.find(({ regex }) => regex.test(caminho));
+  return bloqueio ? bloqueio.motivo : null;
+}
+
+/**
+ * Detecta se o site mostrou uma tela de login ou de verificação em vez da vaga:
+ * pelo endereço da página (redirecionamento) e pelos seletores do adaptador
+ * @param {puppeteer.Page} page - Página da vaga
+ * @param {Array<string>} seletores - Seletores de formulários de login e verificação (opcional)
+ * @returns {Promise<string|null>} Motivo do bloqueio ou null
+ */
+export async function detectarBloqueio(page, seletores = []) {
+  const motivo = paginaDeBloqueio(page.url());
+  if (motivo || seletores.length === 0) return motivo;
+
+  const encontrado = await page
+    .evaluate(
+      (seletores) => Boolean(document.querySelector(seletores)),
+      seletores.join(", ")
+    )
+    .catch(() => false);
+  return encontrado ? "login" : null;
+}
+
+/**
+ * Abre a página da vaga na aba informada
+ * @param {puppeteer.Page} page - Aba do navegador
+ * @param {string} link - URL da vaga
+ * @returns {Promise<void>}
+ */
+export async function abrirPagina(page, link) {
+  // Configura user agent para evitar bloqueios
+  await page.setUserAgent(USER_AGENT);
+  const resposta = await page.goto(link, {
+    waitUntil: "networkidle2",
+    timeout: 30000,
+  });
+
+  const status = resposta ? resposta.status() : 200;
+  if (status >= 400) {
+    throw criarErroColeta(
+      `O site respondeu HTTP ${status}`,
+      status === 429 || status >= 500
+        ? TIPOS_FALHA_COLETA.temporaria
+        : TIPOS_FALHA_COLETA.pagina
+    );
+  }
+}
+
+/**
+ * Espera uma condição ser verdadeira na página, sem lançar erro se o tempo acabar
+ * @param {puppeteer.Page} page - Página da vaga
+ * @param {function(*): boolean} condicao - Executada no navegador até retornar true
+ * @param {*} argumento - Argumento passado à condição
+ * @param {number} timeout - Tempo máximo de espera (ms)
+ * @returns {Promise<boolean>} true se a condição foi satisfeita
+ */
+export async function esperarCondicao(page, condicao, argumento, timeout) {
+  try {
+    await page.waitForFunction(condicao, { timeout, polling: 250 }, argumento);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Espera a página parar de fazer requisições (conteúdo carregado sob demanda)
+ * @param {puppeteer.Page} page - Página da vaga
+ * @returns {Promise<void>}
+ */
+export async function esperarRedeOciosa(page) {
+  await page
+    .waitForNetworkIdle({ idleTime: 500, timeout: ESPERAS_PAGINA.rede })
+    .catch(() => {});
+}
+
+/**
+ * Salva a captura de tela e o HTML da página, para investigar uma falha no download
+ * @param {puppeteer.Page} page - Página da vaga
+ * @param {string} diretorio - Diretório das capturas
+ * @param {string} nome - Nome base dos arquivos (ex.: ID da vaga)
+ * @returns {Promise<Array<string>>} Caminhos dos arquivos salvos
+ */
+export async function salvarCapturaFalha(page, diretorio, nome) {
+  fs.mkdirSync(diretorio, { recursive: true });
+  const base = path.join(diretorio, `falha_${nome}`);
+  const arquivos = [];
+  try {
+    await page.screenshot({ path: `${base}.png`, fullPage: true });
+    arquivos.push(`${base}.png`);
+  } catch (error) {
+    // A página pode ter sido fechada ou não ter carregado nada
+  }
+  try {
+    fs.writeFileSync(`${base}.html`, await page.content(), "utf-8");
+    arquivos.push(`${base}.html`);
+  } catch (error) {
+    // Idem
+  }
+  return arquivos;
+}
+
+/**
+ * Prepara a página para a extração: rola até o fim enquanto ela crescer
+ * (conteúdo carregado sob demanda), clica em "Ver mais" e aguarda a descrição
+ * ter texto. Cada espera termina assim que a condição é satisfeita (veja ESPERAS_PAGINA).
+ * @param {puppeteer.Page} page - Página da vaga
+ * @param {Array<string>} seletoresDescricao - Seletores onde a descrição costuma estar
+ * @param {function(string): void} log - Recebe o progresso
+ */
+export async function prepararPagina(
+  page,
+  seletoresDescricao = [],
+  log = () => {}
+) {
+  // Rola até o fim enquanto a página crescer (no máximo 3 vezes)
+  for (let rolagem = 0; rolagem < 3; rolagem++) {
+    const altura = await page.evaluate(() => {
+      window.scrollTo(0, document.body.scrollHeight);
+      return document.body.scrollHeight;
+    });
+    const cresceu = await esperarCondicao(
+      page,
+      (altura) => document.body.scrollHeight > altura,
+      altura,
+      ESPERAS_PAGINA.rolagem
+    );
+    if (!cresceu) break;
+  }
+
+  // Tenta clicar no botão "Ver mais" / "Show more" para expandir a descrição completa
+  try {
+    const botaoVerMais = await page.evaluateHandle(() => {
+      // Procura por botões que expandem a descrição
+      const botoes = Array.from(document.querySelectorAll("button, a, span"));
+      for (let botao of botoes) {
+        const texto = (
+          botao.textContent ||
+          botao.innerText ||
+          ""
+        ).toLowerCase();
+        if (
+          texto.includes("ver mais") ||
+          texto.includes("show more") ||
+          texto.includes("see more") ||
+          texto.includes("expandir") ||
+          (botao.getAttribute("aria-label") &&
+            botao.getAttribute("aria-label").toLowerCase().includes("more"))
+        ) {
+          return botao;
+        }
+      }
+      return null;
+    });
+
+    if (botaoVerMais && botaoVerMais.asElement()) {
+      const tamanho = await page.evaluate(() => document.body.innerText.length);
+      await botaoVerMais.asElement().click();
+      log('Botão "Ver mais" clicado para expandir descrição');
+      await esperarCondicao(
+        page,
+        (tamanho) => document.body.innerText.length > tamanho,
+        tamanho,
+        ESPERAS_PAGINA.expandir
+      );
+    }
+  } catch (e) {
+    // Continua mesmo se não encontrar o botão
+  }
+
+  if (seletoresDescricao.length > 0) {
+    // Aguarda a descrição aparecer com texto; se não aparecer, continua mesmo assim
+    await esperarCondicao(
+      page,
+      ({ seletores, minimo }) => {
+        const elemento = document.querySelector(seletores);
+        return Boolean(
+          elemento &&
+            (elemento.innerText || elemento.textContent || "").trim().length >=
+              minimo
+        );
+      },
+      {
+        seletores: seletoresDescricao.join(", "),
+        minimo: TAMANHO_MINIMO_DESCRICAO,
+      },
+      ESPERAS_PAGINA.conteudo
+    );
+
+    // Faz scroll até a descrição
+    await page
+      .evaluate((seletores) => {
+        const elemento = document.querySelector(seletores);
+        if (elemento) {
+          elemento.scrollIntoView({ behavior: "smooth", block: "center" });
+        }
+      }, seletoresDescricao.join(", "))
+      .catch(() => {});
+  }
+
+  // Aguarda as últimas requisições do conteúdo carregado sob demanda
+  await esperarRedeOciosa(page);
+}
+
+/**
+ * Extrai o texto do primeiro seletor encontrado para cada campo
+ * @param {puppeteer.Page} page - Página da vaga
+ * @param {Object<string, Array<string>>} seletores - Campo → seletores em ordem de prioridade
+ * @returns {Promise<Object<string, string|null>>} Campo → texto encontrado
+ */
+export async function extrairCampos(page, seletores) {
+  return page.evaluate((seletores) => {
+    const resultado = {};
+    for (const [campo, lista] of Object.entries(seletores)) {
+      resultado[campo] = null;
+      for (const seletor of lista) {
+        const elemento = document.querySelector(seletor);
+        const texto =
+          elemento && (elemento.innerText || elemento.textContent || "").trim();
+        if (texto) {
+          resultado[campo] = texto;
+          break;
+        }
+      }
+    }
+    return resultado;
+  }, seletores);
+}
+
+const ENTIDADES_HTML = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+// Acentos das entidades nomeadas (&aacute;, &ccedil;, &otilde;...)
+const ACENTOS_HTML = {
+  acute: "\u0301",
+  grave: "\u0300",
+  circ: "\u0302",
+  tilde: "\u0303",
+  uml: "\u0308",
+  cedil: "\u0327",
+};
+
+/**
+ * Decodifica as entidades HTML de um texto (&amp;, &#231;, &ccedil;...)
+ * @param {string} texto - Texto com entidades
+ * @returns {string} Texto decodificado
+ */
+function decodificarEntidades(texto) {
+  return texto.replace(/&(#x?[0-9a-f]+|\w+);/gi, (entidade, codigo) => {
+    if (codigo[0] === "#") {
+      const numero =
+        codigo[1].toLowerCase() === "x"
+          ? parseInt(codigo.slice(2), 16)
+          : parseInt(codigo.slice(1), 10);
+      return Number.isNaN(numero) ? entidade : String.fromCodePoint(numero);
+    }
+    const acentuada = codigo.match(
+      /^([a-z])(acute|grave|circ|tilde|uml|cedil)$/i
+    );
+    if (acentuada) {
+      return (acentuada[1] + ACENTOS_HTML[acentuada[2]]).normalize("NFC");
+    }
+    return ENTIDADES_HTML[codigo] ?? entidade;
+  });
+}
+
+/**
+ * Converte um trecho de HTML (como o da descrição em JSON-LD) em texto com quebras de linha
+ * @param {string} html - HTML (pode vir escapado, ex.: "&lt;p&gt;...")
+ * @returns {string} Texto
+ */
+export function htmlParaTexto(html) {
+  let texto = String(html || "");
+  if (/&lt;\/?[a-z]/i.test(texto)) {
+    texto = decodificarEntidades(texto);
+  }
+
+  return decodificarEntidades(
+    texto
+      .replace(/<\s*(script|style)[^>]*>[\s\S]*?<\s*\/\s*\1\s*>/gi, "")
+      .replace(/<\s*br\s*\/?\s*>/gi, "\n")
+      .replace(/<\s*li[^>]*>/gi, "\n- ")
+      .replace(/<\s*\/\s*(p|div|ul|ol|h[1-6]|section|tr)\s*>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Formata o local de uma vaga no formato schema.org (jobLocation)
+ * @param {Object|Array} jobLocation - Local ou lista de locais
+ * @returns {string|null} Local em texto (ex.: "São Paulo, SP, BR")
+ */
+function formatarLocalJsonLd(jobLocation) {
+  const locais = Array.isArray(jobLocation) ? jobLocation : [jobLocation];
+  const textos = locais
+    .filter(Boolean)
+    .map((local) => {
+      const endereco = local.address || local;
+      if (typeof endereco === "string") return endereco;
+      const pais =
+        typeof endereco.addressCountry === "object"
+          ? endereco.addressCountry.name
+          : endereco.addressCountry;
+      return [endereco.addressLocality, endereco.addressRegion, pais]
+        .filter(Boolean)
+        .join(", ");
+    })
+    .filter(Boolean);
+  return textos.length > 0 ? [...new Set(textos)].join(" / ") : null;
+}
+
+/**
+ * Lê os dados estruturados da vaga (JSON-LD do tipo JobPosting), publicados
+ * pela maioria dos sites de vagas para os mecanismos de busca
+ * @param {puppeteer.Page} page - Página da vaga
+ * @returns {Promise<Object<string, string|null>>} descricao, titulo, empresa, local,
+ *   modalidade, contratacao, publicacao e salario (null quando ausentes)
+ */
+export async function extrairJobPosting(page) {
+  const blocos = await page
+    .evaluate(() =>
+      Array.from(
+        document.querySelectorAll('script[type="application/ld+json"]')
+      ).map((script) => script.textContent)
+    )
+    .catch(() => []);
+
+  for (const bloco of blocos) {
+    let dados;
+    try {
+      dados = JSON.parse(bloco);
+    } catch (error) {
+      continue;
+    }
+    if (!dados || typeof dados !== "object") continue;
+
+    const candidatos = [dados, ...(dados["@graph"] || [])].flat();
+    const vaga = candidatos.find(
+      (item) =>
+        item && [].concat(item["@type"]).some((tipo) => tipo === "JobPosting")
+    );
+    if (!vaga) continue;
+
+    const empresa = vaga.hiringOrganization;
+    const contratacao = [].concat(vaga.employmentType || []).join(", ");
+    return {
+      descricao: htmlParaTexto(vaga.description) || null,
+      titulo: vaga.title ? htmlParaTexto(vaga.title) : null,
+      empresa:
+        (typeof empresa === "string" ? empresa : empresa && empresa.name) ||
+        null,
+      local: vaga.jobLocation ? formatarLocalJsonLd(vaga.jobLocation) : null,
+      modalidade: vaga.jobLocationType === "TELECOMMUTE" ? "Remoto" : null,
+      contratacao: contratacao || null,
+      publicacao: vaga.datePosted || null,
+      salario: formatarSalarioJsonLd(vaga.baseSalary),
+    };
+  }
+
+  return {};
+}
+
+/**
+ * Lê os pares "rótulo: valor" de um bloco de critérios da vaga
+ * (ex.: "Nível de experiência" / "Pleno-sênior" no LinkedIn)
+ * @param {puppeteer.Page} page - Página da vaga
+ * @param {Object} seletores - Seletores do bloco
+ * @param {string} seletores.item - Cada critério
+ * @param {string} seletores.rotulo - Rótulo dentro do item
+ * @param {string} seletores.valor - Valor dentro do item
+ * @returns {Promise<Array<{rotulo: string, valor: string}>>} Critérios encontrados
+ */
+export async function extrairCriterios(page, seletores) {
+  return page
+    .evaluate(({ item, rotulo, valor }) => {
+      const texto = (elemento) =>
+        elemento
+          ? (elemento.innerText || elemento.textContent || "").trim()
+          : "";
+      return Array.from(document.querySelectorAll(item))
+        .map((elemento) => ({
+          rotulo: texto(elemento.querySelector(rotulo)),
+          valor: texto(elemento.querySelector(valor)),
+        }))
+        .filter((criterio) => criterio.rotulo && criterio.valor);
+    }, seletores)
+    .catch(() => []);
+}
+
+/**
+ * Cria um adaptador de site de vagas baseado em seletores CSS, com os
+ * dados estruturados (JSON-LD) como segunda opção para cada campo
+ * @param {Object} config - Configuração do adaptador
+ * @param {string} config.nome - Nome do site (ex.: "greenhouse")
+ * @param {Array<RegExp>} config.hosts - Domínios atendidos
+ * @param {Object<string, Array<string>>} config.seletores - Seletores de cada campo: descricao, titulo,
+ *   empresa, local, modalidade, senioridade, contratacao, publicacao e salario (todos opcionais)
+ * @param {Object} config.criterios - Seletores do bloco de critérios {item, rotulo, valor} (opcional)
+ * @param {function(string): string} config.normalizarLink - Converte o link para a página da vaga (opcional)
+ * @param {function(string): string|null} config.extrairId - Extrai o ID da vaga do link (opcional)
+ * @param {function(string): string|null} config.empresaDoLink - Deduz a empresa a partir do link (opcional)
+ * @param {Array<string>} config.bloqueio - Seletores das telas de login e verificação (opcional)
+ * @returns {Object} Adaptador
+ */
+export function criarAdaptador(config) {
+  return {
+    nome: config.nome,
+    hosts: config.hosts,
+    seletoresDescricao: config.seletores.descricao || [],
+    seletoresBloqueio: config.bloqueio || [],
+    normalizarLink: config.normalizarLink || ((link) => link),
+    extrairId: config.extrairId || (() => null),
+
+    async extrair(page, link) {
+      const campos = await extrairCampos(page, config.seletores);
+      const estruturado = await extrairJobPosting(page);
+      const dados = {
+        criterios: config.criterios
+          ? await extrairCriterios(page, config.criterios)
+          : [],
+      };
+      for (const campo of new Set([
+        ...Object.keys(campos),
+        ...Object.keys(estruturado),
+      ])) {
+        dados[campo] = campos[campo] || estruturado[campo] || null;
+      }
+      if (!dados.empresa && config.empresaDoLink) {
+        dados.empresa = config.empresaDoLink(link);
+      }
+      return dados;
+    },
+  };
+}
+
+/**
+ * Retorna o subdomínio do link (ex.: "acme" em "acme.gupy.io")
+ * @param {string} link - URL da vaga
+ * @returns {string|null} Subdomínio ou null
+ */
+export function subdominio(link) {
+  try {
+    const partes = new URL(link).hostname.split(".");
+    return partes.length > 2 && partes[0] !== "www" ? partes[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
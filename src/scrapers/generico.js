@@ -0,0 +1,424 @@
+import {
+  esperarRedeOciosa,
+  extrairJobPosting,
+  TAMANHO_MINIMO_DESCRICAO,
+} from "./comum.js";
+
+/**
+ * Seletores comuns de descrição de vaga, em ordem de prioridade
+ */
+const SELETORES_GENERICOS = [
+  '[class*="job-description"]',
+  '[class*="jobDescription"]',
+  '[id*="job-description"]',
+  '[id*="jobDescription"]',
+  '[data-testid*="description"]',
+  '[data-test-id*="description"]',
+  '[class*="description__text"]',
+  '[class*="job-details"]',
+  '[itemprop="description"]',
+];
+
+/**
+ * Procura a descrição da vaga na página usando heurísticas: seletores conhecidos,
+ * blocos com palavras típicas de descrições e o elemento com mais texto relevante
+ * @param {puppeteer.Page} page - Página da vaga
+ * @param {Object} opcoes - Opções
+ * @param {Array<string>} opcoes.seletores - Seletores a tentar primeiro
+ * @param {Array<string>} opcoes.ignorar - Termos que indicam que o bloco não é a descrição
+ *   (ex.: o nome do site, presente em menus e rodapés)
+ * @returns {Promise<string>} Descrição da vaga
+ */
+export async function extrairDescricaoHeuristica(page, opcoes = {}) {
+  const seletores = opcoes.seletores || SELETORES_GENERICOS;
+  const ignorar = (opcoes.ignorar || []).map((termo) => termo.toLowerCase());
+
+  const descricao = await page.evaluate(
+    ({ seletores, ignorar }) => {
+      const contemIgnorado = (texto) => {
+        const textoLower = texto.toLowerCase();
+        return ignorar.some((termo) => textoLower.includes(termo));
+      };
+
+      // Tenta cada seletor em ordem de prioridade
+      for (const seletor of seletores) {
+        try {
+          const elemento = document.querySelector(seletor);
+          if (elemento) {
+            // Tenta pegar o texto completo, incluindo texto oculto
+            let texto = "";
+
+            // Primeiro tenta innerText (mais confiável)
+            texto = elemento.innerText || elemento.textContent || "";
+
+            // Se o texto for muito curto, tenta pegar o HTML e converter
+            if (texto.trim().length < 200) {
+              const html = elemento.innerHTML || "";
+              // Remove tags HTML mas mantém o conteúdo
+              const tempDiv = document.createElement("div");
+              tempDiv.innerHTML = html;
+              texto = tempDiv.innerText || tempDiv.textContent || texto;
+            }
+
+            const textoLimpo = texto.trim();
+
+            // Verifica se tem conteúdo suficiente e não é apenas navegação/metadados
+            if (
+              textoLimpo.length > 300 &&
+              !contemIgnorado(textoLimpo) &&
+              !textoLimpo.toLowerCase().includes("entrar") &&
+              !textoLimpo.toLowerCase().includes("cadastre-se") &&
+              !textoLimpo.toLowerCase().includes("política de privacidade") &&
+              !textoLimpo.toLowerCase().includes("nível de experiência") &&
+              !textoLimpo.toLowerCase().includes("tipo de emprego") &&
+              !textoLimpo.toLowerCase().includes("função") &&
+              !textoLimpo.toLowerCase().includes("setores") &&
+              !textoLimpo.toLowerCase().includes("assistente") &&
+              !textoLimpo.toLowerCase().includes("tempo integral") &&
+              !textoLimpo.toLowerCase().includes("tecnologia da informação") &&
+              !textoLimpo.toLowerCase().includes("desenvolvimento de software")
+            ) {
+              return textoLimpo;
+            }
+          }
+        } catch (e) {
+          // Continua para o próximo seletor
+        }
+      }
+
+      // Estratégia adicional: procura por todos os elementos com data-test-id relacionados a job
+      const elementosTestId = document.querySelectorAll(
+        '[data-test-id*="job"], [data-test-id*="description"], [data-test-id*="detail"]'
+      );
+      for (let elemento of elementosTestId) {
+        const texto = (elemento.innerText || elemento.textContent || "").trim();
+        if (
+          texto.length > 500 &&
+          !contemIgnorado(texto) &&
+          !texto.toLowerCase().includes("nível de experiência") &&
+          !texto.toLowerCase().includes("tipo de emprego") &&
+          !texto.toLowerCase().includes("função") &&
+          !texto.toLowerCase().includes("setores")
+        ) {
+          return texto;
+        }
+      }
+
+      // Estratégia alternativa: procura por elementos com atributos comuns de vagas
+      const elementosComAtributos = document.querySelectorAll(
+        '[data-test-id], [class*="job"], [class*="description"]'
+      );
+      for (let elemento of elementosComAtributos) {
+        const texto = (elemento.textContent || elemento.innerText || "").trim();
+        // Verifica se é um elemento de descrição válido
+        if (
+          texto.length > 300 &&
+          !contemIgnorado(texto) &&
+          !texto.toLowerCase().includes("entrar") &&
+          !texto.toLowerCase().includes("cadastre-se") &&
+          !texto.toLowerCase().includes("política") &&
+          !texto.toLowerCase().includes("cookie")
+        ) {
+          // Verifica se contém palavras-chave comuns em descrições de vagas
+          const palavrasChave = [
+            "responsabilidade",
+            "requisito",
+            "experiência",
+            "habilidade",
+            "trabalho",
+            "equipe",
+            "desenvolvimento",
+            "projeto",
+            "tecnologia",
+            "atribuição",
+            "desejável",
+            "diferencial",
+            "benefício",
+            "salário",
+          ];
+          const temPalavrasChave = palavrasChave.some((palavra) =>
+            texto.toLowerCase().includes(palavra)
+          );
+
+          if (temPalavrasChave) {
+            return texto;
+          }
+        }
+      }
+
+      // Procura especificamente por seções que contenham parágrafos longos (comum em descrições)
+      const secoesComParagrafos = document.querySelectorAll(
+        "section, div, article"
+      );
+      for (let secao of secoesComParagrafos) {
+        const paragrafos = secao.querySelectorAll("p, li, div, span");
+        let textoCompleto = "";
+        let contadorParagrafos = 0;
+
+        for (let p of paragrafos) {
+          const textoP = (p.textContent || p.innerText || "").trim();
+          // Ignora textos muito curtos ou que são apenas metadados
+          if (
+            textoP.length > 50 &&
+            !textoP.toLowerCase().includes("nível de experiência") &&
+            !textoP.toLowerCase().includes("tipo de emprego") &&
+            !textoP.toLowerCase().includes("função") &&
+            !textoP.toLowerCase().includes("setores") &&
+            !textoP.toLowerCase().includes("assistente") &&
+            !textoP.toLowerCase().includes("tempo integral")
+          ) {
+            textoCompleto += textoP + "\n\n";
+            contadorParagrafos++;
+          }
+        }
+
+        // Se encontrou vários parágrafos longos, provavelmente é a descrição
+        if (contadorParagrafos >= 3 && textoCompleto.length > 500) {
+          const textoLimpo = textoCompleto.trim();
+          if (
+            !contemIgnorado(textoLimpo) &&
+            !textoLimpo.toLowerCase().includes("entrar") &&
+            !textoLimpo.toLowerCase().includes("cadastre-se")
+          ) {
+            return textoLimpo;
+          }
+        }
+      }
+
+      // Estratégia: procura por elementos que contenham palavras-chave de descrição
+      const palavrasChaveDescricao = [
+        "responsabilidade",
+        "atribuição",
+        "requisito",
+        "desejável",
+        "diferencial",
+        "benefício",
+        "salário",
+        "remoto",
+        "presencial",
+        "desenvolvimento",
+        "projeto",
+        "equipe",
+        "tecnologia",
+      ];
+      const todosDivs = Array.from(document.querySelectorAll("div, section"));
+      for (let div of todosDivs) {
+        const texto = (div.innerText || div.textContent || "").trim();
+        if (texto.length > 400) {
+          const textoLower = texto.toLowerCase();
+          const temPalavrasChave = palavrasChaveDescricao.some((palavra) =>
+            textoLower.includes(palavra)
+          );
+          const naoTemMetadados =
+            !textoLower.includes("nível de experiência") &&
+            !textoLower.includes("tipo de emprego") &&
+            !textoLower.includes("função") &&
+            !textoLower.includes("setores") &&
+            !contemIgnorado(textoLower);
+
+          if (temPalavrasChave && naoTemMetadados) {
+            return texto;
+          }
+        }
+      }
+
+      // Estratégia: encontra o elemento com mais texto relevante
+      const todosElementos = Array.from(
+        document.querySelectorAll("div, section, article, main")
+      );
+      let melhorElemento = null;
+      let maiorTamanho = 0;
+
+      for (let elemento of todosElementos) {
+        const texto = (elemento.textContent || elemento.innerText || "").trim();
+
+        // Filtra elementos que não são descrições
+        if (
+          texto.length > 500 &&
+          !contemIgnorado(texto) &&
+          !texto.toLowerCase().includes("entrar") &&
+          !texto.toLowerCase().includes("cadastre-se") &&
+          !texto.toLowerCase().includes("política") &&
+          !texto.toLowerCase().includes("cookie") &&
+          !texto.toLowerCase().includes("acessibilidade")
+        ) {
+          // Verifica se contém palavras-chave de descrição de vagas
+          const palavrasChave = [
+            "responsabilidade",
+            "requisito",
+            "experiência",
+            "habilidade",
+            "atribuição",
+            "desejável",
+            "diferencial",
+            "benefício",
+          ];
+          const temPalavrasChave = palavrasChave.some((palavra) =>
+            texto.toLowerCase().includes(palavra)
+          );
+
+          if (temPalavrasChave && texto.length > maiorTamanho) {
+            maiorTamanho = texto.length;
+            melhorElemento = texto;
+          }
+        }
+      }
+
+      if (melhorElemento) {
+        return melhorElemento;
+      }
+
+      // Último fallback: procura por elementos main ou article com muito texto
+      const elementosPrincipais = document.querySelectorAll(
+        'main, article, [role="main"]'
+      );
+      for (let elemento of elementosPrincipais) {
+        const texto = (elemento.textContent || elemento.innerText || "").trim();
+        if (texto.length > 500) {
+          // Remove textos comuns de navegação/rodapé
+          const textoLimpo = texto
+            .replace(/Entrar/gi, "")
+            .replace(/Cadastre-se/gi, "")
+            .replace(/Política.*?/gi, "")
+            .replace(/Cookie.*?/gi, "")
+            .trim();
+
+          if (textoLimpo.length > 300) {
+            return textoLimpo;
+          }
+        }
+      }
+
+      // Se chegou até aqui, tenta uma última estratégia: pegar todo o conteúdo principal
+      // e filtrar apenas o que parece ser descrição
+      const mainContent = document.querySelector('main, [role="main"]');
+      if (mainContent) {
+        const textoMain = (
+          mainContent.innerText ||
+          mainContent.textContent ||
+          ""
+        ).trim();
+        if (textoMain.length > 1000) {
+          // Divide o texto em linhas e filtra
+          const linhas = textoMain.split("\n").filter((linha) => {
+            const linhaLower = linha.toLowerCase().trim();
+            return (
+              linha.trim().length > 20 &&
+              !contemIgnorado(linhaLower) &&
+              !linhaLower.includes("entrar") &&
+              !linhaLower.includes("nível de experiência") &&
+              !linhaLower.includes("tipo de emprego") &&
+              !linhaLower.includes("função") &&
+              !linhaLower.includes("setores") &&
+              !linhaLower.includes("assistente") &&
+              !linhaLower.includes("tempo integral") &&
+              !linhaLower.includes("tecnologia da informação") &&
+              !linhaLower.includes("desenvolvimento de software")
+            );
+          });
+
+          if (linhas.length > 5) {
+            return linhas.join("\n\n");
+          }
+        }
+      }
+
+      return "Descrição não encontrada - não foi possível localizar a descrição completa da vaga";
+    },
+    { seletores, ignorar }
+  );
+
+  // Se a descrição encontrada é muito curta ou parece ser apenas metadados, tenta novamente
+  if (
+    descricao.trim().length < 300 ||
+    descricao.toLowerCase().includes("nível de experiência") ||
+    descricao.toLowerCase().includes("tipo de emprego")
+  ) {
+    // Aguarda o conteúdo carregado sob demanda e tenta novamente
+    await esperarRedeOciosa(page);
+
+    const descricaoAlternativa = await page.evaluate((ignorar) => {
+      // Procura por qualquer elemento com muito texto que não seja navegação
+      const todosElementos = Array.from(document.querySelectorAll("*"));
+      for (let elemento of todosElementos) {
+        const texto = (elemento.innerText || elemento.textContent || "").trim();
+        if (texto.length > 500) {
+          const textoLower = texto.toLowerCase();
+          const temPalavrasChave =
+            textoLower.includes("responsabilidade") ||
+            textoLower.includes("atribuição") ||
+            textoLower.includes("requisito") ||
+            textoLower.includes("desejável") ||
+            textoLower.includes("desenvolvimento");
+          const naoTemMetadados =
+            !textoLower.includes("nível de experiência") &&
+            !textoLower.includes("tipo de emprego") &&
+            !textoLower.includes("função") &&
+            !textoLower.includes("setores");
+
+          if (
+            temPalavrasChave &&
+            naoTemMetadados &&
+            !ignorar.some((termo) => textoLower.includes(termo))
+          ) {
+            return texto;
+          }
+        }
+      }
+      return null;
+    }, ignorar);
+
+    if (descricaoAlternativa && descricaoAlternativa.length > 300) {
+      return descricaoAlternativa.trim();
+    }
+  }
+
+  return descricao.trim();
+}
+
+/**
+ * Lê o título da página (og:title, primeiro h1 ou <title>)
+ * @param {puppeteer.Page} page - Página da vaga
+ * @returns {Promise<string|null>} Título ou null
+ */
+async function extrairTituloPagina(page) {
+  return page
+    .evaluate(() => {
+      const og = document.querySelector('meta[property="og:title"]');
+      const h1 = document.querySelector("h1");
+      const titulo =
+        (og && og.getAttribute("content")) ||
+        (h1 && (h1.innerText || h1.textContent)) ||
+        document.title;
+      return (titulo || "").trim() || null;
+    })
+    .catch(() => null);
+}
+
+/**
+ * Adaptador genérico, usado para páginas de carreira de empresas e sites sem
+ * adaptador próprio. Prefere os dados estruturados (JSON-LD) e, se não houver,
+ * procura a descrição com heurísticas.
+ */
+export const generico = {
+  nome: "generico",
+  hosts: [],
+  seletoresDescricao: SELETORES_GENERICOS,
+  normalizarLink: (link) => link,
+  extrairId: () => null,
+
+  async extrair(page) {
+    const estruturado = await extrairJobPosting(page);
+    const descricao =
+      estruturado.descricao &&
+      estruturado.descricao.length >= TAMANHO_MINIMO_DESCRICAO
+        ? estruturado.descricao
+        : await extrairDescricaoHeuristica(page);
+
+    return {
+      ...estruturado,
+      descricao,
+      titulo: estruturado.titulo || (await extrairTituloPagina(page)),
+    };
+  },
+};
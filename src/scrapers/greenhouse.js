@@ -0,0 +1,32 @@
+import { criarAdaptador } from "./comum.js";
+
+/**
+ * Extrai o slug da empresa de um link do Greenhouse (boards.greenhouse.io/<empresa>/jobs/<id>)
+ * @param {string} link - URL da vaga
+ * @returns {string|null} Slug da empresa
+ */
+function empresaDoLink(link) {
+  const match = link.match(/greenhouse\.io\/(?:embed\/job_app\?for=)?([\w-]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Adaptador do Greenhouse (boards.greenhouse.io e job-boards.greenhouse.io)
+ */
+export const greenhouse = criarAdaptador({
+  nome: "greenhouse",
+  hosts: [/(^|\.)greenhouse\.io$/],
+  seletores: {
+    descricao: [".job__description", "#content", ".job-post-content"],
+    titulo: [".job__title h1", "h1.app-title", ".app-title", "h1"],
+    empresa: [".company-name"],
+    local: [".job__location", ".location"],
+    salario: [".pay-range"],
+  },
+  extrairId(link) {
+    const match =
+      link.match(/\/jobs\/(\d+)/) || link.match(/[?&](?:gh_jid|token)=(\d+)/);
+    return match ? `greenhouse-${match[1]}` : null;
+  },
+  empresaDoLink,
+});
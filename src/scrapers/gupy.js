@@ -0,0 +1,25 @@
+import { criarAdaptador, subdominio } from "./comum.js";
+
+/**
+ * Adaptador da Gupy (ex.: https://empresa.gupy.io/jobs/1234567)
+ */
+export const gupy = criarAdaptador({
+  nome: "gupy",
+  hosts: [/(^|\.)gupy\.io$/],
+  seletores: {
+    descricao: [
+      '[data-testid="job-description"]',
+      "#job-description",
+      'section[class*="description"]',
+      '[data-testid="text-section"]',
+    ],
+    titulo: ['[data-testid="job-title"]', "h1"],
+    empresa: ['[data-testid="company-name"]'],
+    local: ['[data-testid="job-location"]', '[data-testid="workplace"]'],
+  },
+  extrairId(link) {
+    const match = link.match(/\/jobs?\/(\d+)/);
+    return match ? `gupy-${match[1]}` : null;
+  },
+  empresaDoLink: subdominio,
+});
@@ -0,0 +1,47 @@
+import { criarAdaptador } from "./comum.js";
+
+/**
+ * Extrai a chave da vaga do Indeed (parâmetros jk ou vjk)
+ * @param {string} link - URL do Indeed
+ * @returns {string|null} Chave da vaga
+ */
+function chaveDaVaga(link) {
+  const match = link.match(/[?&]v?jk=([0-9a-f]+)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Adaptador do Indeed. Links de busca (?vjk=...) são convertidos na página da vaga.
+ */
+export const indeed = criarAdaptador({
+  nome: "indeed",
+  hosts: [/(^|\.)indeed\.com(\.\w{2})?$/, /(^|\.)indeed\.\w{2}$/],
+  seletores: {
+    descricao: ["#jobDescriptionText", ".jobsearch-jobDescriptionText"],
+    titulo: [
+      '[data-testid="jobsearch-JobInfoHeader-title"]',
+      ".jobsearch-JobInfoHeader-title",
+      "h1",
+    ],
+    empresa: [
+      '[data-testid="inlineHeader-companyName"]',
+      '[data-company-name="true"]',
+    ],
+    local: [
+      '[data-testid="inlineHeader-companyLocation"]',
+      '[data-testid="job-location"]',
+    ],
+    salario: ['[data-testid="salaryInfoAndJobType"]', "#salaryInfoAndJobType"],
+    contratacao: ['[data-testid="jobsearch-JobMetadataHeader-item"]'],
+  },
+  normalizarLink(link) {
+    const chave = chaveDaVaga(link);
+    if (!chave) return link;
+    const url = new URL(link);
+    return `${url.origin}/viewjob?jk=${chave}`;
+  },
+  extrairId(link) {
+    const chave = chaveDaVaga(link);
+    return chave ? `indeed-${chave.toLowerCase()}` : null;
+  },
+});
@@ -0,0 +1,154 @@
+import {
+  abrirPagina,
+  criarErroColeta,
+  descricaoValida,
+  detectarBloqueio,
+  prepararPagina,
+  salvarCapturaFalha,
+  TAMANHO_MINIMO_DESCRICAO,
+  TIPOS_FALHA_COLETA,
+} from "./comum.js";
+import { montarMetadados } from "../metadados.js";
+import { generico } from "./generico.js";
+import { greenhouse } from "./greenhouse.js";
+import { gupy } from "./gupy.js";
+import { indeed } from "./indeed.js";
+import { lever } from "./lever.js";
+import { linkedin } from "./linkedin.js";
+import { workday } from "./workday.js";
+
+/**
+ * Adaptadores de sites de vagas, escolhidos pelo domínio do link.
+ * Cada adaptador tem:
+ *   nome               - identificador do site
+ *   hosts              - expressões regulares dos domínios atendidos
+ *   seletoresDescricao - seletores aguardados antes da extração
+ *   seletoresBloqueio  - seletores das telas de login e verificação (opcional)
+ *   urlLogin           - página de login usada pelo comando login (opcional)
+ *   normalizarLink     - converte o link recebido no link da página da vaga
+ *   extrairId          - ID da vaga no site (ou null), usado no estado
+ *   extrair            - extrai descricao, titulo, empresa e local da página
+ * Links de outros sites usam o adaptador genérico.
+ */
+export const ADAPTADORES = [linkedin, gupy, greenhouse, lever, workday, indeed];
+
+/**
+ * Escolhe o adaptador pelo domínio do link
+ * @param {string} link - URL da vaga
+ * @returns {Object} Adaptador do site ou o genérico
+ */
+export function escolherAdaptador(link) {
+  let host;
+  try {
+    host = new URL(link).hostname.toLowerCase();
+  } catch (error) {
+    return generico;
+  }
+  return (
+    ADAPTADORES.find((adaptador) =>
+      adaptador.hosts.some((regex) => regex.test(host))
+    ) || generico
+  );
+}
+
+/**
+ * Extrai o ID da vaga no site de origem (ex.: ID do LinkedIn, "gupy-1234567")
+ * @param {string} link - URL da vaga
+ * @returns {string|null} ID da vaga ou null se o site não tiver um ID reconhecível
+ */
+export function extrairIdVaga(link) {
+  return escolherAdaptador(link).extrairId(link);
+}
+
+/**
+ * Lança o erro de bloqueio se o site mostrou uma tela de login ou de verificação
+ * @param {puppeteer.Page} page - Página da vaga
+ * @param {Object} adaptador - Adaptador do site
+ * @param {Array<string>} seletores - Seletores das telas (vazio: só pelo endereço)
+ */
+async function verificarBloqueio(page, adaptador, seletores = []) {
+  const motivo = await detectarBloqueio(page, seletores);
+  if (motivo) {
+    throw criarErroColeta(
+      `O site ${adaptador.nome} pediu ${motivo} em vez de mostrar a vaga. Entre com o comando login ou informe um arquivo de cookies`,
+      TIPOS_FALHA_COLETA.bloqueio
+    );
+  }
+}
+
+/**
+ * Baixa a página de uma vaga e extrai a descrição e os metadados (título, empresa,
+ * local, modalidade, senioridade, contratação, publicação e salário) com o
+ * adaptador do site. Se o adaptador não encontrar a descrição, tenta as
+ * heurísticas do adaptador genérico. Se a página não abrir ou a descrição não
+ * for encontrada, lança um erro com o tipo da falha (veja TIPOS_FALHA_COLETA)
+ * e, com opcoes.capturas, os arquivos da captura da página (error.capturas).
+ * @param {string} link - URL da vaga (pode ser link de busca ou link direto)
+ * @param {puppeteer.Browser} browser - Instância do navegador Puppeteer
+ * @param {Object} opcoes - Opções
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @param {string} opcoes.capturas - Diretório da captura de tela e do HTML em caso de falha (opcional)
+ * @param {string} opcoes.id - Nome base dos arquivos da captura (ex.: ID da vaga)
+ * @returns {Promise<{descricao: string, metadados: Object, site: string, link: string}>}
+ */
+export async function baixarVaga(link, browser, opcoes = {}) {
+  const log = opcoes.log || (() => {});
+  const adaptador = escolherAdaptador(link);
+  const linkVaga = adaptador.normalizarLink(link);
+
+  log(`Site: ${adaptador.nome}`);
+  if (linkVaga !== link) {
+    log(`Acessando vaga direta: ${linkVaga}`);
+  } else {
+    log(`Acessando: ${linkVaga}`);
+  }
+
+  const page = await browser.newPage();
+  try {
+    await abrirPagina(page, linkVaga);
+    await verificarBloqueio(page, adaptador, []);
+    await prepararPagina(page, adaptador.seletoresDescricao, log);
+
+    const dados = await adaptador.extrair(page, linkVaga);
+    let descricao = (dados.descricao || "").trim();
+
+    if (descricao.length < TAMANHO_MINIMO_DESCRICAO && adaptador !== generico) {
+      log(
+        "Descrição não encontrada pelo adaptador do site, usando extração genérica..."
+      );
+      const alternativa = await generico.extrair(page, linkVaga);
+      if ((alternativa.descricao || "").trim().length > descricao.length) {
+        descricao = alternativa.descricao.trim();
+      }
+      for (const [campo, valor] of Object.entries(alternativa)) {
+        dados[campo] = dados[campo] || valor;
+      }
+    }
+
+    if (!descricaoValida(descricao)) {
+      await verificarBloqueio(page, adaptador, adaptador.seletoresBloqueio);
+      throw criarErroColeta(
+        "Descrição muito curta ou não encontrada",
+        TIPOS_FALHA_COLETA.conteudo
+      );
+    }
+
+    return {
+      descricao,
+      metadados: montarMetadados({ ...dados, descricao }),
+      site: adaptador.nome,
+      link: linkVaga,
+    };
+  } catch (error) {
+    if (opcoes.capturas) {
+      error.capturas = await salvarCapturaFalha(
+        page,
+        opcoes.capturas,
+        opcoes.id || adaptador.nome
+      );
+    }
+    throw error;
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
@@ -0,0 +1,40 @@
+import { criarAdaptador } from "./comum.js";
+
+const REGEX_LINK_LEVER = /lever\.co\/([\w.-]+)\/([0-9a-f-]{36})/i;
+
+/**
+ * Adaptador do Lever (ex.: https://jobs.lever.co/empresa/<uuid>)
+ */
+export const lever = criarAdaptador({
+  nome: "lever",
+  hosts: [/(^|\.)lever\.co$/],
+  seletores: {
+    descricao: [
+      '[data-qa="job-description"]',
+      ".posting-page .section-wrapper.page-full-width",
+      ".content .section-wrapper",
+    ],
+    titulo: [".posting-headline h2", "h2"],
+    empresa: [],
+    local: [
+      ".posting-categories .location",
+      ".posting-categories .sort-by-location",
+    ],
+    modalidade: [".posting-categories .workplaceTypes"],
+    contratacao: [
+      ".posting-categories .commitment",
+      ".posting-categories .sort-by-commitment",
+    ],
+    salario: ['[data-qa="salary-range"]'],
+  },
+  // A página de candidatura (/apply) tem só o formulário
+  normalizarLink: (link) => link.replace(/\/apply\/?(\?.*)?$/, ""),
+  extrairId(link) {
+    const match = link.match(REGEX_LINK_LEVER);
+    return match ? `lever-${match[2].toLowerCase()}` : null;
+  },
+  empresaDoLink(link) {
+    const match = link.match(REGEX_LINK_LEVER);
+    return match ? match[1] : null;
+  },
+});
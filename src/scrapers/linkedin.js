@@ -0,0 +1,141 @@
+import {
+  extrairCampos,
+  extrairCriterios,
+  extrairJobPosting,
+  TAMANHO_MINIMO_DESCRICAO,
+} from "./comum.js";
+import { extrairDescricaoHeuristica } from "./generico.js";
+
+// Seletores específicos do LinkedIn para descrição de vagas (em ordem de prioridade)
+const SELETORES_DESCRICAO = [
+  ".show-more-less-html__markup",
+  ".jobs-description-content__text",
+  '[data-test-id="job-details-description"]',
+  ".jobs-box__html-content",
+  ".description__text",
+  ".jobs-description__content",
+  'div[class*="jobs-description"]',
+  'section[class*="jobs-description"]',
+  '[class*="description__text"]',
+  '[class*="job-details"]',
+  ".jobs-description__text",
+  '[id*="job-details"]',
+  'div[class*="jobs-details"]',
+  'section[class*="jobs-details"]',
+  '[data-test-id*="description"]',
+  '[data-test-id*="job"]',
+];
+
+const SELETORES_CAMPOS = {
+  titulo: [
+    ".top-card-layout__title",
+    ".job-details-jobs-unified-top-card__job-title",
+    ".topcard__title",
+    "h1",
+  ],
+  empresa: [
+    ".topcard__org-name-link",
+    ".job-details-jobs-unified-top-card__company-name",
+    ".topcard__flavor",
+  ],
+  local: [
+    ".topcard__flavor--bullet",
+    ".job-details-jobs-unified-top-card__primary-description-container .tvm__text",
+    ".job-details-jobs-unified-top-card__bullet",
+  ],
+  modalidade: [
+    ".job-details-preferences-and-skills__pill",
+    ".job-details-jobs-unified-top-card__workplace-type",
+  ],
+  publicacao: [".posted-time-ago__text", "time"],
+  salario: [".salary", ".compensation__salary"],
+};
+
+// Telas exibidas a quem não está logado (authwall) ou precisa passar por uma verificação
+const SELETORES_BLOQUEIO = [
+  ".authwall-join-form",
+  ".authwall-sign-in-form",
+  "form.join-form",
+  "#captcha-internal",
+  'form[action*="checkpoint"]',
+];
+
+// Bloco "Nível de experiência / Tipo de emprego / Função / Setores"
+const SELETORES_CRITERIOS = {
+  item: ".description__job-criteria-item",
+  rotulo: ".description__job-criteria-subheader",
+  valor: ".description__job-criteria-text",
+};
+
+/**
+ * Extrai o ID da vaga de um link do LinkedIn: de links de busca
+ * (?currentJobId=123) ou de links diretos (/jobs/view/123)
+ * @param {string} link - URL do LinkedIn
+ * @returns {string|null} ID da vaga ou null se não encontrar
+ */
+export function extrairJobIdDoLink(link) {
+  let jobId = null;
+  try {
+    const url = new URL(link);
+    jobId = url.searchParams.get("currentJobId");
+  } catch (error) {
+    // Tenta extrair manualmente se URL falhar
+    const match = link.match(/currentJobId=(\d+)/);
+    jobId = match ? match[1] : null;
+  }
+  if (jobId) return jobId;
+
+  const jobIdFromPathMatch = link.match(/\/jobs\/view\/(?:[^/?#]*-)?(\d+)/);
+  return jobIdFromPathMatch ? jobIdFromPathMatch[1] : null;
+}
+
+/**
+ * Constrói o link direto da vaga a partir do ID
+ * @param {string} jobId - ID da vaga
+ * @returns {string} Link direto da vaga
+ */
+export function construirLinkVaga(jobId) {
+  return `https://www.linkedin.com/jobs/view/${jobId}`;
+}
+
+/**
+ * Adaptador do LinkedIn. Links de busca são convertidos no link direto da vaga.
+ */
+export const linkedin = {
+  nome: "linkedin",
+  hosts: [/(^|\.)linkedin\.com$/],
+  seletoresDescricao: SELETORES_DESCRICAO.slice(0, 4),
+  seletoresBloqueio: SELETORES_BLOQUEIO,
+  urlLogin: "https://www.linkedin.com/login",
+
+  normalizarLink(link) {
+    const jobId = extrairJobIdDoLink(link);
+    return jobId ? construirLinkVaga(jobId) : link;
+  },
+
+  extrairId: extrairJobIdDoLink,
+
+  async extrair(page) {
+    const campos = await extrairCampos(page, SELETORES_CAMPOS);
+    const estruturado = await extrairJobPosting(page);
+    const criterios = await extrairCriterios(page, SELETORES_CRITERIOS);
+
+    // Os primeiros seletores contêm só a descrição; os demais (e as heurísticas)
+    // podem trazer menus e critérios da vaga, por isso textos com "linkedin" são ignorados
+    let { descricao } = await extrairCampos(page, {
+      descricao: SELETORES_DESCRICAO.slice(0, 4),
+    });
+    if (!descricao || descricao.length < TAMANHO_MINIMO_DESCRICAO) {
+      descricao = await extrairDescricaoHeuristica(page, {
+        seletores: SELETORES_DESCRICAO,
+        ignorar: ["linkedin"],
+      });
+    }
+
+    const dados = { ...estruturado, descricao, criterios };
+    for (const [campo, valor] of Object.entries(campos)) {
+      dados[campo] = valor || estruturado[campo] || null;
+    }
+    return dados;
+  },
+};
@@ -0,0 +1,28 @@
+import { criarAdaptador, subdominio } from "./comum.js";
+
+/**
+ * Adaptador do Workday (ex.: https://empresa.wd5.myworkdayjobs.com/pt-BR/Carreiras/job/...)
+ */
+export const workday = criarAdaptador({
+  nome: "workday",
+  hosts: [/(^|\.)myworkdayjobs\.com$/, /(^|\.)myworkdaysite\.com$/],
+  seletores: {
+    descricao: ['[data-automation-id="jobPostingDescription"]'],
+    titulo: ['[data-automation-id="jobPostingHeader"]', "h2", "h1"],
+    empresa: [],
+    local: [
+      '[data-automation-id="locations"] dd',
+      '[data-automation-id="locations"]',
+    ],
+    modalidade: ['[data-automation-id="remoteType"] dd'],
+    contratacao: ['[data-automation-id="time"] dd'],
+    publicacao: ['[data-automation-id="postedOn"] dd'],
+  },
+  extrairId(link) {
+    // O código da requisição costuma vir no fim do caminho (..._R12345 ou ..._JR-0042)
+    const match = link.match(/_([A-Z]{0,3}-?\d+(?:-\d+)?)(?:[/?#]|$)/i);
+    const empresa = subdominio(link);
+    return match && empresa ? `workday-${empresa}-${match[1]}` : null;
+  },
+  empresaDoLink: subdominio,
+});
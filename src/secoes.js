@@ -0,0 +1,276 @@
+import { IDIOMAS } from "./idioma.js";
+import { normalizarTexto, removerMarkdown } from "./texto.js";
+
+/**
+ * Títulos reconhecidos para cada tipo de seção, por idioma
+ * (comparados sem acentos e em minúsculas)
+ */
+export const TITULOS_SECOES_POR_IDIOMA = {
+  pt: {
+    resumo: [
+      "resumo",
+      "resumo profissional",
+      "perfil",
+      "perfil profissional",
+      "sobre mim",
+      "objetivo",
+      "objetivo profissional",
+    ],
+    experiencia: [
+      "experiencia",
+      "experiencias",
+      "experiencia profissional",
+      "experiencias profissionais",
+      "historico profissional",
+    ],
+    educacao: ["educacao", "formacao", "formacao academica"],
+    habilidades: [
+      "habilidades",
+      "habilidades tecnicas",
+      "competencias",
+      "competencias tecnicas",
+      "conhecimentos",
+      "conhecimentos tecnicos",
+    ],
+    certificacoes: [
+      "certificacoes",
+      "certificados",
+      "cursos",
+      "cursos e certificacoes",
+    ],
+    idiomas: ["idiomas"],
+    projetos: ["projetos"],
+  },
+  en: {
+    resumo: ["summary", "professional summary", "profile", "about me"],
+    experiencia: [
+      "experience",
+      "work experience",
+      "professional experience",
+      "employment history",
+    ],
+    educacao: ["education", "academic background"],
+    habilidades: ["skills", "technical skills", "core competencies"],
+    certificacoes: ["certifications", "licenses & certifications"],
+    idiomas: ["languages"],
+    projetos: ["projects"],
+  },
+  es: {
+    resumo: [
+      "resumen",
+      "resumen profesional",
+      "perfil",
+      "perfil profesional",
+      "objetivo profesional",
+    ],
+    experiencia: [
+      "experiencia",
+      "experiencia laboral",
+      "experiencia profesional",
+    ],
+    educacao: ["educacion", "formacion", "formacion academica"],
+    habilidades: [
+      "habilidades",
+      "habilidades tecnicas",
+      "competencias",
+      "conocimientos",
+      "aptitudes",
+    ],
+    certificacoes: ["certificaciones", "certificados", "cursos"],
+    idiomas: ["idiomas", "lenguas"],
+    projetos: ["proyectos"],
+  },
+};
+
+/**
+ * Títulos reconhecidos para cada tipo de seção do currículo, em qualquer idioma
+ */
+export const TITULOS_SECOES = Object.values(TITULOS_SECOES_POR_IDIOMA).reduce(
+  (todos, titulosIdioma) => {
+    for (const [tipo, titulos] of Object.entries(titulosIdioma)) {
+      todos[tipo] = [...new Set([...(todos[tipo] || []), ...titulos])];
+    }
+    return todos;
+  },
+  {}
+);
+
+const REGEX_MARCADOR_LISTA = /^\s*(?:[-•*–▪●]|\d+[.)])\s+/;
+const REGEX_SEPARADOR = /^\s*(?:[-=_*]\s*){3,}$/;
+
+/**
+ * Normaliza um título de seção para comparação
+ * @param {string} titulo - Título da seção
+ * @returns {string} Título sem acentos, em minúsculas e sem ":" no final
+ */
+function normalizarTitulo(titulo) {
+  return normalizarTexto(titulo)
+    .replace(/[:：]\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Identifica o tipo de seção a partir de um título
+ * @param {string} titulo - Título da seção (já sem marcação)
+ * @returns {string|null} Tipo da seção ou null se não for reconhecido
+ */
+export function identificarTipoSecao(titulo) {
+  const normalizado = normalizarTitulo(titulo);
+  for (const [tipo, titulos] of Object.entries(TITULOS_SECOES)) {
+    if (titulos.includes(normalizado)) {
+      return tipo;
+    }
+  }
+  return null;
+}
+
+/**
+ * Indica se a linha é um item de lista (-, •, *, 1.)
+ * @param {string} linha - Linha de texto
+ * @returns {boolean} true se for item de lista
+ */
+export function ehItemLista(linha) {
+  return REGEX_MARCADOR_LISTA.test(linha) && !/^\s*\*\*/.test(linha);
+}
+
+/**
+ * Remove o marcador de lista do início da linha
+ * @param {string} linha - Linha de texto
+ * @returns {string} Linha sem o marcador
+ */
+export function removerMarcadorLista(linha) {
+  return linha.replace(REGEX_MARCADOR_LISTA, "").trim();
+}
+
+/**
+ * Verifica se uma linha parece um título de seção
+ * @param {string} linha - Linha original
+ * @param {boolean} dentroDeSecao - Se já existe uma seção reconhecida antes da linha
+ * @param {boolean} aposLinhaEmBranco - Se a linha anterior estava em branco
+ * @returns {{titulo: string, tipo: string}|null} Título encontrado ou null
+ */
+function detectarTitulo(linha, dentroDeSecao, aposLinhaEmBranco) {
+  const bruta = linha.trim();
+  if (!bruta || ehItemLista(bruta) || bruta.length > 60) {
+    return null;
+  }
+
+  const titulo = removerMarkdown(bruta)
+    .replace(/[:：]\s*$/, "")
+    .trim();
+  const tipo = identificarTipoSecao(titulo);
+  if (tipo) {
+    return { titulo, tipo };
+  }
+
+  // Títulos não reconhecidos só são aceitos depois da primeira seção conhecida,
+  // para não confundir o nome do candidato (em maiúsculas) com uma seção.
+  // Linhas em maiúsculas precisam vir após uma linha em branco, para que siglas
+  // como "USP" ou "IBM" dentro de uma seção não virem títulos.
+  const ehTituloMarkdown = /^#{1,2}\s+/.test(bruta);
+  const ehMaiusculo =
+    aposLinhaEmBranco &&
+    /[A-ZÀ-Ý]{6,}/.test(titulo.replace(/\s+/g, "")) &&
+    titulo === titulo.toUpperCase() &&
+    !/[\d@|]/.test(titulo);
+  if (dentroDeSecao && (ehTituloMarkdown || ehMaiusculo)) {
+    return { titulo, tipo: "outra" };
+  }
+
+  return null;
+}
+
+/**
+ * Divide o texto de um currículo em cabeçalho (nome/contato) e seções
+ * @param {string} texto - Texto do currículo
+ * @returns {{cabecalho: Array<string>, secoes: Array<{titulo: string, tipo: string, linhas: Array<string>}>}}
+ */
+export function dividirEmSecoes(texto) {
+  const cabecalho = [];
+  const secoes = [];
+  let secaoAtual = null;
+  let anteriorEmBranco = true;
+
+  for (const linhaOriginal of String(texto || "").split(/\r?\n/)) {
+    const linha = linhaOriginal.replace(/\s+$/, "");
+
+    // Linhas separadoras (---, ===) não fazem parte do conteúdo
+    if (REGEX_SEPARADOR.test(linha)) {
+      continue;
+    }
+
+    const titulo = detectarTitulo(linha, secaoAtual !== null, anteriorEmBranco);
+    anteriorEmBranco = !linha.trim();
+    if (titulo) {
+      secaoAtual = { ...titulo, linhas: [] };
+      secoes.push(secaoAtual);
+      continue;
+    }
+
+    if (secaoAtual) {
+      secaoAtual.linhas.push(linha);
+    } else if (linha.trim()) {
+      cabecalho.push(linha.trim());
+    }
+  }
+
+  // Remove linhas em branco nas pontas de cada seção
+  for (const secao of secoes) {
+    while (secao.linhas.length && !secao.linhas[0].trim()) secao.linhas.shift();
+    while (secao.linhas.length && !secao.linhas[secao.linhas.length - 1].trim())
+      secao.linhas.pop();
+  }
+
+  return { cabecalho, secoes };
+}
+
+/**
+ * Troca os títulos de seção reconhecidos que estão em outro idioma pelos
+ * títulos padrão do idioma informado (ex.: "EXPERIÊNCIA PROFISSIONAL" →
+ * "PROFESSIONAL EXPERIENCE"). Títulos já no idioma e seções não reconhecidas
+ * são mantidos; a marcação (#, **, ":") e o uso de maiúsculas são preservados.
+ * @param {string} texto - Texto do currículo
+ * @param {string} idioma - Código do idioma (veja IDIOMAS)
+ * @returns {string} Texto com os títulos no idioma
+ */
+export function localizarTitulosSecoes(texto, idioma) {
+  const titulosIdioma = TITULOS_SECOES_POR_IDIOMA[idioma];
+  if (!titulosIdioma || !IDIOMAS[idioma]) {
+    return texto;
+  }
+
+  let dentroDeSecao = false;
+  let anteriorEmBranco = true;
+  return String(texto || "")
+    .split("\n")
+    .map((linhaOriginal) => {
+      const linha = linhaOriginal.replace(/\s+$/, "");
+      if (REGEX_SEPARADOR.test(linha)) {
+        return linhaOriginal;
+      }
+
+      const titulo = detectarTitulo(linha, dentroDeSecao, anteriorEmBranco);
+      anteriorEmBranco = !linha.trim();
+      if (!titulo) {
+        return linhaOriginal;
+      }
+      dentroDeSecao = true;
+
+      const padrao = IDIOMAS[idioma].secoes[titulo.tipo];
+      if (
+        !padrao ||
+        titulosIdioma[titulo.tipo].includes(normalizarTitulo(titulo.titulo))
+      ) {
+        return linhaOriginal;
+      }
+      const novo =
+        titulo.titulo === titulo.titulo.toUpperCase()
+          ? padrao
+          : padrao
+              .toLowerCase()
+              .replace(/(^|\s)\p{L}/gu, (letra) => letra.toUpperCase());
+      return linhaOriginal.replace(titulo.titulo, novo);
+    })
+    .join("\n");
+}
@@ -0,0 +1,205 @@
+import fs from "fs";
+
+/**
+ * Grupos de termos equivalentes usados na pontuação ATS.
+ * O primeiro termo de cada grupo é o nome exibido nos relatórios.
+ * Termos compostos (ex.: "machine learning") também são reconhecidos
+ * como uma única palavra-chave mesmo quando o grupo tem um só termo.
+ */
+export const GRUPOS_SINONIMOS = [
+  ["JavaScript", "js", "ecmascript", "es6"],
+  ["TypeScript", "ts"],
+  ["Node.js", "nodejs", "node js", "node"],
+  ["React", "react.js", "reactjs"],
+  ["React Native"],
+  ["Vue.js", "vue", "vuejs"],
+  ["Angular", "angularjs", "angular.js"],
+  ["Next.js", "nextjs"],
+  ["Express", "express.js", "expressjs"],
+  ["NestJS", "nest.js", "nest"],
+  [".NET", "dotnet", "asp.net", "net core", ".net core"],
+  ["C#", "csharp", "c sharp"],
+  ["C++", "cpp"],
+  ["Golang", "go lang"],
+  ["Python", "py"],
+  ["Java"],
+  ["Spring Boot", "spring"],
+  ["Kotlin"],
+  ["PHP", "laravel"],
+  ["Ruby on Rails", "rails", "ruby"],
+  ["PostgreSQL", "postgres", "postgre"],
+  ["MySQL"],
+  ["SQL Server", "mssql"],
+  ["MongoDB", "mongo"],
+  ["Redis"],
+  ["Elasticsearch", "elastic search", "elk"],
+  ["SQL"],
+  ["NoSQL", "no sql"],
+  ["Banco de dados", "bancos de dados", "database", "databases", "bd"],
+  ["AWS", "amazon web services"],
+  ["Azure", "microsoft azure"],
+  ["Google Cloud", "gcp", "google cloud platform"],
+  ["Cloud", "nuvem", "cloud computing", "computação em nuvem"],
+  ["Docker", "containers", "contêineres", "conteineres"],
+  ["Kubernetes", "k8s"],
+  ["Terraform"],
+  [
+    "CI/CD",
+    "ci cd",
+    "integração contínua",
+    "entrega contínua",
+    "continuous integration",
+    "continuous delivery",
+  ],
+  ["DevOps"],
+  ["Git", "github", "gitlab", "bitbucket"],
+  ["Linux", "unix"],
+  [
+    "Microsserviços",
+    "microsservicos",
+    "microservices",
+    "micro services",
+    "microserviços",
+  ],
+  [
+    "API REST",
+    "rest",
+    "restful",
+    "apis rest",
+    "rest api",
+    "rest apis",
+    "api restful",
+  ],
+  ["GraphQL"],
+  ["Mensageria", "messaging", "kafka", "rabbitmq", "sqs"],
+  [
+    "Testes automatizados",
+    "testes unitários",
+    "testes unitarios",
+    "unit tests",
+    "unit testing",
+    "automated tests",
+    "test automation",
+    "tdd",
+    "jest",
+  ],
+  [
+    "Machine Learning",
+    "aprendizado de máquina",
+    "aprendizado de maquina",
+    "ml",
+  ],
+  ["Inteligência Artificial", "artificial intelligence", "ia", "ai"],
+  ["Deep Learning", "aprendizado profundo"],
+  ["Ciência de Dados", "data science", "cientista de dados", "data scientist"],
+  [
+    "Engenharia de Dados",
+    "data engineering",
+    "engenheiro de dados",
+    "data engineer",
+  ],
+  [
+    "Análise de Dados",
+    "data analysis",
+    "analytics",
+    "analista de dados",
+    "data analyst",
+  ],
+  ["Power BI", "powerbi"],
+  ["Excel", "microsoft excel"],
+  ["ETL", "elt", "pipelines de dados", "data pipelines"],
+  ["Spark", "pyspark", "apache spark"],
+  ["Pandas"],
+  [
+    "Metodologias ágeis",
+    "metodologias ageis",
+    "agile",
+    "ágil",
+    "agil",
+    "scrum",
+    "kanban",
+  ],
+  [
+    "Gestão de projetos",
+    "gestao de projetos",
+    "project management",
+    "gerenciamento de projetos",
+  ],
+  ["Liderança", "lideranca", "leadership", "liderar", "lead"],
+  ["Comunicação", "comunicacao", "communication"],
+  [
+    "Trabalho em equipe",
+    "teamwork",
+    "colaboração",
+    "colaboracao",
+    "collaboration",
+  ],
+  ["Resolução de problemas", "resolucao de problemas", "problem solving"],
+  ["Inglês", "ingles", "english"],
+  ["Espanhol", "spanish", "español"],
+  ["Front-end", "frontend", "front end"],
+  ["Back-end", "backend", "back end"],
+  ["Full stack", "fullstack", "full-stack"],
+  ["UX/UI", "ux", "ui", "ux ui", "user experience", "experiência do usuário"],
+  ["HTML", "html5"],
+  ["CSS", "css3", "sass", "scss"],
+  [
+    "Segurança da informação",
+    "seguranca da informacao",
+    "information security",
+    "cybersecurity",
+    "cibersegurança",
+  ],
+  [
+    "Arquitetura de software",
+    "software architecture",
+    "arquitetura de sistemas",
+  ],
+  ["Design patterns", "padrões de projeto", "padroes de projeto"],
+  ["Clean Code", "código limpo", "codigo limpo"],
+  ["SOLID"],
+  [
+    "Observabilidade",
+    "observability",
+    "monitoramento",
+    "monitoring",
+    "grafana",
+    "prometheus",
+    "datadog",
+  ],
+];
+
+/**
+ * Lê grupos de sinônimos extras de um arquivo JSON (lista de listas de termos)
+ * e os acrescenta aos grupos padrão
+ * @param {string} caminho - Caminho do arquivo (ex.: sinonimos.json)
+ * @returns {Array<Array<string>>} Grupos padrão + grupos do arquivo
+ */
+export function carregarSinonimos(caminho) {
+  if (!caminho || !fs.existsSync(caminho)) {
+    return GRUPOS_SINONIMOS;
+  }
+
+  let extras;
+  try {
+    extras = JSON.parse(fs.readFileSync(caminho, "utf-8"));
+  } catch (error) {
+    throw new Error(`Erro ao ler ${caminho}: ${error.message}`);
+  }
+
+  const valido =
+    Array.isArray(extras) &&
+    extras.every(
+      (grupo) =>
+        Array.isArray(grupo) &&
+        grupo.length > 0 &&
+        grupo.every((termo) => typeof termo === "string" && termo.trim())
+    );
+  if (!valido) {
+    throw new Error(
+      `${caminho} deve conter uma lista de grupos de termos, ex.: [["Node.js", "node"]]`
+    );
+  }
+
+  return [...extras, ...GRUPOS_SINONIMOS];
+}
@@ -0,0 +1,179 @@
+/**
+ * Stemmers simplificados para português e inglês, usados na pontuação ATS.
+ * Não são implementações completas (RSLP / Porter), mas reduzem as variações
+ * mais comuns: plural, gênero, sufixos nominais e verbais.
+ */
+
+const VOGAIS = "aeiou";
+
+/**
+ * Remove o primeiro sufixo da lista que caiba na palavra, respeitando o tamanho mínimo do radical
+ * @param {string} palavra - Palavra normalizada
+ * @param {Array<[string, number, string]>} regras - [sufixo, tamanho mínimo do radical, substituição]
+ * @returns {string} Palavra sem o sufixo (ou a própria palavra)
+ */
+function aplicarRegras(palavra, regras) {
+  for (const [sufixo, minimo, substituicao = ""] of regras) {
+    if (palavra.endsWith(sufixo) && palavra.length - sufixo.length >= minimo) {
+      return palavra.slice(0, -sufixo.length) + substituicao;
+    }
+  }
+  return palavra;
+}
+
+// Regras em ordem de prioridade (baseadas nas etapas do RSLP)
+const PT_PLURAL = [
+  ["oes", 3, "ao"],
+  ["aes", 3, "ao"],
+  ["ais", 2, "al"],
+  ["eis", 2, "el"],
+  ["ois", 2, "ol"],
+  ["is", 2, "il"],
+  ["les", 3, "l"],
+  ["res", 3, "r"],
+  ["zes", 3, "z"],
+  ["ns", 1, "m"],
+  ["s", 2],
+];
+const PT_FEMININO = [
+  ["ona", 3, "ao"],
+  ["ora", 3, "or"],
+  ["na", 4, "no"],
+  ["inha", 3, "inho"],
+  ["ica", 3, "ico"],
+  ["ada", 2, "ado"],
+  ["ida", 3, "ido"],
+  ["iva", 3, "ivo"],
+  ["eira", 3, "eiro"],
+];
+const PT_ADVERBIO = [["mente", 4]];
+const PT_NOMINAL = [
+  ["amentos", 3],
+  ["imentos", 3],
+  ["amento", 3],
+  ["imento", 3],
+  ["mento", 4],
+  ["acoes", 3],
+  ["icoes", 3],
+  ["acao", 3],
+  ["icao", 3],
+  ["idade", 4],
+  ["agem", 3],
+  ["ismo", 3],
+  ["ista", 4],
+  ["avel", 2],
+  ["ivel", 3],
+  ["ador", 3],
+  ["edor", 3],
+  ["idor", 4],
+  ["ante", 2],
+  ["ico", 4],
+  ["al", 4],
+  ["ivo", 4],
+  ["oso", 3],
+];
+const PT_VERBAL = [
+  ["aremos", 2],
+  ["eremos", 2],
+  ["iremos", 3],
+  ["ariam", 2],
+  ["eriam", 2],
+  ["iriam", 3],
+  ["assem", 2],
+  ["essem", 2],
+  ["issem", 3],
+  ["ando", 2],
+  ["endo", 3],
+  ["indo", 3],
+  ["aram", 2],
+  ["eram", 3],
+  ["iram", 3],
+  ["ar", 2],
+  ["er", 2],
+  ["ir", 3],
+  ["ado", 2],
+  ["ido", 3],
+  ["ou", 3],
+  ["am", 2],
+  ["em", 2],
+];
+
+/**
+ * Reduz uma palavra em português ao seu radical aproximado
+ * @param {string} palavra - Palavra em minúsculas e sem acentos
+ * @returns {string} Radical
+ */
+export function stemPortugues(palavra) {
+  if (palavra.length < 4 || /\d/.test(palavra)) return palavra;
+
+  let radical = aplicarRegras(palavra, PT_PLURAL);
+  radical = aplicarRegras(radical, PT_FEMININO);
+  radical = aplicarRegras(radical, PT_ADVERBIO);
+
+  const semNominal = aplicarRegras(radical, PT_NOMINAL);
+  radical =
+    semNominal !== radical ? semNominal : aplicarRegras(radical, PT_VERBAL);
+
+  // Remove a vogal temática final (desenvolvedor/desenvolve → desenvolv)
+  if (radical.length > 4 && VOGAIS.includes(radical[radical.length - 1])) {
+    radical = radical.slice(0, -1);
+  }
+  return radical;
+}
+
+const EN_REGRAS = [
+  ["ational", 3, "ate"],
+  ["ization", 3, "ize"],
+  ["fulness", 3, "ful"],
+  ["ousness", 3, "ous"],
+  ["iveness", 3, "ive"],
+  ["ations", 3, "ate"],
+  ["ation", 3, "ate"],
+  ["ments", 3],
+  ["ment", 3],
+  ["ness", 3],
+  ["ities", 3],
+  ["ity", 3],
+  ["ingly", 3],
+  ["edly", 3],
+  ["ing", 3],
+  ["ies", 2, "y"],
+  ["ied", 2, "y"],
+  ["ers", 3],
+  ["er", 3],
+  ["ed", 3],
+  ["ly", 3],
+  ["es", 4],
+  ["s", 3],
+];
+
+/**
+ * Reduz uma palavra em inglês ao seu radical aproximado
+ * @param {string} palavra - Palavra em minúsculas
+ * @returns {string} Radical
+ */
+export function stemIngles(palavra) {
+  if (palavra.length < 4 || /\d/.test(palavra) || palavra.endsWith("ss")) {
+    return palavra;
+  }
+  let radical = aplicarRegras(palavra, EN_REGRAS);
+  // developing → develop, managed → manag(e)
+  if (radical.endsWith("e") && radical.length > 4) {
+    radical = radical.slice(0, -1);
+  }
+  // running → run
+  if (/([^aeiouslz])\1$/.test(radical)) {
+    radical = radical.slice(0, -1);
+  }
+  return radical;
+}
+
+/**
+ * Aplica o stemmer do idioma informado
+ * @param {string} palavra - Palavra normalizada
+ * @param {string} idioma - "pt" ou "en" (outros idiomas, como o espanhol, usam o do português)
+ * @returns {string} Radical
+ */
+export function stem(palavra, idioma = "pt") {
+  return idioma === "en" ? stemIngles(palavra) : stemPortugues(palavra);
+}
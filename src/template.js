@@ -0,0 +1,306 @@
+/**
+ * Motor de templates usado pelos prompts personalizados (prompt_agente.txt e prompt_carta.txt).
+ *
+ * Sintaxe suportada:
+ *   {{nome}}                          - substitui pelo valor de "nome"
+ *   {{#if nome}} ... {{/if}}          - bloco incluído só se "nome" tiver valor
+ *   {{#if nome}} ... {{else}} ... {{/if}}
+ *   {{#unless nome}} ... {{/unless}}  - bloco incluído só se "nome" estiver vazio
+ */
+
+/**
+ * Placeholders conhecidos e se são obrigatórios no template
+ */
+export const PLACEHOLDERS_PROMPT = {
+  curriculo: { obrigatorio: true, descricao: "Currículo original" },
+  descricao: { obrigatorio: true, descricao: "Descrição da vaga" },
+  link: { obrigatorio: false, descricao: "Link da vaga" },
+  empresa: { obrigatorio: false, descricao: "Empresa da vaga" },
+  titulo: { obrigatorio: false, descricao: "Título da vaga" },
+  idioma: { obrigatorio: false, descricao: "Idioma do currículo gerado" },
+  nome: { obrigatorio: false, descricao: "Nome do candidato" },
+  resumo: { obrigatorio: false, descricao: "Resumo profissional original" },
+  experiencia: { obrigatorio: false, descricao: "Experiências originais" },
+  educacao: { obrigatorio: false, descricao: "Formação original" },
+  habilidades: { obrigatorio: false, descricao: "Habilidades originais" },
+  local: { obrigatorio: false, descricao: "Local da vaga" },
+  modalidade: {
+    obrigatorio: false,
+    descricao: "Modalidade (Remoto, Híbrido ou Presencial)",
+  },
+  senioridade: { obrigatorio: false, descricao: "Senioridade da vaga" },
+  contratacao: { obrigatorio: false, descricao: "Tipo de contratação" },
+  publicacao: { obrigatorio: false, descricao: "Data de publicação da vaga" },
+  salario: { obrigatorio: false, descricao: "Salário, se divulgado" },
+};
+
+/**
+ * Placeholders do prompt da carta de apresentação (prompt_carta.txt): os do
+ * currículo, mais o tom e o tamanho da carta
+ */
+export const PLACEHOLDERS_CARTA = {
+  ...PLACEHOLDERS_PROMPT,
+  idioma: { obrigatorio: false, descricao: "Idioma da carta" },
+  tom: {
+    obrigatorio: false,
+    descricao: "Tom da carta (ex.: formal e respeitoso)",
+  },
+  tamanho: {
+    obrigatorio: false,
+    descricao: "Tamanho da carta (ex.: entre 250 e 350 palavras)",
+  },
+};
+
+/**
+ * Placeholders do padrão de nome dos arquivos de currículo (PADRAO_NOME_ARQUIVO)
+ */
+export const PLACEHOLDERS_NOME_ARQUIVO = {
+  id: { obrigatorio: true, descricao: "ID da vaga" },
+  site: { obrigatorio: false, descricao: "Site de origem da vaga" },
+  titulo: { obrigatorio: false, descricao: "Título da vaga" },
+  empresa: { obrigatorio: false, descricao: "Empresa da vaga" },
+  local: { obrigatorio: false, descricao: "Local da vaga" },
+  modalidade: { obrigatorio: false, descricao: "Modalidade da vaga" },
+  senioridade: { obrigatorio: false, descricao: "Senioridade da vaga" },
+};
+
+// Marcadores antigos do prompt_agente.txt.example, mantidos por compatibilidade
+const MARCADORES_LEGADOS = [
+  [
+    /\[O currículo original será inserido aqui automaticamente\]/gi,
+    "{{curriculo}}",
+  ],
+  [
+    /\[A descrição da vaga será inserida aqui automaticamente\]/gi,
+    "{{descricao}}",
+  ],
+];
+
+const REGEX_TAG =
+  /\{\{\s*([#/]?)\s*(?:(if|unless|else)(?![\w.]))?\s*([a-zA-Z_][\w.]*)?\s*\}\}/g;
+
+/**
+ * Converte os marcadores legados "[... será inserido aqui automaticamente]" em placeholders
+ * @param {string} template - Texto do template
+ * @returns {string} Template com os marcadores convertidos
+ */
+function converterMarcadoresLegados(template) {
+  return MARCADORES_LEGADOS.reduce(
+    (texto, [regex, placeholder]) => texto.replace(regex, placeholder),
+    template
+  );
+}
+
+/**
+ * Calcula a linha de uma posição do template (para mensagens de erro)
+ * @param {string} template - Texto do template
+ * @param {number} posicao - Posição no texto
+ * @returns {number} Número da linha (começando em 1)
+ */
+function linhaDaPosicao(template, posicao) {
+  return template.slice(0, posicao).split("\n").length;
+}
+
+/**
+ * Analisa o template e monta a árvore de nós (texto, variável e blocos condicionais)
+ * @param {string} template - Texto do template
+ * @returns {{nos: Array, variaveis: Set<string>, incondicionais: Set<string>}} Árvore, nomes
+ *   referenciados (inclusive em condições) e nomes sempre inseridos no texto (fora de blocos)
+ */
+function analisarTemplate(template) {
+  const raiz = { tipo: "raiz", filhos: [] };
+  const pilha = [raiz];
+  const variaveis = new Set();
+  const incondicionais = new Set();
+  let ultimaPosicao = 0;
+
+  const atual = () => {
+    const no = pilha[pilha.length - 1];
+    return no.emElse ? no.senao : no.filhos;
+  };
+
+  for (const match of template.matchAll(REGEX_TAG)) {
+    const [tag, prefixo, palavraChave, nome] = match;
+    const linha = linhaDaPosicao(template, match.index);
+
+    if (match.index > ultimaPosicao) {
+      atual().push({
+        tipo: "texto",
+        valor: template.slice(ultimaPosicao, match.index),
+      });
+    }
+    ultimaPosicao = match.index + tag.length;
+
+    if (prefixo === "#") {
+      if (!palavraChave || palavraChave === "else" || !nome) {
+        throw new Error(
+          `Bloco inválido "${tag}" na linha ${linha} do template`
+        );
+      }
+      const bloco = {
+        tipo: palavraChave,
+        nome,
+        filhos: [],
+        senao: [],
+        emElse: false,
+        linha,
+      };
+      variaveis.add(nome);
+      atual().push(bloco);
+      pilha.push(bloco);
+    } else if (prefixo === "/") {
+      const bloco = pilha[pilha.length - 1];
+      if (bloco.tipo === "raiz" || bloco.tipo !== palavraChave) {
+        throw new Error(
+          `Fechamento "${tag}" sem bloco correspondente na linha ${linha} do template`
+        );
+      }
+      pilha.pop();
+    } else if (palavraChave === "else" && !nome) {
+      const bloco = pilha[pilha.length - 1];
+      if (bloco.tipo === "raiz" || bloco.emElse) {
+        throw new Error(
+          `"{{else}}" fora de um bloco na linha ${linha} do template`
+        );
+      }
+      bloco.emElse = true;
+    } else if (prefixo === "" && !palavraChave && nome) {
+      variaveis.add(nome);
+      if (pilha.length === 1) {
+        incondicionais.add(nome);
+      }
+      atual().push({ tipo: "variavel", nome, linha });
+    } else {
+      throw new Error(`Tag inválida "${tag}" na linha ${linha} do template`);
+    }
+  }
+
+  if (pilha.length > 1) {
+    const bloco = pilha[pilha.length - 1];
+    throw new Error(
+      `Bloco "{{#${bloco.tipo} ${bloco.nome}}}" aberto na linha ${bloco.linha} não foi fechado`
+    );
+  }
+
+  if (ultimaPosicao < template.length) {
+    raiz.filhos.push({ tipo: "texto", valor: template.slice(ultimaPosicao) });
+  }
+
+  return { nos: raiz.filhos, variaveis, incondicionais };
+}
+
+/**
+ * Indica se um valor deve ser considerado preenchido
+ * @param {*} valor - Valor da variável
+ * @returns {boolean} true se o valor não estiver vazio
+ */
+function temValor(valor) {
+  if (valor === null || valor === undefined) return false;
+  if (Array.isArray(valor)) return valor.length > 0;
+  return String(valor).trim().length > 0;
+}
+
+/**
+ * Renderiza a árvore de nós com os dados fornecidos
+ * @param {Array} nos - Nós do template
+ * @param {Object} dados - Valores das variáveis
+ * @returns {string} Texto renderizado
+ */
+function renderizarNos(nos, dados) {
+  return nos
+    .map((no) => {
+      switch (no.tipo) {
+        case "texto":
+          return no.valor;
+        case "variavel":
+          return temValor(dados[no.nome]) ? String(dados[no.nome]) : "";
+        case "if":
+          return renderizarNos(
+            temValor(dados[no.nome]) ? no.filhos : no.senao,
+            dados
+          );
+        case "unless":
+          return renderizarNos(
+            temValor(dados[no.nome]) ? no.senao : no.filhos,
+            dados
+          );
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+/**
+ * Compila um template, validando a sintaxe e os placeholders usados
+ * @param {string} template - Texto do template
+ * @param {Object} [placeholders=PLACEHOLDERS_PROMPT] - Placeholders aceitos e se são obrigatórios
+ * @returns {{variaveis: Array<string>, renderizar: function(Object): string}} Template compilado
+ */
+export function compilarTemplate(template, placeholders = PLACEHOLDERS_PROMPT) {
+  const texto = converterMarcadoresLegados(template);
+  const { nos, variaveis, incondicionais } = analisarTemplate(texto);
+  const problemas = [];
+
+  const desconhecidos = [...variaveis].filter(
+    (nome) => !(nome in placeholders)
+  );
+  if (desconhecidos.length > 0) {
+    problemas.push(
+      `placeholders desconhecidos: ${desconhecidos
+        .map((n) => `{{${n}}}`)
+        .join(", ")} ` +
+        `(disponíveis: ${Object.keys(placeholders)
+          .map((n) => `{{${n}}}`)
+          .join(", ")})`
+    );
+  }
+
+  const obrigatorios = Object.keys(placeholders).filter(
+    (nome) => placeholders[nome].obrigatorio
+  );
+  // Obrigatórios precisam ser inseridos fora de blocos: numa condição ou dentro
+  // de {{#if}}/{{#unless}}, o prompt poderia sair sem eles
+  const ausentes = obrigatorios.filter((nome) => !incondicionais.has(nome));
+  if (ausentes.length > 0) {
+    problemas.push(
+      `placeholders obrigatórios ausentes ou só dentro de blocos condicionais: ${ausentes
+        .map((n) => `{{${n}}}`)
+        .join(", ")}`
+    );
+  }
+
+  if (problemas.length > 0) {
+    throw new Error(`Template inválido: ${problemas.join("; ")}`);
+  }
+
+  return {
+    variaveis: [...variaveis],
+    renderizar(dados = {}) {
+      const vazios = obrigatorios.filter((nome) => !temValor(dados[nome]));
+      if (vazios.length > 0) {
+        throw new Error(
+          `Dados obrigatórios vazios para o template: ${vazios
+            .map((n) => `{{${n}}}`)
+            .join(", ")}`
+        );
+      }
+      return renderizarNos(nos, dados);
+    },
+  };
+}
+
+/**
+ * Renderiza um template de uma vez (compila e aplica os dados)
+ * @param {string} template - Texto do template
+ * @param {Object} dados - Valores dos placeholders
+ * @param {Object} [placeholders=PLACEHOLDERS_PROMPT] - Placeholders aceitos
+ * @returns {string} Texto renderizado
+ */
+export function renderizarTemplate(
+  template,
+  dados,
+  placeholders = PLACEHOLDERS_PROMPT
+) {
+  return compilarTemplate(template, placeholders).renderizar(dados);
+}
@@ -0,0 +1,92 @@
+/**
+ * Funções utilitárias de texto compartilhadas pelos módulos do projeto
+ */
+
+/**
+ * Normaliza um texto para comparação: minúsculas e sem acentos
+ * @param {string} texto - Texto original
+ * @returns {string} Texto normalizado
+ */
+export function normalizarTexto(texto) {
+  return String(texto || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Converte um texto em um trecho seguro para nomes de arquivo
+ * (ex.: "Desenvolvedor Sênior / Node" -> "desenvolvedor-senior-node")
+ * @param {string} texto - Texto original
+ * @param {number} tamanhoMaximo - Tamanho máximo do resultado
+ * @returns {string} Texto em minúsculas, sem acentos, com hífens no lugar de espaços e símbolos
+ */
+export function slugificar(texto, tamanhoMaximo = 60) {
+  return normalizarTexto(texto)
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, tamanhoMaximo)
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Remove a marcação Markdown mais comum que os modelos costumam gerar
+ * (títulos com #, negrito, itálico e crases)
+ * @param {string} linha - Linha de texto
+ * @returns {string} Linha sem marcação
+ */
+export function removerMarkdown(linha) {
+  return String(linha || "")
+    .replace(/^#{1,6}\s+/, "")
+    .replace(/\*\*(.+?)\*\*/g, "$1")
+    .replace(/__(.+?)__/g, "$1")
+    .replace(/(^|[^*])\*([^*\s][^*]*?)\*(?!\*)/g, "$1$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .trim();
+}
+
+/**
+ * Palavras muito comuns (português, inglês e espanhol) ignoradas nas comparações
+ */
+export const PALAVRAS_VAZIAS = new Set(
+  (
+    "a o as os um uma uns umas de da do das dos em na no nas nos por para pra com sem " +
+    "e ou que se ao aos sua seu suas seus sobre entre ate como mais muito ja nao sim " +
+    "the an of in on at to for with without and or by from as is are be this that " +
+    "el la los las un una del y con sin por para en al"
+  ).split(" ")
+);
+
+/**
+ * Normaliza um texto e troca pontuação por espaços, para comparar termos
+ * independentemente de acentos, maiúsculas e sinais ("Node.js" → "node js")
+ * @param {string} texto - Texto original
+ * @returns {string} Texto normalizado com palavras separadas por um espaço
+ */
+export function normalizarParaComparacao(texto) {
+  return normalizarTexto(texto)
+    .replace(/[^a-z0-9+#]+/g, " ")
+    .trim();
+}
+
+/**
+ * Escapa caracteres especiais de HTML
+ * @param {string} texto - Texto original
+ * @returns {string} Texto seguro para inserir no HTML
+ */
+export function escaparHtml(texto) {
+  return String(texto)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formata um valor para uma célula do CSV (com aspas se necessário)
+ * @param {string} valor - Valor da célula
+ * @returns {string} Célula
+ */
+export function celulaCsv(valor) {
+  const texto = String(valor ?? "");
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
@@ -0,0 +1,339 @@
+import fs from "fs";
+import { normalizarParaComparacao } from "./texto.js";
+
+/**
+ * Caracteres por token usados na estimativa. Textos em inglês ficam perto de
+ * 4; em português e espanhol a média é menor, então a estimativa é conservadora.
+ */
+const CARACTERES_POR_TOKEN = 3.5;
+
+/**
+ * Tokens de contexto (prompt + resposta) por modelo, pelo prefixo do nome.
+ * Modelos que não estão na lista usam CONTEXTO_PADRAO (ou LLM_CONTEXTO).
+ */
+export const LIMITES_CONTEXTO = {
+  "gpt-4": 8192,
+  "gpt-4-32k": 32768,
+  "gpt-4-turbo": 128000,
+  "gpt-4o": 128000,
+  "gpt-4.1": 1000000,
+  "gpt-3.5-turbo": 16385,
+  o1: 200000,
+  o3: 200000,
+  "o4-mini": 200000,
+  claude: 200000,
+};
+
+/**
+ * Contexto usado para modelos desconhecidos (servidores locais, implantações do Azure...)
+ */
+export const CONTEXTO_PADRAO = 8192;
+
+/**
+ * Tokens reservados para as instruções fixas dos prompts (fora currículo e vaga)
+ */
+const TOKENS_INSTRUCOES = 1000;
+
+/**
+ * Menor resposta aceita quando o máximo de tokens precisa ser reduzido para
+ * caber no contexto do modelo
+ */
+export const RESPOSTA_MINIMA = 1000;
+
+/**
+ * Menor trecho da descrição mantido ao cortá-la: abaixo disso a vaga perderia o
+ * sentido, e o provedor recusa o prompt se ele não couber no contexto
+ */
+const DESCRICAO_MINIMA = 500;
+
+/**
+ * Preços padrão em dólares por milhão de tokens ({entrada, saida}), pelo
+ * prefixo do nome do modelo. Preços de outros modelos (ou atualizados) vão em precos.json.
+ */
+export const PRECOS_PADRAO = {
+  "gpt-4": { entrada: 30, saida: 60 },
+  "gpt-4-32k": { entrada: 60, saida: 120 },
+  "gpt-4-turbo": { entrada: 10, saida: 30 },
+  "gpt-4o": { entrada: 2.5, saida: 10 },
+  "gpt-4o-mini": { entrada: 0.15, saida: 0.6 },
+  "gpt-4.1": { entrada: 2, saida: 8 },
+  "gpt-4.1-mini": { entrada: 0.4, saida: 1.6 },
+  "gpt-3.5-turbo": { entrada: 0.5, saida: 1.5 },
+  "claude-3-5-sonnet": { entrada: 3, saida: 15 },
+  "claude-3-5-haiku": { entrada: 0.8, saida: 4 },
+  "claude-3-opus": { entrada: 15, saida: 75 },
+  falso: { entrada: 0, saida: 0 },
+};
+
+/**
+ * Estima quantos tokens um texto ocupa, sem depender do tokenizador do modelo
+ * @param {string} texto - Texto
+ * @returns {number} Tokens estimados
+ */
+export function estimarTokens(texto) {
+  return Math.ceil(String(texto || "").length / CARACTERES_POR_TOKEN);
+}
+
+/**
+ * Procura o valor do modelo numa tabela indexada por prefixo de nome
+ * (o prefixo mais longo vence: "gpt-4o-mini" antes de "gpt-4o" e "gpt-4")
+ * @param {Object} tabela - Valores por prefixo
+ * @param {string} modelo - Nome do modelo
+ * @returns {*} Valor encontrado ou undefined
+ */
+function buscarPorPrefixo(tabela, modelo) {
+  const nome = String(modelo || "").toLowerCase();
+  const prefixo = Object.keys(tabela)
+    .filter((chave) => nome.startsWith(chave.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefixo === undefined ? undefined : tabela[prefixo];
+}
+
+/**
+ * Tokens de contexto do modelo
+ * @param {string} modelo - Nome do modelo
+ * @param {number} configurado - Limite informado (LLM_CONTEXTO), que tem prioridade
+ * @returns {number} Tokens de contexto
+ */
+export function limiteContexto(modelo, configurado) {
+  if (configurado !== undefined && configurado !== null) {
+    const limite = Number(configurado);
+    if (!Number.isInteger(limite) || limite < RESPOSTA_MINIMA * 2) {
+      throw new Error(
+        `Contexto do modelo inválido: "${configurado}". Use um número inteiro a partir de ${
+          RESPOSTA_MINIMA * 2
+        }`
+      );
+    }
+    return limite;
+  }
+  return buscarPorPrefixo(LIMITES_CONTEXTO, modelo) ?? CONTEXTO_PADRAO;
+}
+
+// Linhas repetidas a partir deste tamanho são removidas mesmo fora de sequência
+// (parágrafos que a página mostra duas vezes); linhas curtas, como os títulos
+// "Requisitos:" de cada cargo, só quando repetidas em seguida
+const LINHA_REPETIDA_MINIMA = 80;
+
+/**
+ * Limpa o ruído que as heurísticas de download costumam trazer junto com a
+ * descrição (linhas repetidas, linhas sem letras e espaços sobrando)
+ * @param {string} descricao - Descrição da vaga
+ * @returns {string} Descrição limpa
+ */
+export function limparDescricao(descricao) {
+  const vistas = new Set();
+  const linhas = [];
+  let anterior = null;
+  for (const bruta of String(descricao || "").split("\n")) {
+    const linha = bruta.replace(/\s+/g, " ").trim();
+    if (!linha) {
+      if (linhas.length > 0 && linhas[linhas.length - 1]) linhas.push("");
+      continue;
+    }
+    const chave = normalizarParaComparacao(linha);
+    const repetida =
+      chave === anterior ||
+      (linha.length >= LINHA_REPETIDA_MINIMA && vistas.has(chave));
+    if (!/\p{L}/u.test(linha) || repetida) continue;
+    vistas.add(chave);
+    anterior = chave;
+    linhas.push(linha);
+  }
+  return linhas.join("\n").trim();
+}
+
+/**
+ * Prepara a descrição enviada ao modelo: limpa o ruído e, se ainda não couber
+ * no contexto junto com o currículo e a resposta, corta o final (em uma quebra de linha)
+ * @param {string} descricao - Descrição da vaga
+ * @param {Object} orcamento - Orçamento de tokens
+ * @param {number} orcamento.contexto - Tokens de contexto do modelo
+ * @param {number} orcamento.maxTokens - Máximo de tokens da resposta
+ * @param {string} orcamento.curriculo - Currículo enviado no mesmo prompt
+ * @returns {{descricao: string, tokensOriginais: number, tokens: number, cortada: boolean}}
+ *   Descrição para o prompt, tokens estimados antes e depois e se o final foi cortado
+ */
+export function ajustarDescricao(descricao, orcamento) {
+  const tokensOriginais = estimarTokens(descricao);
+  const limpa = limparDescricao(descricao);
+  const tokensCurriculo = estimarTokens(orcamento.curriculo);
+  // A resposta costuma ter o tamanho do currículo; o resto cabe na descrição
+  const resposta = Math.min(
+    orcamento.maxTokens,
+    Math.max(RESPOSTA_MINIMA, tokensCurriculo * 2)
+  );
+  const disponivel = Math.max(
+    DESCRICAO_MINIMA,
+    orcamento.contexto - resposta - tokensCurriculo - TOKENS_INSTRUCOES
+  );
+
+  if (estimarTokens(limpa) <= disponivel) {
+    return {
+      descricao: limpa,
+      tokensOriginais,
+      tokens: estimarTokens(limpa),
+      cortada: false,
+    };
+  }
+  const limite = Math.floor(disponivel * CARACTERES_POR_TOKEN);
+  const quebra = limpa.lastIndexOf("\n", limite);
+  const cortada = limpa
+    .slice(0, quebra > limite / 2 ? quebra : limite)
+    .trimEnd();
+  return {
+    descricao: cortada,
+    tokensOriginais,
+    tokens: estimarTokens(cortada),
+    cortada: true,
+  };
+}
+
+/**
+ * Lê a tabela de preços: os preços padrão mais os de um arquivo JSON opcional
+ * (ex.: {"gpt-4o": {"entrada": 2.5, "saida": 10}}, em dólares por milhão de tokens)
+ * @param {string} caminho - Caminho do arquivo (ex.: precos.json)
+ * @returns {Object} Preços por prefixo de modelo
+ */
+export function carregarPrecos(caminho) {
+  if (!caminho || !fs.existsSync(caminho)) {
+    return PRECOS_PADRAO;
+  }
+
+  let precos;
+  try {
+    precos = JSON.parse(fs.readFileSync(caminho, "utf-8"));
+  } catch (error) {
+    throw new Error(`Erro ao ler ${caminho}: ${error.message}`);
+  }
+
+  const valido =
+    precos &&
+    typeof precos === "object" &&
+    !Array.isArray(precos) &&
+    Object.values(precos).every(
+      (preco) =>
+        preco &&
+        ["entrada", "saida"].every(
+          (campo) => Number.isFinite(preco[campo]) && preco[campo] >= 0
+        )
+    );
+  if (!valido) {
+    throw new Error(
+      `${caminho} deve conter os preços por modelo em dólares por milhão de tokens, ex.: {"gpt-4o": {"entrada": 2.5, "saida": 10}}`
+    );
+  }
+  return { ...PRECOS_PADRAO, ...precos };
+}
+
+/**
+ * Calcula o custo de uma chamada
+ * @param {{entrada: number, saida: number}} uso - Tokens de entrada e de saída
+ * @param {string} modelo - Nome do modelo
+ * @param {Object} precos - Tabela de preços (veja carregarPrecos)
+ * @returns {number|null} Custo em dólares ou null se o modelo não tiver preço
+ */
+export function calcularCusto(uso, modelo, precos = PRECOS_PADRAO) {
+  const preco = buscarPorPrefixo(precos, modelo);
+  if (!preco) return null;
+  return (uso.entrada * preco.entrada + uso.saida * preco.saida) / 1e6;
+}
+
+/**
+ * Cria o acumulador do consumo de tokens de uma vaga ou de uma execução
+ * @param {Object} precos - Tabela de preços (veja carregarPrecos)
+ * @returns {{registrar: function(Object): void, somar: function(Object): void, resumo: function(): Object}}
+ *   registrar recebe cada chamada ({modelo, entrada, saida, estimado, cache}), somar
+ *   acrescenta o resumo de outro acumulador e resumo devolve {chamadas, cache, entrada,
+ *   saida, estimado, custo, semPreco}
+ */
+export function criarContadorUso(precos = PRECOS_PADRAO) {
+  const total = {
+    chamadas: 0,
+    cache: 0,
+    entrada: 0,
+    saida: 0,
+    estimado: false,
+    custo: 0,
+    semPreco: [],
+  };
+  const somar = (uso) => {
+    total.chamadas += uso.chamadas;
+    total.cache += uso.cache;
+    total.entrada += uso.entrada;
+    total.saida += uso.saida;
+    total.estimado = total.estimado || uso.estimado;
+    total.custo += uso.custo;
+    total.semPreco = [...new Set([...total.semPreco, ...uso.semPreco])];
+  };
+  return {
+    registrar(chamada) {
+      // Respostas do cache não chegam à API e não custam nada
+      if (chamada.cache) {
+        somar({
+          chamadas: 1,
+          cache: 1,
+          entrada: 0,
+          saida: 0,
+          estimado: false,
+          custo: 0,
+          semPreco: [],
+        });
+        return;
+      }
+      const custo = calcularCusto(chamada, chamada.modelo, precos);
+      somar({
+        chamadas: 1,
+        cache: 0,
+        entrada: chamada.entrada,
+        saida: chamada.saida,
+        estimado: Boolean(chamada.estimado),
+        custo: custo || 0,
+        semPreco: custo === null ? [chamada.modelo] : [],
+      });
+    },
+    somar,
+    resumo: () => ({ ...total, semPreco: [...total.semPreco] }),
+  };
+}
+
+/**
+ * Formata um resumo de consumo em uma linha (ex.: para o progresso)
+ * @param {Object} uso - Resumo de criarContadorUso
+ * @returns {string} Ex.: "3 chamadas (1 do cache), 5.120 tokens de entrada e 1.830 de saída, US$ 0,0473"
+ */
+export function formatarUso(uso) {
+  const numero = (valor) => valor.toLocaleString("pt-BR");
+  const custo =
+    uso.semPreco.length > 0
+      ? `custo desconhecido para ${uso.semPreco.join(
+          ", "
+        )} (informe em precos.json)`
+      : `US$ ${uso.custo.toLocaleString("pt-BR", {
+          minimumFractionDigits: 4,
+          maximumFractionDigits: 4,
+        })}`;
+  return `${uso.chamadas} chamada(s)${
+    uso.cache > 0 ? ` (${uso.cache} do cache)` : ""
+  }, ${numero(uso.entrada)} tokens de entrada e ${numero(uso.saida)} de saída${
+    uso.estimado ? " (estimados)" : ""
+  }, ${custo}`;
+}
+
+/**
+ * Formata o relatório de consumo da execução, com uma linha por vaga
+ * @param {Array<{vaga: string, uso: Object}>} itens - Consumo de cada vaga
+ * @param {Object} total - Resumo da execução (veja criarContadorUso)
+ * @returns {string} Relatório em texto
+ */
+export function formatarRelatorioUso(itens, total) {
+  return [
+    `DATA DA EXECUÇÃO: ${new Date().toLocaleString("pt-BR")}`,
+    "",
+    ...itens.map(({ vaga, uso }) => `${vaga}: ${formatarUso(uso)}`),
+    "",
+    "=".repeat(80),
+    `TOTAL: ${formatarUso(total)}`,
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,248 @@
+import fs from "fs";
+import { parse } from "csv-parse";
+import path from "path";
+import { aguardar, calcularEspera } from "./concorrencia.js";
+import {
+  interpretarArquivoDescricao,
+  listarDescricoesSalvas,
+} from "./descricoes.js";
+import { gerarIdVaga, hashConteudo } from "./estado.js";
+import { CAMPOS_METADADOS } from "./metadados.js";
+import {
+  classificarErroColeta,
+  descricaoValida,
+  TIPOS_FALHA_COLETA,
+} from "./scrapers/comum.js";
+import {
+  baixarVaga,
+  escolherAdaptador,
+  extrairIdVaga,
+} from "./scrapers/index.js";
+import { slugificar } from "./texto.js";
+
+export { descricaoValida, TIPOS_FALHA_COLETA };
+
+/**
+ * Novas tentativas do download de uma vaga, usadas quando não são informadas
+ */
+export const COLETA_PADRAO = {
+  tentativas: 3,
+  esperaBaseMs: 2000,
+  esperaMaximaMs: 30000,
+};
+
+/**
+ * Lê um arquivo CSV de links de vagas e retorna os dados processados
+ * @param {string} csvFilePath - Caminho para o arquivo CSV
+ * @returns {Promise<Array>} Array de objetos com os dados das vagas
+ */
+export async function lerCSVVagas(csvFilePath) {
+  return new Promise((resolve, reject) => {
+    const resultados = [];
+
+    // Verifica se o arquivo existe
+    if (!fs.existsSync(csvFilePath)) {
+      reject(new Error(`Arquivo não encontrado: ${csvFilePath}`));
+      return;
+    }
+
+    // Cria stream de leitura do arquivo
+    const stream = fs.createReadStream(csvFilePath);
+
+    // Configura o parser CSV
+    const parser = parse({
+      columns: true, // Usa a primeira linha como cabeçalho
+      skip_empty_lines: true,
+      trim: true,
+    });
+
+    // Processa cada linha do CSV
+    parser.on("readable", function () {
+      let registro;
+      while ((registro = parser.read()) !== null) {
+        resultados.push(registro);
+      }
+    });
+
+    // Trata erros
+    parser.on("error", function (err) {
+      reject(err);
+    });
+
+    // Finaliza quando terminar de ler
+    parser.on("end", function () {
+      resolve(resultados);
+    });
+
+    // Conecta o stream ao parser
+    stream.pipe(parser);
+  });
+}
+
+/**
+ * Converte uma linha do CSV em uma entrada de vaga. Além do link, a linha pode
+ * trazer a descrição pronta (coluna "descricao") ou o caminho de um arquivo com
+ * ela (coluna "arquivo"); nesses casos a vaga é processada sem acessar o site.
+ * Colunas com nomes de metadados (titulo, empresa, local...) completam os dados da vaga
+ * e a coluna "perfil" escolhe o currículo base (veja carregarPerfis).
+ * @param {Object} linha - Linha do CSV
+ * @param {string} diretorioBase - Pasta usada para resolver caminhos relativos da coluna "arquivo"
+ * @returns {{link: string|null, descricao: string, metadados: Object, arquivo: string, perfil: string, erro: string}} Entrada da vaga
+ */
+export function lerEntradaCsv(linha, diretorioBase = process.cwd()) {
+  const link = linha.link || linha.Link || linha.url || linha.URL || null;
+  const perfil = (linha.perfil || linha.Perfil || "").trim() || undefined;
+  const metadados = Object.fromEntries(
+    Object.keys(CAMPOS_METADADOS)
+      .filter((campo) => linha[campo])
+      .map((campo) => [campo, linha[campo]])
+  );
+
+  const arquivo = linha.arquivo || linha.Arquivo;
+  if (arquivo) {
+    const filePath = path.resolve(diretorioBase, arquivo);
+    if (!fs.existsSync(filePath)) {
+      return { link, erro: `Arquivo de descrição não encontrado: ${filePath}` };
+    }
+    const lido = interpretarArquivoDescricao(
+      fs.readFileSync(filePath, "utf-8")
+    );
+    return {
+      link: link || lido.link,
+      descricao: lido.descricao,
+      metadados: { ...lido.metadados, ...metadados },
+      arquivo: filePath,
+      perfil,
+    };
+  }
+
+  const descricao = linha.descricao || linha.Descricao || linha["descrição"];
+  if (descricao) {
+    return { link, descricao, metadados, perfil };
+  }
+  return { link, perfil };
+}
+
+/**
+ * Lê as descrições salvas em descricoes/ (modo offline), com os metadados do
+ * JSON ao lado de cada TXT ou, se ele não existir, os do cabeçalho do TXT
+ * @param {string} diretorio - Diretório das descrições
+ * @param {function(string, string): void} log - Recebe os avisos (mensagem, nível)
+ * @returns {Array<Object>} Entradas de vaga com id, link, descricao, metadados, site e arquivo
+ */
+export function lerDescricoesSalvas(diretorio, log = () => {}) {
+  return listarDescricoesSalvas(diretorio).map(({ id, arquivo }) => {
+    const lido = interpretarArquivoDescricao(fs.readFileSync(arquivo, "utf-8"));
+    const jsonPath = arquivo.replace(/\.txt$/, ".json");
+    let json = {};
+    if (fs.existsSync(jsonPath)) {
+      try {
+        json = JSON.parse(fs.readFileSync(jsonPath, "utf-8"));
+      } catch (error) {
+        log(
+          `⚠ Metadados inválidos em ${jsonPath}, usando o cabeçalho do TXT`,
+          "aviso"
+        );
+      }
+    }
+    return {
+      id,
+      link: json.link || lido.link,
+      descricao: lido.descricao,
+      metadados: { ...lido.metadados, ...json },
+      site: json.site,
+      arquivo,
+    };
+  });
+}
+
+/**
+ * Gera o ID canônico da vaga, usado no arquivo de estado e nos nomes dos arquivos.
+ * Links de busca e links diretos da mesma vaga geram o mesmo ID.
+ * @param {string} link - URL da vaga
+ * @returns {string} ID da vaga (ex.: "3812345678", "gupy-1234567" ou "url-3f2a9c1b7e4d")
+ */
+export function idCanonicoDaVaga(link) {
+  return gerarIdVaga(link, extrairIdVaga(link));
+}
+
+/**
+ * Gera o ID de uma entrada de vaga: o ID já conhecido (modo offline), o ID do
+ * link ou, para descrições sem link, um ID baseado no arquivo ou no texto
+ * @param {Object} entrada - Entrada de vaga (lerEntradaCsv ou lerDescricoesSalvas)
+ * @returns {string} ID da vaga (ex.: "3812345678", "arquivo-vaga-acme" ou "texto-3f2a9c1b7e4d")
+ */
+export function idDaEntrada(entrada) {
+  if (entrada.id) return entrada.id;
+  if (entrada.link) return idCanonicoDaVaga(entrada.link);
+  if (entrada.arquivo) {
+    const nome = path.basename(entrada.arquivo, path.extname(entrada.arquivo));
+    const salvo = nome.match(/^vaga_([\w-]+)$/);
+    if (salvo) return salvo[1];
+    return `arquivo-${slugificar(nome) || hashConteudo(nome).slice(0, 12)}`;
+  }
+  return `texto-${hashConteudo(entrada.descricao).slice(0, 12)}`;
+}
+
+/**
+ * Baixa a descrição de uma vaga a partir do link, usando o adaptador do site.
+ * Falhas temporárias (tempo esgotado, erro de rede, HTTP 429/5xx) e descrições
+ * não encontradas são repetidas com espera crescente; links inválidos, páginas
+ * inexistentes e telas de login falham na hora.
+ * @param {string} link - URL da vaga (pode ser link de busca ou link direto)
+ * @param {puppeteer.Browser} browser - Instância do navegador Puppeteer
+ * @param {Object} opcoes - Opções
+ * @param {function(string, string): void} opcoes.log - Recebe o progresso (mensagem, nível)
+ * @param {number} opcoes.tentativas - Tentativas de download (padrão: 3)
+ * @param {string} opcoes.capturas - Diretório da captura de tela e do HTML da
+ *   última tentativa com falha (opcional)
+ * @param {string} opcoes.id - ID da vaga, usado no nome das capturas (padrão: o do link)
+ * @returns {Promise<Object>} Em caso de sucesso, {ok: true, descricao, metadados, site, link};
+ *   em caso de falha, {ok: false, tipo, erro, site, link, capturas} (tipo: veja TIPOS_FALHA_COLETA)
+ */
+export async function baixarDescricaoVaga(link, browser, opcoes = {}) {
+  const log = opcoes.log || (() => {});
+  const tentativas = Math.max(
+    1,
+    Number(opcoes.tentativas ?? COLETA_PADRAO.tentativas) || 1
+  );
+  const id = opcoes.id || idCanonicoDaVaga(link);
+
+  for (let tentativa = 1; ; tentativa++) {
+    try {
+      const dados = await baixarVaga(link, browser, {
+        log,
+        capturas: opcoes.capturas,
+        id,
+      });
+      return { ok: true, ...dados };
+    } catch (error) {
+      const tipo = classificarErroColeta(error);
+      if (
+        tipo === TIPOS_FALHA_COLETA.pagina ||
+        tipo === TIPOS_FALHA_COLETA.bloqueio ||
+        tentativa >= tentativas
+      ) {
+        for (const arquivo of error.capturas || []) {
+          log(`Captura da página salva em: ${arquivo}`);
+        }
+        return {
+          ok: false,
+          tipo,
+          erro: error.message,
+          site: escolherAdaptador(link).nome,
+          link,
+          capturas: error.capturas || [],
+        };
+      }
+      const ms = calcularEspera(tentativa, COLETA_PADRAO);
+      log(
+        `⚠ ${error.message}, nova tentativa em ${Math.ceil(ms / 1000)}s (${
+          tentativa + 1
+        }/${tentativas})...`,
+        "aviso"
+      );
+      await aguardar(ms);
+    }
+  }
+}
@@ -0,0 +1,409 @@
+import { parsearCurriculo } from "./curriculo.js";
+import { GRUPOS_SINONIMOS } from "./sinonimos.js";
+import { normalizarParaComparacao, PALAVRAS_VAZIAS } from "./texto.js";
+
+/**
+ * Modos de tratamento quando o currículo (ou a carta) gerado traz fatos que não existem no original
+ *   avisar    - salva o currículo e apenas registra o relatório
+ *   rejeitar  - não salva o currículo
+ *   regenerar - pede uma nova versão ao modelo e rejeita se continuar com problemas
+ */
+export const MODOS_VERIFICACAO = ["avisar", "rejeitar", "regenerar"];
+
+/**
+ * Descrição de cada tipo de fato verificado (usada nos relatórios)
+ */
+export const TIPOS_FATO = {
+  empresa: "Empresa",
+  cargo: "Cargo",
+  data: "Data",
+  formacao: "Formação",
+  instituicao: "Instituição",
+  certificacao: "Certificação",
+  habilidade: "Habilidade",
+  termo: "Nome próprio ou tecnologia",
+};
+
+/**
+ * Documentos verificados: como cada um é citado nas instruções de correção
+ */
+const DOCUMENTOS = {
+  curriculo: { artigo: "do currículo", nome: "o currículo" },
+  carta: { artigo: "da carta", nome: "a carta de apresentação" },
+};
+
+const REGEX_MES_ANO = /\b(0?[1-9]|1[0-2])\s*\/\s*((?:19|20)\d{2})\b/g;
+const REGEX_ANO = /\b(?:19|20)\d{2}\b/g;
+const REGEX_CERTIFICACAO = /certifica|certified|certificate|certificado/i;
+
+/**
+ * Termos da lista de sinônimos com uma só palavra (ex.: "kafka", "kubernetes"),
+ * cada um ligado aos termos do seu grupo
+ */
+const GRUPO_DO_TERMO = new Map(
+  GRUPOS_SINONIMOS.flatMap((grupo) =>
+    grupo
+      .map(normalizarParaComparacao)
+      .filter((termo) => termo && !termo.includes(" "))
+      .map((termo) => [termo, grupo])
+  )
+);
+
+/**
+ * Indica se a palavra é uma sigla ou um nome com maiúsculas ou símbolos no
+ * meio (ex.: "AWS", "GraphQL", "C#", "Node.js")
+ * @param {string} palavra - Palavra sem pontuação nas pontas
+ * @returns {boolean} true se for sigla ou nome técnico
+ */
+function ehSigla(palavra) {
+  return (
+    /^[\p{L}\d][\p{L}\d+#.]*$/u.test(palavra) &&
+    /[\p{Lu}+#]/u.test(palavra.slice(1))
+  );
+}
+
+/**
+ * Remove a pontuação das pontas de uma palavra, mantendo "+" e "#" (ex.: "C++")
+ * @param {string} palavra - Palavra como aparece no texto
+ * @returns {string} Palavra limpa
+ */
+function limparPalavra(palavra) {
+  return palavra.replace(/^[^\p{L}\d]+|[^\p{L}\d+#]+$/gu, "");
+}
+
+/**
+ * Cria o índice de busca do currículo original
+ * @param {string} texto - Texto do currículo original
+ * @returns {{texto: string, compacto: string, tokens: Set<string>, anos: Set<string>, mesesAnos: Set<string>}}
+ */
+function criarIndiceOriginal(texto) {
+  const normalizado = normalizarParaComparacao(texto);
+  return {
+    texto: ` ${normalizado} `,
+    compacto: normalizado.replace(/ /g, ""),
+    tokens: new Set(normalizado.split(" ")),
+    anos: new Set(texto.match(REGEX_ANO) || []),
+    mesesAnos: new Set(
+      [...texto.matchAll(REGEX_MES_ANO)].map(
+        ([, mes, ano]) => `${Number(mes)}/${ano}`
+      )
+    ),
+  };
+}
+
+/**
+ * Verifica se um termo do currículo gerado aparece no currículo original.
+ * Aceita diferenças de acentos, maiúsculas, pontuação e ordem das palavras.
+ * @param {string} valor - Termo a procurar
+ * @param {Object} indice - Índice do currículo original
+ * @returns {boolean} true se o termo existir no original
+ */
+function existeNoOriginal(valor, indice) {
+  const normalizado = normalizarParaComparacao(valor);
+  if (!normalizado) return true;
+
+  if (indice.texto.includes(` ${normalizado} `)) return true;
+
+  // "NodeJS" x "Node.js": compara sem espaços, só para termos não muito curtos
+  const compacto = normalizado.replace(/ /g, "");
+  if (compacto.length >= 4 && indice.compacto.includes(compacto)) return true;
+
+  const tokens = normalizado
+    .split(" ")
+    .filter((token) => token.length > 2 && !PALAVRAS_VAZIAS.has(token));
+  return tokens.length > 0 && tokens.every((token) => indice.tokens.has(token));
+}
+
+/**
+ * Palavras de um cargo, formação, certificação ou habilidade traduzidos que
+ * não mudam de um idioma para outro: siglas e nomes técnicos e, quando
+ * `conhecidos` é true, as tecnologias da lista de sinônimos (ex.: "Kafka")
+ * @param {string} valor - Texto traduzido
+ * @param {boolean} conhecidos - Incluir as tecnologias da lista de sinônimos
+ * @returns {Array<string>} Palavras a procurar no original
+ */
+function extrairTermosFixos(valor, conhecidos) {
+  return valor
+    .split(/\s+/)
+    .map(limparPalavra)
+    .filter(
+      (palavra) =>
+        palavra.length > 1 &&
+        (ehSigla(palavra) ||
+          (conhecidos && GRUPO_DO_TERMO.has(normalizarParaComparacao(palavra))))
+    );
+}
+
+/**
+ * Verifica se um termo que não muda com a tradução aparece no original, por
+ * ele mesmo ou por um termo do mesmo grupo de sinônimos ("Leadership" e
+ * "Liderança")
+ * @param {string} termo - Termo a procurar
+ * @param {Object} indice - Índice do currículo original
+ * @returns {boolean} true se o termo existir no original
+ */
+function termoFixoNoOriginal(termo, indice) {
+  const grupo = GRUPO_DO_TERMO.get(normalizarParaComparacao(termo)) || [termo];
+  return grupo.some((equivalente) => existeNoOriginal(equivalente, indice));
+}
+
+/**
+ * Extrai as datas (mês/ano e anos) mencionadas no currículo gerado
+ * @param {string} texto - Texto do currículo gerado
+ * @returns {Array<{valor: string, chave: string, tipo: string}>} Datas encontradas
+ */
+function extrairDatas(texto) {
+  const datas = new Map();
+  for (const [valor, mes, ano] of texto.matchAll(REGEX_MES_ANO)) {
+    datas.set(`m:${Number(mes)}/${ano}`, {
+      valor,
+      chave: `${Number(mes)}/${ano}`,
+      tipo: "mesAno",
+    });
+  }
+  for (const [ano] of texto.matchAll(REGEX_ANO)) {
+    datas.set(`a:${ano}`, { valor: ano, chave: ano, tipo: "ano" });
+  }
+  return [...datas.values()];
+}
+
+/**
+ * Compara o currículo gerado com o original e aponta fatos que não existem no original:
+ * empresas, cargos, datas, formações, instituições, certificações e habilidades
+ * @param {string} curriculoOriginal - Texto do currículo original
+ * @param {string} curriculoGerado - Texto do currículo gerado pelo modelo
+ * @param {Object} opcoes - Opções
+ * @param {boolean} opcoes.traducao - O currículo foi gerado em outro idioma: de
+ *   cargos, formações, certificações e habilidades só são comparadas as
+ *   siglas e tecnologias, que não mudam com a tradução
+ * @returns {{aprovado: boolean, problemas: Array<{tipo: string, valor: string, contexto: string}>, totalVerificado: number}}
+ */
+export function verificarFatos(
+  curriculoOriginal,
+  curriculoGerado,
+  opcoes = {}
+) {
+  const indice = criarIndiceOriginal(curriculoOriginal);
+  const gerado = parsearCurriculo(curriculoGerado);
+  const problemas = [];
+  const vistos = new Set();
+  let totalVerificado = 0;
+
+  // Na tradução, as palavras comuns de cargos e formações mudam de idioma;
+  // siglas, tecnologias e nomes de certificações continuam iguais
+  const traduziveis = ["cargo", "formacao", "certificacao", "habilidade"];
+  const comConhecidos = ["certificacao", "habilidade"];
+  const registrar = (tipo, valor, contexto, existe) => {
+    const chave = `${tipo}:${normalizarParaComparacao(valor)}`;
+    if (vistos.has(chave)) return;
+    vistos.add(chave);
+    totalVerificado++;
+    if (!existe(valor)) {
+      problemas.push({ tipo, valor, contexto });
+    }
+  };
+  const verificar = (tipo, valor, contexto = "") => {
+    const texto = String(valor || "").trim();
+    if (!texto) return;
+    if (!opcoes.traducao || !traduziveis.includes(tipo)) {
+      registrar(tipo, texto, contexto, (v) => existeNoOriginal(v, indice));
+      return;
+    }
+    if (existeNoOriginal(texto, indice)) return;
+    for (const termo of extrairTermosFixos(
+      texto,
+      comConhecidos.includes(tipo)
+    )) {
+      registrar(tipo, termo, texto, (v) => termoFixoNoOriginal(v, indice));
+    }
+  };
+
+  for (const exp of gerado.experiencia) {
+    const contexto = [exp.cargo, exp.empresa].filter(Boolean).join(" - ");
+    verificar("empresa", exp.empresa, contexto);
+    verificar("cargo", exp.cargo, contexto);
+  }
+
+  for (const formacao of gerado.educacao) {
+    verificar("formacao", formacao.curso, formacao.instituicao || "");
+    verificar("instituicao", formacao.instituicao, formacao.curso);
+  }
+
+  for (const secao of gerado.outrasSecoes) {
+    const ehCertificacoes = REGEX_CERTIFICACAO.test(secao.titulo);
+    for (const item of secao.itens) {
+      if (ehCertificacoes || REGEX_CERTIFICACAO.test(item)) {
+        verificar("certificacao", item, secao.titulo);
+      }
+    }
+  }
+
+  for (const habilidade of gerado.habilidades) {
+    verificar("habilidade", habilidade, "Habilidades");
+  }
+
+  for (const data of extrairDatas(curriculoGerado)) {
+    totalVerificado++;
+    const existe =
+      data.tipo === "ano"
+        ? indice.anos.has(data.chave)
+        : indice.mesesAnos.has(data.chave);
+    if (!existe) {
+      problemas.push({ tipo: "data", valor: data.valor, contexto: "" });
+    }
+  }
+
+  return { aprovado: problemas.length === 0, problemas, totalVerificado };
+}
+
+/**
+ * Termos (nomes próprios, siglas e tecnologias) da carta de apresentação:
+ * palavras com maiúscula fora do início da frase e palavras com letras
+ * maiúsculas ou símbolos no meio (ex.: "PostgreSQL", "AWS", "C#").
+ * Linhas curtas terminadas em vírgula ou dois-pontos (saudação e despedida)
+ * são ignoradas.
+ * @param {string} texto - Texto da carta
+ * @returns {Array<{valor: string, contexto: string}>} Termos e a frase em que aparecem
+ */
+function extrairTermos(texto) {
+  const termos = [];
+  for (const linha of texto.split(/\r?\n/)) {
+    const conteudo = linha.trim();
+    if (!conteudo || (conteudo.length < 60 && /[,:]$/.test(conteudo))) {
+      continue;
+    }
+    for (const frase of conteudo.split(/(?<=[.!?])\s+/)) {
+      const palavras = frase.split(/\s+/);
+      palavras.forEach((bruta, posicao) => {
+        const palavra = limparPalavra(bruta);
+        const sigla = ehSigla(palavra);
+        const propria = posicao > 0 && /^\p{Lu}/u.test(palavra);
+        if (
+          palavra.length > 1 &&
+          (sigla || propria) &&
+          !PALAVRAS_VAZIAS.has(normalizarParaComparacao(palavra))
+        ) {
+          termos.push({ valor: palavra, contexto: frase.slice(0, 80) });
+        }
+      });
+    }
+  }
+  return termos;
+}
+
+/**
+ * Compara a carta de apresentação com o currículo original. Por ser texto
+ * corrido, a carta não é dividida em seções: são verificadas as datas (que
+ * precisam estar no currículo) e os nomes próprios, siglas e tecnologias, que
+ * precisam aparecer no currículo ou nos dados da vaga (descrição, empresa, título).
+ * @param {string} curriculoOriginal - Texto do currículo original
+ * @param {string} carta - Texto da carta gerada pelo modelo
+ * @param {Array<string>} referencias - Textos da vaga em que a carta pode se basear
+ * @returns {{aprovado: boolean, problemas: Array<{tipo: string, valor: string, contexto: string}>, totalVerificado: number}}
+ */
+export function verificarFatosCarta(
+  curriculoOriginal,
+  carta,
+  referencias = []
+) {
+  const indice = criarIndiceOriginal(curriculoOriginal);
+  const indiceVaga = criarIndiceOriginal(
+    referencias.filter(Boolean).join("\n")
+  );
+  const problemas = [];
+  const vistos = new Set();
+  let totalVerificado = 0;
+
+  for (const termo of extrairTermos(carta)) {
+    const chave = normalizarParaComparacao(termo.valor);
+    if (vistos.has(chave)) continue;
+    vistos.add(chave);
+    totalVerificado++;
+    if (
+      !existeNoOriginal(termo.valor, indice) &&
+      !existeNoOriginal(termo.valor, indiceVaga)
+    ) {
+      problemas.push({ tipo: "termo", ...termo });
+    }
+  }
+
+  for (const data of extrairDatas(carta)) {
+    totalVerificado++;
+    // Anos da vaga (ex.: "para 2025") são aceitos; meses/anos só do currículo
+    const existe =
+      data.tipo === "ano"
+        ? indice.anos.has(data.chave) || indiceVaga.anos.has(data.chave)
+        : indice.mesesAnos.has(data.chave);
+    if (!existe) {
+      problemas.push({ tipo: "data", valor: data.valor, contexto: "" });
+    }
+  }
+
+  return { aprovado: problemas.length === 0, problemas, totalVerificado };
+}
+
+/**
+ * Monta a instrução extra enviada ao modelo ao regenerar um texto reprovado
+ * @param {Array<{tipo: string, valor: string}>} problemas - Fatos inventados encontrados
+ * @param {string} [documento="curriculo"] - Documento gerado: "curriculo" ou "carta"
+ * @returns {string} Instrução para o prompt
+ */
+export function gerarInstrucaoCorrecao(problemas, documento = "curriculo") {
+  const { artigo, nome } = DOCUMENTOS[documento] || DOCUMENTOS.curriculo;
+  const itens = problemas
+    .map((p) => `- ${TIPOS_FATO[p.tipo] || p.tipo}: ${p.valor}`)
+    .join("\n");
+  return (
+    `ATENÇÃO: a versão anterior ${artigo} incluiu informações que NÃO existem no currículo original:\n` +
+    `${itens}\n` +
+    `Gere novamente ${nome} sem essas informações. Use apenas empresas, cargos, datas, ` +
+    "formações, certificações e habilidades que estejam no currículo original."
+  );
+}
+
+/**
+ * Formata o relatório de verificação em texto
+ * @param {Object} verificacao - Resultado de verificarFatos
+ * @param {Object} dados - Dados do relatório
+ * @param {string} dados.link - Link da vaga
+ * @param {string} dados.vaga - Resumo da vaga (título, empresa e modalidade)
+ * @param {string} dados.situacao - Situação final do currículo (aprovado, salvo com avisos, rejeitado)
+ * @param {number} dados.tentativas - Quantidade de gerações feitas
+ * @returns {string} Relatório em texto
+ */
+export function formatarRelatorioVerificacao(verificacao, dados = {}) {
+  const linhas = [
+    `LINK DA VAGA: ${dados.link || "-"}`,
+    ...(dados.vaga ? [`VAGA: ${dados.vaga}`] : []),
+    `DATA DA VERIFICAÇÃO: ${new Date().toLocaleString("pt-BR")}`,
+    `SITUAÇÃO: ${
+      dados.situacao || (verificacao.aprovado ? "aprovado" : "reprovado")
+    }`,
+    `TENTATIVAS DE GERAÇÃO: ${dados.tentativas || 1}`,
+    `FATOS VERIFICADOS: ${verificacao.totalVerificado}`,
+    `FATOS NÃO ENCONTRADOS NO ORIGINAL: ${verificacao.problemas.length}`,
+    "",
+    "=".repeat(80),
+    "",
+  ];
+
+  if (verificacao.problemas.length === 0) {
+    linhas.push("Nenhuma informação inventada encontrada.");
+  } else {
+    for (const [tipo, rotulo] of Object.entries(TIPOS_FATO)) {
+      const doTipo = verificacao.problemas.filter((p) => p.tipo === tipo);
+      if (doTipo.length === 0) continue;
+      linhas.push(`${rotulo.toUpperCase()}:`);
+      for (const problema of doTipo) {
+        linhas.push(
+          `- ${problema.valor}${
+            problema.contexto ? ` (${problema.contexto})` : ""
+          }`
+        );
+      }
+      linhas.push("");
+    }
+  }
+
+  return linhas.join("\n").trimEnd() + "\n";
+}
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import fs from "fs";
+import { test } from "node:test";
+import * as api from "../index.js";
+import { CURRICULO, criarProjeto, DESCRICAO } from "./apoio.js";
+
+test("exporta as funções citadas no README", () => {
+  const readme = fs.readFileSync(
+    new URL("../README.md", import.meta.url),
+    "utf-8"
+  );
+  const lista = readme.match(/^Funções exportadas: (.*)$/m)[1];
+  const nomes = [...lista.matchAll(/`(\w+)`/g)].map(([, nome]) => nome);
+  assert.ok(nomes.length > 10);
+  for (const nome of nomes) {
+    assert.equal(typeof api[nome], "function", nome);
+  }
+});
+
+test("executarPipeline aceita um llm qualquer e emite os eventos documentados", async () => {
+  const diretorio = criarProjeto();
+  const eventos = new EventEmitter();
+  const recebidos = [];
+  for (const evento of [
+    "inicio",
+    "vaga:inicio",
+    "etapa",
+    "vaga:fim",
+    "progresso",
+    "fim",
+  ]) {
+    eventos.on(evento, () => recebidos.push(evento));
+  }
+
+  const resultado = await api.executarPipeline(
+    {
+      diretorio,
+      vagas: [{ descricao: DESCRICAO }],
+      formatos: ["docx"],
+      usarCache: false,
+    },
+    { eventos, llm: { gerar: async () => CURRICULO } }
+  );
+
+  assert.equal(resultado.vagasSelecionadas, 1);
+  assert.deepEqual(resultado.vagasComFalha, []);
+  assert.deepEqual(recebidos, [
+    "inicio",
+    "vaga:inicio",
+    "etapa",
+    "etapa",
+    "etapa",
+    "vaga:fim",
+    "progresso",
+    "fim",
+  ]);
+});
@@ -0,0 +1,67 @@
+import { EventEmitter } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after } from "node:test";
+import { executarPipeline } from "../src/pipeline.js";
+
+/**
+ * Currículo de exemplo do projeto, usado como currículo original nos testes
+ */
+export const CURRICULO = fs.readFileSync(
+  new URL("../curriculo.example", import.meta.url),
+  "utf-8"
+);
+
+/**
+ * Descrição de vaga longa o bastante para passar na validação da coleta
+ */
+export const DESCRICAO =
+  "Buscamos pessoa desenvolvedora Node.js para criar APIs REST, com experiência em testes automatizados e banco de dados. ".repeat(
+    4
+  );
+
+/**
+ * Cria uma pasta temporária com o currículo e os arquivos informados; a pasta
+ * é apagada no fim dos testes do arquivo
+ * @param {Object<string, string>} arquivos - Conteúdo de cada arquivo, pelo caminho relativo
+ * @returns {string} Caminho da pasta
+ */
+export function criarProjeto(arquivos = {}) {
+  const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), "curriculo-ats-"));
+  after(() => fs.rmSync(diretorio, { recursive: true, force: true }));
+  for (const [nome, conteudo] of Object.entries({
+    "curriculo.txt": CURRICULO,
+    ...arquivos,
+  })) {
+    fs.mkdirSync(path.dirname(path.join(diretorio, nome)), { recursive: true });
+    fs.writeFileSync(path.join(diretorio, nome), conteudo);
+  }
+  return diretorio;
+}
+
+/**
+ * Executa o pipeline sem rede (provedor falso, só DOCX) e guarda os logs e as
+ * etapas emitidas
+ * @param {Object} opcoes - Opções de executarPipeline (sobrepõem as do teste)
+ * @param {Object} dependencias - Dependências de executarPipeline
+ * @returns {Promise<{resultado: Object, logs: Array<Object>, etapas: Array<Object>}>}
+ */
+export async function executarTeste(opcoes, dependencias = {}) {
+  const eventos = new EventEmitter();
+  const logs = [];
+  const etapas = [];
+  eventos.on("log", (dados) => logs.push(dados));
+  eventos.on("etapa", (dados) => etapas.push(dados));
+  const resultado = await executarPipeline(
+    {
+      provedor: "falso",
+      formatos: ["docx"],
+      usarCache: false,
+      concorrencia: { intervaloHost: 0 },
+      ...opcoes,
+    },
+    { eventos, ...dependencias }
+  );
+  return { resultado, logs, etapas };
+}
@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import {
+  atualizarCandidatura,
+  carregarCandidaturas,
+  exportarPainelCandidaturas,
+  lerDiasLembrete,
+  proximoLembrete,
+  registrarCandidaturas,
+  salvarCandidaturas,
+} from "../src/candidaturas.js";
+import { criarProjeto } from "./apoio.js";
+
+const VAGA = {
+  id: "3812345678",
+  link: "https://www.linkedin.com/jobs/view/3812345678",
+  metadados: { titulo: "Desenvolvedor Node", empresa: "Acme" },
+};
+const dia = (data) => new Date(`${data}T12:00:00`);
+
+test("mudanças de situação entram no histórico e apagam o lembrete", () => {
+  const registro = { candidaturas: {} };
+  atualizarCandidatura(registro, VAGA, {}, dia("2026-10-01"));
+  atualizarCandidatura(
+    registro,
+    VAGA,
+    { status: "enviada", lembrete: "2026-10-09" },
+    dia("2026-10-02")
+  );
+  const candidatura = atualizarCandidatura(
+    registro,
+    VAGA,
+    { status: "entrevista", data: "2026-10-05", nota: "Falar com a Ana" },
+    dia("2026-10-06")
+  );
+
+  assert.equal(candidatura.link, VAGA.link);
+  assert.equal(candidatura.status, "entrevista");
+  assert.equal(candidatura.desde, "2026-10-05");
+  assert.equal(candidatura.lembrete, null);
+  assert.deepEqual(candidatura.historico, [
+    { status: "a-enviar", data: "2026-10-01" },
+    { status: "enviada", data: "2026-10-02" },
+    { status: "entrevista", data: "2026-10-05" },
+  ]);
+  assert.deepEqual(candidatura.notas, [
+    { data: "2026-10-06", texto: "Falar com a Ana" },
+  ]);
+});
+
+test("lembretes: automático, recusada sem lembrete e oferta só com o marcado", () => {
+  const base = { desde: "2026-10-01", lembrete: null };
+  assert.deepEqual(proximoLembrete({ ...base, status: "enviada" }, 0), {
+    data: "2026-10-01",
+    motivo: "Sem novidades desde 01/10/2026",
+  });
+  assert.equal(
+    proximoLembrete({ ...base, status: "enviada" }).data,
+    "2026-10-08"
+  );
+  assert.equal(proximoLembrete({ ...base, status: "recusada" }), null);
+  assert.equal(proximoLembrete({ ...base, status: "oferta" }), null);
+  assert.deepEqual(
+    proximoLembrete({ ...base, status: "oferta", lembrete: "2026-10-10" }),
+    { data: "2026-10-10", motivo: "Lembrete marcado" }
+  );
+});
+
+test("CANDIDATURA_LEMBRETE_DIAS aceita 0 e recusa negativos e frações", () => {
+  assert.equal(lerDiasLembrete(undefined), 7);
+  assert.equal(lerDiasLembrete(0), 0);
+  for (const valor of [-1, 2.5, "abc"]) {
+    assert.throws(
+      () => lerDiasLembrete(valor),
+      /CANDIDATURA_LEMBRETE_DIAS inválido: .* Use um número inteiro a partir de 0/
+    );
+  }
+});
+
+test("exporta o painel em CSV e HTML com os lembretes vencidos", () => {
+  const diretorio = criarProjeto();
+  const registro = carregarCandidaturas(
+    path.join(diretorio, "candidaturas.json")
+  );
+  atualizarCandidatura(
+    registro,
+    VAGA,
+    { status: "enviada", nota: 'Vaga "sênior", remoto' },
+    dia("2026-10-01")
+  );
+  atualizarCandidatura(
+    registro,
+    { id: "gupy-1", link: "https://acme.gupy.io/jobs/1", metadados: {} },
+    { status: "oferta" },
+    dia("2026-10-01")
+  );
+  salvarCandidaturas(registro);
+
+  const { resumo, arquivos } = exportarPainelCandidaturas({
+    candidaturas: registro.caminho,
+    relatorios: path.join(diretorio, "relatorios"),
+    dias: 0,
+    hoje: dia("2026-10-01"),
+  });
+
+  assert.deepEqual(
+    resumo.lembretes.map((c) => c.id),
+    ["3812345678"]
+  );
+  assert.equal(resumo.totais.enviada, 1);
+  assert.equal(resumo.totais.oferta, 1);
+
+  const [csv, html] = arquivos.map((arquivo) =>
+    fs.readFileSync(arquivo, "utf-8")
+  );
+  const linhas = csv.trim().split("\n");
+  assert.equal(linhas.length, 3);
+  assert.match(linhas[0], /^id,empresa,titulo,situacao,desde,/);
+  assert.match(
+    linhas[1],
+    /^3812345678,Acme,Desenvolvedor Node,enviada,2026-10-01,2026-10-01,2026-10-01,/
+  );
+  assert.ok(linhas[1].includes('"2026-10-01: Vaga ""sênior"", remoto"'));
+  assert.match(linhas[2], /^gupy-1,,,oferta,2026-10-01,,,,/);
+  assert.ok(html.includes("Desenvolvedor Node - Acme"));
+  assert.ok(html.includes("Vaga &quot;sênior&quot;, remoto"));
+});
+
+test("track guarda a versão enviada do currículo da vaga", async () => {
+  const diretorio = criarProjeto({
+    "vagas.csv": `link\n${VAGA.link}\n`,
+    "curriculos_otimizados/curriculo_vaga_3812345678.txt": "Currículo",
+  });
+  const arquivo = path.join(
+    diretorio,
+    "curriculos_otimizados/curriculo_vaga_3812345678.txt"
+  );
+  fs.writeFileSync(
+    path.join(diretorio, "estado_vagas.json"),
+    JSON.stringify({
+      versao: 1,
+      vagas: {
+        3812345678: {
+          link: VAGA.link,
+          etapas: { geracao: { status: "concluida", arquivos: [arquivo] } },
+        },
+      },
+    })
+  );
+
+  const [candidatura] = await registrarCandidaturas({
+    vagas: path.join(diretorio, "vagas.csv"),
+    estado: path.join(diretorio, "estado_vagas.json"),
+    candidaturas: path.join(diretorio, "candidaturas.json"),
+    enviados: path.join(diretorio, "curriculos_enviados"),
+    linhas: new Set([1]),
+    ids: null,
+    status: "enviada",
+    data: "2026-10-01",
+  });
+
+  assert.equal(candidatura.id, "3812345678");
+  assert.equal(candidatura.link, VAGA.link);
+  assert.equal(candidatura.enviados.length, 1);
+  assert.equal(
+    fs.readFileSync(candidatura.enviados[0].arquivo, "utf-8"),
+    "Currículo"
+  );
+  assert.equal(
+    path.basename(candidatura.enviados[0].arquivo),
+    "2026-10-01_curriculo_vaga_3812345678.txt"
+  );
+});
@@ -0,0 +1,156 @@
+import assert from "node:assert/strict";
+import path from "path";
+import { test } from "node:test";
+import {
+  CODIGOS_SAIDA,
+  COMANDOS,
+  formatarProgresso,
+  formatarStatus,
+  interpretarArgumentos,
+} from "../src/cli.js";
+
+const PROJETO = path.resolve("/projeto");
+const interpretar = (...argv) => interpretarArgumentos(argv, PROJETO);
+
+/**
+ * Confere que os argumentos são recusados como erro de uso (código 64)
+ */
+function recusar(argv, mensagem) {
+  assert.throws(
+    () => interpretarArgumentos(argv, PROJETO),
+    (erro) => {
+      assert.match(erro.message, mensagem);
+      assert.equal(erro.codigoSaida, CODIGOS_SAIDA.usoInvalido);
+      return true;
+    }
+  );
+}
+
+test("sem argumentos executa o run com os caminhos do projeto", () => {
+  const { comando, etapas, opcoes } = interpretar();
+  assert.equal(comando, "run");
+  assert.deepEqual(etapas, COMANDOS.run.etapas);
+  assert.equal(opcoes.vagas, path.join(PROJETO, "vagas.csv"));
+  assert.equal(opcoes.estado, path.join(PROJETO, "estado_vagas.json"));
+  assert.equal(opcoes.curriculo, null);
+  assert.equal(opcoes.promptInformado, false);
+  assert.equal(opcoes.linhas, null);
+  assert.equal(opcoes.ids, null);
+  assert.equal(opcoes.variantes, null);
+  assert.equal(opcoes.exigirAprovacao, false);
+});
+
+test("interpreta filtros, números e caminhos informados", () => {
+  const { comando, opcoes } = interpretar(
+    "generate",
+    "--row",
+    "1,3",
+    "--row",
+    "5-7",
+    "--id",
+    "3812345678, gupy-1",
+    "--status",
+    "falhou",
+    "--jobs",
+    "outras.csv",
+    "--provider",
+    "OpenAI",
+    "--temperature",
+    "0.2",
+    "--variants",
+    "3",
+    "--llm-concurrency",
+    "4"
+  );
+  assert.equal(comando, "generate");
+  assert.deepEqual([...opcoes.linhas], [1, 3, 5, 6, 7]);
+  assert.deepEqual([...opcoes.ids], ["3812345678", "gupy-1"]);
+  assert.deepEqual([...opcoes.status], ["falhou"]);
+  assert.equal(opcoes.vagas, path.resolve("outras.csv"));
+  assert.equal(opcoes.provedor, "openai");
+  assert.equal(opcoes.temperatura, 0.2);
+  assert.equal(opcoes.variantes, 3);
+  assert.deepEqual(opcoes.concorrencia, {
+    paginas: null,
+    llm: 4,
+    intervaloHost: null,
+  });
+});
+
+test("recusa comandos, valores e combinações inválidas", () => {
+  recusar(["publicar"], /Comando desconhecido: "publicar"/);
+  recusar(["run", "extra"], /Argumentos inesperados: extra/);
+  recusar(["--opcao-inexistente"], /opcao-inexistente/);
+  recusar(["--row", "3-1"], /--row inválido: "3-1"/);
+  recusar(["--row", "0"], /--row inválido: "0"/);
+  recusar(["--status", "pronta"], /--status inválido: pronta/);
+  recusar(["--provider", "outro"], /--provider inválido: "outro"/);
+  recusar(["--temperature", "quente"], /--temperature inválido: "quente"/);
+  recusar(["--variants", "0"], /--variants inválido: "0"/);
+  recusar(["--variants", "9"], /--variants inválido: "9". Use até 5/);
+  recusar(["--cv", "a.txt", "--profiles", "perfis"], /não os dois/);
+  recusar(["status", "--row", "1"], /--row não se aplica ao comando status/);
+  recusar(["generate", "--cover-letter"], /só se aplica ao comando run/);
+  recusar(["run", "--port", "8080"], /--port só se aplica ao comando review/);
+  recusar(["review", "--port", "70000"], /Use até 65535/);
+  recusar(["review", "--require-approval"], /comandos run e render/);
+  recusar(["run", "--keywords", "node"], /só se aplicam ao comando search/);
+  recusar(["track", "--mark", "enviada"], /precisa de --id ou --row/);
+});
+
+test("formatarStatus lista as etapas, os erros e os totais", () => {
+  const estado = {
+    vagas: {
+      3812345678: {
+        id: "3812345678",
+        atualizadaEm: "2026-10-01T12:00:00.000Z",
+        etapas: {
+          coleta: { status: "concluida" },
+          geracao: { status: "falhou", erro: "Tempo esgotado" },
+        },
+      },
+      "gupy-1": {
+        id: "gupy-1",
+        atualizadaEm: "2026-10-02T12:00:00.000Z",
+        etapas: {
+          coleta: { status: "concluida" },
+          geracao: { status: "concluida" },
+          renderizacao: { status: "concluida" },
+        },
+      },
+    },
+  };
+  const tabela = formatarStatus(estado);
+  assert.match(tabela, /^ID\s+COLETA\s+GERACAO/);
+  assert.match(tabela, /3812345678\s+✓\s+✗\s+-\s+-\s+falhou/);
+  assert.match(tabela, /\s+geracao: Tempo esgotado/);
+  assert.match(tabela, /Total: 2 \| pendente: 0 \| concluida: 1 \| falhou: 1$/);
+
+  const filtrada = formatarStatus(estado, { status: new Set(["concluida"]) });
+  assert.doesNotMatch(filtrada, /3812345678/);
+  assert.equal(
+    formatarStatus(estado, { ids: new Set(["outra"]) }),
+    "Nenhuma vaga encontrada no estado."
+  );
+});
+
+test("formatarProgresso mostra o percentual e a estimativa do restante", () => {
+  assert.equal(
+    formatarProgresso({
+      concluidas: 1,
+      total: 4,
+      decorridoMs: 45000,
+      restanteMs: 185000,
+    }),
+    "Progresso: 1/4 vagas (25%) | decorrido: 45s | restante: ~3m05s"
+  );
+  assert.equal(
+    formatarProgresso({
+      concluidas: 4,
+      total: 4,
+      decorridoMs: 4320000,
+      restanteMs: 0,
+    }),
+    "Progresso: 4/4 vagas (100%) | decorrido: 1h12m"
+  );
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  classificarErroColeta,
+  criarErroColeta,
+  TIPOS_FALHA_COLETA,
+} from "../src/scrapers/comum.js";
+
+test("falhas do navegador e erros desconhecidos são temporários", () => {
+  for (const mensagem of [
+    "Execution context was destroyed, most likely because of a navigation.",
+    "Protocol error (Runtime.callFunctionOn): Target closed.",
+    "Navigating frame was detached",
+    "net::ERR_CONNECTION_RESET at https://exemplo.com/vaga",
+    "algo inesperado",
+  ]) {
+    assert.equal(
+      classificarErroColeta(new Error(mensagem)),
+      TIPOS_FALHA_COLETA.temporaria,
+      mensagem
+    );
+  }
+});
+
+test("links inválidos e erros com tipo não são repetidos", () => {
+  assert.equal(
+    classificarErroColeta(
+      new Error(
+        "Protocol error (Page.navigate): Cannot navigate to invalid URL"
+      )
+    ),
+    TIPOS_FALHA_COLETA.pagina
+  );
+  assert.throws(
+    () => new URL("vaga sem protocolo"),
+    (error) => {
+      assert.equal(classificarErroColeta(error), TIPOS_FALHA_COLETA.pagina);
+      return true;
+    }
+  );
+  assert.equal(
+    classificarErroColeta(
+      criarErroColeta("O site respondeu HTTP 404", TIPOS_FALHA_COLETA.pagina)
+    ),
+    TIPOS_FALHA_COLETA.pagina
+  );
+});
@@ -0,0 +1,192 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  aguardar,
+  calcularEspera,
+  criarIntervaloPorHost,
+  criarLimitador,
+  criarSaidaOrdenada,
+  executarEmParalelo,
+  validarLimite,
+} from "../src/concorrencia.js";
+import { montarMetadados } from "../src/metadados.js";
+import { falso } from "../src/provedores/falso.js";
+import { criarProjeto, DESCRICAO, executarTeste } from "./apoio.js";
+
+/**
+ * Conta as tarefas em andamento e guarda o maior número simultâneo
+ */
+function criarContador() {
+  const contador = { ativas: 0, maximo: 0 };
+  contador.executar = async (tarefa) => {
+    contador.ativas++;
+    contador.maximo = Math.max(contador.maximo, contador.ativas);
+    try {
+      return await tarefa();
+    } finally {
+      contador.ativas--;
+    }
+  };
+  return contador;
+}
+
+test("validarLimite aceita só inteiros maiores que zero", () => {
+  assert.equal(validarLimite(3, "llm"), 3);
+  for (const limite of [0, -1, 1.5, NaN]) {
+    assert.throws(
+      () => validarLimite(limite, "páginas"),
+      /Limite de concorrência inválido \(páginas\)/
+    );
+  }
+});
+
+test("calcularEspera dobra a cada tentativa até o máximo, com variação", () => {
+  const config = { esperaBaseMs: 1000, esperaMaximaMs: 5000 };
+  assert.equal(
+    calcularEspera(1, config, () => 0),
+    500
+  );
+  assert.equal(
+    calcularEspera(1, config, () => 1),
+    1000
+  );
+  assert.equal(
+    calcularEspera(3, config, () => 1),
+    4000
+  );
+  assert.equal(
+    calcularEspera(10, config, () => 1),
+    5000
+  );
+  assert.equal(
+    calcularEspera(10, config, () => 0),
+    2500
+  );
+});
+
+test("criarLimitador respeita o limite, a ordem de chegada e libera após erros", async () => {
+  const limitar = criarLimitador(2);
+  const contador = criarContador();
+  const inicios = [];
+  const tarefas = [1, 2, 3, 4, 5].map((numero) =>
+    limitar(() =>
+      contador.executar(async () => {
+        inicios.push(numero);
+        await aguardar(5);
+        if (numero === 2) throw new Error("falhou");
+        return numero;
+      })
+    )
+  );
+  const resultados = await Promise.allSettled(tarefas);
+
+  assert.equal(contador.maximo, 2);
+  assert.deepEqual(inicios, [1, 2, 3, 4, 5]);
+  assert.equal(resultados[1].status, "rejected");
+  assert.deepEqual(
+    resultados.filter((r) => r.status === "fulfilled").map((r) => r.value),
+    [1, 3, 4, 5]
+  );
+});
+
+test("criarIntervaloPorHost espera entre acessos ao mesmo site, não entre sites", async () => {
+  const aguardarHost = criarIntervaloPorHost(100);
+  const inicio = Date.now();
+  await aguardarHost("https://www.linkedin.com/jobs/view/1");
+  await aguardarHost("https://portal.gupy.io/vaga/2");
+  assert.ok(Date.now() - inicio < 80);
+
+  await aguardarHost("https://WWW.LINKEDIN.COM/jobs/view/3");
+  assert.ok(Date.now() - inicio >= 95);
+});
+
+test("executarEmParalelo não inicia itens novos depois de um erro", async () => {
+  const contador = criarContador();
+  const processados = [];
+  await assert.rejects(
+    executarEmParalelo([1, 2, 3, 4, 5, 6], 2, (item) =>
+      contador.executar(async () => {
+        await aguardar(5);
+        processados.push(item);
+        if (item === 2) throw new Error(`item ${item}`);
+      })
+    ),
+    /item 2/
+  );
+  assert.equal(contador.maximo, 2);
+  assert.deepEqual(processados.sort(), [1, 2, 3]);
+});
+
+test("criarSaidaOrdenada repassa os eventos na ordem das tarefas", () => {
+  const recebidos = [];
+  const saida = criarSaidaOrdenada((evento, dados) =>
+    recebidos.push(`${evento}:${dados}`)
+  );
+  saida.emitir(1, "log", "b1");
+  saida.emitir(0, "log", "a1");
+  saida.emitir(2, "log", "c1");
+  saida.fechar(2);
+  saida.emitir(1, "log", "b2");
+  assert.deepEqual(recebidos, ["log:a1"]);
+
+  saida.fechar(0);
+  assert.deepEqual(recebidos, ["log:a1", "log:b1", "log:b2"]);
+  saida.emitir(1, "log", "b3");
+  saida.fechar(1);
+  assert.deepEqual(recebidos, [
+    "log:a1",
+    "log:b1",
+    "log:b2",
+    "log:b3",
+    "log:c1",
+  ]);
+});
+
+test("o pipeline processa as vagas em paralelo dentro dos limites e com o log em ordem", async () => {
+  const diretorio = criarProjeto();
+  const downloads = criarContador();
+  const chamadas = criarContador();
+  const base = falso();
+  const llm = {
+    ...base,
+    gerar: (parametros) =>
+      chamadas.executar(async () => {
+        await aguardar(10);
+        return base.gerar(parametros);
+      }),
+  };
+  const scraper = (link) =>
+    downloads.executar(async () => {
+      await aguardar(10);
+      const descricao = `${DESCRICAO.trim()} Código ${link.slice(-1)}.`;
+      return {
+        descricao,
+        metadados: montarMetadados({ descricao }),
+        site: "linkedin",
+      };
+    });
+
+  const vagas = [1, 2, 3, 4, 5].map((numero) => ({
+    link: `https://www.linkedin.com/jobs/view/381234567${numero}`,
+  }));
+  const { resultado, logs } = await executarTeste(
+    {
+      diretorio,
+      vagas,
+      etapas: ["coleta", "geracao"],
+      concorrencia: { paginas: 2, llm: 1, intervaloHost: 0 },
+    },
+    { llm, scraper }
+  );
+
+  assert.equal(resultado.vagasComFalha.length, 0);
+  assert.equal(downloads.maximo, 2);
+  assert.equal(chamadas.maximo, 1);
+  // As mensagens de cada vaga saem juntas, na ordem do CSV
+  const ids = logs.map((dados) => dados.id).filter(Boolean);
+  const blocos = ids.filter((id, i) => id !== ids[i - 1]);
+  assert.deepEqual(
+    blocos,
+    vagas.map(({ link }) => link.split("/").pop())
+  );
+});
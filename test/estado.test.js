@@ -0,0 +1,189 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import {
+  carregarEstado,
+  etapaConcluida,
+  gerarIdVaga,
+  salvarEstado,
+} from "../src/estado.js";
+import { montarMetadados } from "../src/metadados.js";
+import { falso } from "../src/provedores/falso.js";
+import { CURRICULO, criarProjeto, DESCRICAO, executarTeste } from "./apoio.js";
+
+const LINK = "https://www.linkedin.com/jobs/view/3812345678";
+
+test("gerarIdVaga ignora rastreamento, âncora e barra final", () => {
+  const id = gerarIdVaga("https://empresa.example/vagas/123?ordem=1");
+  assert.match(id, /^url-[0-9a-f]{12}$/);
+  assert.equal(
+    gerarIdVaga(
+      "https://EMPRESA.example/vagas/123/?utm_source=linkedin&ordem=1#topo"
+    ),
+    id
+  );
+  assert.notEqual(gerarIdVaga("https://empresa.example/vagas/124"), id);
+  assert.equal(gerarIdVaga(LINK, "3812345678"), "3812345678");
+  // IDs que não servem como nome de arquivo caem no hash do link
+  assert.match(gerarIdVaga(LINK, "../x"), /^url-/);
+});
+
+test("carregarEstado recusa arquivos corrompidos e salvarEstado preserva a revisão", () => {
+  const diretorio = criarProjeto({
+    "quebrado.json": "{",
+    "sem_vagas.json": '{"versao": 1}',
+  });
+  assert.throws(
+    () => carregarEstado(path.join(diretorio, "quebrado.json")),
+    /Arquivo de estado inválido .*apague o arquivo para recomeçar/
+  );
+  assert.throws(
+    () => carregarEstado(path.join(diretorio, "sem_vagas.json")),
+    /campo "vagas" ausente/
+  );
+
+  const caminho = path.join(diretorio, "estado", "estado_vagas.json");
+  const estado = carregarEstado(caminho);
+  assert.deepEqual(estado.vagas, {});
+  estado.revisao = { usadaEm: "2026-10-01T12:00:00.000Z" };
+  salvarEstado(estado);
+  assert.deepEqual(carregarEstado(caminho).revisao, estado.revisao);
+  assert.ok(!fs.existsSync(`${caminho}.tmp`));
+});
+
+test("etapaConcluida compara o hash das entradas e confere os arquivos", () => {
+  const diretorio = criarProjeto();
+  const arquivo = path.join(diretorio, "curriculo.txt");
+  const registro = {
+    etapas: {
+      geracao: { status: "concluida", hashEntrada: "abc", arquivos: [arquivo] },
+      coleta: { status: "falhou", erro: "timeout" },
+    },
+  };
+  assert.equal(etapaConcluida(registro, "geracao"), true);
+  assert.equal(etapaConcluida(registro, "geracao", "abc"), true);
+  assert.equal(etapaConcluida(registro, "geracao", "outro"), false);
+  assert.equal(etapaConcluida(registro, "coleta"), false);
+  assert.equal(etapaConcluida(registro, "renderizacao"), false);
+  fs.rmSync(arquivo);
+  assert.equal(etapaConcluida(registro, "geracao", "abc"), false);
+});
+
+test("uma nova execução pula o que já foi feito e refaz o que mudou", async () => {
+  const diretorio = criarProjeto();
+  const baixadas = [];
+  // Como os scrapers, sem espaços nas pontas (o TXT salvo também não tem)
+  let descricao = DESCRICAO.trim();
+  const llm = falso();
+  const executar = (opcoes = {}) =>
+    executarTeste(
+      { diretorio, vagas: [{ link: LINK }], ...opcoes },
+      {
+        llm,
+        scraper: async (link) => {
+          baixadas.push(link);
+          return {
+            descricao,
+            metadados: montarMetadados({ titulo: "Dev Node", descricao }),
+            site: "linkedin",
+          };
+        },
+      }
+    );
+  const executadas = (etapas) =>
+    etapas
+      .filter((etapa) => etapa.status === "concluida")
+      .map((etapa) => etapa.etapa);
+
+  const primeira = await executar();
+  assert.equal(primeira.resultado.vagasComFalha.length, 0);
+  assert.deepEqual(executadas(primeira.etapas), [
+    "coleta",
+    "geracao",
+    "renderizacao",
+  ]);
+  assert.equal(baixadas.length, 1);
+  assert.equal(llm.chamadas.length, 1);
+
+  // Nada mudou: nada é baixado, gerado ou renderizado de novo
+  const segunda = await executar();
+  assert.deepEqual(executadas(segunda.etapas), []);
+  assert.equal(baixadas.length, 1);
+  assert.equal(llm.chamadas.length, 1);
+  assert.ok(
+    segunda.logs.some(({ mensagem }) => /nada a refazer/.test(mensagem))
+  );
+
+  // Currículo alterado: gera e renderiza de novo, sem baixar a vaga
+  fs.writeFileSync(
+    path.join(diretorio, "curriculo.txt"),
+    CURRICULO.replace("Habilidade 3", "Habilidade 3\n- Habilidade 4")
+  );
+  const terceira = await executar();
+  assert.deepEqual(executadas(terceira.etapas), ["geracao", "renderizacao"]);
+  assert.equal(baixadas.length, 1);
+  assert.equal(llm.chamadas.length, 2);
+
+  // Descrição editada em descricoes/: gera outra vez, sem baixar a vaga. O
+  // provedor falso devolve o mesmo texto, então os arquivos são reaproveitados
+  const lerRegistro = () =>
+    Object.values(
+      carregarEstado(path.join(diretorio, "estado_vagas.json")).vagas
+    )[0];
+  descricao = `${DESCRICAO.trim()}\nInclui plano de saúde.`;
+  const descricaoPath = lerRegistro().etapas.coleta.arquivos[0];
+  fs.writeFileSync(
+    descricaoPath,
+    fs.readFileSync(descricaoPath, "utf-8").replace(DESCRICAO.trim(), descricao)
+  );
+  const quarta = await executar();
+  assert.deepEqual(executadas(quarta.etapas), ["geracao"]);
+  assert.equal(baixadas.length, 1);
+  assert.equal(llm.chamadas.length, 3);
+  assert.match(llm.chamadas[2].usuario, /Inclui plano de saúde\./);
+
+  // Descrição apagada: baixa de novo; com o mesmo texto, a geração é reaproveitada
+  fs.rmSync(descricaoPath);
+  const quinta = await executar();
+  assert.deepEqual(executadas(quinta.etapas), ["coleta"]);
+  assert.equal(baixadas.length, 2);
+  assert.equal(llm.chamadas.length, 3);
+
+  // Arquivo do currículo apagado: só a renderização é refeita
+  fs.rmSync(lerRegistro().etapas.renderizacao.arquivos[0]);
+  const sexta = await executar();
+  assert.deepEqual(executadas(sexta.etapas), ["renderizacao"]);
+  assert.equal(llm.chamadas.length, 3);
+});
+
+test("só a etapa que falhou é refeita na execução seguinte", async () => {
+  const diretorio = criarProjeto();
+  let falhas = 1;
+  const scraper = async () =>
+    falhas-- > 0
+      ? { ok: false, erro: "Tempo esgotado" }
+      : {
+          descricao: DESCRICAO.trim(),
+          metadados: montarMetadados({ descricao: DESCRICAO }),
+          site: "linkedin",
+        };
+
+  const primeira = await executarTeste(
+    { diretorio, vagas: [{ link: LINK }] },
+    { scraper }
+  );
+  assert.equal(primeira.resultado.vagasComFalha.length, 1);
+  const caminho = path.join(diretorio, "estado_vagas.json");
+  const [falhou] = Object.values(carregarEstado(caminho).vagas);
+  assert.equal(falhou.etapas.coleta.status, "falhou");
+  assert.equal(falhou.etapas.coleta.erro, "Tempo esgotado");
+
+  const segunda = await executarTeste(
+    { diretorio, vagas: [{ link: LINK }] },
+    { scraper }
+  );
+  assert.equal(segunda.resultado.vagasComFalha.length, 0);
+  const [registro] = Object.values(carregarEstado(caminho).vagas);
+  assert.equal(registro.etapas.renderizacao.status, "concluida");
+});
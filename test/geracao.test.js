@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import { carregarEstado } from "../src/estado.js";
+import {
+  ENFASES_VARIANTES,
+  gerarComVerificacao,
+  gerarVariantesCurriculo,
+} from "../src/geracao.js";
+import { falso } from "../src/provedores/falso.js";
+import { CURRICULO, criarProjeto, DESCRICAO, executarTeste } from "./apoio.js";
+
+const reprovado = {
+  aprovado: false,
+  problemas: [{ tipo: "empresa", valor: "X" }],
+};
+
+test("regenera até maxTentativas e rejeita se continuar com problemas", async () => {
+  const pedidos = [];
+  const resultado = await gerarComVerificacao(
+    async (problemas) => {
+      pedidos.push(problemas);
+      return `versão ${pedidos.length}`;
+    },
+    () => reprovado,
+    { modo: "regenerar", maxTentativas: 2 }
+  );
+
+  assert.equal(pedidos.length, 2);
+  assert.equal(pedidos[0], null);
+  assert.deepEqual(pedidos[1], reprovado.problemas);
+  assert.equal(resultado.tentativas, 2);
+  assert.equal(resultado.aprovado, false);
+});
+
+test("para de regenerar quando a versão é aprovada", async () => {
+  let geracoes = 0;
+  const resultado = await gerarComVerificacao(
+    async () => `versão ${++geracoes}`,
+    (texto) =>
+      texto === "versão 2" ? { aprovado: true, problemas: [] } : reprovado,
+    { modo: "regenerar", maxTentativas: 5 }
+  );
+  assert.equal(geracoes, 2);
+  assert.equal(resultado.aprovado, true);
+});
+
+test("recusa VERIFICACAO_TENTATIVAS que não seja inteiro a partir de 1", async () => {
+  const diretorio = criarProjeto();
+  for (const maxTentativas of [0, -5, 2.5, "abc"]) {
+    await assert.rejects(
+      executarTeste({
+        diretorio,
+        vagas: [{ descricao: DESCRICAO }],
+        verificacao: { modo: "regenerar", maxTentativas },
+      }),
+      new RegExp(
+        `VERIFICACAO_TENTATIVAS inválido: "${maxTentativas}". Use um número inteiro a partir de 1`
+      )
+    );
+  }
+});
+
+// Versões do currículo por ênfase: sem ênfase, o original; palavras-chave, as
+// habilidades antes da experiência; resultados, com uma empresa inventada
+const REORDENADO = CURRICULO.replace(
+  /(EXPERIÊNCIA PROFISSIONAL[\s\S]*?)\n\n(HABILIDADES[\s\S]*)$/,
+  "$2\n\n$1"
+);
+const INVENTADO = `${CURRICULO}\nEmpresa: Google (2019)`;
+const responderPorEnfase = ({ usuario }) => {
+  if (usuario.includes(ENFASES_VARIANTES[0])) return REORDENADO;
+  if (usuario.includes(ENFASES_VARIANTES[1])) return INVENTADO;
+  return CURRICULO;
+};
+
+test("fica com a variante aprovada de maior pontuação", async () => {
+  const cliente = falso({ resposta: responderPorEnfase });
+  // O provedor devolve o texto sem as quebras de linha finais
+  const pontuacoes = new Map([
+    [CURRICULO.trimEnd(), 60],
+    [REORDENADO, 80],
+    [INVENTADO, 95],
+  ]);
+  const resultado = await gerarVariantesCurriculo(
+    CURRICULO,
+    DESCRICAO,
+    null,
+    {},
+    {
+      modo: "rejeitar",
+      cliente,
+      variantes: 3,
+      pontuar: (texto) => pontuacoes.get(texto),
+    }
+  );
+
+  assert.equal(cliente.chamadas.length, 3);
+  assert.deepEqual(resultado.variantes, [
+    { enfase: null, pontuacao: 60, aprovado: true },
+    { enfase: ENFASES_VARIANTES[0], pontuacao: 80, aprovado: true },
+    { enfase: ENFASES_VARIANTES[1], pontuacao: 95, aprovado: false },
+  ]);
+  assert.equal(resultado.escolhida, 1);
+  assert.equal(resultado.curriculo, REORDENADO);
+  assert.equal(resultado.aprovado, true);
+});
+
+test("sem variante aprovada, fica com a primeira (rejeitada)", async () => {
+  const resultado = await gerarVariantesCurriculo(
+    CURRICULO,
+    DESCRICAO,
+    null,
+    {},
+    {
+      modo: "rejeitar",
+      cliente: falso({ resposta: INVENTADO }),
+      variantes: 2,
+      pontuar: () => 50,
+    }
+  );
+  assert.equal(resultado.escolhida, 0);
+  assert.equal(resultado.aprovado, false);
+  assert.deepEqual(
+    resultado.variantes.map((variante) => variante.aprovado),
+    [false, false]
+  );
+});
+
+test("o pipeline registra as variantes e salva a escolhida", async () => {
+  const diretorio = criarProjeto();
+  const { resultado, logs } = await executarTeste(
+    {
+      diretorio,
+      vagas: [{ descricao: DESCRICAO }],
+      etapas: ["coleta", "geracao"],
+      variantes: 3,
+      verificacao: { modo: "rejeitar" },
+    },
+    { llm: falso({ resposta: responderPorEnfase }) }
+  );
+
+  assert.equal(resultado.vagasComFalha.length, 0);
+  assert.ok(logs.some(({ mensagem }) => /^Variantes: 1\) /.test(mensagem)));
+  const [registro] = Object.values(
+    carregarEstado(path.join(diretorio, "estado_vagas.json")).vagas
+  );
+  const { variantes, arquivos } = registro.etapas.geracao;
+  assert.deepEqual(
+    variantes.map((variante) => variante.aprovado),
+    [true, true, false]
+  );
+  assert.notEqual(fs.readFileSync(arquivos[0], "utf-8"), INVENTADO);
+});
+
+test("recusa um número de variantes fora de 1 a 5, citando a opção", async () => {
+  const diretorio = criarProjeto();
+  for (const variantes of [0, 6, 2.5, "abc"]) {
+    await assert.rejects(
+      executarTeste({
+        diretorio,
+        vagas: [{ descricao: DESCRICAO }],
+        variantes,
+      }),
+      new RegExp(
+        `Número de variantes inválido \\(--variants ou CURRICULO_VARIANTES\\): "${variantes}"`
+      )
+    );
+  }
+});
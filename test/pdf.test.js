@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import zlib from "zlib";
+import { iniciarNavegador } from "../src/navegador.js";
+import {
+  gerarHtmlCurriculo,
+  gerarPdfCurriculo,
+  verificarPdf,
+} from "../src/pdf.js";
+import { CURRICULO } from "./apoio.js";
+
+/**
+ * Monta um PDF mínimo com uma fonte e uma página de conteúdo compactado
+ */
+function montarPdf({
+  arquivoFonte = true,
+  toUnicode = true,
+  texto = true,
+} = {}) {
+  const conteudo = zlib.deflateSync(
+    texto
+      ? "BT /F1 11 Tf 72 720 Td (Nome) Tj ET"
+      : "q 100 0 0 100 0 0 cm /Im1 Do Q"
+  );
+  return Buffer.concat([
+    Buffer.from(
+      [
+        "%PDF-1.4",
+        `1 0 obj << /Type /Font /Subtype /Type0 /BaseFont /AAAAAA+Carlito${
+          toUnicode ? " /ToUnicode 4 0 R" : ""
+        } >> endobj`,
+        `2 0 obj << /Type /FontDescriptor /FontName /AAAAAA+Carlito${
+          arquivoFonte ? " /FontFile2 5 0 R" : ""
+        } >> endobj`,
+        `3 0 obj << /Length ${conteudo.length} /Filter /FlateDecode >> stream`,
+        "",
+      ].join("\n"),
+      "latin1"
+    ),
+    conteudo,
+    Buffer.from("\nendstream endobj\n%%EOF\n", "latin1"),
+  ]);
+}
+
+test("aceita PDF com fontes embutidas e texto extraível", () => {
+  assert.deepEqual(verificarPdf(montarPdf()), []);
+});
+
+test("aponta fonte não embutida, falta de /ToUnicode e página sem texto", () => {
+  assert.deepEqual(verificarPdf(montarPdf({ arquivoFonte: false })), [
+    "1 de 1 fonte(s) não embutida(s)",
+  ]);
+  assert.deepEqual(verificarPdf(montarPdf({ toUnicode: false })), [
+    "fontes sem mapa /ToUnicode (texto não extraível)",
+  ]);
+  assert.deepEqual(verificarPdf(montarPdf({ texto: false })), [
+    "nenhum texto nas páginas",
+  ]);
+});
+
+test("o HTML do PDF traz a fonte Carlito do projeto", () => {
+  const html = gerarHtmlCurriculo(CURRICULO);
+  assert.match(
+    html,
+    /@font-face \{\s*font-family: "Carlito ATS";\s*font-weight: 400;/
+  );
+  assert.match(html, /font-weight: 700;/);
+  assert.match(html, /src: url\(data:font\/woff2;base64,d09GMg/);
+  assert.match(html, /font-family: "Carlito ATS", "Calibri"/);
+});
+
+test("o PDF gerado pelo Chrome embute a Carlito", async (t) => {
+  let browser;
+  try {
+    browser = await iniciarNavegador();
+  } catch (error) {
+    t.skip(`navegador indisponível: ${error.message.split("\n")[0]}`);
+    return;
+  }
+  try {
+    const pdf = await gerarPdfCurriculo(browser, CURRICULO);
+    assert.deepEqual(verificarPdf(pdf), []);
+    assert.match(
+      pdf.toString("latin1"),
+      /\/BaseFont\s*\/(?:[A-Z]{6}\+)?Carlito/
+    );
+  } finally {
+    await browser.close();
+  }
+});
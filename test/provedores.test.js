@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import { test } from "node:test";
+import {
+  carregarPromptPersonalizado,
+  gerarCurriculoATS,
+} from "../src/geracao.js";
+import { falso } from "../src/provedores/falso.js";
+import { verificarFatos } from "../src/verificacao.js";
+
+const CURRICULO = fs.readFileSync(
+  new URL("../curriculo.example", import.meta.url),
+  "utf-8"
+);
+const DESCRICAO = "Desenvolvedor Node.js com experiência em APIs REST.";
+
+test("falso devolve o currículo do prompt padrão", async () => {
+  const resposta = await gerarCurriculoATS(
+    CURRICULO,
+    DESCRICAO,
+    null,
+    {},
+    {
+      cliente: falso(),
+    }
+  );
+  assert.equal(resposta, CURRICULO.trimEnd());
+});
+
+test("falso devolve só o currículo do prompt_agente.txt, sem os dados da vaga", async () => {
+  const prompt = carregarPromptPersonalizado(
+    new URL("../prompt_agente.txt", import.meta.url).pathname
+  );
+  const contexto = {
+    titulo: "Desenvolvedor Backend",
+    empresa: "Acme",
+    link: "https://www.linkedin.com/jobs/view/3812345678",
+  };
+  const resposta = await gerarCurriculoATS(
+    CURRICULO,
+    DESCRICAO,
+    prompt,
+    contexto,
+    { cliente: falso() }
+  );
+
+  assert.equal(resposta, CURRICULO.trimEnd());
+  assert.ok(!resposta.includes(contexto.link));
+  assert.equal(verificarFatos(CURRICULO, resposta).aprovado, true);
+});
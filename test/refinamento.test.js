@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  ALVOS_PADRAO,
+  estimarPaginas,
+  lerAlvos,
+  verificarAlvos,
+} from "../src/refinamento.js";
+
+test("lerAlvos completa com o padrão e aceita números em texto", () => {
+  assert.deepEqual(lerAlvos(), ALVOS_PADRAO);
+  assert.deepEqual(lerAlvos({ paginas: "1", palavrasMinimas: 0 }), {
+    ...ALVOS_PADRAO,
+    paginas: 1,
+    palavrasMinimas: 0,
+  });
+});
+
+test("lerAlvos recusa valores que não são inteiros ou abaixo do mínimo", () => {
+  for (const [alvos, mensagem] of [
+    [{ paginas: 0 }, /\(paginas\): "0". Use um número inteiro a partir de 1/],
+    [{ paginas: 1.5 }, /\(paginas\): "1.5"/],
+    [{ palavrasMaximas: "abc" }, /\(palavrasMaximas\): "abc"/],
+    [{ maxAjustes: -1 }, /\(maxAjustes\): "-1". .* a partir de 0/],
+    [
+      { palavrasMinimas: 500, palavrasMaximas: 300 },
+      /mínimo de 500 palavras maior que o máximo de 300/,
+    ],
+  ]) {
+    assert.throws(() => lerAlvos(alvos), mensagem);
+  }
+});
+
+test("estimarPaginas conta as linhas quebradas e as em branco", () => {
+  assert.equal(estimarPaginas(""), 1);
+  assert.equal(estimarPaginas("linha\n".repeat(47)), 1);
+  assert.equal(estimarPaginas("linha\n".repeat(48)), 2);
+  // Cada parágrafo de 190 caracteres ocupa duas linhas
+  assert.equal(estimarPaginas(Array(24).fill("a".repeat(190)).join("\n")), 1);
+  assert.equal(estimarPaginas(Array(25).fill("a".repeat(190)).join("\n")), 2);
+});
+
+test("verificarAlvos descreve os alvos não atingidos", () => {
+  const alvos = lerAlvos({
+    paginas: 1,
+    palavrasMinimas: 5,
+    palavrasMaximas: 10,
+  });
+  assert.deepEqual(verificarAlvos("uma duas três quatro cinco", alvos), {
+    aprovado: true,
+    palavras: 5,
+    paginas: 1,
+    falhas: [],
+  });
+
+  const curto = verificarAlvos("uma duas", alvos);
+  assert.equal(curto.aprovado, false);
+  assert.deepEqual(curto.falhas, ["tem 2 palavras; o mínimo é 5"]);
+
+  const longo = verificarAlvos("palavra\n".repeat(60), alvos);
+  assert.deepEqual(longo.falhas, [
+    "ocupa cerca de 2 páginas; o limite é 1",
+    "tem 60 palavras; o máximo é 10",
+  ]);
+});
@@ -0,0 +1,191 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { after, test } from "node:test";
+import { carregarEstado } from "../src/estado.js";
+import { executarPipeline } from "../src/pipeline.js";
+import { criarServidorRevisao } from "../src/revisao.js";
+import { criarProjeto, DESCRICAO, executarTeste } from "./apoio.js";
+
+/**
+ * Gera o currículo de uma vaga (sem DOCX/PDF) e inicia o servidor de revisão
+ * em uma porta livre; as chamadas ao pipeline ficam em `chamadas`
+ */
+async function iniciarRevisao() {
+  const diretorio = criarProjeto();
+  const { resultado } = await executarTeste({
+    diretorio,
+    vagas: [{ descricao: DESCRICAO }],
+    etapas: ["coleta", "geracao"],
+  });
+  const [id] = Object.keys(
+    carregarEstado(path.join(diretorio, "estado_vagas.json")).vagas
+  );
+  assert.equal(resultado.vagasComFalha.length, 0);
+
+  const chamadas = [];
+  const servidor = criarServidorRevisao(
+    {
+      diretorio,
+      provedor: "falso",
+      formatos: ["docx"],
+      usarCache: false,
+      concorrencia: { intervaloHost: 0 },
+    },
+    {
+      executarPipeline: (opcoes, dependencias) => {
+        chamadas.push(opcoes);
+        return executarPipeline(opcoes, dependencias);
+      },
+    }
+  );
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  after(() => servidor.close());
+  return { diretorio, id, chamadas, porta: servidor.address().port };
+}
+
+/**
+ * Faz uma requisição ao servidor com os cabeçalhos informados (o fetch não
+ * permite trocar o Host)
+ */
+function requisitar(
+  porta,
+  caminho,
+  { metodo = "GET", cabecalhos = {}, corpo } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port: porta,
+        path: caminho,
+        method: metodo,
+        headers: { host: `localhost:${porta}`, ...cabecalhos },
+      },
+      (res) => {
+        const partes = [];
+        res.on("data", (parte) => partes.push(parte));
+        res.on("end", () => {
+          const texto = Buffer.concat(partes).toString("utf-8");
+          const json = /json/.test(res.headers["content-type"] || "");
+          resolve({
+            status: res.statusCode,
+            corpo: json ? JSON.parse(texto) : texto,
+          });
+        });
+      }
+    );
+    req.on("error", reject);
+    req.end(corpo);
+  });
+}
+
+const enviarJson = (porta, caminho, dados) =>
+  requisitar(porta, caminho, {
+    metodo: "POST",
+    cabecalhos: { "content-type": "application/json" },
+    corpo: JSON.stringify(dados),
+  });
+
+test("recusa outros endereços, origens de outros sites e corpos que não são JSON", async () => {
+  const { id, porta, chamadas } = await iniciarRevisao();
+
+  assert.equal((await requisitar(porta, "/")).status, 200);
+  assert.equal(
+    (
+      await requisitar(porta, "/", {
+        cabecalhos: { host: `127.0.0.1:${porta}` },
+      })
+    ).status,
+    200
+  );
+
+  // DNS rebinding: o navegador envia o nome do site atacante no Host
+  const outroHost = await requisitar(porta, "/api/vagas", {
+    cabecalhos: { host: `atacante.example:${porta}` },
+  });
+  assert.equal(outroHost.status, 403);
+  assert.match(outroHost.corpo.erro, /Endereço não permitido/);
+
+  const outraOrigem = await requisitar(porta, `/api/vagas/${id}/aprovar`, {
+    metodo: "POST",
+    cabecalhos: {
+      origin: "https://atacante.example",
+      "content-type": "application/json",
+    },
+    corpo: "{}",
+  });
+  assert.equal(outraOrigem.status, 403);
+  assert.match(outraOrigem.corpo.erro, /Origem não permitida/);
+
+  // Formulários de outros sites só enviam text/plain ou form-urlencoded
+  const texto = await requisitar(porta, `/api/vagas/${id}/aprovar`, {
+    metodo: "POST",
+    cabecalhos: {
+      origin: `http://localhost:${porta}`,
+      "content-type": "text/plain",
+    },
+    corpo: "{}",
+  });
+  assert.equal(texto.status, 415);
+
+  assert.equal(chamadas.length, 0);
+  const { corpo } = await requisitar(porta, `/api/vagas/${id}`);
+  assert.equal(corpo.aprovado, false);
+});
+
+test("regenerar guarda as instruções e aprovar cria os arquivos do texto aprovado", async () => {
+  const { diretorio, id, porta, chamadas } = await iniciarRevisao();
+
+  const regenerado = await enviarJson(porta, `/api/vagas/${id}/regenerar`, {
+    instrucoes: "  Destaque a experiência com AWS ",
+  });
+  assert.equal(regenerado.status, 200);
+  assert.equal(regenerado.corpo.falhou, false);
+  assert.equal(
+    regenerado.corpo.vaga.instrucoes,
+    "Destaque a experiência com AWS"
+  );
+  assert.deepEqual(chamadas[0].etapas, ["geracao"]);
+  assert.deepEqual(chamadas[0].refazer, ["geracao"]);
+  assert.deepEqual([...chamadas[0].ids], [id]);
+
+  const aprovado = await enviarJson(porta, `/api/vagas/${id}/aprovar`, {});
+  assert.equal(aprovado.status, 200);
+  assert.equal(aprovado.corpo.vaga.aprovado, true);
+  assert.deepEqual(chamadas[1].etapas, ["renderizacao"]);
+  assert.equal(chamadas[1].exigirAprovacao, true);
+  assert.equal(aprovado.corpo.vaga.arquivos.length, 1);
+  assert.ok(fs.existsSync(aprovado.corpo.vaga.arquivos[0]));
+
+  // Uma edição depois da aprovação exige aprovar de novo
+  const editado = await enviarJson(porta, `/api/vagas/${id}/curriculo`, {
+    texto: `${aprovado.corpo.vaga.otimizado}\nLinha acrescentada na revisão`,
+  });
+  assert.equal(editado.status, 200);
+  assert.equal(editado.corpo.vaga.aprovado, false);
+
+  const estado = carregarEstado(path.join(diretorio, "estado_vagas.json"));
+  assert.equal(
+    estado.vagas[id].revisao.instrucoes,
+    "Destaque a experiência com AWS"
+  );
+  assert.ok(estado.revisao.usadaEm);
+});
+
+test("depois do review, só currículos aprovados viram DOCX/PDF", async () => {
+  const { diretorio } = await iniciarRevisao();
+  const documentos = () =>
+    fs
+      .readdirSync(path.join(diretorio, "curriculos_otimizados"))
+      .filter((nome) => nome.endsWith(".docx"));
+  const outraVaga = [{ descricao: `${DESCRICAO}Vaga remota.` }];
+
+  const { logs } = await executarTeste({ diretorio, vagas: outraVaga });
+  assert.ok(logs.some(({ mensagem }) => /aguardando aprovação/.test(mensagem)));
+  assert.deepEqual(documentos(), []);
+
+  await executarTeste({ diretorio, vagas: outraVaga, exigirAprovacao: false });
+  assert.equal(documentos().length, 1);
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { test } from "node:test";
+import { criarProjeto, DESCRICAO, executarTeste } from "./apoio.js";
+
+test("salva o DOCX mesmo quando o navegador do PDF não abre", async () => {
+  const diretorio = criarProjeto();
+  const { resultado, etapas } = await executarTeste(
+    {
+      diretorio,
+      vagas: [{ descricao: DESCRICAO }],
+      formatos: ["docx", "pdf"],
+    },
+    {
+      navegador: async () => {
+        throw new Error("Chrome não encontrado");
+      },
+    }
+  );
+
+  const renderizacao = etapas.find((etapa) => etapa.etapa === "renderizacao");
+  assert.equal(renderizacao.status, "falhou");
+  assert.match(renderizacao.erro, /PDF: .*Chrome não encontrado/);
+  assert.deepEqual(
+    renderizacao.arquivos.map((arquivo) => path.extname(arquivo)),
+    [".docx"]
+  );
+
+  const arquivos = fs.readdirSync(
+    path.join(diretorio, "curriculos_otimizados")
+  );
+  assert.ok(arquivos.some((nome) => nome.endsWith(".docx")));
+  assert.ok(!arquivos.some((nome) => nome.endsWith(".pdf")));
+  assert.equal(resultado.vagasComFalha.length, 1);
+});
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { compilarTemplate, renderizarTemplate } from "../src/template.js";
+
+test("aceita curriculo e descricao inseridos fora de blocos", () => {
+  const texto = renderizarTemplate(
+    "{{#if titulo}}VAGA: {{titulo}}\n{{/if}}{{curriculo}}\n---\n{{descricao}}",
+    { curriculo: "CV", descricao: "Vaga", titulo: "Dev" }
+  );
+  assert.equal(texto, "VAGA: Dev\nCV\n---\nVaga");
+});
+
+test("recusa obrigatórios usados só como condição ou dentro de blocos", () => {
+  assert.throws(
+    () =>
+      compilarTemplate(
+        "Otimize. {{#if curriculo}}ok{{/if}} {{#unless descricao}}{{descricao}}{{/unless}}"
+      ),
+    /obrigatórios ausentes ou só dentro de blocos condicionais: \{\{curriculo\}\}, \{\{descricao\}\}/
+  );
+});
+
+test("recusa obrigatório presente só no {{else}}", () => {
+  assert.throws(
+    () =>
+      compilarTemplate(
+        "{{curriculo}} {{#if link}}{{link}}{{else}}{{descricao}}{{/if}}"
+      ),
+    /\{\{descricao\}\}/
+  );
+});
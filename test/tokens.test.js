@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { limparDescricao } from "../src/tokens.js";
+
+const PARAGRAFO =
+  "Somos uma empresa de tecnologia que conecta milhares de clientes a soluções de pagamento.";
+
+test("mantém títulos curtos repetidos em partes diferentes da descrição", () => {
+  const descricao = [
+    "Vaga 1: Backend",
+    "Requisitos:",
+    "- Node.js",
+    "Diferenciais:",
+    "- Kafka",
+    "",
+    "Vaga 2: Frontend",
+    "Requisitos:",
+    "- React",
+    "Diferenciais:",
+    "- Next.js",
+  ].join("\n");
+
+  assert.equal(limparDescricao(descricao), descricao);
+});
+
+test("remove repetições seguidas, parágrafos longos repetidos e linhas sem letras", () => {
+  const descricao = [
+    PARAGRAFO,
+    "Requisitos:",
+    "Requisitos:",
+    "- Node.js",
+    "-----",
+    "",
+    "",
+    "  Sobre   nós  ",
+    PARAGRAFO,
+  ].join("\n");
+
+  assert.equal(
+    limparDescricao(descricao),
+    [PARAGRAFO, "Requisitos:", "- Node.js", "", "Sobre nós"].join("\n")
+  );
+});
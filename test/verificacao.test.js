@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { verificarFatos } from "../src/verificacao.js";
+
+const ORIGINAL = `MARIA SILVA
+São Paulo | maria@exemplo.com
+
+EXPERIÊNCIA PROFISSIONAL
+Cargo: Engenheira de Software Sênior
+Empresa: Acme
+Período: 01/2020 – 12/2023
+- APIs REST em Node.js e PostgreSQL
+
+EDUCAÇÃO
+Bacharelado em Ciência da Computação
+Universidade de São Paulo
+
+CERTIFICAÇÕES
+- Scrum Master Certificado
+
+HABILIDADES
+- Node.js
+- PostgreSQL
+- Liderança
+`;
+
+const traduzido = (
+  habilidades,
+  certificacao = "Certified Scrum Master"
+) => `MARIA SILVA
+São Paulo | maria@exemplo.com
+
+PROFESSIONAL EXPERIENCE
+Cargo: Senior Software Engineer
+Empresa: Acme
+Período: 01/2020 – 12/2023
+- REST APIs with Node.js and PostgreSQL
+
+EDUCATION
+Bachelor of Computer Science
+Universidade de São Paulo
+
+CERTIFICATIONS
+- ${certificacao}
+
+SKILLS
+${habilidades.map((h) => `- ${h}`).join("\n")}
+`;
+
+test("tradução: aceita cargos, formações e habilidades traduzidos", () => {
+  const resultado = verificarFatos(
+    ORIGINAL,
+    traduzido(["Node.js", "PostgreSQL", "Leadership"]),
+    { traducao: true }
+  );
+  assert.deepEqual(resultado.problemas, []);
+});
+
+test("tradução: aponta tecnologias, siglas e certificações inventadas", () => {
+  const resultado = verificarFatos(
+    ORIGINAL,
+    traduzido(
+      ["Node.js", "Kafka", "GraphQL"],
+      "AWS Certified Solutions Architect"
+    ),
+    { traducao: true }
+  );
+  assert.deepEqual(
+    resultado.problemas.map((p) => [p.tipo, p.valor]),
+    [
+      ["certificacao", "AWS"],
+      ["habilidade", "Kafka"],
+      ["habilidade", "GraphQL"],
+    ]
+  );
+});